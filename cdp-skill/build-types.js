@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+import { writeDeclarations } from './scripts/declarations.js';
+
+for (const file of writeDeclarations()) {
+  console.log(`Wrote ${file}`);
+}
@@ -472,6 +472,143 @@ export function createRoleQueryExecutor(session, elementLocator, options = {}) {
 // Aria Snapshot (from AriaSnapshot.js)
 // ============================================================================
 
+/**
+ * Browser-side source of generateSelectorForElement(el): a stable CSS selector
+ * (id, test id / name attribute, or tag path with :nth-of-type) for one element.
+ * Shared by the snapshot refs map and the session recorder so both emit the same selectors.
+ */
+export const SELECTOR_GENERATOR_SCRIPT = `function generateSelectorForElement(el) {
+  if (el.id) return '#' + CSS.escape(el.id);
+
+  for (const attr of ['data-testid', 'data-test-id', 'data-cy', 'name']) {
+    if (el.hasAttribute(attr)) {
+      const value = el.getAttribute(attr);
+      const selector = '[' + attr + '=' + JSON.stringify(value) + ']';
+      try { if (document.querySelectorAll(selector).length === 1) return selector; } catch(e) {}
+    }
+  }
+
+  // Build path from element up to its root (document or shadow root)
+  const path = [];
+  let current = el;
+  const rootNode = el.getRootNode();
+  while (current && current !== document.body && current !== rootNode) {
+    let selector = current.tagName.toLowerCase();
+    if (current.id) {
+      selector = '#' + CSS.escape(current.id);
+      path.unshift(selector);
+      break;
+    }
+    const parent = current.parentElement;
+    if (parent) {
+      const siblings = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+      if (siblings.length > 1) {
+        const index = siblings.indexOf(current) + 1;
+        selector += ':nth-of-type(' + index + ')';
+      }
+    }
+    path.unshift(selector);
+    current = parent;
+  }
+
+  return path.join(' > ');
+}`;
+
+// Interactable roles for AI mode
+const INTERACTABLE_ROLES = ['button', 'checkbox', 'combobox', 'heading', 'link', 'listbox', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'searchbox', 'slider', 'spinbutton',
+  'switch', 'tab', 'textbox', 'treeitem'];
+
+// Roles where text content is important to display (status messages, alerts, etc.)
+const TEXT_CONTENT_ROLES = ['alert', 'alertdialog', 'status', 'log', 'marquee', 'timer', 'paragraph'];
+
+// Browser-side snapshot helpers shared by the DOM and Accessibility-domain backends
+
+// Compute page hash for change detection
+// Hash combines: URL + scroll position + DOM size + interactive element count
+const PAGE_HASH_SCRIPT = `function computePageHash() {
+  const url = location.href;
+  const scroll = Math.round(window.scrollY / 100) * 100; // Round to nearest 100px for stability
+  const bodySize = document.body?.innerHTML?.length || 0;
+  const interactiveCount = document.querySelectorAll(
+    'a,button,input,select,textarea,[role="button"],[role="link"],[tabindex]'
+  ).length;
+  return url + '|' + scroll + '|' + bodySize + '|' + interactiveCount;
+}`;
+
+// Build the shadow host path for an element (empty array if not in shadow DOM)
+const SHADOW_HOST_PATH_SCRIPT = `function getShadowHostPath(el) {
+  const hosts = [];
+  let node = el;
+  while (node) {
+    const root = node.getRootNode();
+    if (root instanceof ShadowRoot) {
+      hosts.unshift(generateSelectorForElement(root.host));
+      node = root.host;
+    } else {
+      break;
+    }
+  }
+  return hosts;
+}`;
+
+// Render a snapshot node (and its children) as YAML lines
+const RENDER_YAML_SCRIPT = `function renderYaml(node, indent = '') {
+  if (typeof node === 'string') {
+    return indent + '- text: ' + JSON.stringify(node);
+  }
+
+  // Handle staticText nodes
+  if (node.role === 'staticText') {
+    return indent + '- text ' + JSON.stringify(node.name);
+  }
+
+  let key = node.role;
+  if (node.name) {
+    key += ' ' + JSON.stringify(node.name);
+  }
+
+  // Add states
+  if (node.checked === 'mixed') key += ' [checked=mixed]';
+  else if (node.checked === true) key += ' [checked]';
+  if (node.disabled) key += ' [disabled]';
+  if (node.expanded === true) key += ' [expanded]';
+  else if (node.expanded === false) key += ' [collapsed]';
+  if (node.pressed === 'mixed') key += ' [pressed=mixed]';
+  else if (node.pressed === true) key += ' [pressed]';
+  if (node.selected) key += ' [selected]';
+  if (node.required) key += ' [required]';
+  if (node.invalid === true) key += ' [invalid]';
+  else if (node.invalid === 'grammar') key += ' [invalid=grammar]';
+  else if (node.invalid === 'spelling') key += ' [invalid=spelling]';
+  if (node.level) key += ' [level=' + node.level + ']';
+  if (node.nameAttr) key += ' [name=' + node.nameAttr + ']';
+  if (node.ref) key += ' [ref=' + node.ref + ']';
+  if (node.frameRef) key += ' [frame=' + node.frameRef + ']';
+
+  const lines = [];
+
+  if (!node.children || node.children.length === 0) {
+    // Leaf node
+    if (node.value !== undefined) {
+      lines.push(indent + '- ' + key + ': ' + JSON.stringify(node.value));
+    } else {
+      lines.push(indent + '- ' + key);
+    }
+  } else if (node.children.length === 1 && node.children[0].role === 'staticText') {
+    // Single static text child - inline it
+    lines.push(indent + '- ' + key + ': ' + JSON.stringify(node.children[0].name));
+  } else {
+    // Node with children
+    lines.push(indent + '- ' + key + ':');
+    for (const child of node.children) {
+      lines.push(renderYaml(child, indent + '  '));
+    }
+  }
+
+  return lines.join('\\n');
+}`;
+
 // The snapshot script runs entirely in the browser context
 const SNAPSHOT_SCRIPT = `
 (function generateAriaSnapshot(rootSelector, options) {
@@ -494,17 +631,7 @@ const SNAPSHOT_SCRIPT = `
   // Store frame identifier for ref generation (used by all ref-generating operations)
   window.__ariaFrameIdentifier = frameIdentifier;
 
-  // Compute page hash for change detection
-  // Hash combines: URL + scroll position + DOM size + interactive element count
-  function computePageHash() {
-    const url = location.href;
-    const scroll = Math.round(window.scrollY / 100) * 100; // Round to nearest 100px for stability
-    const bodySize = document.body?.innerHTML?.length || 0;
-    const interactiveCount = document.querySelectorAll(
-      'a,button,input,select,textarea,[role="button"],[role="link"],[tabindex]'
-    ).length;
-    return url + '|' + scroll + '|' + bodySize + '|' + interactiveCount;
-  }
+  ${PAGE_HASH_SCRIPT}
 
   // Check if page has changed since a given snapshot ID
   // We only check the hash - if the page content hash is the same, no need for new snapshot
@@ -628,12 +755,10 @@ const SNAPSHOT_SCRIPT = `
     'searchbox', 'slider', 'spinbutton', 'textbox', 'tree'];
 
   // Interactable roles for AI mode
-  const INTERACTABLE_ROLES = ['button', 'checkbox', 'combobox', 'heading', 'link', 'listbox', 'menuitem',
-    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'searchbox', 'slider', 'spinbutton',
-    'switch', 'tab', 'textbox', 'treeitem'];
+  const INTERACTABLE_ROLES = ${JSON.stringify(INTERACTABLE_ROLES)};
 
   // Roles where text content is important to display (status messages, alerts, etc.)
-  const TEXT_CONTENT_ROLES = ['alert', 'alertdialog', 'status', 'log', 'marquee', 'timer', 'paragraph'];
+  const TEXT_CONTENT_ROLES = ${JSON.stringify(TEXT_CONTENT_ROLES)};
 
   // When preserveRefs is true, continue numbering from existing counter
   // This prevents new snapshots from overwriting refs generated by snapshotSearch
@@ -1005,6 +1130,17 @@ const SNAPSHOT_SCRIPT = `
           }
           return frameNode.children.length > 0 ? frameNode : null;
         }
+        // Out-of-process iframe marked by the caller: leave a placeholder that
+        // is filled with a snapshot taken in the frame's own session
+        if (el.__ariaFrameId) {
+          return {
+            role: 'document',
+            name: el.title || el.name || 'iframe',
+            isFrame: true,
+            frameUrl: el.src || '',
+            frameRef: el.__ariaFrameId
+          };
+        }
       } catch (e) {
         // Cross-origin iframe - can't access content
         return {
@@ -1138,60 +1274,7 @@ const SNAPSHOT_SCRIPT = `
     return children;
   }
 
-  function renderYaml(node, indent = '') {
-    if (typeof node === 'string') {
-      return indent + '- text: ' + JSON.stringify(node);
-    }
-
-    // Handle staticText nodes
-    if (node.role === 'staticText') {
-      return indent + '- text ' + JSON.stringify(node.name);
-    }
-
-    let key = node.role;
-    if (node.name) {
-      key += ' ' + JSON.stringify(node.name);
-    }
-
-    // Add states
-    if (node.checked === 'mixed') key += ' [checked=mixed]';
-    else if (node.checked === true) key += ' [checked]';
-    if (node.disabled) key += ' [disabled]';
-    if (node.expanded === true) key += ' [expanded]';
-    else if (node.expanded === false) key += ' [collapsed]';
-    if (node.pressed === 'mixed') key += ' [pressed=mixed]';
-    else if (node.pressed === true) key += ' [pressed]';
-    if (node.selected) key += ' [selected]';
-    if (node.required) key += ' [required]';
-    if (node.invalid === true) key += ' [invalid]';
-    else if (node.invalid === 'grammar') key += ' [invalid=grammar]';
-    else if (node.invalid === 'spelling') key += ' [invalid=spelling]';
-    if (node.level) key += ' [level=' + node.level + ']';
-    if (node.nameAttr) key += ' [name=' + node.nameAttr + ']';
-    if (node.ref) key += ' [ref=' + node.ref + ']';
-
-    const lines = [];
-
-    if (!node.children || node.children.length === 0) {
-      // Leaf node
-      if (node.value !== undefined) {
-        lines.push(indent + '- ' + key + ': ' + JSON.stringify(node.value));
-      } else {
-        lines.push(indent + '- ' + key);
-      }
-    } else if (node.children.length === 1 && node.children[0].role === 'staticText') {
-      // Single static text child - inline it
-      lines.push(indent + '- ' + key + ': ' + JSON.stringify(node.children[0].name));
-    } else {
-      // Node with children
-      lines.push(indent + '- ' + key + ':');
-      for (const child of node.children) {
-        lines.push(renderYaml(child, indent + '  '));
-      }
-    }
-
-    return lines.join('\\n');
-  }
+  ${RENDER_YAML_SCRIPT}
 
   // Parse rootSelector - support both CSS selectors and role= syntax
   function resolveRoot(selector) {
@@ -1280,59 +1363,10 @@ const SNAPSHOT_SCRIPT = `
     refs[ref] = generateSelector(el);
   }
 
-  // Build the shadow host path for an element (empty array if not in shadow DOM)
-  function getShadowHostPath(el) {
-    const hosts = [];
-    let node = el;
-    while (node) {
-      const root = node.getRootNode();
-      if (root instanceof ShadowRoot) {
-        hosts.unshift(generateSelectorForElement(root.host));
-        node = root.host;
-      } else {
-        break;
-      }
-    }
-    return hosts;
-  }
+  ${SHADOW_HOST_PATH_SCRIPT}
 
   // Generate a CSS selector for a single element (used by both generateSelector and shadow path)
-  function generateSelectorForElement(el) {
-    if (el.id) return '#' + CSS.escape(el.id);
-
-    for (const attr of ['data-testid', 'data-test-id', 'data-cy', 'name']) {
-      if (el.hasAttribute(attr)) {
-        const value = el.getAttribute(attr);
-        const selector = '[' + attr + '=' + JSON.stringify(value) + ']';
-        try { if (document.querySelectorAll(selector).length === 1) return selector; } catch(e) {}
-      }
-    }
-
-    // Build path from element up to its root (document or shadow root)
-    const path = [];
-    let current = el;
-    const rootNode = el.getRootNode();
-    while (current && current !== document.body && current !== rootNode) {
-      let selector = current.tagName.toLowerCase();
-      if (current.id) {
-        selector = '#' + CSS.escape(current.id);
-        path.unshift(selector);
-        break;
-      }
-      const parent = current.parentElement;
-      if (parent) {
-        const siblings = Array.from(parent.children).filter(c => c.tagName === current.tagName);
-        if (siblings.length > 1) {
-          const index = siblings.indexOf(current) + 1;
-          selector += ':nth-of-type(' + index + ')';
-        }
-      }
-      path.unshift(selector);
-      current = parent;
-    }
-
-    return path.join(' > ');
-  }
+  ${SELECTOR_GENERATOR_SCRIPT}
 
   function generateSelector(el) {
     return generateSelectorForElement(el);
@@ -1404,14 +1438,514 @@ const SNAPSHOT_SCRIPT = `
 })
 `;
 
+// Called on an OOPIF's owner <iframe> in the parent frame's session
+const FRAME_OWNER_POSITION_FN = `function() {
+  return Array.from(this.ownerDocument.querySelectorAll('iframe, frame')).indexOf(this);
+}`;
+
+// Content-box origin of the owner, walking up through same-process parent frames
+const FRAME_OWNER_OFFSET_FN = `function() {
+  let x = 0;
+  let y = 0;
+  let el = this;
+  while (el) {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    x += rect.left + el.clientLeft + (parseFloat(style.paddingLeft) || 0);
+    y += rect.top + el.clientTop + (parseFloat(style.paddingTop) || 0);
+    let parentFrame = null;
+    try { parentFrame = el.ownerDocument.defaultView.frameElement; } catch (e) {}
+    el = parentFrame;
+  }
+  return { x, y };
+}`;
+
+const FRAME_OWNER_MARK_FN = `function(frameId) { this.__ariaFrameId = frameId; }`;
+
+const FRAME_OWNER_READ_MARK_FN = `function() { return this.__ariaFrameId || null; }`;
+
+// Accessibility-domain backend (backend: "cdp"): Chrome builds the tree with
+// Accessibility.getFullAXTree, Node turns it into the same node shape as
+// SNAPSHOT_SCRIPT, and the page assigns refs and renders the YAML
+
+// Chrome AX roles that differ from the ARIA role names used in snapshots
+const AX_ROLE_ALIASES = { StaticText: 'staticText', image: 'img' };
+
+// Chrome-internal text fragments already covered by their StaticText parent
+const AX_SKIPPED_ROLES = ['InlineTextBox', 'LineBreak', 'ListMarker'];
+
+const AX_LANDMARK_ROLES = ['navigation', 'banner', 'contentinfo', 'complementary', 'search'];
+
+const AX_OBJECT_GROUP = 'aria-ax-snapshot';
+
+/**
+ * Build a snapshot tree from Accessibility.getFullAXTree nodes.
+ * Ignored, generic and Chrome-internal nodes (RootWebArea, LabelText, ...) are
+ * flattened into their parent. Nodes that can take a ref carry `element`, an
+ * index into `elements` (their backendDOMNodeIds), resolved in the page later.
+ *
+ * @param {Array<Object>} axNodes - AXNode list from Accessibility.getFullAXTree
+ * @param {Object} [options] - {mode, maxDepth, maxElements, maxNameLength, includeText, rootBackendNodeId, rootRole}
+ * @returns {Object} {tree, elements, truncated, autoScoped, landmarkHeader} or {error}
+ */
+export function buildAxSnapshotTree(axNodes, options = {}) {
+  const { mode = 'ai', maxDepth = 50, maxElements = 0, maxNameLength = 150, includeText = false, rootBackendNodeId = null, rootRole = null } = options;
+  const nodesById = new Map(axNodes.map(node => [node.nodeId, node]));
+  const elements = [];
+  let elementCount = 0;
+  let limitReached = false;
+
+  function roleOf(node) {
+    if (node.ignored) return null;
+    const role = node.role?.value || '';
+    if (AX_ROLE_ALIASES[role]) return AX_ROLE_ALIASES[role];
+    if (!role || role === 'generic' || role === 'none' || role === 'presentation' || /^[A-Z]/.test(role)) return null;
+    return role;
+  }
+
+  function nameOf(node) {
+    return String(node.name?.value ?? '').replace(/\s+/g, ' ').trim();
+  }
+
+  function truncateName(text) {
+    if (!text || maxNameLength <= 0 || text.length <= maxNameLength) return text;
+    return text.substring(0, maxNameLength) + '…';
+  }
+
+  function tristate(value) {
+    if (value === 'mixed') return 'mixed';
+    return value === true || value === 'true';
+  }
+
+  function buildNode(node, depth, parentRole) {
+    if (!node || AX_SKIPPED_ROLES.includes(node.role?.value)) return [];
+    if (maxElements > 0 && elementCount >= maxElements) {
+      limitReached = true;
+      return [];
+    }
+    if (depth > maxDepth) return [];
+
+    const role = roleOf(node);
+    if (role === 'staticText') {
+      const text = nameOf(node);
+      const shouldIncludeText = mode !== 'ai' || includeText || TEXT_CONTENT_ROLES.includes(parentRole);
+      return text && shouldIncludeText ? [{ role: 'staticText', name: text }] : [];
+    }
+
+    const buildChildren = (childRole) => (node.childIds || []).flatMap(id => buildNode(nodesById.get(id), depth + 1, childRole));
+    // Flattened nodes pass their parent's role down so text under e.g. a <span> in an alert is kept
+    if (!role) return buildChildren(parentRole);
+
+    elementCount++;
+    const props = {};
+    for (const property of node.properties || []) props[property.name] = property.value?.value;
+
+    const entry = { role, name: truncateName(nameOf(node)) };
+    if (props.checked !== undefined) entry.checked = tristate(props.checked);
+    if (props.disabled === true) entry.disabled = true;
+    if (typeof props.expanded === 'boolean') entry.expanded = props.expanded;
+    if (props.pressed !== undefined) entry.pressed = tristate(props.pressed);
+    if (props.selected === true) entry.selected = true;
+    if (props.level !== undefined) entry.level = props.level;
+    if (props.invalid === 'true') entry.invalid = true;
+    else if (props.invalid === 'grammar' || props.invalid === 'spelling') entry.invalid = props.invalid;
+    if (props.required === true) entry.required = true;
+    if ((role === 'textbox' || role === 'searchbox' || role === 'spinbutton') && node.value?.value) {
+      entry.value = String(node.value.value);
+    }
+
+    if (node.backendDOMNodeId !== undefined && (INTERACTABLE_ROLES.includes(role) || props.focusable === true)) {
+      entry.element = elements.push(node.backendDOMNodeId) - 1;
+      if (mode === 'ai') entry.interactable = true;
+    }
+    const children = buildChildren(role);
+    if (children.length > 0) entry.children = children;
+    return [entry];
+  }
+
+  let root;
+  let autoScoped = false;
+  if (rootBackendNodeId !== null) {
+    root = axNodes.find(node => node.backendDOMNodeId === rootBackendNodeId);
+  } else if (rootRole) {
+    root = axNodes.find(node => roleOf(node) === rootRole);
+    if (!root) {
+      return { error: 'Root element not found for role: ' + rootRole + '. Use CSS selector (e.g., "main", "#container") or check that an element with this role exists.' };
+    }
+  } else {
+    root = axNodes.find(node => roleOf(node) === 'main');
+    if (root) autoScoped = true;
+    else root = axNodes.find(node => !node.parentId) || axNodes[0];
+  }
+  if (!root) return { tree: null, elements, truncated: false, autoScoped, landmarkHeader: '' };
+
+  const built = buildNode(root, 0, null);
+  const tree = built.length === 0 ? null : (built.length === 1 ? built[0] : { role: 'generic', name: '', children: built });
+
+  let landmarkHeader = '';
+  if (autoScoped) {
+    const found = [];
+    for (const landmarkRole of AX_LANDMARK_ROLES) {
+      const landmark = axNodes.find(node => roleOf(node) === landmarkRole);
+      if (landmark) found.push(nameOf(landmark) ? landmarkRole + ' "' + nameOf(landmark) + '"' : landmarkRole);
+    }
+    landmarkHeader = found.length > 0
+      ? '# Auto-scoped to main content. Other landmarks: ' + found.join(', ') + '\n# Use {root: "body"} for full page\n'
+      : '# Auto-scoped to main content. Use {root: "body"} for full page\n';
+  }
+
+  return { tree, elements, truncated: limitReached, autoScoped, landmarkHeader };
+}
+
+// Called on the document with the built tree, options and the resolved elements;
+// assigns refs exactly like SNAPSHOT_SCRIPT so both backends share __ariaRefs
+const AX_SNAPSHOT_REGISTER_SCRIPT = `function registerAxSnapshot(tree, options, ...elements) {
+  const { preserveRefs = false, internal = false, frameIdentifier = 'f0', landmarkHeader = '', truncated = false } = options;
+  const FORM_ROLES = ['textbox', 'searchbox', 'checkbox', 'radio', 'combobox',
+                      'listbox', 'spinbutton', 'slider', 'switch'];
+
+  ${SELECTOR_GENERATOR_SCRIPT}
+  ${SHADOW_HOST_PATH_SCRIPT}
+  ${PAGE_HASH_SCRIPT}
+  ${RENDER_YAML_SCRIPT}
+
+  if (window.__ariaSnapshotId === undefined) {
+    window.__ariaSnapshotId = 0;
+  }
+  window.__ariaFrameIdentifier = frameIdentifier;
+  if (!internal || window.__ariaSnapshotId === 0) {
+    window.__ariaSnapshotId++;
+  }
+  const currentSnapshotId = window.__ariaSnapshotId;
+
+  let refCounter = preserveRefs && window.__ariaRefCounter ? window.__ariaRefCounter : 0;
+  const elementRefs = new Map();
+  const refElements = new Map();
+  const refMeta = new Map();
+
+  function generateRef(el, role, name) {
+    if (elementRefs.has(el)) return elementRefs.get(el);
+    let ref = null;
+    if (window.__ariaRefs) {
+      for (const [existingRef, existingEl] of window.__ariaRefs) {
+        if (existingEl === el) {
+          ref = existingRef;
+          break;
+        }
+      }
+    }
+    if (!ref) {
+      refCounter++;
+      ref = frameIdentifier + 's' + currentSnapshotId + 'e' + refCounter;
+    }
+    const meta = { selector: generateSelectorForElement(el), role: role || '', name: name || '' };
+    const shadowPath = getShadowHostPath(el);
+    if (shadowPath.length > 0) meta.shadowHostPath = shadowPath;
+    elementRefs.set(el, ref);
+    refElements.set(ref, el);
+    refMeta.set(ref, meta);
+    return ref;
+  }
+
+  function attachElement(node) {
+    if (!node || typeof node !== 'object') return;
+    const el = node.element !== undefined ? elements[node.element] : null;
+    if (el && el.nodeType === Node.ELEMENT_NODE) {
+      if (node.interactable) node.ref = generateRef(el, node.role, node.name);
+      const nameAttr = FORM_ROLES.includes(node.role) ? (el.getAttribute('name') || '').trim() : '';
+      if (nameAttr) node.nameAttr = nameAttr;
+      if (node.role === 'link' && el.href) node.url = el.href;
+    }
+    delete node.element;
+    delete node.interactable;
+    if (node.children) node.children.forEach(attachElement);
+  }
+
+  if (!tree) {
+    return { tree: null, yaml: '', refs: {} };
+  }
+  attachElement(tree);
+
+  const refs = {};
+  for (const [ref, meta] of refMeta) {
+    refs[ref] = meta.selector;
+  }
+
+  const yaml = landmarkHeader + (tree.children ? tree.children.map(c => renderYaml(c, '')).join('\\n') : renderYaml(tree, ''));
+
+  if (preserveRefs && window.__ariaRefs) {
+    for (const [ref, el] of refElements) {
+      window.__ariaRefs.set(ref, el);
+    }
+  } else {
+    window.__ariaRefs = refElements;
+  }
+  if (preserveRefs && window.__ariaRefMeta) {
+    for (const [ref, meta] of refMeta) {
+      window.__ariaRefMeta.set(ref, meta);
+    }
+  } else {
+    window.__ariaRefMeta = refMeta;
+  }
+  window.__ariaRefCounter = refCounter;
+  window.__ariaSnapshotHash = computePageHash();
+
+  return { tree, yaml, refs, truncated, snapshotId: frameIdentifier + 's' + currentSnapshotId };
+}`;
+
 /**
  * Create an ARIA snapshot generator for accessibility tree generation
  * @param {Object} session - CDP session
+ * @param {Object} [options] - Options
+ * @param {Function} [options.getFrameContext] - Returns contextId when in a non-main frame
+ * @param {Function} [options.getFrameIdentifier] - Returns the current frame's ref prefix
+ * @param {Object} [options.frameSessions] - Frame session tracker for out-of-process iframes
+ * @param {Function} [options.getFrameId] - Returns the current CDP frame id (used by the 'cdp' backend)
  * @returns {Object} ARIA snapshot interface
  */
 export function createAriaSnapshot(session, options = {}) {
   const getFrameContext = options.getFrameContext || null;
   const getFrameIdentifier = options.getFrameIdentifier || null;
+  const frameSessions = options.frameSessions || null;
+  const getFrameId = options.getFrameId || null;
+
+  async function callOnFrameOwner(frame, functionDeclaration, args = []) {
+    const parent = frame.parentSession;
+    const { backendNodeId } = await parent.send('DOM.getFrameOwner', { frameId: frame.frameId });
+    const { object } = await parent.send('DOM.resolveNode', { backendNodeId });
+    try {
+      const result = await parent.send('Runtime.callFunctionOn', {
+        objectId: object.objectId,
+        functionDeclaration,
+        arguments: args.map(value => ({ value })),
+        returnByValue: true
+      });
+      return result.result?.value;
+    } finally {
+      await parent.send('Runtime.releaseObject', { objectId: object.objectId }).catch(() => {});
+    }
+  }
+
+  /**
+   * List attached out-of-process iframes (OOPIFs) with their ref prefixes.
+   * OOPIFs are missing from Page.getFrameTree, so they are numbered after the
+   * in-process frames (f1..fN): top-level ones first in document order, then
+   * the ones nested inside them. generate() records each prefix, and marks it
+   * on the owner element, so refs keep resolving when this numbering changes.
+   * @returns {Promise<Array<{identifier: string, frameId: string, session: Object, parentSession: Object, parent: Object|null}>>}
+   */
+  async function listRemoteFrames() {
+    const attached = frameSessions ? frameSessions.getFrames() : [];
+    if (attached.length === 0) return [];
+
+    const { frameTree } = await session.send('Page.getFrameTree');
+    const countFrames = (node) => (node.childFrames || []).reduce((n, child) => n + 1 + countFrames(child), 0);
+    let next = countFrames(frameTree) + 1;
+
+    const positioned = await Promise.all(attached.map(async frame => ({
+      ...frame,
+      position: await callOnFrameOwner(frame, FRAME_OWNER_POSITION_FN).catch(() => Number.MAX_SAFE_INTEGER)
+    })));
+
+    const listed = [];
+    let parents = [{ session, frame: null }];
+    while (parents.length > 0) {
+      const level = [];
+      parents.forEach((parent, parentIndex) => {
+        for (const frame of positioned) {
+          if (frame.parentSession === parent.session) level.push({ frame, parentIndex, parent: parent.frame });
+        }
+      });
+      level.sort((a, b) => a.parentIndex - b.parentIndex || a.frame.position - b.frame.position);
+      parents = [];
+      for (const { frame, parent } of level) {
+        const entry = {
+          identifier: `f${next++}`,
+          frameId: frame.frameId,
+          session: frame.session,
+          parentSession: frame.parentSession,
+          parent
+        };
+        listed.push(entry);
+        parents.push({ session: frame.session, frame: entry });
+      }
+    }
+    return listed;
+  }
+
+  // Ref prefix -> OOPIF entry, recorded by generate() and rebuilt from the
+  // owner marks when the attached frames change (or the snapshot was taken by
+  // an earlier process)
+  let remoteFramesByPrefix = null;
+  let remoteFramesKey = null;
+
+  function attachedFramesKey() {
+    return frameSessions.getFrames().map(frame => frame.frameId).join(',');
+  }
+
+  function rememberRemoteFrames(frames) {
+    remoteFramesByPrefix = new Map(frames.map(frame => [frame.identifier, frame]));
+    remoteFramesKey = attachedFramesKey();
+  }
+
+  /**
+   * Find the OOPIF a ref belongs to by the prefix it had when the snapshot was
+   * taken. The prefix is not recomputed from the current numbering: iframes
+   * added or removed since the snapshot would shift it.
+   * @param {string} ref - Element reference
+   * @returns {Promise<Object|null>} Frame entry from listRemoteFrames, or null
+   */
+  async function findRemoteFrameForRef(ref) {
+    if (!frameSessions || frameSessions.getFrames().length === 0) return null;
+    const prefix = /^(f\d+)s\d+e\d+$/.exec(ref)?.[1];
+    if (!prefix || prefix === 'f0') return null;
+
+    if (!remoteFramesByPrefix || remoteFramesKey !== attachedFramesKey()) {
+      const marked = [];
+      for (const frame of await listRemoteFrames()) {
+        const mark = await callOnFrameOwner(frame, FRAME_OWNER_READ_MARK_FN).catch(() => null);
+        if (mark) marked.push({ ...frame, identifier: mark });
+      }
+      rememberRemoteFrames(marked);
+    }
+    return remoteFramesByPrefix.get(prefix) || null;
+  }
+
+  async function remoteFrameOffset(frame) {
+    const offset = await callOnFrameOwner(frame, FRAME_OWNER_OFFSET_FN);
+    if (frame.parent) {
+      const parentOffset = await remoteFrameOffset(frame.parent);
+      offset.x += parentOffset.x;
+      offset.y += parentOffset.y;
+    }
+    return offset;
+  }
+
+  function findFrameNode(node, identifier) {
+    if (!node || typeof node !== 'object') return null;
+    if (node.frameRef === identifier) return node;
+    for (const child of node.children || []) {
+      const found = findFrameNode(child, identifier);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Snapshot each OOPIF in its own session and splice it under its placeholder
+   * node (tree, YAML and refs). Frames outside the snapshot root are skipped.
+   */
+  async function stitchRemoteFrames(snapshot, frames, snapshotOptions) {
+    for (const frame of frames) {
+      const placeholder = findFrameNode(snapshot.tree, frame.identifier);
+      if (!placeholder) continue;
+
+      let child;
+      try {
+        const result = await frame.session.send('Runtime.evaluate', {
+          expression: `(${SNAPSHOT_SCRIPT})("body", ${JSON.stringify({ ...snapshotOptions, since: null, frameIdentifier: frame.identifier })})`,
+          returnByValue: true
+        });
+        child = result.result?.value;
+      } catch {
+        continue;
+      }
+      if (!child || !child.tree) continue;
+
+      placeholder.children = child.tree.children || [child.tree];
+
+      const lines = snapshot.yaml.split('\n');
+      const index = lines.findIndex(line => line.endsWith(`[frame=${frame.identifier}]`));
+      if (index !== -1) {
+        const indent = lines[index].match(/^ */)[0] + '  ';
+        lines[index] += ':';
+        lines.splice(index + 1, 0, ...child.yaml.split('\n').map(line => indent + line));
+        snapshot.yaml = lines.join('\n');
+      }
+      snapshot.refs = { ...snapshot.refs, ...child.refs };
+      if (child.truncated) snapshot.truncated = true;
+    }
+  }
+
+  /**
+   * Generate a snapshot from Chrome's accessibility tree (backend: "cdp").
+   * Same result shape as SNAPSHOT_SCRIPT; refs are registered in the page.
+   */
+  async function generateFromAxTree(rootSelector, snapshotOptions) {
+    const { mode, maxDepth, maxElements, maxNameLength, includeText, preserveRefs, since, internal, frameIdentifier } = snapshotOptions;
+    const contextId = getFrameContext ? getFrameContext() : null;
+    const inContext = (params) => (contextId ? { ...params, contextId } : params);
+
+    if (since) {
+      const check = await session.send('Runtime.evaluate', inContext({
+        expression: `(() => { ${PAGE_HASH_SCRIPT} return computePageHash() === window.__ariaSnapshotHash ? window.__ariaSnapshotId : null; })()`,
+        returnByValue: true
+      }));
+      const unchangedId = check.result?.value;
+      if (unchangedId !== null && unchangedId !== undefined) {
+        return { unchanged: true, snapshotId: frameIdentifier + 's' + unchangedId };
+      }
+    }
+
+    const treeOptions = { mode, maxDepth, maxElements, maxNameLength, includeText };
+    const documentResult = await session.send('Runtime.evaluate', inContext({ expression: 'document', objectGroup: AX_OBJECT_GROUP }));
+    const documentObjectId = documentResult.result.objectId;
+
+    try {
+      const roleMatch = rootSelector && rootSelector.match(/^role=(.+)$/i);
+      if (roleMatch) {
+        treeOptions.rootRole = roleMatch[1].toLowerCase();
+      } else if (rootSelector) {
+        // <body> has no AX node of its own; it maps to the document (RootWebArea)
+        const rootResult = await session.send('Runtime.callFunctionOn', {
+          objectId: documentObjectId,
+          functionDeclaration: 'function(selector) { const el = this.querySelector(selector); return el === this.body ? this : el; }',
+          arguments: [{ value: rootSelector }],
+          objectGroup: AX_OBJECT_GROUP
+        });
+        if (rootResult.exceptionDetails || !rootResult.result?.objectId) {
+          return { error: 'Root element not found: ' + rootSelector + '. Note: for ARIA roles, use "role=main" syntax instead of just "main".' };
+        }
+        const { node } = await session.send('DOM.describeNode', { objectId: rootResult.result.objectId });
+        treeOptions.rootBackendNodeId = node.backendNodeId;
+      }
+
+      const axParams = {};
+      if (contextId && getFrameId) axParams.frameId = getFrameId();
+      const { nodes } = await session.send('Accessibility.getFullAXTree', axParams);
+
+      const built = buildAxSnapshotTree(nodes || [], treeOptions);
+      if (built.error) return { error: built.error };
+
+      const resolved = await Promise.all(built.elements.map(backendNodeId => {
+        const params = { backendNodeId, objectGroup: AX_OBJECT_GROUP };
+        if (contextId) params.executionContextId = contextId;
+        return session.send('DOM.resolveNode', params)
+          .then(({ object }) => ({ objectId: object.objectId }), () => ({ value: null }));
+      }));
+
+      const result = await session.send('Runtime.callFunctionOn', {
+        objectId: documentObjectId,
+        functionDeclaration: AX_SNAPSHOT_REGISTER_SCRIPT,
+        arguments: [
+          { value: built.tree },
+          { value: { preserveRefs, internal, frameIdentifier, landmarkHeader: built.landmarkHeader, truncated: built.truncated } },
+          ...resolved
+        ],
+        returnByValue: true
+      });
+      if (result.exceptionDetails) {
+        throw new Error(`Snapshot generation failed: ${result.exceptionDetails.text}`);
+      }
+
+      const snapshotResult = result.result.value;
+      if (built.autoScoped) snapshotResult.autoScoped = true;
+      return snapshotResult;
+    } finally {
+      await session.send('Runtime.releaseObjectGroup', { objectGroup: AX_OBJECT_GROUP }).catch(() => {});
+    }
+  }
+
   /**
    * Generate accessibility snapshot of the page
    * @param {Object} options - Snapshot options
@@ -1422,35 +1956,55 @@ export function createAriaSnapshot(session, options = {}) {
    * @param {number} options.maxElements - Maximum elements to include (default: unlimited)
    * @param {number} options.maxNameLength - Truncate accessible names longer than this (default: 150, 0 to disable)
    * @param {boolean} options.includeText - Include static text nodes in output (default: false for ai mode)
-   * @param {boolean} options.includeFrames - Include same-origin iframe content (default: false)
+   * @param {boolean} options.includeFrames - Include iframe content, cross-origin frames via their own sessions (default: false)
    * @param {boolean} options.viewportOnly - Only include elements visible in viewport (default: false)
    * @param {boolean} options.pierceShadow - Traverse into open shadow DOM trees (default: false)
    * @param {boolean} options.preserveRefs - Merge new refs into existing instead of overwriting (default: false)
    * @param {string} options.since - Snapshot ID to check against (e.g., "f0s1") - returns {unchanged: true} if page hasn't changed
+   * @param {string} options.backend - 'dom' walks the DOM in the page, 'cdp' uses Chrome's Accessibility domain (default: 'dom')
    * @returns {Promise<Object>} Snapshot result with tree, yaml, refs, and snapshotId
    */
   async function generate(options = {}) {
-    const { root = null, mode = 'ai', detail = 'full', maxDepth = 50, maxElements = 0, maxNameLength = 150, includeText = false, includeFrames = false, viewportOnly = false, pierceShadow = false, preserveRefs = false, since = null, internal = false } = options;
+    const { root = null, mode = 'ai', detail = 'full', maxDepth = 50, maxElements = 0, maxNameLength = 150, includeText = false, includeFrames = false, viewportOnly = false, pierceShadow = false, preserveRefs = false, since = null, internal = false, backend = 'dom' } = options;
 
     // Get frame identifier for ref generation (f0 for main frame, f1, f2, etc. for iframes)
     const frameIdentifier = getFrameIdentifier ? await getFrameIdentifier() : 'f0';
+    const snapshotOptions = { mode, detail, maxDepth, maxElements, maxNameLength, includeText, includeFrames, viewportOnly, pierceShadow, preserveRefs, since, internal, frameIdentifier };
 
-    const evalArgs = {
-      expression: `(${SNAPSHOT_SCRIPT})(${JSON.stringify(root)}, ${JSON.stringify({ mode, detail, maxDepth, maxElements, maxNameLength, includeText, includeFrames, viewportOnly, pierceShadow, preserveRefs, since, internal, frameIdentifier })})`,
-      returnByValue: true,
-      awaitPromise: false
-    };
-    if (getFrameContext) {
-      const contextId = getFrameContext();
-      if (contextId) evalArgs.contextId = contextId;
-    }
-    const result = await session.send('Runtime.evaluate', evalArgs);
+    let snapshotResult;
+    let remoteFrames = [];
+    if (backend === 'cdp') {
+      snapshotResult = await generateFromAxTree(root, snapshotOptions);
+    } else {
+      // Out-of-process iframes are stitched in from their own sessions; mark
+      // their owner elements first so the page snapshot leaves placeholders
+      remoteFrames = includeFrames && frameIdentifier === 'f0' ? await listRemoteFrames() : [];
+      for (const frame of remoteFrames) {
+        await callOnFrameOwner(frame, FRAME_OWNER_MARK_FN, [frame.identifier]).catch(() => {});
+      }
+      if (remoteFrames.length > 0) rememberRemoteFrames(remoteFrames);
 
-    if (result.exceptionDetails) {
-      throw new Error(`Snapshot generation failed: ${result.exceptionDetails.text}`);
+      const evalArgs = {
+        expression: `(${SNAPSHOT_SCRIPT})(${JSON.stringify(root)}, ${JSON.stringify(snapshotOptions)})`,
+        returnByValue: true,
+        awaitPromise: false
+      };
+      if (getFrameContext) {
+        const contextId = getFrameContext();
+        if (contextId) evalArgs.contextId = contextId;
+      }
+      const result = await session.send('Runtime.evaluate', evalArgs);
+
+      if (result.exceptionDetails) {
+        throw new Error(`Snapshot generation failed: ${result.exceptionDetails.text}`);
+      }
+
+      snapshotResult = result.result.value;
     }
 
-    const snapshotResult = result.result.value;
+    if (remoteFrames.length > 0 && snapshotResult && snapshotResult.tree && !snapshotResult.unchanged) {
+      await stitchRemoteFrames(snapshotResult, remoteFrames, snapshotOptions);
+    }
 
     // If page unchanged (HTTP 304-like response), return early
     if (snapshotResult.unchanged) {
@@ -1859,6 +2413,21 @@ export function createAriaSnapshot(session, options = {}) {
       })()`,
       returnByValue: true
     };
+
+    // Refs inside an out-of-process iframe live in that frame's session; report
+    // the box in page coordinates so mouse input can target it directly
+    const remoteFrame = await findRemoteFrameForRef(ref);
+    if (remoteFrame) {
+      const remoteResult = await remoteFrame.session.send('Runtime.evaluate', evalArgs);
+      const info = remoteResult.result.value;
+      if (info && info.box) {
+        const offset = await remoteFrameOffset(remoteFrame);
+        info.box.x += offset.x;
+        info.box.y += offset.y;
+      }
+      return info;
+    }
+
     if (getFrameContext) {
       const contextId = getFrameContext();
       if (contextId) evalArgs.contextId = contextId;
@@ -1868,8 +2437,20 @@ export function createAriaSnapshot(session, options = {}) {
     return result.result.value;
   }
 
+  /**
+   * Get the session that owns a ref when it belongs to an out-of-process iframe
+   * @param {string} ref - Element reference
+   * @returns {Promise<Object|null>} Frame session, or null for refs in the page session
+   */
+  async function getRefSession(ref) {
+    const remoteFrame = await findRemoteFrameForRef(ref);
+    return remoteFrame ? remoteFrame.session : null;
+  }
+
   return {
     generate,
-    getElementByRef
+    getElementByRef,
+    getRefSession,
+    listRemoteFrames
   };
 }
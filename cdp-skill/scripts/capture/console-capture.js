@@ -21,7 +21,9 @@ const DEFAULT_MAX_MESSAGES = 10000;
 export function createConsoleCapture(session, options = {}) {
   const maxMessages = options.maxMessages || DEFAULT_MAX_MESSAGES;
   let messages = [];
+  let totalCount = 0;
   let capturing = false;
+  const listeners = new Set();
   const handlers = {
     consoleAPICalled: null,
     exceptionThrown: null
@@ -69,9 +71,23 @@ export function createConsoleCapture(session, options = {}) {
 
   function addMessage(message) {
     messages.push(message);
+    totalCount++;
     if (messages.length > maxMessages) {
       messages.shift();
     }
+    for (const listener of listeners) {
+      try { listener(message); } catch (e) { /* listeners must not break capture */ }
+    }
+  }
+
+  /**
+   * Call a listener for every message captured from now on
+   * @param {function(import('../types.js').ConsoleMessage): void} listener - Message listener
+   * @returns {function(): void} Removes the listener
+   */
+  function onMessage(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
   }
 
   /**
@@ -146,6 +162,25 @@ export function createConsoleCapture(session, options = {}) {
     return [...messages];
   }
 
+  /**
+   * Get how many messages have been captured in total. This keeps counting
+   * when old messages are dropped at maxMessages or removed by clear().
+   * @returns {number}
+   */
+  function getTotalCount() {
+    return totalCount;
+  }
+
+  /**
+   * Get messages captured after the total count reached the given value
+   * @param {number} countBefore - Value of getTotalCount() taken earlier
+   * @returns {import('../types.js').ConsoleMessage[]} Messages still stored, oldest first
+   */
+  function getMessagesSinceCount(countBefore) {
+    const newCount = Math.min(totalCount - countBefore, messages.length);
+    return newCount > 0 ? messages.slice(messages.length - newCount) : [];
+  }
+
   /**
    * Get messages since a timestamp
    * @param {number} timestamp - CDP timestamp
@@ -230,6 +265,9 @@ export function createConsoleCapture(session, options = {}) {
     startCapture,
     stopCapture,
     getMessages,
+    getTotalCount,
+    getMessagesSinceCount,
+    onMessage,
     getMessagesSince,
     getMessagesBetween,
     getMessagesByLevel,
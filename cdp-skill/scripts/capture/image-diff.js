@@ -0,0 +1,226 @@
+/**
+ * Image Diff Module
+ * Pixel comparison of RGBA images with perceptual color distance,
+ * anti-aliasing detection and masked regions
+ *
+ * Color distance uses the YIQ metric (Kotsarenko & Ramos) and anti-aliased
+ * pixels are detected with the approach from Vysniauskas' "Anti-aliased pixel
+ * and intensity slope detector", the same scheme used by pixelmatch.
+ *
+ * PUBLIC EXPORTS:
+ * - compareImages(expected, actual, options?) - Compare two decoded images
+ *
+ * @module cdp-skill/capture/image-diff
+ */
+
+// Maximum possible YIQ delta between two colors
+const MAX_YIQ_DELTA = 35215;
+
+const DIFF_COLOR = [255, 0, 0];
+const AA_COLOR = [255, 255, 0];
+const MASK_COLOR = [0, 120, 255];
+
+function rgb2y(r, g, b) { return r * 0.29889531 + g * 0.58662247 + b * 0.11448223; }
+function rgb2i(r, g, b) { return r * 0.59597799 - g * 0.27417610 - b * 0.32180189; }
+function rgb2q(r, g, b) { return r * 0.21147017 - g * 0.52261711 + b * 0.31114694; }
+
+// Blend a channel with white by alpha (0-1)
+function blend(c, a) { return 255 + (c - 255) * a; }
+
+/**
+ * Squared YIQ distance between pixel k of img1 and pixel m of img2 (byte offsets).
+ * Sign encodes which pixel is brighter; yOnly returns the brightness difference.
+ */
+function colorDelta(img1, img2, k, m, yOnly) {
+  let r1 = img1[k], g1 = img1[k + 1], b1 = img1[k + 2], a1 = img1[k + 3];
+  let r2 = img2[m], g2 = img2[m + 1], b2 = img2[m + 2], a2 = img2[m + 3];
+
+  if (a1 === a2 && r1 === r2 && g1 === g2 && b1 === b2) return 0;
+
+  if (a1 < 255) {
+    a1 /= 255;
+    r1 = blend(r1, a1); g1 = blend(g1, a1); b1 = blend(b1, a1);
+  }
+  if (a2 < 255) {
+    a2 /= 255;
+    r2 = blend(r2, a2); g2 = blend(g2, a2); b2 = blend(b2, a2);
+  }
+
+  const y1 = rgb2y(r1, g1, b1);
+  const y2 = rgb2y(r2, g2, b2);
+  const y = y1 - y2;
+  if (yOnly) return y;
+
+  const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+  const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+  const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+  return y1 > y2 ? -delta : delta;
+}
+
+// Whether a pixel has 3+ identical neighbours (i.e. sits in a flat area)
+function hasManySiblings(image, x1, y1, width, height) {
+  const data = image.data;
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const pos = (y1 * image.width + x1) * 4;
+  let zeroes = (x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2) ? 1 : 0;
+
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+      const pos2 = (y * image.width + x) * 4;
+      if (data[pos] === data[pos2] && data[pos + 1] === data[pos2 + 1] &&
+          data[pos + 2] === data[pos2 + 2] && data[pos + 3] === data[pos2 + 3]) {
+        zeroes++;
+      }
+      if (zeroes > 2) return true;
+    }
+  }
+  return false;
+}
+
+// Whether pixel (x1, y1) of `image` looks like anti-aliasing relative to `other`
+function isAntialiased(image, x1, y1, width, height, other) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const pos = (y1 * image.width + x1) * 4;
+  let zeroes = (x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2) ? 1 : 0;
+  let min = 0;
+  let max = 0;
+  let minX = 0, minY = 0, maxX = 0, maxY = 0;
+
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+      const delta = colorDelta(image.data, image.data, pos, (y * image.width + x) * 4, true);
+      if (delta === 0) {
+        zeroes++;
+        if (zeroes > 2) return false;
+      } else if (delta < min) {
+        min = delta; minX = x; minY = y;
+      } else if (delta > max) {
+        max = delta; maxX = x; maxY = y;
+      }
+    }
+  }
+
+  // No both-darker-and-brighter neighbours: not an intensity slope
+  if (min === 0 || max === 0) return false;
+
+  return (hasManySiblings(image, minX, minY, width, height) && hasManySiblings(other, minX, minY, width, height)) ||
+    (hasManySiblings(image, maxX, maxY, width, height) && hasManySiblings(other, maxX, maxY, width, height));
+}
+
+function setPixel(out, pos, [r, g, b]) {
+  out[pos] = r;
+  out[pos + 1] = g;
+  out[pos + 2] = b;
+  out[pos + 3] = 255;
+}
+
+// Faded grayscale copy of an unchanged pixel, so differences stand out
+function setFaded(out, pos, data, k) {
+  const a = data[k + 3] / 255 * 0.1;
+  const value = blend(rgb2y(data[k], data[k + 1], data[k + 2]), a);
+  setPixel(out, pos, [value, value, value]);
+}
+
+/**
+ * Compare two RGBA images
+ *
+ * Images of different sizes are compared over their overlap; every pixel
+ * outside it counts as changed.
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} expected - Baseline image
+ * @param {{width: number, height: number, data: Uint8Array}} actual - New image
+ * @param {Object} [options] - Options
+ * @param {number} [options.threshold=0.1] - Per-pixel color tolerance, 0 (exact) to 1
+ * @param {boolean} [options.antialiasing=true] - Ignore pixels detected as anti-aliasing
+ * @param {Array<{x: number, y: number, width: number, height: number}>} [options.masks] - Regions (image pixels) to ignore
+ * @returns {{width: number, height: number, diffPixels: number, antialiasedPixels: number, maskedPixels: number, comparedPixels: number, mismatchPercent: number, sizeMismatch: boolean, diff: {width: number, height: number, data: Uint8Array}}}
+ */
+export function compareImages(expected, actual, options = {}) {
+  const threshold = options.threshold ?? 0.1;
+  const ignoreAntialiasing = options.antialiasing !== false;
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+
+  const width = Math.max(expected.width, actual.width);
+  const height = Math.max(expected.height, actual.height);
+  const overlapWidth = Math.min(expected.width, actual.width);
+  const overlapHeight = Math.min(expected.height, actual.height);
+
+  const masked = new Uint8Array(width * height);
+  for (const mask of options.masks || []) {
+    const x0 = Math.max(0, Math.floor(mask.x));
+    const y0 = Math.max(0, Math.floor(mask.y));
+    const x1 = Math.min(width, Math.ceil(mask.x + mask.width));
+    const y1 = Math.min(height, Math.ceil(mask.y + mask.height));
+    for (let y = y0; y < y1; y++) {
+      masked.fill(1, y * width + x0, Math.max(y * width + x0, y * width + x1));
+    }
+  }
+
+  const out = new Uint8Array(width * height * 4);
+  let diffPixels = 0;
+  let antialiasedPixels = 0;
+  let maskedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const pos = index * 4;
+
+      if (masked[index]) {
+        maskedPixels++;
+        setPixel(out, pos, MASK_COLOR);
+        continue;
+      }
+
+      if (x >= overlapWidth || y >= overlapHeight) {
+        diffPixels++;
+        setPixel(out, pos, DIFF_COLOR);
+        continue;
+      }
+
+      const k = (y * expected.width + x) * 4;
+      const m = (y * actual.width + x) * 4;
+      const delta = colorDelta(expected.data, actual.data, k, m, false);
+
+      if (Math.abs(delta) > maxDelta) {
+        if (ignoreAntialiasing && (
+          isAntialiased(expected, x, y, overlapWidth, overlapHeight, actual) ||
+          isAntialiased(actual, x, y, overlapWidth, overlapHeight, expected)
+        )) {
+          antialiasedPixels++;
+          setPixel(out, pos, AA_COLOR);
+        } else {
+          diffPixels++;
+          setPixel(out, pos, DIFF_COLOR);
+        }
+      } else {
+        setFaded(out, pos, expected.data, k);
+      }
+    }
+  }
+
+  const comparedPixels = width * height - maskedPixels;
+  const mismatchPercent = comparedPixels > 0
+    ? Math.round(diffPixels / comparedPixels * 100000) / 1000
+    : 0;
+
+  return {
+    width,
+    height,
+    diffPixels,
+    antialiasedPixels,
+    maskedPixels,
+    comparedPixels,
+    mismatchPercent,
+    sizeMismatch: expected.width !== actual.width || expected.height !== actual.height,
+    diff: { width, height, data: out }
+  };
+}
@@ -17,8 +17,16 @@ export {
   saveScreenshot
 } from './screenshot-capture.js';
 
+// Screenshot Compare (visual regression)
+export { createScreenshotComparator, resolveBaselineDir } from './screenshot-compare.js';
+export { compareImages } from './image-diff.js';
+export { decodePng, encodePng } from './png.js';
+
+// Session Recorder
+export { createSessionRecorder, recordedEventToStep, appendRecordedStep } from './session-recorder.js';
+
 // Network Capture
-export { createNetworkCapture } from './network-capture.js';
+export { createNetworkCapture, matchesRequestFilter } from './network-capture.js';
 
 // Error Aggregator
 export {
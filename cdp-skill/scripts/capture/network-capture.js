@@ -1,15 +1,146 @@
 /**
  * Network Capture Module
- * Captures network failures and HTTP errors during page interaction
+ * Captures network failures, HTTP errors and a request log during page interaction
  *
  * PUBLIC EXPORTS:
  * - createNetworkCapture(session, config?) - Factory for network capture
+ * - matchesRequestFilter(entry, filter) - Test a request entry against a query filter
  *
  * @module cdp-skill/capture/network-capture
  */
 
 const DEFAULT_MAX_PENDING_REQUESTS = 10000;
 const DEFAULT_REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+// Resource types whose bodies are worth embedding in a HAR export
+const TEXT_RESOURCE_TYPES = new Set(['Document', 'XHR', 'Fetch', 'EventSource']);
+
+/**
+ * Test a status code against a status filter
+ * Accepts exact codes (404), class strings ("4xx") or arrays of either
+ * @param {number|undefined} status - Response status
+ * @param {number|string|Array} filter - Status filter
+ * @returns {boolean}
+ */
+function matchesStatus(status, filter) {
+  if (Array.isArray(filter)) {
+    return filter.some(f => matchesStatus(status, f));
+  }
+  if (typeof filter === 'number') {
+    return status === filter;
+  }
+  if (typeof filter === 'string') {
+    const classMatch = filter.match(/^([1-5])xx$/i);
+    if (classMatch) {
+      return typeof status === 'number' && Math.floor(status / 100) === parseInt(classMatch[1], 10);
+    }
+    return status === parseInt(filter, 10);
+  }
+  return false;
+}
+
+/**
+ * Test a request entry against a query filter
+ * @param {Object} entry - Request entry recorded by the capture
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.url] - Regex pattern (falls back to substring match if invalid)
+ * @param {string|string[]} [filter.method] - HTTP method(s), case-insensitive
+ * @param {number|string|Array} [filter.status] - Status code(s) or class ("4xx")
+ * @param {string|string[]} [filter.type] - Resource type(s) (XHR, Fetch, Document, ...), case-insensitive
+ * @param {boolean} [filter.failed] - Only failed (loading failure or status >= 400) or only successful requests
+ * @returns {boolean}
+ */
+export function matchesRequestFilter(entry, filter = {}) {
+  if (filter.url) {
+    let matched;
+    try {
+      matched = new RegExp(filter.url).test(entry.url);
+    } catch {
+      matched = entry.url.includes(filter.url);
+    }
+    if (!matched) return false;
+  }
+
+  if (filter.method) {
+    const methods = (Array.isArray(filter.method) ? filter.method : [filter.method]).map(m => m.toUpperCase());
+    if (!methods.includes((entry.method || '').toUpperCase())) return false;
+  }
+
+  if (filter.status !== undefined && !matchesStatus(entry.status, filter.status)) {
+    return false;
+  }
+
+  if (filter.type) {
+    const types = (Array.isArray(filter.type) ? filter.type : [filter.type]).map(t => t.toLowerCase());
+    if (!types.includes((entry.resourceType || '').toLowerCase())) return false;
+  }
+
+  if (filter.failed !== undefined) {
+    const failed = entry.state === 'failed' || (typeof entry.status === 'number' && entry.status >= 400);
+    if (failed !== filter.failed) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Convert a CDP headers object to HAR name/value pairs
+ * @param {Object} [headers] - CDP headers object
+ * @returns {Array<{name: string, value: string}>}
+ */
+function toHarHeaders(headers) {
+  if (!headers) return [];
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Map a CDP protocol string to a HAR httpVersion
+ * @param {string} [protocol] - CDP protocol (e.g. "http/1.1", "h2")
+ * @returns {string}
+ */
+function toHarHttpVersion(protocol) {
+  if (!protocol) return 'HTTP/1.1';
+  if (protocol === 'h2') return 'HTTP/2';
+  if (protocol === 'h3') return 'HTTP/3';
+  return protocol.toUpperCase();
+}
+
+/**
+ * Compute HAR timings from a CDP ResourceTiming object
+ * Phases that did not happen are reported as -1, per the HAR 1.2 spec
+ * @param {Object} entry - Request entry
+ * @returns {Object} HAR timings
+ */
+function toHarTimings(entry) {
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const totalMs = entry.endTimestamp && entry.timestamp
+    ? Math.max(0, (entry.endTimestamp - entry.timestamp) * 1000)
+    : 0;
+  const t = entry.timing;
+
+  if (!t) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: round(totalMs), receive: 0 };
+  }
+
+  const phase = (start, end) => (start >= 0 && end >= start ? round(end - start) : -1);
+  const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find(v => v >= 0) ?? 0;
+  const queued = entry.timestamp ? Math.max(0, (t.requestTime - entry.timestamp) * 1000) : 0;
+  const receive = entry.endTimestamp
+    ? Math.max(0, (entry.endTimestamp - t.requestTime) * 1000 - t.receiveHeadersEnd)
+    : 0;
+
+  return {
+    blocked: round(queued + firstStart),
+    dns: phase(t.dnsStart, t.dnsEnd),
+    connect: phase(t.connectStart, t.connectEnd),
+    ssl: phase(t.sslStart, t.sslEnd),
+    send: Math.max(0, phase(t.sendStart, t.sendEnd)),
+    wait: Math.max(0, phase(t.sendEnd, t.receiveHeadersEnd)),
+    receive: round(receive)
+  };
+}
 
 /**
  * Create a network error capture utility
@@ -17,13 +148,17 @@ const DEFAULT_REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
  * @param {Object} [config] - Configuration options
  * @param {number} [config.maxPendingRequests=10000] - Maximum pending requests to track
  * @param {number} [config.requestTimeoutMs=300000] - Stale request timeout
+ * @param {number} [config.maxEntries=1000] - Maximum request log entries to keep (oldest dropped first)
  * @returns {Object} Network capture interface
  */
 export function createNetworkCapture(session, config = {}) {
   const maxPendingRequests = config.maxPendingRequests || DEFAULT_MAX_PENDING_REQUESTS;
   const requestTimeoutMs = config.requestTimeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+  const maxEntries = config.maxEntries || DEFAULT_MAX_ENTRIES;
 
   const requests = new Map();
+  let entries = [];
+  const entriesById = new Map();
   let errors = [];
   let httpErrors = [];
   let capturing = false;
@@ -42,6 +177,39 @@ export function createNetworkCapture(session, config = {}) {
     }
   }
 
+  function addEntry(params) {
+    if (entries.length >= maxEntries) {
+      const dropped = entries.shift();
+      if (entriesById.get(dropped.requestId) === dropped) {
+        entriesById.delete(dropped.requestId);
+      }
+    }
+    const entry = {
+      requestId: params.requestId,
+      url: params.request.url,
+      method: params.request.method,
+      resourceType: params.type,
+      requestHeaders: params.request.headers || {},
+      postData: params.request.postData,
+      timestamp: params.timestamp,
+      wallTime: params.wallTime || Date.now() / 1000,
+      state: 'pending'
+    };
+    entries.push(entry);
+    entriesById.set(params.requestId, entry);
+  }
+
+  function applyResponse(entry, response) {
+    entry.status = response.status;
+    entry.statusText = response.statusText;
+    entry.mimeType = response.mimeType;
+    entry.responseHeaders = response.headers || {};
+    entry.protocol = response.protocol;
+    entry.remoteIPAddress = response.remoteIPAddress;
+    entry.timing = response.timing;
+    entry.fromCache = response.fromDiskCache || response.fromServiceWorker || false;
+  }
+
   /**
    * Start capturing network errors
    * @param {Object} [startOptions] - Capture options
@@ -70,6 +238,15 @@ export function createNetworkCapture(session, config = {}) {
         timestamp: params.timestamp,
         type: params.type
       });
+
+      // Redirects reuse the requestId: close out the previous hop before logging the new one
+      const previous = entriesById.get(params.requestId);
+      if (previous && params.redirectResponse) {
+        applyResponse(previous, params.redirectResponse);
+        previous.state = 'redirected';
+        previous.endTimestamp = params.timestamp;
+      }
+      addEntry(params);
     };
 
     handlers.loadingFailed = (params) => {
@@ -86,11 +263,24 @@ export function createNetworkCapture(session, config = {}) {
         timestamp: params.timestamp
       });
       requests.delete(params.requestId);
+
+      const entry = entriesById.get(params.requestId);
+      if (entry) {
+        entry.state = 'failed';
+        entry.errorText = params.errorText;
+        entry.canceled = params.canceled || false;
+        entry.endTimestamp = params.timestamp;
+      }
     };
 
     handlers.responseReceived = (params) => {
       const status = params.response.status;
 
+      const entry = entriesById.get(params.requestId);
+      if (entry) {
+        applyResponse(entry, params.response);
+      }
+
       if (captureOptions.captureHttpErrors && status >= 400 &&
           !captureOptions.ignoreStatusCodes.has(status)) {
         const request = requests.get(params.requestId);
@@ -110,6 +300,13 @@ export function createNetworkCapture(session, config = {}) {
 
     handlers.loadingFinished = (params) => {
       requests.delete(params.requestId);
+
+      const entry = entriesById.get(params.requestId);
+      if (entry) {
+        entry.state = 'finished';
+        entry.encodedDataLength = params.encodedDataLength;
+        entry.endTimestamp = params.timestamp;
+      }
     };
 
     session.on('Network.requestWillBeSent', handlers.requestWillBeSent);
@@ -127,9 +324,12 @@ export function createNetworkCapture(session, config = {}) {
 
   /**
    * Stop capturing network errors
+   * The request log is kept so it can still be queried or exported after stopping
+   * @param {Object} [stopOptions] - Stop options
+   * @param {boolean} [stopOptions.disableDomain=true] - Disable the Network domain (set false when other modules still rely on Network events)
    * @returns {Promise<void>}
    */
-  async function stopCapture() {
+  async function stopCapture(stopOptions = {}) {
     if (!capturing) return;
 
     session.off('Network.requestWillBeSent', handlers.requestWillBeSent);
@@ -143,10 +343,20 @@ export function createNetworkCapture(session, config = {}) {
     }
 
     requests.clear();
-    await session.send('Network.disable');
+    if (stopOptions.disableDomain !== false) {
+      await session.send('Network.disable');
+    }
     capturing = false;
   }
 
+  /**
+   * Check whether capture is active
+   * @returns {boolean}
+   */
+  function isCapturing() {
+    return capturing;
+  }
+
   /**
    * Get network failures (connection errors, blocked requests, etc.)
    * @returns {import('../types.js').NetworkError[]}
@@ -190,12 +400,127 @@ export function createNetworkCapture(session, config = {}) {
   }
 
   /**
-   * Clear captured errors
+   * Get logged requests, optionally filtered
+   * @param {Object} [filter] - Filter options (see matchesRequestFilter)
+   * @returns {Object[]} Request entries in the order they were sent
+   */
+  function getRequests(filter = {}) {
+    return entries.filter(entry => matchesRequestFilter(entry, filter)).map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Fetch a response body for HAR embedding
+   * @param {Object} entry - Request entry
+   * @param {number} maxBodySize - Maximum body length to embed
+   * @returns {Promise<{text: string, encoding?: string}|null>}
+   */
+  async function fetchBody(entry, maxBodySize) {
+    if (entry.state !== 'finished' || !TEXT_RESOURCE_TYPES.has(entry.resourceType)) {
+      return null;
+    }
+    try {
+      const { body, base64Encoded } = await session.send('Network.getResponseBody', { requestId: entry.requestId });
+      if (body === undefined || body.length > maxBodySize) return null;
+      return base64Encoded ? { text: body, encoding: 'base64' } : { text: body };
+    } catch {
+      // Body may have been evicted from the renderer cache
+      return null;
+    }
+  }
+
+  /**
+   * Build a HAR 1.2 log from the captured requests
+   * @param {Object} [harOptions] - Export options
+   * @param {Object} [harOptions.filter] - Only include matching requests (see matchesRequestFilter)
+   * @param {boolean} [harOptions.content=false] - Embed response bodies for documents, XHR and fetch requests
+   * @param {number} [harOptions.maxBodySize=1048576] - Skip bodies larger than this many characters
+   * @returns {Promise<Object>} HAR object ({log: {...}})
+   */
+  async function toHar(harOptions = {}) {
+    const maxBodySize = harOptions.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    const selected = getRequests(harOptions.filter || {}).filter(e => e.state !== 'pending');
+    const harEntries = [];
+
+    for (const entry of selected) {
+      const timings = toHarTimings(entry);
+      const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+        .reduce((sum, key) => sum + Math.max(0, timings[key]), 0);
+      const httpVersion = toHarHttpVersion(entry.protocol);
+
+      let queryString = [];
+      try {
+        queryString = [...new URL(entry.url).searchParams].map(([name, value]) => ({ name, value }));
+      } catch {
+        // Non-standard URL (data:, blob:) — leave query string empty
+      }
+
+      const request = {
+        method: entry.method,
+        url: entry.url,
+        httpVersion,
+        cookies: [],
+        headers: toHarHeaders(entry.requestHeaders),
+        queryString,
+        headersSize: -1,
+        bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0
+      };
+      if (entry.postData) {
+        const contentType = Object.entries(entry.requestHeaders || {})
+          .find(([name]) => name.toLowerCase() === 'content-type');
+        request.postData = { mimeType: contentType ? contentType[1] : '', text: entry.postData };
+      }
+
+      const responseHeaders = toHarHeaders(entry.responseHeaders);
+      const location = responseHeaders.find(h => h.name.toLowerCase() === 'location');
+      const content = { size: entry.encodedDataLength || 0, mimeType: entry.mimeType || 'x-unknown' };
+      if (harOptions.content) {
+        const body = await fetchBody(entry, maxBodySize);
+        if (body) Object.assign(content, body);
+      }
+
+      const harEntry = {
+        startedDateTime: new Date(entry.wallTime * 1000).toISOString(),
+        time: Math.round(time * 1000) / 1000,
+        request,
+        response: {
+          status: entry.status || 0,
+          statusText: entry.statusText || '',
+          httpVersion,
+          cookies: [],
+          headers: responseHeaders,
+          content,
+          redirectURL: location ? location.value : '',
+          headersSize: -1,
+          bodySize: entry.encodedDataLength ?? -1
+        },
+        cache: {},
+        timings,
+        _resourceType: entry.resourceType
+      };
+      if (entry.remoteIPAddress) harEntry.serverIPAddress = entry.remoteIPAddress;
+      if (entry.state === 'failed') harEntry.response._error = entry.errorText;
+      harEntries.push(harEntry);
+    }
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'cdp-skill', version: '1.0' },
+        pages: [],
+        entries: harEntries
+      }
+    };
+  }
+
+  /**
+   * Clear captured errors and the request log
    */
   function clear() {
     errors = [];
     httpErrors = [];
     requests.clear();
+    entries = [];
+    entriesById.clear();
   }
 
   return {
@@ -206,6 +531,9 @@ export function createNetworkCapture(session, config = {}) {
     getAllErrors,
     hasErrors,
     getErrorsByType,
+    getRequests,
+    toHar,
+    isCapturing,
     clear
   };
 }
@@ -0,0 +1,192 @@
+/**
+ * PNG Codec Module
+ * Minimal PNG decoder/encoder for screenshot comparison (no external dependencies)
+ *
+ * Decodes non-interlaced 8-bit grayscale, RGB, palette, grayscale+alpha and RGBA
+ * images (everything Chrome produces for Page.captureScreenshot) into RGBA pixels,
+ * and encodes RGBA pixels back to PNG.
+ *
+ * PUBLIC EXPORTS:
+ * - decodePng(buffer) - Decode PNG bytes to {width, height, data}
+ * - encodePng(image) - Encode {width, height, data} to PNG bytes
+ *
+ * @module cdp-skill/capture/png
+ */
+
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Decode a PNG image
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels, row-major
+ */
+export function decodePng(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('PNG is missing its IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+  if (bitDepth !== 8) throw new Error(`Unsupported PNG bit depth ${bitDepth} (only 8-bit images are supported)`);
+  if (interlace !== 0) throw new Error('Interlaced PNGs are not supported');
+  if (colorType === 3 && !palette) throw new Error('Palette PNG is missing its PLTE chunk');
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  if (raw.length < (stride + 1) * height) throw new Error('PNG image data is truncated');
+
+  // Undo per-scanline filters in place into `pixels`
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[prev + x] : 0;
+      const upLeft = (y > 0 && x >= channels) ? pixels[prev + x - channels] : 0;
+      let value = raw[src + x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw new Error(`Invalid PNG filter type ${filter}`);
+      pixels[row + x] = value & 0xff;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+    const out = i * 4;
+    if (colorType === 6) {
+      data[out] = pixels[p];
+      data[out + 1] = pixels[p + 1];
+      data[out + 2] = pixels[p + 2];
+      data[out + 3] = pixels[p + 3];
+    } else if (colorType === 2) {
+      data[out] = pixels[p];
+      data[out + 1] = pixels[p + 1];
+      data[out + 2] = pixels[p + 2];
+      data[out + 3] = 255;
+    } else if (colorType === 0 || colorType === 4) {
+      data[out] = data[out + 1] = data[out + 2] = pixels[p];
+      data[out + 3] = colorType === 4 ? pixels[p + 1] : 255;
+    } else {
+      const index = pixels[p];
+      data[out] = palette[index * 3];
+      data[out + 1] = palette[index * 3 + 1];
+      data[out + 2] = palette[index * 3 + 2];
+      data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG image
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels, row-major
+ * @returns {Buffer} PNG file contents
+ */
+export function encodePng(image) {
+  const { width, height, data } = image;
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter type 0 (none) for every row
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter method
+  header[12] = 0; // no interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
@@ -155,6 +155,11 @@ export function createScreenshotCapture(session, options = {}) {
       params.quality = validated.quality;
     }
 
+    // Document coordinates outside the viewport need captureBeyondViewport
+    if (captureOptions.captureBeyondViewport) {
+      params.captureBeyondViewport = true;
+    }
+
     const result = await session.send('Page.captureScreenshot', params);
     return Buffer.from(result.data, 'base64');
   }
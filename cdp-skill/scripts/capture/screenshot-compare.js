@@ -0,0 +1,254 @@
+/**
+ * Screenshot Compare Module
+ * Visual regression checks: captures the page or an element and compares it
+ * with a named PNG baseline, writing a diff image that highlights changes
+ *
+ * Baselines live in `<baselineDir>/<name>.png`. The first run for a name (or
+ * `update: true`) stores the capture as the new baseline. Diff and actual images
+ * are written to the temp directory as `compare/<name>.diff.png` / `.actual.png`.
+ *
+ * PUBLIC EXPORTS:
+ * - createScreenshotComparator(session, options) - Factory for screenshot comparator
+ * - resolveBaselineDir(baselineDir?) - Resolve the baseline directory
+ *
+ * @module cdp-skill/capture/screenshot-compare
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { decodePng, encodePng } from './png.js';
+import { compareImages } from './image-diff.js';
+import { resolveTempPath } from '../utils.js';
+
+const REF_PATTERN = /^f(\d+|\[[^\]]+\])s\d+e\d+$/;
+const DEFAULT_BASELINE_DIR = 'baselines';
+
+/**
+ * Resolve the baseline directory: explicit value, then CDP_BASELINE_DIR, then ./baselines
+ * @param {string} [baselineDir] - Directory from step params
+ * @returns {string} Absolute path
+ */
+export function resolveBaselineDir(baselineDir) {
+  return path.resolve(baselineDir || process.env.CDP_BASELINE_DIR || DEFAULT_BASELINE_DIR);
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a screenshot comparator
+ * @param {import('../types.js').CDPSession} session - CDP session
+ * @param {Object} options - Options
+ * @param {Object} options.screenshotCapture - Screenshot capture from createScreenshotCapture()
+ * @param {Object} [options.ariaSnapshot] - ARIA snapshot (resolves refs for targets and masks)
+ * @returns {Object} Screenshot comparator interface
+ */
+export function createScreenshotComparator(session, options) {
+  const { screenshotCapture, ariaSnapshot } = options;
+
+  async function evaluate(expression) {
+    const result = await session.send('Runtime.evaluate', { expression, returnByValue: true });
+    if (result.exceptionDetails) {
+      throw new Error(`Layout query failed: ${result.exceptionDetails.exception?.description || result.exceptionDetails.text}`);
+    }
+    return result.result.value;
+  }
+
+  /**
+   * Measure scroll position, viewport, and document rects for selectors
+   */
+  async function measureLayout(targetSelector, maskSelectors) {
+    return evaluate(`(() => {
+      const sx = window.scrollX, sy = window.scrollY;
+      const toDoc = (el) => {
+        const r = el.getBoundingClientRect();
+        return { x: r.x + sx, y: r.y + sy, width: r.width, height: r.height };
+      };
+      let target = null;
+      const targetSelector = ${JSON.stringify(targetSelector || null)};
+      if (targetSelector) {
+        const el = document.querySelector(targetSelector);
+        target = el ? toDoc(el) : 'missing';
+      }
+      const masks = ${JSON.stringify(maskSelectors)}.map(s => Array.from(document.querySelectorAll(s)).map(toDoc));
+      return { scrollX: sx, scrollY: sy, width: window.innerWidth, height: window.innerHeight, target, masks };
+    })()`);
+  }
+
+  async function refRect(ref, layout) {
+    if (!ariaSnapshot) throw new Error(`Cannot resolve ref ${ref}: ARIA snapshot not available`);
+    const info = await ariaSnapshot.getElementByRef(ref);
+    if (!info || info.stale || !info.box) {
+      throw new Error(`Element not found for ref ${ref}${info?.stale ? ' (stale)' : ''}`);
+    }
+    return {
+      x: info.box.x + layout.scrollX,
+      y: info.box.y + layout.scrollY,
+      width: info.box.width,
+      height: info.box.height
+    };
+  }
+
+  /**
+   * Capture the requested area
+   * @returns {Promise<{buffer: Buffer, origin: {x: number, y: number}, cssWidth: number}>}
+   */
+  async function capture(params, layout) {
+    const targetRef = params.ref || (params.selector && REF_PATTERN.test(params.selector) ? params.selector : null);
+
+    if (params.selector || params.ref) {
+      const rect = targetRef ? await refRect(targetRef, layout) : layout.target;
+      if (!rect || rect === 'missing') {
+        throw new Error(`Element not found: ${params.selector}`);
+      }
+      if (rect.width === 0 || rect.height === 0) {
+        throw new Error(`Element has no visible dimensions: ${targetRef || params.selector}`);
+      }
+      const clip = {
+        x: Math.floor(rect.x),
+        y: Math.floor(rect.y),
+        width: Math.ceil(rect.x + rect.width) - Math.floor(rect.x),
+        height: Math.ceil(rect.y + rect.height) - Math.floor(rect.y)
+      };
+      const buffer = await screenshotCapture.captureRegion(clip, { captureBeyondViewport: true });
+      return { buffer, origin: { x: clip.x, y: clip.y }, cssWidth: clip.width };
+    }
+
+    if (params.fullPage) {
+      const metrics = await session.send('Page.getLayoutMetrics');
+      const contentSize = metrics.cssContentSize || metrics.contentSize;
+      const buffer = await screenshotCapture.captureFullPage();
+      return { buffer, origin: { x: 0, y: 0 }, cssWidth: Math.ceil(contentSize.width) };
+    }
+
+    const buffer = await screenshotCapture.captureViewport();
+    return { buffer, origin: { x: layout.scrollX, y: layout.scrollY }, cssWidth: layout.width };
+  }
+
+  /**
+   * Convert mask specs to rectangles in image pixels
+   */
+  async function resolveMasks(masks, layout, origin, scale) {
+    const rects = [];
+    let selectorIndex = 0;
+    for (const mask of masks) {
+      let docRects;
+      if (typeof mask === 'string' && REF_PATTERN.test(mask)) {
+        docRects = [await refRect(mask, layout)];
+      } else if (typeof mask === 'string') {
+        docRects = layout.masks[selectorIndex++];
+      } else {
+        // Explicit rectangle, in CSS pixels relative to the captured area
+        rects.push({ x: mask.x * scale, y: mask.y * scale, width: mask.width * scale, height: mask.height * scale });
+        continue;
+      }
+      for (const r of docRects) {
+        rects.push({
+          x: (r.x - origin.x) * scale,
+          y: (r.y - origin.y) * scale,
+          width: r.width * scale,
+          height: r.height * scale
+        });
+      }
+    }
+    return rects;
+  }
+
+  /**
+   * Capture and compare against the named baseline
+   * @param {Object} params - Compare parameters
+   * @param {string} params.name - Baseline name (may contain "/" for subdirectories)
+   * @param {string} [params.selector] - CSS selector (or ref) of the element to capture
+   * @param {string} [params.ref] - Element ref to capture
+   * @param {boolean} [params.fullPage=false] - Capture the full page instead of the viewport
+   * @param {Array<string|Object>} [params.mask] - Selectors, refs, or {x, y, width, height} rects to ignore
+   * @param {number} [params.threshold=0] - Allowed mismatch percent before the step fails
+   * @param {number} [params.pixelThreshold=0.1] - Per-pixel color tolerance (0-1)
+   * @param {boolean} [params.ignoreAntialiasing=true] - Do not count anti-aliased pixels as changes
+   * @param {boolean} [params.update=false] - Overwrite the baseline with this capture
+   * @param {string} [params.baselineDir] - Baseline directory (see resolveBaselineDir)
+   * @returns {Promise<Object>} Comparison result
+   */
+  async function compare(params) {
+    const masks = params.mask || [];
+    const maskSelectors = masks.filter(m => typeof m === 'string' && !REF_PATTERN.test(m));
+    const targetSelector = params.selector && !REF_PATTERN.test(params.selector) ? params.selector : null;
+    const layout = await measureLayout(targetSelector, maskSelectors);
+
+    const { buffer, origin, cssWidth } = await capture(params, layout);
+    const baselinePath = path.join(resolveBaselineDir(params.baselineDir), `${params.name}.png`);
+
+    const baselineExists = await fileExists(baselinePath);
+    if (params.update || !baselineExists) {
+      await screenshotCapture.saveToFile(buffer, baselinePath);
+      const { width, height } = decodePng(buffer);
+      return {
+        name: params.name,
+        baseline: baselinePath,
+        [baselineExists ? 'updated' : 'created']: true,
+        width,
+        height
+      };
+    }
+
+    const actual = decodePng(buffer);
+    const expected = decodePng(await fs.readFile(baselinePath));
+    const scale = cssWidth > 0 ? actual.width / cssWidth : 1;
+    const maskRects = await resolveMasks(masks, layout, origin, scale);
+
+    const comparison = compareImages(expected, actual, {
+      threshold: params.pixelThreshold ?? 0.1,
+      antialiasing: params.ignoreAntialiasing !== false,
+      masks: maskRects
+    });
+    const threshold = params.threshold ?? 0;
+
+    const result = {
+      name: params.name,
+      baseline: baselinePath,
+      mismatchPercent: comparison.mismatchPercent,
+      diffPixels: comparison.diffPixels,
+      comparedPixels: comparison.comparedPixels,
+      threshold
+    };
+    if (comparison.antialiasedPixels > 0) result.antialiasedPixels = comparison.antialiasedPixels;
+    if (comparison.maskedPixels > 0) result.maskedPixels = comparison.maskedPixels;
+    if (comparison.sizeMismatch) {
+      result.sizeMismatch = {
+        baseline: { width: expected.width, height: expected.height },
+        actual: { width: actual.width, height: actual.height }
+      };
+    }
+
+    if (comparison.diffPixels > 0) {
+      result.diff = await resolveTempPath(path.join('compare', `${params.name}.diff.png`));
+      result.actual = await resolveTempPath(path.join('compare', `${params.name}.actual.png`));
+      await screenshotCapture.saveToFile(encodePng(comparison.diff), result.diff);
+      await screenshotCapture.saveToFile(buffer, result.actual);
+    }
+
+    // Compare unrounded so a handful of changed pixels still fails a zero threshold
+    if (comparison.diffPixels / comparison.comparedPixels * 100 > threshold) {
+      const sizeNote = comparison.sizeMismatch
+        ? ` Size changed from ${expected.width}x${expected.height} to ${actual.width}x${actual.height}.`
+        : '';
+      throw new Error(
+        `Screenshot "${params.name}" differs from baseline by ${comparison.mismatchPercent}% ` +
+        `(${comparison.diffPixels} pixels, threshold ${threshold}%).${sizeNote} ` +
+        `Diff: ${result.diff}. Actual: ${result.actual}. Use update: true to accept the new look.`
+      );
+    }
+
+    return result;
+  }
+
+  return {
+    compare
+  };
+}
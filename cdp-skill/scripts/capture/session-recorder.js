@@ -0,0 +1,339 @@
+/**
+ * Session Recorder Module
+ * Watches a human driving a tab and turns their actions into replayable steps
+ *
+ * A listener injected into every document reports trusted clicks, text input,
+ * select changes and key presses through a Runtime binding. Targets use the same
+ * selectors as snapshot refs (generateSelectorForElement from aria.js); when that
+ * selector is only a positional tag path, the step falls back to role+name
+ * (click `selectors`) or the field label (fill `label`). Top-level navigations that
+ * were not caused by a recorded action become `goto`, `back`, `forward` or `reload`.
+ *
+ * PUBLIC EXPORTS:
+ * - createSessionRecorder(session, options?) - Factory for session recorder
+ * - recordedEventToStep(event) - Convert a page event to a step
+ * - appendRecordedStep(steps, step) - Append a step, merging consecutive fills of one field
+ *
+ * @module cdp-skill/capture/session-recorder
+ */
+
+import { SELECTOR_GENERATOR_SCRIPT } from '../aria.js';
+
+const BINDING_NAME = '__cdpSkillRecord';
+
+// Navigations this soon after a recorded click/press are treated as its result
+const ACTION_NAVIGATION_WINDOW_MS = 3000;
+
+// Transition types Chrome reports for navigations started by the page itself
+const PAGE_INITIATED_TRANSITIONS = ['link', 'form_submit', 'auto_subframe', 'manual_subframe'];
+
+// Runs in every top-level document; reports events as JSON through the binding
+const RECORDER_SCRIPT = `
+(function installRecorder(bindingName) {
+  if (window !== window.top || window.__cdpSkillRecorderInstalled) return;
+  window.__cdpSkillRecorderInstalled = true;
+
+  ${SELECTOR_GENERATOR_SCRIPT}
+
+  const CLICKABLE = 'a[href], button, input, select, textarea, summary, label, [role], [onclick], [tabindex]';
+  const ACTIVATABLE = ['A', 'BUTTON', 'SUMMARY'];
+  const NON_TEXT_INPUTS = ['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'image', 'range', 'color'];
+  const INPUT_ROLES = { button: 'button', submit: 'button', reset: 'button', image: 'button', checkbox: 'checkbox', radio: 'radio', range: 'slider', search: 'searchbox' };
+  let labelControl = null;
+
+  function emit(event) {
+    try { window[bindingName](JSON.stringify(event)); } catch (e) {}
+  }
+
+  function isTextEntry(el) {
+    if (!el || el.nodeType !== 1) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    return el.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes((el.type || 'text').toLowerCase());
+  }
+
+  function roleOf(el) {
+    const explicit = el.getAttribute('role');
+    if (explicit) return explicit.split(' ')[0];
+    const tag = el.tagName;
+    if (tag === 'A') return el.hasAttribute('href') ? 'link' : null;
+    if (tag === 'BUTTON' || tag === 'SUMMARY') return 'button';
+    if (tag === 'SELECT') return el.multiple ? 'listbox' : 'combobox';
+    if (tag === 'TEXTAREA') return 'textbox';
+    if (tag === 'INPUT') return INPUT_ROLES[(el.type || 'text').toLowerCase()] || 'textbox';
+    return null;
+  }
+
+  function clean(text) {
+    return (text || '').replace(/\\s+/g, ' ').trim();
+  }
+
+  function nameOf(el) {
+    if (el.hasAttribute('aria-label')) return clean(el.getAttribute('aria-label'));
+    if (el.labels && el.labels.length > 0) return clean(el.labels[0].textContent);
+    if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) return clean(el.value);
+    if (el.hasAttribute('placeholder')) return clean(el.getAttribute('placeholder'));
+    if (el.hasAttribute('title')) return clean(el.getAttribute('title'));
+    const text = clean(el.textContent);
+    return text.length <= 80 ? text : '';
+  }
+
+  function describe(el) {
+    return { selector: generateSelectorForElement(el), role: roleOf(el), name: nameOf(el) };
+  }
+
+  document.addEventListener('click', (e) => {
+    if (!e.isTrusted) return;
+    const raw = e.target && e.target.nodeType === 1 ? e.target : e.target && e.target.parentElement;
+    if (!raw) return;
+    const el = raw.closest(CLICKABLE) || raw;
+    // A label click is followed by a click on its control; record only the label
+    if (labelControl && el === labelControl) {
+      labelControl = null;
+      return;
+    }
+    if (el.tagName === 'LABEL' && el.control) {
+      labelControl = el.control;
+      setTimeout(() => { labelControl = null; }, 0);
+    }
+    // Focusing a text field or opening a select is implied by the fill/selectOption that follows
+    const focusOnly = el.tagName === 'LABEL' ? el.control : el;
+    if (isTextEntry(focusOnly) || (focusOnly && ['SELECT', 'OPTION'].includes(focusOnly.tagName))) return;
+    emit({ type: 'click', ...describe(el) });
+  }, true);
+
+  document.addEventListener('input', (e) => {
+    const el = e.target;
+    if (!isTextEntry(el)) return;
+    emit({ type: 'fill', ...describe(el), value: el.isContentEditable ? el.innerText : el.value });
+  }, true);
+
+  document.addEventListener('change', (e) => {
+    const el = e.target;
+    if (!el || el.tagName !== 'SELECT') return;
+    const values = Array.from(el.selectedOptions).map(o => o.value);
+    emit({ type: 'select', ...describe(el), multiple: el.multiple, values });
+  }, true);
+
+  document.addEventListener('keydown', (e) => {
+    if (!e.isTrusted || ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(e.key)) return;
+    const target = e.target;
+    const editing = isTextEntry(target);
+    const modifiers = [];
+    if (e.ctrlKey) modifiers.push('Control');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.metaKey) modifiers.push('Meta');
+    // Text edits inside fields are captured by the fill step
+    if (editing && (e.key.length === 1 || modifiers.length > 0 ||
+        ['Backspace', 'Delete', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key))) return;
+    // Enter/Space on buttons and links also fire a click, which is recorded instead
+    if ((e.key === 'Enter' || e.key === ' ') && target && (ACTIVATABLE.includes(target.tagName) ||
+        (target.tagName === 'INPUT' && !isTextEntry(target)))) return;
+    if (e.shiftKey && (modifiers.length > 0 || e.key.length > 1)) modifiers.push('Shift');
+    emit({ type: 'press', key: [...modifiers, e.key].join('+') });
+  }, true);
+})(${JSON.stringify(BINDING_NAME)});
+`;
+
+/**
+ * Whether a generated selector identifies the element by id or attribute rather than position
+ * @param {string} selector - Selector from generateSelectorForElement
+ * @returns {boolean}
+ */
+function isStableSelector(selector) {
+  return (selector.startsWith('#') || selector.startsWith('[')) && !selector.includes(' > ');
+}
+
+/**
+ * Convert a page event to a step
+ * @param {Object} event - Event from the page listener
+ * @param {string} event.type - click | fill | select | press
+ * @returns {Object|null} Step, or null for unknown events
+ */
+export function recordedEventToStep(event) {
+  const { type, selector, role, name } = event;
+  const stable = selector ? isStableSelector(selector) : false;
+
+  if (type === 'click') {
+    if (!stable && role && name) {
+      return { click: { selectors: [selector, { role, name }] } };
+    }
+    return { click: selector };
+  }
+  if (type === 'fill') {
+    if (!stable && name) {
+      return { fill: { label: name, value: event.value } };
+    }
+    return { fill: { selector, value: event.value } };
+  }
+  if (type === 'select') {
+    return event.multiple
+      ? { selectOption: { selector, values: event.values } }
+      : { selectOption: { selector, value: event.values[0] } };
+  }
+  if (type === 'press') {
+    return { press: event.key };
+  }
+  return null;
+}
+
+function fillTarget(step) {
+  return step?.fill ? (step.fill.selector || `label:${step.fill.label}`) : null;
+}
+
+/**
+ * Append a step, replacing the previous one when both fill the same field
+ * (the page reports every keystroke; only the final value matters)
+ * @param {Array<Object>} steps - Recorded steps (modified in place)
+ * @param {Object} step - Step to append
+ * @returns {Array<Object>} steps
+ */
+export function appendRecordedStep(steps, step) {
+  const last = steps[steps.length - 1];
+  if (step.fill && fillTarget(last) === fillTarget(step)) {
+    steps[steps.length - 1] = step;
+  } else {
+    steps.push(step);
+  }
+  return steps;
+}
+
+/**
+ * Create a session recorder
+ * @param {import('../types.js').CDPSession} session - CDP session for the tab to record
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onStep] - Called with the full step list whenever it changes
+ * @returns {Object} Session recorder interface
+ */
+export function createSessionRecorder(session, options = {}) {
+  const { onStep = null } = options;
+  let steps = [];
+  let recording = false;
+  let scriptIdentifier = null;
+  let lastActionAt = 0;
+  let history = null;
+  const handlers = {
+    bindingCalled: null,
+    frameNavigated: null
+  };
+
+  function record(step) {
+    appendRecordedStep(steps, step);
+    if (onStep) onStep(getSteps());
+  }
+
+  function onBindingCalled({ name, payload }) {
+    if (name !== BINDING_NAME) return;
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    const step = recordedEventToStep(event);
+    if (!step) return;
+    if (step.click || step.press) lastActionAt = Date.now();
+    record(step);
+  }
+
+  async function onFrameNavigated({ frame }) {
+    if (frame.parentId) return;
+    let current;
+    try {
+      current = await session.send('Page.getNavigationHistory');
+    } catch {
+      return;
+    }
+    const previous = history;
+    history = current;
+    const entry = current.entries[current.currentIndex];
+    if (!entry || !previous) return;
+
+    // Same entry seen at another position in the old history: back/forward
+    const previousIndex = previous.entries.findIndex(e => e.id === entry.id);
+    if (previousIndex !== -1 && previousIndex !== previous.currentIndex) {
+      record(previousIndex < previous.currentIndex ? { back: true } : { forward: true });
+      return;
+    }
+    if (entry.transitionType === 'reload') {
+      record({ reload: true });
+      return;
+    }
+    const causedByAction = Date.now() - lastActionAt < ACTION_NAVIGATION_WINDOW_MS;
+    if (causedByAction && PAGE_INITIATED_TRANSITIONS.includes(entry.transitionType)) return;
+    if (entry.url === 'about:blank') return;
+    record({ goto: entry.url });
+  }
+
+  /**
+   * Start recording. Installs the page listener in the current and future documents.
+   * @param {Object} [startOptions] - Options
+   * @param {string} [startOptions.url] - Record a goto to this URL as the first step
+   * @returns {Promise<void>}
+   */
+  async function start(startOptions = {}) {
+    if (recording) return;
+    steps = [];
+    lastActionAt = 0;
+
+    handlers.bindingCalled = onBindingCalled;
+    handlers.frameNavigated = (params) => { onFrameNavigated(params); };
+    session.on('Runtime.bindingCalled', handlers.bindingCalled);
+    session.on('Page.frameNavigated', handlers.frameNavigated);
+
+    await session.send('Runtime.enable');
+    await session.send('Page.enable');
+    await session.send('Runtime.addBinding', { name: BINDING_NAME });
+    const added = await session.send('Page.addScriptToEvaluateOnNewDocument', { source: RECORDER_SCRIPT });
+    scriptIdentifier = added.identifier;
+    await session.send('Runtime.evaluate', { expression: RECORDER_SCRIPT });
+    history = await session.send('Page.getNavigationHistory');
+    recording = true;
+
+    if (startOptions.url) {
+      record({ goto: startOptions.url });
+    }
+  }
+
+  /**
+   * Stop recording and remove the page listener from future documents
+   * @returns {Promise<Array<Object>>} Recorded steps
+   */
+  async function stop() {
+    if (!recording) return getSteps();
+    recording = false;
+    session.off('Runtime.bindingCalled', handlers.bindingCalled);
+    session.off('Page.frameNavigated', handlers.frameNavigated);
+    handlers.bindingCalled = null;
+    handlers.frameNavigated = null;
+
+    try {
+      if (scriptIdentifier) {
+        await session.send('Page.removeScriptToEvaluateOnNewDocument', { identifier: scriptIdentifier });
+      }
+      await session.send('Runtime.removeBinding', { name: BINDING_NAME });
+    } catch {
+      // Tab already closed
+    }
+    scriptIdentifier = null;
+    return getSteps();
+  }
+
+  /**
+   * Get the steps recorded so far
+   * @returns {Array<Object>}
+   */
+  function getSteps() {
+    return steps.map(step => JSON.parse(JSON.stringify(step)));
+  }
+
+  function isRecording() {
+    return recording;
+  }
+
+  return {
+    start,
+    stop,
+    getSteps,
+    isRecording
+  };
+}
@@ -171,6 +171,7 @@ export async function createNewTab(host = 'localhost', port = 9222, url = 'about
  * @param {string} [options.chromePath] - Custom Chrome path
  * @param {boolean} [options.headless=false] - Run in headless mode
  * @param {string} [options.userDataDir] - Custom user data directory
+ * @param {boolean} [options.fakeMedia=false] - Use fake camera/microphone streams and auto-accept media prompts
  * @returns {Promise<{process: ChildProcess, port: number, usedSeparateProfile: boolean}>}
  */
 export async function launchChrome(options = {}) {
@@ -178,7 +179,8 @@ export async function launchChrome(options = {}) {
     port = 9222,
     chromePath = findChromePath(),
     headless = false,
-    userDataDir = null
+    userDataDir = null,
+    fakeMedia = false
   } = options;
 
   if (!chromePath) {
@@ -200,6 +202,11 @@ export async function launchChrome(options = {}) {
     args.push('--disable-software-rasterizer');
   }
 
+  if (fakeMedia) {
+    args.push('--use-fake-device-for-media-stream');
+    args.push('--use-fake-ui-for-media-stream');
+  }
+
   // Chrome requires --user-data-dir for remote debugging (as of Chrome 129+)
   // Always use a dedicated profile for CDP to avoid conflicts with user's normal browsing
   let usedSeparateProfile = false;
@@ -272,6 +279,7 @@ export async function launchChrome(options = {}) {
  * @param {number} [options.port=9222] - Chrome debugging port
  * @param {boolean} [options.autoLaunch=true] - Auto-launch if not running
  * @param {boolean} [options.headless=false] - Launch in headless mode
+ * @param {boolean} [options.fakeMedia=false] - Launch with fake camera/microphone streams (see launchChrome)
  * @returns {Promise<{running: boolean, launched?: boolean, version?: string, tabs?: Array, error?: string, note?: string}>}
  */
 export async function getChromeStatus(options = {}) {
@@ -279,7 +287,8 @@ export async function getChromeStatus(options = {}) {
     host = 'localhost',
     port = 9222,
     autoLaunch = true,
-    headless = false
+    headless = false,
+    fakeMedia = false
   } = options;
 
   const discovery = createDiscovery(host, port, 2000);
@@ -301,7 +310,7 @@ export async function getChromeStatus(options = {}) {
         : 'Chrome is running without CDP port';
       note = `${reason}. Launched new instance with debugging enabled.`;
       try {
-        await launchChrome({ port, headless });
+        await launchChrome({ port, headless, fakeMedia });
         launched = true;
         cdpAvailable = true;
       } catch (err) {
@@ -315,7 +324,7 @@ export async function getChromeStatus(options = {}) {
     } else {
       // Chrome not running at all - launch it
       try {
-        await launchChrome({ port, headless });
+        await launchChrome({ port, headless, fakeMedia });
         launched = true;
         cdpAvailable = true;
       } catch (err) {
@@ -512,12 +521,14 @@ export function createBrowser(options = {}) {
   /**
    * Create a new page (tab)
    * @param {string} [url='about:blank'] - Initial URL
+   * @param {Object} [options] - Options
+   * @param {string} [options.browserContextId] - Browser context to open the page in (default context when omitted)
    * @returns {Promise<import('../types.js').CDPSession>} Page session
    */
-  async function newPage(url = 'about:blank') {
+  async function newPage(url = 'about:blank', options = {}) {
     ensureConnected();
 
-    const targetId = await targetManager.createTarget(url);
+    const targetId = await targetManager.createTarget(url, { browserContextId: options.browserContextId });
     const sessionId = await sessionRegistry.attach(targetId);
 
     return createPageSession(connection, sessionId, targetId);
@@ -571,6 +582,81 @@ export function createBrowser(options = {}) {
     }
   }
 
+  /**
+   * Create an isolated browser context (separate cookies, storage and cache, like an incognito window)
+   * @returns {Promise<string>} Browser context ID
+   */
+  async function createContext() {
+    ensureConnected();
+    // Keep the context when this connection closes so later invocations can reuse it
+    const result = await connection.send('Target.createBrowserContext', { disposeOnDetach: false });
+    return result.browserContextId;
+  }
+
+  /**
+   * List the browser contexts created with createContext (the default context is not included)
+   * @returns {Promise<Array<string>>} Browser context IDs
+   */
+  async function getContexts() {
+    ensureConnected();
+    const result = await connection.send('Target.getBrowserContexts');
+    return result.browserContextIds || [];
+  }
+
+  /**
+   * Dispose a browser context, closing every page in it
+   * @param {string} browserContextId - Browser context ID
+   * @returns {Promise<void>}
+   */
+  async function closeContext(browserContextId) {
+    ensureConnected();
+    await connection.send('Target.disposeBrowserContext', { browserContextId });
+  }
+
+  /**
+   * Set a permission for an origin (browser-wide when no origin is given)
+   * @param {string} name - Permission name as used by navigator.permissions (e.g. "notifications", "camera", "clipboard-read")
+   * @param {string} setting - "granted" | "denied" | "prompt"
+   * @param {Object} [options] - Options
+   * @param {string} [options.origin] - Origin to apply to
+   * @param {string} [options.browserContextId] - Browser context (default context when omitted)
+   * @returns {Promise<void>}
+   */
+  async function setPermission(name, setting, options = {}) {
+    ensureConnected();
+    const permission = { name };
+    // Push subscriptions can only be granted for user-visible notifications
+    if (name === 'push') permission.userVisibleOnly = true;
+    const params = { permission, setting };
+    if (options.origin) params.origin = options.origin;
+    if (options.browserContextId) params.browserContextId = options.browserContextId;
+    await connection.send('Browser.setPermission', params);
+  }
+
+  /**
+   * Grant permissions for an origin, denying every permission not listed
+   * @param {Array<string>} permissions - CDP PermissionType names (e.g. "geolocation", "videoCapture")
+   * @param {Object} [options] - {origin?, browserContextId?}
+   * @returns {Promise<void>}
+   */
+  async function grantPermissions(permissions, options = {}) {
+    ensureConnected();
+    const params = { permissions };
+    if (options.origin) params.origin = options.origin;
+    if (options.browserContextId) params.browserContextId = options.browserContextId;
+    await connection.send('Browser.grantPermissions', params);
+  }
+
+  /**
+   * Reset all permission overrides so every permission prompts again
+   * @param {Object} [options] - {browserContextId?}
+   * @returns {Promise<void>}
+   */
+  async function resetPermissions(options = {}) {
+    ensureConnected();
+    await connection.send('Browser.resetPermissions', options.browserContextId ? { browserContextId: options.browserContextId } : {});
+  }
+
   return {
     connect,
     disconnect,
@@ -579,6 +665,12 @@ export function createBrowser(options = {}) {
     attachToPage,
     findPage,
     closePage,
+    createContext,
+    getContexts,
+    closeContext,
+    setPermission,
+    grantPermissions,
+    resetPermissions,
     isConnected: () => connected,
     get connection() { return connection; },
     get targets() { return targetManager; },
@@ -15,7 +15,8 @@ export { createDiscovery, discoverChrome } from './discovery.js';
 export {
   createTargetManager,
   createSessionRegistry,
-  createPageSession
+  createPageSession,
+  createFrameSessionTracker
 } from './target-and-session.js';
 
 // Browser Client and Launcher
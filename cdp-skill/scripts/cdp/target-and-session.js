@@ -6,6 +6,7 @@
  * - createTargetManager(connection) - Factory for target manager
  * - createSessionRegistry(connection) - Factory for session registry
  * - createPageSession(connection, sessionId, targetId) - Factory for page session
+ * - createFrameSessionTracker(connection, pageSession) - Factory for out-of-process iframe sessions
  *
  * @module cdp-skill/cdp/target-and-session
  */
@@ -100,6 +101,7 @@ export function createTargetManager(connection) {
    * @param {number} [options.height] - Viewport height
    * @param {boolean} [options.background=false] - Create in background
    * @param {boolean} [options.newWindow=false] - Create in new window
+   * @param {string} [options.browserContextId] - Browser context to create the target in (default context when omitted)
    * @returns {Promise<string>} Target ID
    */
   async function createTarget(url = 'about:blank', options = {}) {
@@ -108,7 +110,8 @@ export function createTargetManager(connection) {
       width: options.width,
       height: options.height,
       background: options.background ?? false,
-      newWindow: options.newWindow ?? false
+      newWindow: options.newWindow ?? false,
+      browserContextId: options.browserContextId
     });
     return result.targetId;
   }
@@ -437,3 +440,120 @@ export function createPageSession(connection, sessionId, targetId) {
     get targetId() { return targetId; }
   };
 }
+
+/**
+ * Create a tracker for out-of-process iframe (OOPIF) sessions of a page.
+ *
+ * Cross-origin iframes run in their own renderer process under site isolation
+ * and are invisible to the page session. Target.setAutoAttach with flatten
+ * attaches a child session to each of them (and, recursively, to OOPIFs nested
+ * inside them). An iframe target's targetId is its frameId.
+ *
+ * @param {import('../types.js').CDPConnection} connection - CDP connection
+ * @param {import('../types.js').CDPSession} pageSession - Top-level page session
+ * @returns {Object} Frame session tracker interface
+ */
+export function createFrameSessionTracker(connection, pageSession) {
+  const frames = new Map(); // frameId -> {frameId, session, parentSession}
+  const watched = [];
+  const pending = new Set();
+  let started = false;
+
+  function forget(sessionId) {
+    for (const [frameId, frame] of frames) {
+      if (frame.session.sessionId === sessionId) {
+        frame.session.dispose();
+        frames.delete(frameId);
+        // Nested OOPIFs go away with their parent
+        for (const other of frames.values()) {
+          if (other.parentSession === frame.session) forget(other.session.sessionId);
+        }
+      }
+    }
+  }
+
+  async function watch(session) {
+    const onAttached = (params) => {
+      const { sessionId, targetInfo } = params;
+      if (targetInfo.type !== 'iframe') return;
+      const child = createPageSession(connection, sessionId, targetInfo.targetId);
+      frames.set(targetInfo.targetId, { frameId: targetInfo.targetId, session: child, parentSession: session });
+      const nested = watch(child).catch(() => {}).finally(() => pending.delete(nested));
+      pending.add(nested);
+    };
+    const onDetached = (params) => forget(params.sessionId);
+
+    session.on('Target.attachedToTarget', onAttached);
+    session.on('Target.detachedFromTarget', onDetached);
+    watched.push({ session, onAttached, onDetached });
+
+    await session.send('Target.setAutoAttach', {
+      autoAttach: true,
+      waitForDebuggerOnStart: false,
+      flatten: true,
+      filter: [{ type: 'iframe' }]
+    });
+  }
+
+  /**
+   * Start auto-attaching to OOPIFs. Resolves once existing frames (including
+   * nested ones) are attached.
+   * @returns {Promise<void>}
+   */
+  async function start() {
+    if (started) return;
+    started = true;
+    await watch(pageSession);
+    while (pending.size > 0) {
+      await Promise.all([...pending]);
+    }
+  }
+
+  /**
+   * Get attached OOPIFs in attach order
+   * @returns {Array<{frameId: string, session: Object, parentSession: Object}>}
+   */
+  function getFrames() {
+    return Array.from(frames.values());
+  }
+
+  /**
+   * Get the session of an OOPIF
+   * @param {string} frameId - Frame ID (the iframe target ID)
+   * @returns {Object|null} Child session, or null when the frame is not an attached OOPIF
+   */
+  function getSession(frameId) {
+    return frames.get(frameId)?.session || null;
+  }
+
+  /**
+   * Stop tracking and dispose child sessions
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (!started) return;
+    started = false;
+    for (const { session, onAttached, onDetached } of watched) {
+      session.off('Target.attachedToTarget', onAttached);
+      session.off('Target.detachedFromTarget', onDetached);
+    }
+    watched.length = 0;
+    try {
+      if (pageSession.isValid()) {
+        await pageSession.send('Target.setAutoAttach', { autoAttach: false, waitForDebuggerOnStart: false, flatten: true });
+      }
+    } catch {
+      // Page already gone
+    }
+    for (const frame of frames.values()) frame.session.dispose();
+    frames.clear();
+  }
+
+  return {
+    start,
+    stop,
+    getFrames,
+    getSession,
+    isStarted: () => started
+  };
+}
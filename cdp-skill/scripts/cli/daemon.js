@@ -0,0 +1,356 @@
+/**
+ * Daemon Module
+ * Optional long-lived process that keeps Chrome connections and tab sessions open
+ * between CLI invocations. The CLI forwards requests to it over a Unix socket
+ * (a named pipe on Windows) and falls back to one-shot mode when it isn't running.
+ *
+ * Wire protocol: the client writes one JSON line ({type, ...}); the daemon answers
+ * with one JSON line and closes the connection.
+ *   {type: "request", request, cwd} -> response object
+ *   {type: "request", request, cwd, stream: true} -> event lines ({event, ...}), then the response object
+ *   {type: "request", request, cwd, plugins: [path]} -> loads the plugin modules first (once per daemon)
+ *   {type: "status"}                -> {status, daemon: {pid, socket, uptimeMs, requests, tabs}}
+ *   {type: "shutdown"}              -> {status, stopped: true}
+ *
+ * PUBLIC EXPORTS:
+ * - getDaemonSocketPath() - Socket path for this user
+ * - createDaemonServer(options) - Socket server with a serialized request queue
+ * - sendToDaemon(message, options?) - Client; resolves null when no daemon is listening
+ * - runDaemon(options?) - Run the daemon in the current process until shutdown or idle
+ * - startDaemon(options) - Spawn a detached daemon and wait until it answers
+ *
+ * @module cdp-skill/cli/daemon
+ */
+
+import net from 'net';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { sleep } from '../utils.js';
+import { createConnectionPool, runRequest } from './request.js';
+import { loadPlugins } from '../runner/step-plugins.js';
+
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000;
+const NO_DAEMON_CODES = new Set(['ENOENT', 'ECONNREFUSED', 'ENOTSOCK', 'EACCES']);
+
+/**
+ * Get the daemon socket path (override with CDP_SKILL_SOCKET)
+ * @returns {string}
+ */
+export function getDaemonSocketPath() {
+  if (process.env.CDP_SKILL_SOCKET) {
+    return process.env.CDP_SKILL_SOCKET;
+  }
+  const user = os.userInfo().username.replace(/[^a-zA-Z0-9_-]/g, '');
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\cdp-skill-${user}`;
+  }
+  return path.join(os.tmpdir(), `cdp-skill-${user}.sock`);
+}
+
+/**
+ * Read one newline-terminated JSON message from a socket
+ * With onEvent, lines that are stream events ({event: "...", ...}) are passed to it
+ * and reading continues until a message that is not an event arrives.
+ */
+function readMessage(socket, onEvent) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    const onData = (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (err) {
+          cleanup();
+          reject(new Error(`Invalid daemon message: ${err.message}`));
+          return;
+        }
+        if (onEvent && typeof message.event === 'string') {
+          onEvent(message);
+          continue;
+        }
+        cleanup();
+        resolve(message);
+        return;
+      }
+    };
+    const onEnd = () => {
+      cleanup();
+      reject(new Error('Connection closed before a complete message was received'));
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    function cleanup() {
+      socket.off('data', onData);
+      socket.off('end', onEnd);
+      socket.off('error', onError);
+    }
+    socket.setEncoding('utf8');
+    socket.on('data', onData);
+    socket.on('end', onEnd);
+    socket.on('error', onError);
+  });
+}
+
+/**
+ * Create the daemon's socket server
+ *
+ * Requests run one at a time: each one switches to the client's working directory
+ * so relative file paths (uploads, route fixtures, PDFs) resolve as they would in one-shot mode.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.socketPath - Socket path to listen on
+ * @param {function(Object, Object): Promise<Object>} options.handleRequest - Executes a parsed request; the second argument is {onEvent, plugins}: the stream listener and the client's plugin modules
+ * @param {function(): Object} [options.getStats] - Extra fields for status responses
+ * @param {number} [options.idleTimeout=1800000] - Shut down after this long without requests (0 disables)
+ * @param {function(): void} [options.onShutdown] - Called once after the server has closed
+ * @returns {Object} Daemon server interface
+ */
+export function createDaemonServer(options) {
+  const { socketPath, handleRequest, getStats, onShutdown } = options;
+  const idleTimeout = options.idleTimeout ?? DEFAULT_IDLE_TIMEOUT;
+  const startedAt = Date.now();
+  let server = null;
+  let queue = Promise.resolve();
+  let pending = 0;
+  let requestCount = 0;
+  let idleTimer = null;
+  let closed = false;
+
+  function resetIdleTimer() {
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = null;
+    if (idleTimeout > 0 && pending === 0 && !closed) {
+      idleTimer = setTimeout(() => close(), idleTimeout);
+      idleTimer.unref?.();
+    }
+  }
+
+  function status() {
+    return {
+      status: 'ok',
+      daemon: {
+        pid: process.pid,
+        socket: socketPath,
+        uptimeMs: Date.now() - startedAt,
+        requests: requestCount,
+        ...(getStats ? getStats() : {})
+      }
+    };
+  }
+
+  function enqueue(message, onEvent) {
+    pending++;
+    if (idleTimer) clearTimeout(idleTimer);
+    const run = queue.then(async () => {
+      requestCount++;
+      if (message.cwd) {
+        try { process.chdir(message.cwd); } catch (e) { /* keep current directory */ }
+      }
+      return handleRequest(message.request, { onEvent, plugins: message.plugins });
+    });
+    queue = run.catch(() => {}).finally(() => {
+      pending--;
+      resetIdleTimer();
+    });
+    return run;
+  }
+
+  async function onConnection(socket) {
+    let response;
+    let shutdownAfter = false;
+    // The client may disconnect mid-request; writes to it are best effort
+    socket.on('error', () => {});
+    try {
+      const message = await readMessage(socket);
+      if (message.type === 'request') {
+        const onEvent = message.stream
+          ? (event) => { if (socket.writable) socket.write(JSON.stringify(event) + '\n'); }
+          : undefined;
+        response = await enqueue(message, onEvent);
+      } else if (message.type === 'status') {
+        response = status();
+      } else if (message.type === 'shutdown') {
+        response = { status: 'ok', stopped: true, pid: process.pid };
+        shutdownAfter = true;
+      } else {
+        response = { status: 'error', error: { type: 'VALIDATION', message: `Unknown daemon message type: ${message.type}` } };
+      }
+    } catch (err) {
+      response = { status: 'error', error: { type: 'EXECUTION', message: err.message || String(err) } };
+    }
+
+    try {
+      socket.end(JSON.stringify(response) + '\n');
+    } catch (e) {
+      // Client went away
+    }
+    if (shutdownAfter) {
+      await close();
+    }
+  }
+
+  /**
+   * Start listening, replacing a stale socket file left by a crashed daemon
+   * @returns {Promise<void>}
+   */
+  async function listen() {
+    if (process.platform !== 'win32' && fs.existsSync(socketPath)) {
+      if (await sendToDaemon({ type: 'status' }, { socketPath })) {
+        throw new Error(`A daemon is already listening on ${socketPath}`);
+      }
+      fs.unlinkSync(socketPath);
+    }
+
+    server = net.createServer(onConnection);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    if (process.platform !== 'win32') {
+      fs.chmodSync(socketPath, 0o600);
+    }
+    resetIdleTimer();
+  }
+
+  /**
+   * Stop accepting connections, wait for queued requests, and remove the socket
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    if (closed) return;
+    closed = true;
+    if (idleTimer) clearTimeout(idleTimer);
+    if (server) {
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+    await queue;
+    if (process.platform !== 'win32') {
+      try { fs.unlinkSync(socketPath); } catch (e) { /* already gone */ }
+    }
+    if (onShutdown) onShutdown();
+  }
+
+  return {
+    listen,
+    close,
+    status,
+    isClosed: () => closed
+  };
+}
+
+/**
+ * Send a message to the daemon
+ * @param {Object} message - {type: "request"|"status"|"shutdown", ...}
+ * @param {Object} [options] - Options
+ * @param {string} [options.socketPath] - Socket path (default: getDaemonSocketPath())
+ * @param {function(Object): void} [options.onEvent] - Receives stream events sent before the response
+ * @returns {Promise<Object|null>} Daemon response, or null when no daemon is listening
+ */
+export function sendToDaemon(message, options = {}) {
+  const socketPath = options.socketPath || getDaemonSocketPath();
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let connected = false;
+
+    socket.once('connect', () => {
+      connected = true;
+      socket.write(JSON.stringify(message) + '\n');
+      readMessage(socket, options.onEvent).then(resolve, (err) => {
+        reject(new Error(`Daemon connection failed: ${err.message}`));
+      });
+    });
+
+    socket.once('error', (err) => {
+      if (!connected && NO_DAEMON_CODES.has(err.code)) {
+        resolve(null);
+      } else if (!connected) {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * Run the daemon in this process until it is stopped or goes idle
+ * @param {Object} [options] - Options
+ * @param {string} [options.socketPath] - Socket path (default: getDaemonSocketPath())
+ * @param {number} [options.idleTimeout] - Idle shutdown in ms
+ * @returns {Promise<void>} Resolves once the daemon has shut down
+ */
+export async function runDaemon(options = {}) {
+  const socketPath = options.socketPath || getDaemonSocketPath();
+  const pool = createConnectionPool({ keepAlive: true });
+  let resolveDone;
+  const done = new Promise(resolve => { resolveDone = resolve; });
+
+  const server = createDaemonServer({
+    socketPath,
+    idleTimeout: options.idleTimeout,
+    handleRequest: async (request, { plugins, ...requestOptions }) => {
+      await loadPlugins(plugins);
+      return runRequest(request, pool, requestOptions);
+    },
+    getStats: () => ({ tabs: pool.tabCount }),
+    onShutdown: () => {
+      pool.release({ force: true }).finally(resolveDone);
+    }
+  });
+
+  await server.listen();
+
+  const stop = () => { server.close(); };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  await done;
+  process.off('SIGINT', stop);
+  process.off('SIGTERM', stop);
+}
+
+/**
+ * Spawn a detached daemon process and wait until it answers status requests
+ * @param {Object} options - Options
+ * @param {string} options.scriptPath - CLI script to run with "--daemon run"
+ * @param {string} [options.socketPath] - Socket path (default: getDaemonSocketPath())
+ * @param {number} [options.timeout=5000] - How long to wait for the daemon to come up
+ * @returns {Promise<Object>} Status response
+ */
+export async function startDaemon(options) {
+  const socketPath = options.socketPath || getDaemonSocketPath();
+  const timeout = options.timeout ?? 5000;
+
+  const existing = await sendToDaemon({ type: 'status' }, { socketPath });
+  if (existing) {
+    return { ...existing, alreadyRunning: true };
+  }
+
+  const child = spawn(process.execPath, [options.scriptPath, '--daemon', 'run'], {
+    detached: true,
+    stdio: 'ignore',
+    env: { ...process.env, CDP_SKILL_SOCKET: socketPath }
+  });
+  child.unref();
+
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    await sleep(100);
+    const status = await sendToDaemon({ type: 'status' }, { socketPath });
+    if (status) {
+      return status;
+    }
+  }
+  throw new Error(`Daemon did not start within ${timeout}ms`);
+}
@@ -0,0 +1,59 @@
+/**
+ * CLI Module
+ * Request execution, per-tab state, the optional daemon, the MCP server, test-file mode and session recording behind scripts/cdp-skill.js
+ *
+ * @module cdp-skill/cli
+ */
+
+export {
+  ErrorType,
+  TABLESS_STEPS,
+  parseInput,
+  errorResponse,
+  createConnectionPool,
+  executeRequest,
+  runRequest
+} from './request.js';
+
+export {
+  registerTab,
+  resolveTabEntry,
+  resolveTabAlias,
+  unregisterTab,
+  getTabAlias,
+  saveFrameState,
+  loadFrameState,
+  saveRouteRules,
+  loadRouteRules,
+  saveDialogState,
+  loadDialogState
+} from './tab-state.js';
+
+export {
+  getDaemonSocketPath,
+  createDaemonServer,
+  sendToDaemon,
+  runDaemon,
+  startDaemon
+} from './daemon.js';
+
+export {
+  MCP_PROTOCOL_VERSIONS,
+  buildToolDefinitions,
+  createMcpServer,
+  runMcpStdio,
+  runMcpHttp
+} from './mcp.js';
+
+export {
+  collectTestFiles,
+  loadTestFile,
+  loadStepsFile,
+  runTestFile,
+  runTestFiles
+} from './test-file.js';
+
+export {
+  toRecordedRequest,
+  recordSession
+} from './record.js';
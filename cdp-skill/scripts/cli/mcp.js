@@ -0,0 +1,498 @@
+/**
+ * MCP Server Module
+ * Model Context Protocol front-end: one tool per registered step type, served
+ * over stdio (newline-delimited JSON-RPC) or HTTP with Server-Sent Events.
+ *
+ * Each tool call runs a one-step request through the same pipeline as the CLI,
+ * against a kept-alive connection pool (like the daemon), so tab sessions, frame
+ * context, console history and dialog handling carry over between calls. Each MCP
+ * session remembers the tab it last used, so `tab` only needs to be passed to
+ * switch tabs. Screenshot and snapshot files are returned as MCP resources
+ * (cdp-skill://files/<name>) instead of temp-file paths.
+ *
+ * PUBLIC EXPORTS:
+ * - MCP_PROTOCOL_VERSIONS - Supported protocol versions, newest first
+ * - buildToolDefinitions() - MCP tool definitions generated from STEP_CONFIG
+ * - createMcpServer(options?) - Transport-independent JSON-RPC message handler
+ * - runMcpStdio(options?) - Serve over stdin/stdout until stdin closes
+ * - runMcpHttp(options?) - Serve over HTTP+SSE (GET /sse, POST /messages)
+ *
+ * @module cdp-skill/cli/mcp
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { STEP_CONFIG, getAllStepTypes, stepSupportsHooks } from '../runner/step-registry.js';
+import { getStepSchema, NESTED_STEP_DEFS } from '../runner/step-schema.js';
+import { createConnectionPool, runRequest, TABLESS_STEPS } from './request.js';
+
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// resource_link content blocks arrived in 2025-06-18; older clients get the file embedded
+const RESOURCE_LINK_VERSION = '2025-06-18';
+
+const JSON_RPC_ERRORS = {
+  PARSE: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.yaml': 'text/yaml',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.pdf': 'application/pdf'
+};
+
+const MAX_HTTP_BODY = 4 * 1024 * 1024;
+
+function readServerVersion() {
+  try {
+    const packagePath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'package.json');
+    return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version;
+  } catch (e) {
+    return '0.0.0';
+  }
+}
+
+function mimeTypeFor(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+function isText(mimeType) {
+  return mimeType.startsWith('text/') || mimeType === 'application/json';
+}
+
+/**
+ * Build MCP tool definitions, one per entry in STEP_CONFIG
+ *
+ * The step value goes in `params`, exactly as it would appear in
+ * {"steps": [{"<step>": params}]}, typed by the step's registry schema.
+ *
+ * @returns {Array<{name: string, description: string, inputSchema: Object}>}
+ */
+export function buildToolDefinitions() {
+  return getAllStepTypes().filter(name => STEP_CONFIG[name]).map(name => {
+    const config = STEP_CONFIG[name];
+    const schema = getStepSchema(name) || {};
+    const params = { ...schema, description: `The ${name} step value${schema.description ? ` (${schema.description})` : ''}. Defaults to true.` };
+
+    const properties = { params };
+    if (!TABLESS_STEPS.has(name)) {
+      properties.tab = { type: 'string', description: 'Tab alias (e.g. "t1"). Defaults to the tab used by the previous call.' };
+    }
+    properties.timeout = { type: 'number', description: 'Step timeout in ms (default 30000)' };
+    properties.optional = { type: 'boolean', description: 'Report failure as skipped instead of an error' };
+
+    let description = `Run the cdp-skill "${name}" step${schema.description ? `: ${schema.description}` : ''}.`;
+    if (stepSupportsHooks(name)) {
+      description += ' Object params accept readyWhen, settledWhen and observe hooks.';
+    }
+    if (config.isVisual) {
+      description += ' The result includes a screenshot and page snapshot of the tab.';
+    }
+
+    return {
+      name,
+      description,
+      inputSchema: { type: 'object', properties, additionalProperties: false, $defs: NESTED_STEP_DEFS }
+    };
+  });
+}
+
+/**
+ * Create a transport-independent MCP server
+ *
+ * Tool calls run one at a time, in arrival order, across all sessions.
+ *
+ * @param {Object} [options] - Options
+ * @param {function(Object): Promise<Object>} [options.handleRequest] - Executes a CLI request (default: runRequest on a kept-alive pool)
+ * @returns {Object} Server interface: {createSession, handleMessage, close}
+ */
+export function createMcpServer(options = {}) {
+  const pool = options.handleRequest ? null : createConnectionPool({ keepAlive: true });
+  const handleRequest = options.handleRequest || ((request) => runRequest(request, pool));
+  const tools = buildToolDefinitions();
+  const toolNames = new Set(tools.map(tool => tool.name));
+  // uri -> {path, name, mimeType}; only files returned by a tool call can be read
+  const resources = new Map();
+  let queue = Promise.resolve();
+
+  function rpcError(code, message) {
+    const error = new Error(message);
+    error.rpcCode = code;
+    return error;
+  }
+
+  function registerResource(filePath) {
+    const name = path.basename(filePath);
+    const uri = `cdp-skill://files/${encodeURIComponent(name)}`;
+    resources.set(uri, { path: filePath, name, mimeType: mimeTypeFor(filePath) });
+    return uri;
+  }
+
+  function readResource(uri) {
+    const resource = resources.get(uri);
+    if (!resource || !fs.existsSync(resource.path)) {
+      throw rpcError(JSON_RPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+    }
+    const content = { uri, mimeType: resource.mimeType };
+    if (isText(resource.mimeType)) {
+      content.text = fs.readFileSync(resource.path, 'utf8');
+    } else {
+      content.blob = fs.readFileSync(resource.path).toString('base64');
+    }
+    return content;
+  }
+
+  // Swap file paths in the response for resource URIs; returns the URIs in order
+  function extractResources(response) {
+    const uris = [];
+    const swap = (holder, key) => {
+      const value = holder[key];
+      if (typeof value === 'string' && path.isAbsolute(value) && fs.existsSync(value)) {
+        holder[key] = registerResource(value);
+        uris.push(holder[key]);
+      }
+    };
+    swap(response, 'screenshot');
+    swap(response, 'fullSnapshot');
+    for (const step of response.steps || []) {
+      const artifacts = step.output && step.output.artifacts;
+      if (artifacts && typeof artifacts === 'object') {
+        for (const key of Object.keys(artifacts)) swap(artifacts, key);
+      }
+    }
+    return uris;
+  }
+
+  function toRequest(name, args, session) {
+    let value = args.params === undefined ? true : args.params;
+    // closeTab without params closes the session's tab
+    if (name === 'closeTab' && value === true && session.tab) {
+      value = session.tab;
+    }
+    const step = { [name]: value };
+    if (args.optional === true) step.optional = true;
+
+    const request = { steps: [step] };
+    const tab = TABLESS_STEPS.has(name) ? null : (args.tab || session.tab);
+    if (tab) request.tab = tab;
+    if (args.timeout !== undefined) request.timeout = args.timeout;
+    return request;
+  }
+
+  function rememberTab(name, response, session) {
+    if (response.tab) {
+      session.tab = response.tab;
+    }
+    const closed = [].concat(response.closed || [], response.tabs || []);
+    if (name !== 'switchTab' && closed.includes(session.tab)) {
+      session.tab = null;
+    }
+  }
+
+  async function callTool(params, session) {
+    const name = params && params.name;
+    if (!toolNames.has(name)) {
+      throw rpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    const args = params.arguments || {};
+    if (typeof args !== 'object' || Array.isArray(args)) {
+      throw rpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'Tool arguments must be an object');
+    }
+
+    const run = queue.then(() => handleRequest(toRequest(name, args, session)));
+    queue = run.catch(() => {});
+    const response = await run;
+
+    rememberTab(name, response, session);
+    const uris = extractResources(response);
+    const content = [{ type: 'text', text: JSON.stringify(response) }];
+    for (const uri of uris) {
+      const resource = resources.get(uri);
+      // Screenshots are small enough to embed; snapshots can be large, so newer clients get a link
+      if (resource.mimeType.startsWith('image/') || session.protocolVersion < RESOURCE_LINK_VERSION) {
+        content.push({ type: 'resource', resource: readResource(uri) });
+      } else {
+        content.push({ type: 'resource_link', uri, name: resource.name, mimeType: resource.mimeType });
+      }
+    }
+    return { content, isError: response.status !== 'ok' };
+  }
+
+  async function dispatch(method, params, session) {
+    switch (method) {
+      case 'initialize': {
+        const requested = params && params.protocolVersion;
+        session.protocolVersion = MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0];
+        return {
+          protocolVersion: session.protocolVersion,
+          capabilities: { tools: { listChanged: false }, resources: { listChanged: false } },
+          serverInfo: { name: 'cdp-skill', version: readServerVersion() },
+          instructions: 'Browser automation over the Chrome DevTools Protocol. Start with newTab (it launches Chrome if needed); later calls reuse that tab unless you pass tab. Step parameters are documented in SKILL.md.'
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools };
+      case 'tools/call':
+        return callTool(params, session);
+      case 'resources/list':
+        return {
+          resources: [...resources.entries()].map(([uri, resource]) => ({ uri, name: resource.name, mimeType: resource.mimeType }))
+        };
+      case 'resources/read':
+        return { contents: [readResource(params && params.uri)] };
+      default:
+        throw rpcError(JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  async function handleOne(message, session) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses to server-initiated requests are not expected; ignore them
+      if (message && (message.result !== undefined || message.error !== undefined)) return null;
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Invalid JSON-RPC request' } };
+    }
+    const isNotification = message.id === undefined;
+    try {
+      const result = await dispatch(message.method, message.params, session);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (err) {
+      if (isNotification) return null;
+      const code = err.rpcCode || JSON_RPC_ERRORS.INVALID_PARAMS;
+      // Connection and validation failures from the request pipeline are {type, message} objects
+      const text = err.type ? `${err.type}: ${err.message}` : (err.message || String(err));
+      if (!err.rpcCode && message.method === 'tools/call') {
+        return { jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text }], isError: true } };
+      }
+      return { jsonrpc: '2.0', id: message.id, error: { code, message: text } };
+    }
+  }
+
+  /**
+   * Per-connection state: negotiated protocol version and the tab last used
+   * @returns {Object}
+   */
+  function createSession() {
+    return { protocolVersion: MCP_PROTOCOL_VERSIONS[0], tab: null };
+  }
+
+  /**
+   * Handle one parsed JSON-RPC message (or batch)
+   * @param {Object|Array} message - JSON-RPC request, notification, or batch
+   * @param {Object} session - From createSession()
+   * @returns {Promise<Object|Array|null>} Response, or null when nothing should be sent
+   */
+  async function handleMessage(message, session) {
+    if (Array.isArray(message)) {
+      const replies = (await Promise.all(message.map(item => handleOne(item, session)))).filter(Boolean);
+      return replies.length > 0 ? replies : null;
+    }
+    return handleOne(message, session);
+  }
+
+  /**
+   * Parse and handle one raw JSON-RPC text message
+   * @param {string} text - Raw message
+   * @param {Object} session - From createSession()
+   * @returns {Promise<Object|Array|null>}
+   */
+  async function handleText(text, session) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      return { jsonrpc: '2.0', id: null, error: { code: JSON_RPC_ERRORS.PARSE, message: `Parse error: ${err.message}` } };
+    }
+    return handleMessage(message, session);
+  }
+
+  /**
+   * Wait for running tool calls, then close browser connections and tab sessions
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    await queue;
+    if (pool) await pool.release({ force: true });
+  }
+
+  return {
+    createSession,
+    handleMessage,
+    handleText,
+    close
+  };
+}
+
+/**
+ * Serve MCP over stdin/stdout (one JSON-RPC message per line) until stdin closes
+ * stdout carries protocol messages only.
+ * @param {Object} [options] - Options
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin] - Input stream
+ * @param {NodeJS.WritableStream} [options.output=process.stdout] - Output stream
+ * @param {Object} [options.server] - Server from createMcpServer() (created when omitted)
+ * @returns {Promise<void>} Resolves after stdin has closed and the server has shut down
+ */
+export async function runMcpStdio(options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const server = options.server || createMcpServer();
+  const session = server.createSession();
+  const pending = new Set();
+  let buffer = '';
+
+  function onLine(line) {
+    if (!line.trim()) return;
+    const task = server.handleText(line, session).then(reply => {
+      if (reply) output.write(JSON.stringify(reply) + '\n');
+    });
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  }
+
+  await new Promise((resolve, reject) => {
+    input.setEncoding('utf8');
+    input.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        onLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+    });
+    input.on('end', () => {
+      onLine(buffer);
+      resolve();
+    });
+    input.on('error', reject);
+  });
+
+  await Promise.all(pending);
+  await server.close();
+}
+
+/**
+ * Serve MCP over HTTP with Server-Sent Events
+ *
+ * GET /sse opens an event stream and announces the POST endpoint
+ * (`event: endpoint`); each POST /messages?sessionId=... is acknowledged with
+ * 202 and its reply sent on that stream as `event: message`. Requests from
+ * browser pages on other origins are refused.
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.port=8931] - Port to listen on
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @param {Object} [options.server] - Server from createMcpServer() (created when omitted)
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>} Resolves once listening
+ */
+export async function runMcpHttp(options = {}) {
+  const port = options.port ?? 8931;
+  const host = options.host || '127.0.0.1';
+  const server = options.server || createMcpServer();
+  const sessions = new Map(); // sessionId -> {res, state}
+
+  function isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+      return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_HTTP_BODY) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  async function onRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+
+    if (!isAllowedOrigin(req)) {
+      res.writeHead(403).end('Forbidden origin');
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      const sessionId = crypto.randomUUID();
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+      sessions.set(sessionId, { res, state: server.createSession() });
+      req.on('close', () => sessions.delete(sessionId));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const entry = sessions.get(url.searchParams.get('sessionId'));
+      if (!entry) {
+        res.writeHead(404).end('Unknown session');
+        return;
+      }
+      let body;
+      try {
+        body = await readBody(req);
+      } catch (err) {
+        res.writeHead(413).end(err.message);
+        return;
+      }
+      res.writeHead(202).end('Accepted');
+      const reply = await server.handleText(body, entry.state);
+      if (reply && sessions.has(url.searchParams.get('sessionId'))) {
+        entry.res.write(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+      }
+      return;
+    }
+
+    res.writeHead(404).end('Not found');
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    onRequest(req, res).catch(() => {
+      if (!res.headersSent) res.writeHead(500).end();
+    });
+  });
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  return {
+    url: `http://${host}:${httpServer.address().port}/sse`,
+    async close() {
+      for (const { res } of sessions.values()) res.end();
+      sessions.clear();
+      await new Promise(resolve => httpServer.close(() => resolve()));
+      await server.close();
+    }
+  };
+}
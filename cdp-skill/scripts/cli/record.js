@@ -0,0 +1,145 @@
+/**
+ * Record Module
+ * Records a human driving a tab into a replayable request file
+ *
+ * The output is a normal request — `{"steps": [{"newTab": "<start url>"}, ...]}` —
+ * so it can be replayed with `cdp-skill.js "$(cat flow.json)"`, edited by hand, or
+ * passed (minus its first step) as the scripted steps of a test file. The file is
+ * rewritten after every recorded step, so an interrupted recording is still usable.
+ *
+ * PUBLIC EXPORTS:
+ * - toRecordedRequest(steps, startUrl?) - Wrap recorded steps as a replayable request
+ * - recordSession(options?) - Record until stopped, returns a summary
+ *
+ * @module cdp-skill/cli/record
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createSessionRecorder } from '../capture/session-recorder.js';
+import { createConnectionPool } from './request.js';
+import { registerTab, resolveTabEntry, resolveTabAlias, getTabAlias } from './tab-state.js';
+
+const DEFAULT_OUT = 'recording.json';
+const POLL_INTERVAL_MS = 250;
+
+/**
+ * Wrap recorded steps as a replayable request that opens its own tab.
+ * A leading goto becomes the newTab URL.
+ * @param {Array<Object>} steps - Recorded steps
+ * @param {string} [startUrl] - URL the tab was on when recording started
+ * @returns {{steps: Array<Object>}}
+ */
+export function toRecordedRequest(steps, startUrl) {
+  if (steps.length > 0 && typeof steps[0].goto === 'string') {
+    return { steps: [{ newTab: steps[0].goto }, ...steps.slice(1)] };
+  }
+  const first = startUrl && startUrl !== 'about:blank' ? { newTab: startUrl } : { newTab: true };
+  return { steps: [first, ...steps] };
+}
+
+/**
+ * Record user actions in a tab until stopped
+ *
+ * Stops when `signal` aborts, after `duration` ms, or when the tab is closed.
+ * Without `tab` a new tab is opened (and navigated to `url` if given); it stays
+ * open and registered afterwards.
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.out='recording.json'] - Output file
+ * @param {string} [options.url] - URL to open in the new tab
+ * @param {string} [options.tab] - Record an existing tab (alias or targetId) instead
+ * @param {string} [options.host='localhost'] - Chrome host
+ * @param {number} [options.port=9222] - Chrome debugging port
+ * @param {boolean} [options.headless=false] - Launch Chrome headless if it is not running
+ * @param {number} [options.timeout=30000] - Connection timeout in ms
+ * @param {number} [options.duration] - Stop after this many ms
+ * @param {AbortSignal} [options.signal] - Stop when aborted
+ * @param {Function} [options.onReady] - Called with {tab, file} once recording has started
+ * @returns {Promise<Object>} Summary {status, file, tab, steps, stoppedBy}
+ */
+export async function recordSession(options = {}) {
+  const {
+    url,
+    tab,
+    headless = false,
+    timeout = 30000,
+    duration,
+    signal,
+    onReady
+  } = options;
+  let { host = 'localhost', port = 9222 } = options;
+  const file = path.resolve(options.out || DEFAULT_OUT);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let targetId = null;
+  if (tab) {
+    const entry = resolveTabEntry(tab);
+    if (entry) {
+      host = entry.host;
+      port = entry.port;
+    }
+    targetId = resolveTabAlias(tab);
+  }
+
+  const pool = createConnectionPool();
+  try {
+    const browser = await pool.getBrowser(host, port, { timeout, headless });
+    let session;
+    let tabAlias;
+    if (targetId) {
+      try {
+        session = await browser.attachToPage(targetId);
+      } catch (err) {
+        throw new Error(`Could not attach to tab ${tab}: ${err.message}`);
+      }
+      tabAlias = getTabAlias(targetId) || registerTab(targetId, host, port);
+    } else {
+      session = await browser.newPage('about:blank');
+      tabAlias = registerTab(session.targetId, host, port);
+    }
+
+    const current = await session.send('Runtime.evaluate', { expression: 'location.href', returnByValue: true });
+    const startUrl = current.result?.value;
+    const write = (steps) => fs.writeFileSync(file, JSON.stringify(toRecordedRequest(steps, startUrl), null, 2) + '\n');
+
+    const recorder = createSessionRecorder(session, { onStep: write });
+    await recorder.start();
+    write([]);
+    if (url && !targetId) {
+      await session.send('Page.navigate', { url });
+    }
+    if (onReady) onReady({ tab: tabAlias, file });
+
+    const stoppedBy = await new Promise((resolve) => {
+      const timers = [];
+      const finish = (reason) => {
+        timers.forEach(clearTimeout);
+        clearInterval(poll);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(reason);
+      };
+      const onAbort = () => finish('signal');
+      const poll = setInterval(() => {
+        if (!session.isValid()) finish('tabClosed');
+      }, POLL_INTERVAL_MS);
+      if (duration) timers.push(setTimeout(() => finish('duration'), duration));
+      if (signal) {
+        if (signal.aborted) finish('signal');
+        else signal.addEventListener('abort', onAbort);
+      }
+    });
+
+    const steps = await recorder.stop();
+    write(steps);
+    return {
+      status: 'ok',
+      file,
+      tab: tabAlias,
+      steps: toRecordedRequest(steps, startUrl).steps.length,
+      stoppedBy
+    };
+  } finally {
+    await pool.release();
+  }
+}
@@ -0,0 +1,839 @@
+/**
+ * Request Module
+ * Executes one CLI request ({tab, timeout, steps}) against Chrome and builds the
+ * streamlined response. Shared by the one-shot CLI and the daemon.
+ *
+ * PUBLIC EXPORTS:
+ * - ErrorType - Request error categories
+ * - TABLESS_STEPS - Steps that open, find or close tabs themselves instead of running in a request's tab
+ * - parseInput(input) - Parse and validate the raw JSON request
+ * - errorResponse(type, message) - Build an error response
+ * - createConnectionPool(options?) - Browser connections and tab contexts, optionally kept alive
+ * - executeRequest(json, pool, options?) - Run a parsed request, returns the response object
+ * - runRequest(json, pool, options?) - executeRequest with errors turned into error responses, then release the pool
+ *
+ * @module cdp-skill/cli/request
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import http from 'http';
+import { createBrowser, getChromeStatus, createFrameSessionTracker } from '../cdp/index.js';
+import { createPageController, createCookieManager, createWebStorageManager, createRequestRouter, createEmulationManager, createDownloadManager, createHttpManager } from '../page/index.js';
+import { createElementLocator, createInputEmulator } from '../dom/index.js';
+import { createScreenshotCapture, createScreenshotComparator, createConsoleCapture, createPdfCapture, createNetworkCapture } from '../capture/index.js';
+import { createAriaSnapshot } from '../aria.js';
+import { runSteps } from '../runner/index.js';
+import { getTempDirSync } from '../utils.js';
+import {
+  registerTab,
+  resolveTabEntry,
+  resolveTabAlias,
+  unregisterTab,
+  getTabAlias,
+  saveFrameState,
+  loadFrameState,
+  saveRouteRules,
+  loadRouteRules,
+  saveDialogState,
+  loadDialogState,
+  saveEmulationState,
+  loadEmulationState,
+  saveDownloadState,
+  loadDownloadState,
+  saveHttpSettings,
+  loadHttpSettings,
+  saveBrowserContext,
+  resolveBrowserContext,
+  getTabBrowserContext,
+  unregisterBrowserContext
+} from './tab-state.js';
+
+export const ErrorType = {
+  PARSE: 'PARSE',
+  VALIDATION: 'VALIDATION',
+  CONNECTION: 'CONNECTION',
+  EXECUTION: 'EXECUTION'
+};
+
+export const TABLESS_STEPS = new Set(['chromeStatus', 'newTab', 'switchTab', 'closeTab', 'closeContext']);
+
+/**
+ * Parses JSON input and validates basic structure
+ * @param {string} input - Raw request JSON
+ * @returns {Object} Parsed request
+ */
+export function parseInput(input) {
+  const trimmed = input.trim();
+
+  if (!trimmed) {
+    throw { type: ErrorType.PARSE, message: 'Empty input' };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(trimmed);
+  } catch (err) {
+    throw { type: ErrorType.PARSE, message: `Invalid JSON: ${err.message}` };
+  }
+
+  if (!json || typeof json !== 'object') {
+    throw { type: ErrorType.VALIDATION, message: 'Input must be a JSON object' };
+  }
+
+  if (json.config) {
+    throw {
+      type: ErrorType.VALIDATION,
+      message: '"config" is no longer supported. Use top-level "tab"/"timeout". Connection params go in newTab: {"steps":[{"newTab":{"url":"...","port":9333}}]}'
+    };
+  }
+
+  if (!json.steps) {
+    throw { type: ErrorType.VALIDATION, message: 'Missing required "steps" array' };
+  }
+
+  if (!Array.isArray(json.steps)) {
+    throw { type: ErrorType.VALIDATION, message: '"steps" must be an array' };
+  }
+
+  if (json.steps.length === 0) {
+    throw { type: ErrorType.VALIDATION, message: '"steps" array cannot be empty' };
+  }
+
+  return json;
+}
+
+/**
+ * Creates error response JSON (streamlined format)
+ * @param {string} type - ErrorType value
+ * @param {string} message - Error message
+ * @returns {Object}
+ */
+export function errorResponse(type, message) {
+  return {
+    status: 'error',
+    error: { type, message }
+  };
+}
+
+/**
+ * Check if steps contain only chromeStatus (lightweight query)
+ */
+function isChromeStatusOnly(steps) {
+  return steps.length === 1 && steps[0].chromeStatus !== undefined;
+}
+
+/**
+ * Check if steps contain only closeTab (doesn't need a tab session)
+ */
+function isCloseTabOnly(steps) {
+  return steps.length === 1 && steps[0].closeTab !== undefined;
+}
+
+/**
+ * Check if steps contain only closeContext (doesn't need a tab session)
+ */
+function isCloseContextOnly(steps) {
+  return steps.length === 1 && steps[0].closeContext !== undefined;
+}
+
+/**
+ * Handle chromeStatus step - lightweight, no session needed
+ */
+async function handleChromeStatus(step) {
+  const params = typeof step.chromeStatus === 'object' ? step.chromeStatus : {};
+  const host = params.host || 'localhost';
+  const port = params.port || 9222;
+  const autoLaunch = step.chromeStatus === true || params.autoLaunch !== false;
+  const headless = params.headless || false;
+  const fakeMedia = params.fakeMedia || false;
+
+  const status = await getChromeStatus({ host, port, autoLaunch, headless, fakeMedia });
+
+  // Streamlined format
+  const content = {
+    status: status.running ? 'ok' : 'error',
+    chrome: status,
+    steps: [{ action: 'chromeStatus', status: status.running ? 'ok' : 'error' }]
+  };
+
+  // Add errors only if present
+  if (status.error) {
+    content.errors = [{ step: 1, action: 'chromeStatus', error: status.error }];
+  }
+
+  return content;
+}
+
+/**
+ * Handle closeTab step - no session needed, just close the target via CDP
+ */
+async function handleCloseTab(step, pool) {
+  const tabRef = step.closeTab;
+
+  if (!tabRef || typeof tabRef !== 'string') {
+    return {
+      status: 'error',
+      error: { type: 'VALIDATION', message: 'closeTab requires a tab id or targetId string' }
+    };
+  }
+
+  // Resolve alias to full entry (targetId + host + port)
+  const entry = resolveTabEntry(tabRef);
+  const targetId = entry ? entry.targetId : tabRef;
+  const host = entry ? entry.host : 'localhost';
+  const port = entry ? entry.port : 9222;
+  const alias = getTabAlias(targetId);
+
+  try {
+    // Use http to close the target directly via CDP's /json/close endpoint
+    const closeUrl = `http://${host}:${port}/json/close/${targetId}`;
+
+    await new Promise((resolve, reject) => {
+      const req = http.get(closeUrl, (res) => {
+        res.resume(); // Drain response body to prevent memory leak
+        if (res.statusCode === 200) {
+          resolve();
+        } else {
+          reject(new Error(`Failed to close tab: HTTP ${res.statusCode}`));
+        }
+      });
+      req.on('error', reject);
+      req.setTimeout(5000, () => {
+        req.destroy();
+        reject(new Error('Timeout closing tab'));
+      });
+    });
+
+    // Drop any kept-alive session for the tab, then unregister the alias
+    await pool.forgetTab(targetId);
+    unregisterTab(targetId);
+
+    // Streamlined format
+    return {
+      status: 'ok',
+      closed: alias || tabRef,
+      steps: [{ action: 'closeTab', status: 'ok' }]
+    };
+
+  } catch (err) {
+    return {
+      status: 'error',
+      error: { type: 'EXECUTION', message: err.message }
+    };
+  }
+}
+
+/**
+ * Handle closeContext step - dispose a named browser context and drop its tabs from the registry
+ */
+async function handleCloseContext(step, pool, timeout) {
+  const name = step.closeContext;
+  if (!name || typeof name !== 'string') {
+    return {
+      status: 'error',
+      error: { type: 'VALIDATION', message: 'closeContext requires a context name' }
+    };
+  }
+
+  const entry = resolveBrowserContext(name);
+  if (!entry) {
+    return {
+      status: 'error',
+      error: { type: 'VALIDATION', message: `Unknown browser context: ${name}` }
+    };
+  }
+
+  try {
+    const browser = await pool.getBrowser(entry.host, entry.port, { timeout });
+    // Already gone if Chrome restarted since the context was created
+    const live = await browser.getContexts();
+    if (live.includes(entry.browserContextId)) {
+      await browser.closeContext(entry.browserContextId);
+    }
+
+    const tabs = unregisterBrowserContext(name);
+    for (const { targetId } of tabs) {
+      await pool.forgetTab(targetId);
+    }
+
+    return {
+      status: 'ok',
+      closed: name,
+      tabs: tabs.map(tab => tab.alias),
+      steps: [{ action: 'closeContext', status: 'ok' }]
+    };
+  } catch (err) {
+    return {
+      status: 'error',
+      error: { type: 'EXECUTION', message: err.message }
+    };
+  }
+}
+
+/**
+ * Reuse a named browser context, or create it when it does not exist in this browser yet
+ * @returns {Promise<string>} Browser context ID
+ */
+async function resolveNamedContext(browser, name, host, port) {
+  const saved = resolveBrowserContext(name);
+  if (saved && saved.host === host && saved.port === port) {
+    const live = await browser.getContexts();
+    if (live.includes(saved.browserContextId)) {
+      return saved.browserContextId;
+    }
+  }
+  const browserContextId = await browser.createContext();
+  saveBrowserContext(name, browserContextId, host, port);
+  return browserContextId;
+}
+
+/**
+ * Connect to Chrome, auto-launching it if nothing is listening
+ */
+async function connectBrowser(host, port, timeout, headless, fakeMedia) {
+  const browser = createBrowser({ host, port, connectTimeout: timeout });
+
+  try {
+    await browser.connect();
+  } catch (err) {
+    // Chrome not running - try to auto-launch
+    const status = await getChromeStatus({ host, port, autoLaunch: true, headless, fakeMedia });
+    if (!status.running) {
+      throw {
+        type: ErrorType.CONNECTION,
+        message: `Chrome not running and failed to launch: ${status.error || 'unknown error'}`
+      };
+    }
+    // Retry connection after launch
+    try {
+      await browser.connect();
+    } catch (retryErr) {
+      throw {
+        type: ErrorType.CONNECTION,
+        message: `Chrome launched but connection failed: ${retryErr.message}`
+      };
+    }
+  }
+
+  return browser;
+}
+
+/**
+ * Create the per-tab dependencies used by runSteps
+ * @param {Object} browser - Connected browser client
+ * @param {import('../types.js').CDPSession} session - Page session
+ * @param {string} host - Chrome host (for tab registration)
+ * @param {number} port - Chrome port (for tab registration)
+ * @returns {Object} Tab context
+ */
+function createTabContext(browser, session, host, port) {
+  // Tabs opened in a named context: cookies, permissions and downloads must address it explicitly
+  const browserContext = getTabBrowserContext(session.targetId);
+  const browserContextId = browserContext ? browserContext.browserContextId : null;
+  const pageController = createPageController(session, {
+    onFrameChanged: (frameState) => saveFrameState(session.targetId, frameState),
+    getSavedFrameState: () => loadFrameState(session.targetId),
+    onDialogStateChanged: (dialogState) => saveDialogState(session.targetId, dialogState),
+    getSavedDialogState: () => loadDialogState(session.targetId)
+  });
+  const frameContextProvider = () => pageController.getFrameContext();
+  const frameIdentifierProvider = () => pageController.getFrameIdentifier();
+  const consoleCapture = createConsoleCapture(session);
+  const networkCapture = createNetworkCapture(session);
+  const requestRouter = createRequestRouter(session, {
+    onRulesChanged: (rules) => saveRouteRules(session.targetId, rules),
+    getSavedRules: () => loadRouteRules(session.targetId)
+  });
+  const emulationManager = createEmulationManager(session, {
+    pageController,
+    browserContextId,
+    onStateChanged: (state) => saveEmulationState(session.targetId, state),
+    getSavedState: () => loadEmulationState(session.targetId)
+  });
+  const httpManager = createHttpManager(session, {
+    requestRouter,
+    emulationManager,
+    onStateChanged: (state) => saveHttpSettings(session.targetId, state),
+    getSavedState: () => loadHttpSettings(session.targetId)
+  });
+  // Downloads are staged browser-wide, then moved into a directory per tab
+  const downloadsRoot = path.join(getTempDirSync(), 'downloads');
+  const downloadManager = createDownloadManager(browser.connection, session, {
+    stagingPath: downloadsRoot,
+    browserContextId,
+    downloadPath: path.join(downloadsRoot, getTabAlias(session.targetId) || session.targetId),
+    onDownloadsChanged: (downloads) => saveDownloadState(session.targetId, downloads),
+    getSavedDownloads: () => loadDownloadState(session.targetId)
+  });
+
+  const screenshotCapture = createScreenshotCapture(session);
+  const frameSessions = createFrameSessionTracker(browser.connection, session);
+  const ariaSnapshot = createAriaSnapshot(session, { getFrameContext: frameContextProvider, getFrameIdentifier: frameIdentifierProvider, getFrameId: () => pageController.currentFrameId, frameSessions });
+
+  const deps = {
+    browser,
+    browserContextId,
+    pageController,
+    elementLocator: createElementLocator(session, { getFrameContext: frameContextProvider }),
+    inputEmulator: createInputEmulator(session, { getFrameContext: frameContextProvider }),
+    screenshotCapture,
+    screenshotComparator: createScreenshotComparator(session, { screenshotCapture, ariaSnapshot }),
+    consoleCapture,
+    networkCapture,
+    pdfCapture: createPdfCapture(session),
+    ariaSnapshot,
+    cookieManager: createCookieManager(session, { browserContextId }),
+    webStorageManager: createWebStorageManager(session, { getFrameContext: frameContextProvider }),
+    requestRouter,
+    emulationManager,
+    httpManager,
+    downloadManager,
+    // Popups open in the opener's context
+    registerNewTab: (targetId) => registerTab(targetId, host, port, browserContext ? browserContext.name : null)
+  };
+
+  async function initialize() {
+    // Initialize page controller (enables required CDP domains)
+    await pageController.initialize();
+
+    // Re-apply request interception rules saved for this tab
+    await requestRouter.initialize();
+
+    // Re-apply throttling and environment overrides saved for this tab
+    await emulationManager.initialize();
+
+    // Re-apply extra headers and HTTP credentials saved on this tab's registry entry
+    await httpManager.initialize();
+
+    // Route downloads to this tab's directory and pick up ones finished since the last request
+    await downloadManager.initialize();
+
+    // Start console capture to collect logs during execution
+    await consoleCapture.startCapture();
+
+    // Attach to out-of-process iframes so snapshots and refs can reach them
+    await frameSessions.start();
+  }
+
+  async function dispose() {
+    await frameSessions.stop();
+    await consoleCapture.stopCapture();
+    await networkCapture.stopCapture();
+    await requestRouter.dispose();
+    downloadManager.dispose();
+    pageController.dispose();
+  }
+
+  return {
+    session,
+    deps,
+    initialize,
+    dispose
+  };
+}
+
+/**
+ * Create a pool of browser connections and tab contexts
+ *
+ * One-shot mode (keepAlive false) connects fresh for every request and tears
+ * everything down on release(). The daemon uses keepAlive so console history,
+ * network capture, dialog handling and snapshot state carry over between requests.
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.keepAlive=false] - Keep connections and tab contexts between requests
+ * @returns {Object} Connection pool interface
+ */
+export function createConnectionPool(options = {}) {
+  const keepAlive = options.keepAlive === true;
+  const browsers = new Map(); // "host:port" -> browser
+  const tabs = new Map(); // targetId -> tab context
+
+  function isLive(browser) {
+    return browser.isConnected() && browser.connection && browser.connection.isConnected();
+  }
+
+  /**
+   * Get a connected browser for host:port
+   * @returns {Promise<Object>}
+   */
+  async function getBrowser(host, port, { timeout, headless, fakeMedia }) {
+    const key = `${host}:${port}`;
+    const existing = browsers.get(key);
+    if (existing && isLive(existing)) {
+      return existing;
+    }
+    if (existing) {
+      // Connection dropped (Chrome restarted) — its sessions are gone too
+      for (const [targetId, tab] of tabs) {
+        if (tab.deps.browser === existing) tabs.delete(targetId);
+      }
+    }
+
+    const browser = await connectBrowser(host, port, timeout, headless, fakeMedia);
+    browsers.set(key, browser);
+    return browser;
+  }
+
+  /**
+   * Get an initialized tab context, attaching to the target (or adopting a new session) if needed
+   * @param {Object} browser - Connected browser
+   * @param {Object} target - {targetId} to attach, or {session} for a freshly created page
+   * @returns {Promise<Object>} Tab context
+   */
+  async function getTab(browser, target, host, port) {
+    const targetId = target.session ? target.session.targetId : target.targetId;
+    const existing = tabs.get(targetId);
+    if (existing && existing.deps.browser === browser && existing.session.isValid()) {
+      return existing;
+    }
+    tabs.delete(targetId);
+
+    const session = target.session || await browser.attachToPage(targetId);
+    const tab = createTabContext(browser, session, host, port);
+    tabs.set(targetId, tab);
+    try {
+      await tab.initialize();
+    } catch (err) {
+      tabs.delete(targetId);
+      throw err;
+    }
+    return tab;
+  }
+
+  /**
+   * Dispose a kept-alive tab context (after its tab was closed)
+   * @param {string} targetId - Target ID
+   * @returns {Promise<void>}
+   */
+  async function forgetTab(targetId) {
+    const tab = tabs.get(targetId);
+    if (!tab) return;
+    tabs.delete(targetId);
+    try { await tab.dispose(); } catch (e) { /* session may already be gone */ }
+  }
+
+  /**
+   * End a request — one-shot mode disposes every tab context and disconnects
+   * @param {Object} [opts] - Options
+   * @param {boolean} [opts.force=false] - Tear down even in keepAlive mode
+   * @returns {Promise<void>}
+   */
+  async function release({ force = false } = {}) {
+    if (keepAlive && !force) return;
+
+    for (const tab of tabs.values()) {
+      try { await tab.dispose(); } catch (e) { /* ignore */ }
+    }
+    tabs.clear();
+    for (const browser of browsers.values()) {
+      try { await browser.disconnect(); } catch (e) { /* ignore */ }
+    }
+    browsers.clear();
+  }
+
+  return {
+    getBrowser,
+    getTab,
+    forgetTab,
+    release,
+    get keepAlive() { return keepAlive; },
+    get tabCount() { return tabs.size; }
+  };
+}
+
+/**
+ * Execute a parsed request
+ * Throws {type, message} for connection/validation failures; step failures are reported in the response.
+ * @param {Object} json - Parsed request from parseInput()
+ * @param {Object} pool - Connection pool from createConnectionPool()
+ * @param {Object} [options] - Options
+ * @param {function(Object): void} [options.onEvent] - Progress listener: stepStart, stepEnd, console and screenshot events
+ * @returns {Promise<Object>} Streamlined response
+ */
+export async function executeRequest(json, pool, options = {}) {
+  // Extract top-level fields
+  const tab = json.tab || null;
+  const timeout = json.timeout ?? 30000;
+  let host = 'localhost';
+  let port = 9222;
+  let headless = false;
+  let fakeMedia = false;
+
+  // Handle chromeStatus specially - no session needed
+  if (isChromeStatusOnly(json.steps)) {
+    return handleChromeStatus(json.steps[0]);
+  }
+
+  // Handle closeTab specially - no session needed, just close the target
+  if (isCloseTabOnly(json.steps)) {
+    return handleCloseTab(json.steps[0], pool);
+  }
+
+  // Handle closeContext specially - disposes every tab in the context
+  if (isCloseContextOnly(json.steps)) {
+    return handleCloseContext(json.steps[0], pool, timeout);
+  }
+
+  // Check if first step is newTab or switchTab
+  const firstStep = json.steps[0];
+  const hasNewTab = firstStep && firstStep.newTab !== undefined;
+  const hasSwitchTab = firstStep && firstStep.switchTab !== undefined;
+
+  // Extract URL and options from newTab if provided
+  let newTabUrl = null;
+  let newTabTimeout = null;
+  let newTabContext = null;
+  if (hasNewTab) {
+    const newTabParam = firstStep.newTab;
+    if (typeof newTabParam === 'string') {
+      newTabUrl = newTabParam;
+    } else if (typeof newTabParam === 'object' && newTabParam !== null) {
+      newTabUrl = newTabParam.url || null;
+      newTabTimeout = newTabParam.timeout || null;
+      newTabContext = newTabParam.context || null;
+      // Extract connection overrides from newTab object form
+      if (newTabParam.host) host = newTabParam.host;
+      if (newTabParam.port) port = newTabParam.port;
+      if (newTabParam.headless) headless = newTabParam.headless;
+      if (newTabParam.fakeMedia) fakeMedia = newTabParam.fakeMedia;
+    }
+  }
+
+  // Extract connection overrides from switchTab object form
+  if (hasSwitchTab) {
+    const switchParam = firstStep.switchTab;
+    if (typeof switchParam === 'object' && switchParam !== null) {
+      if (switchParam.host) host = switchParam.host;
+      if (switchParam.port) port = switchParam.port;
+    }
+  }
+
+  // If tab specified, resolve host/port from registry
+  if (tab) {
+    const tabEntry = resolveTabEntry(tab);
+    if (tabEntry) {
+      host = tabEntry.host;
+      port = tabEntry.port;
+    }
+  }
+
+  // Resolve tab alias to targetId
+  const resolvedTargetId = tab ? resolveTabAlias(tab) : null;
+
+  // Connect to browser, auto-launch if needed
+  const browser = await pool.getBrowser(host, port, { timeout, headless, fakeMedia });
+
+  // Get page session - requires explicit targetId or newTab step
+  let tabContext;
+
+  if (resolvedTargetId) {
+    try {
+      tabContext = await pool.getTab(browser, { targetId: resolvedTargetId }, host, port);
+    } catch (err) {
+      throw {
+        type: ErrorType.CONNECTION,
+        message: `Could not attach to tab ${tab}${tab !== resolvedTargetId ? ` (${resolvedTargetId})` : ''}: ${err.message}`
+      };
+    }
+  } else if (hasSwitchTab) {
+    // Connect to an existing tab by alias, targetId, or URL regex
+    try {
+      const switchParam = firstStep.switchTab;
+      let switchTargetId = null;
+
+      if (typeof switchParam === 'string') {
+        // Try alias first, then targetId
+        switchTargetId = resolveTabAlias(switchParam);
+      } else if (switchParam && typeof switchParam === 'object') {
+        if (switchParam.targetId) {
+          switchTargetId = switchParam.targetId;
+        } else if (switchParam.url) {
+          // Find tab by URL regex
+          const pages = await browser.getPages();
+          const urlRegex = new RegExp(switchParam.url);
+          const match = pages.find(p => urlRegex.test(p.url));
+          if (!match) {
+            throw new Error(`No tab matches URL pattern: ${switchParam.url}`);
+          }
+          switchTargetId = match.targetId;
+        }
+      }
+
+      if (!switchTargetId) {
+        throw new Error('Could not resolve switchTab target');
+      }
+
+      tabContext = await pool.getTab(browser, { targetId: switchTargetId }, host, port);
+      const tabAlias = getTabAlias(switchTargetId) || registerTab(switchTargetId, host, port);
+      json.steps[0]._switchTabHandled = true;
+      json.steps[0]._switchTabAlias = tabAlias;
+    } catch (err) {
+      throw {
+        type: ErrorType.CONNECTION,
+        message: `switchTab failed: ${err.message}`
+      };
+    }
+  } else if (hasNewTab) {
+    // Create new tab via newTab step
+    let session;
+    try {
+      // Named contexts get their own cookies and storage, shared by every tab opened in them
+      const browserContextId = newTabContext ? await resolveNamedContext(browser, newTabContext, host, port) : undefined;
+      // Create blank tab - URL navigation happens in step executor
+      session = await browser.newPage('about:blank', { browserContextId });
+      // Register the new tab and get its alias
+      const tabAlias = registerTab(session.targetId, host, port, newTabContext);
+      // Mark newTab as handled and store URL/alias/timeout/context if provided
+      json.steps[0]._newTabHandled = true;
+      json.steps[0]._newTabUrl = newTabUrl;
+      json.steps[0]._newTabTimeout = newTabTimeout;
+      json.steps[0]._newTabAlias = tabAlias;
+      json.steps[0]._newTabContext = newTabContext;
+    } catch (err) {
+      if (err.message.includes('no browser is open')) {
+        throw {
+          type: ErrorType.CONNECTION,
+          message: `Chrome has no tabs open. This can happen when Chrome is started with --remote-debugging-port but no window is visible. Try opening a new Chrome window or restarting Chrome normally.`
+        };
+      }
+      throw {
+        type: ErrorType.EXECUTION,
+        message: `Failed to create new tab: ${err.message}`
+      };
+    }
+    tabContext = await pool.getTab(browser, { session }, host, port);
+  } else {
+    // No targetId and no newTab/switchTab step - fail with helpful message
+    throw {
+      type: ErrorType.VALIDATION,
+      message: `No tab specified. Either:\n` +
+        `  1. Use {"steps":[{"newTab":"url"},...]} to create a new tab\n` +
+        `  2. Use {"steps":[{"switchTab":"t1"},...]} to connect to an existing tab\n` +
+        `  3. Pass tab id: {"tab":"t1", "steps":[...]}`
+    };
+  }
+
+  const { session, deps } = tabContext;
+
+  // Reset viewport to default (clears any previous emulation from other sessions)
+  await deps.pageController.resetViewport();
+
+  // Run steps (pass tab alias for auto-screenshots)
+  const tabAlias = getTabAlias(session.targetId) || registerTab(session.targetId, host, port);
+  const result = await runSteps(deps, json.steps, {
+    stopOnError: true,
+    stepTimeout: timeout,
+    targetId: session.targetId,
+    tabAlias,
+    onEvent: options.onEvent
+  });
+
+  // Capture screenshot at command-level (replaces per-step screenshots)
+  let screenshotPath = null;
+  try {
+    const screenshotId = tabAlias || 'command';
+    screenshotPath = path.join(os.tmpdir(), 'cdp-skill', `${screenshotId}.after.png`);
+    // Ensure directory exists
+    const screenshotDir = path.dirname(screenshotPath);
+    if (!fs.existsSync(screenshotDir)) {
+      fs.mkdirSync(screenshotDir, { recursive: true });
+    }
+    await deps.screenshotCapture.captureToFile(screenshotPath, { fullPage: false });
+  } catch (e) {
+    // Screenshot failure shouldn't fail the command
+    screenshotPath = null;
+  }
+  if (screenshotPath && options.onEvent) {
+    try { options.onEvent({ event: 'screenshot', path: screenshotPath }); } catch (e) { /* listener errors are ignored */ }
+  }
+
+  // Bubble up site profile info from goto/newTab steps to top level
+  let siteProfile = undefined;
+  let actionRequired = undefined;
+  for (const step of result.steps) {
+    if (step.siteProfile) {
+      siteProfile = step.siteProfile;
+      delete step.siteProfile;
+    } else if (step.profileAvailable === false) {
+      actionRequired = {
+        action: 'createSiteProfile',
+        domain: step.profileDomain,
+        message: `STOP: No site profile for "${step.profileDomain}". You MUST create one before doing anything else. Run these steps now: (1) snapshot — see page structure, (2) pageFunction — detect framework/routing, (3) writeSiteProfile — save what you learned. Then continue your task. Skipping this causes unreliable automation.`
+      };
+      delete step.profileAvailable;
+      delete step.profileDomain;
+      delete step.hint;
+    }
+  }
+
+  // Build streamlined output
+  const output = {
+    status: result.status,
+    tab: getTabAlias(session.targetId) || registerTab(session.targetId, host, port),
+    // Site profile — prominent, right after status/tab
+    siteProfile,
+    actionRequired,
+    // Command-level auto-snapshot results
+    navigated: result.navigated,
+    fullSnapshot: result.fullSnapshot,
+    screenshot: screenshotPath,
+    context: result.context,
+    changes: result.changes,
+    // Command-level console (errors/warnings only)
+    console: result.console,
+    // JavaScript dialogs that opened during the command and how each was answered
+    dialogs: result.dialogs,
+    steps: result.steps,
+    errors: result.errors,
+    // Viewport snapshot at the end (can be large)
+    viewportSnapshot: result.viewportSnapshot,
+    truncated: result.truncated
+  };
+
+  // Remove null/undefined/false-y fields for compactness
+  if (!output.siteProfile) delete output.siteProfile;
+  if (!output.actionRequired) delete output.actionRequired;
+  if (!output.navigated) delete output.navigated;
+  if (!output.fullSnapshot) delete output.fullSnapshot;
+  if (!output.context) delete output.context;
+  if (!output.changes) delete output.changes;
+  if (!output.viewportSnapshot) delete output.viewportSnapshot;
+  if (!output.truncated) delete output.truncated;
+  if (!output.screenshot) delete output.screenshot;
+  if (!output.console) delete output.console;
+  if (!output.dialogs) delete output.dialogs;
+  if (output.errors.length === 0) delete output.errors;
+
+  // Simplify context - remove scroll.x and null values
+  if (output.context) {
+    if (output.context.scroll) {
+      delete output.context.scroll.x;
+    }
+    if (output.context.activeElement === null) delete output.context.activeElement;
+    if (output.context.modal === null) delete output.context.modal;
+  }
+
+  return output;
+}
+
+/**
+ * Run a parsed request, converting thrown errors into error responses
+ * @param {Object} json - Parsed request from parseInput()
+ * @param {Object} pool - Connection pool from createConnectionPool()
+ * @param {Object} [options] - Options passed to executeRequest (onEvent)
+ * @returns {Promise<Object>} Response (status "ok" or "error")
+ */
+export async function runRequest(json, pool, options = {}) {
+  try {
+    return await executeRequest(json, pool, options);
+  } catch (err) {
+    if (err.type) {
+      return errorResponse(err.type, err.message);
+    }
+    return errorResponse(ErrorType.EXECUTION, err.message || String(err));
+  } finally {
+    await pool.release();
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * Tab State Module
+ * Tab alias registry and per-tab state that persists across CLI invocations
+ * (frame context, request routes, dialog answers, emulation, downloads), stored as JSON in the OS temp directory
+ *
+ * PUBLIC EXPORTS:
+ * - registerTab(targetId, host?, port?, context?) - Assign (or look up) a short alias like "t1"
+ * - resolveTabEntry(aliasOrTargetId) - Resolve to {targetId, host, port}
+ * - resolveTabAlias(aliasOrTargetId) - Resolve to a targetId
+ * - unregisterTab(targetId) - Drop the alias and all per-tab state
+ * - getTabAlias(targetId) - Look up the alias for a targetId
+ * - saveFrameState / loadFrameState - Frame context persistence
+ * - saveRouteRules / loadRouteRules - Request interception rule persistence
+ * - saveDialogState / loadDialogState - Dialog queue/policy persistence
+ * - saveEmulationState / loadEmulationState - Throttling and environment emulation persistence
+ * - saveDownloadState / loadDownloadState - Download record persistence
+ * - saveHttpSettings / loadHttpSettings - Extra headers and HTTP credentials, stored on the tab's registry entry
+ * - saveBrowserContext(name, browserContextId, host, port) - Record a named browser context
+ * - resolveBrowserContext(name) - Look up a named browser context ({browserContextId, host, port})
+ * - getTabBrowserContext(targetId) - The named browser context a tab belongs to ({name, browserContextId})
+ * - unregisterBrowserContext(name) - Drop a named context and every tab registered in it
+ *
+ * @module cdp-skill/cli/tab-state
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// Tab registry - maps short aliases (t1, t2, ...) to {targetId, host, port, context?} entries,
+// and named browser contexts to {browserContextId, host, port}
+const TAB_REGISTRY_PATH = path.join(os.tmpdir(), 'cdp-skill-tabs.json');
+
+/**
+ * Create a per-tab JSON store in the OS temp directory, keyed by targetId
+ * @param {string} fileName - File name in the temp directory
+ * @param {Object} [options] - Options
+ * @param {function(*): boolean} [options.isEmpty] - Saving a state for which this returns true removes the tab's entry
+ * @param {number} [options.maxAge] - Entries older than this (ms) are dropped on load
+ * @returns {{save: function(string, *): void, load: function(string): *, clear: function(string): void}}
+ */
+function createTabStateStore(fileName, options = {}) {
+  const { isEmpty = null, maxAge = null } = options;
+  const filePath = path.join(os.tmpdir(), fileName);
+
+  function readStates() {
+    try {
+      if (fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+    } catch (e) {
+      // Ignore errors, start fresh
+    }
+    return {};
+  }
+
+  function writeStates(states) {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(states, null, 2));
+    } catch (e) {
+      // Ignore errors
+    }
+  }
+
+  function save(targetId, state) {
+    const states = readStates();
+    if (isEmpty && isEmpty(state)) {
+      delete states[targetId];
+    } else {
+      states[targetId] = maxAge ? { ...state, timestamp: Date.now() } : state;
+    }
+    writeStates(states);
+  }
+
+  function load(targetId) {
+    const states = readStates();
+    const state = states[targetId];
+    if (!state) return null;
+    if (maxAge && Date.now() - state.timestamp > maxAge) {
+      delete states[targetId];
+      writeStates(states);
+      return null;
+    }
+    return state;
+  }
+
+  function clear(targetId) {
+    const states = readStates();
+    if (states[targetId]) {
+      delete states[targetId];
+      writeStates(states);
+    }
+  }
+
+  return { save, load, clear };
+}
+
+// Frame context; expires after 1 hour (frames may have reloaded)
+const frameStates = createTabStateStore('cdp-skill-frames.json', { maxAge: 3600000 });
+
+// Request interception rules; unlike frame state they don't expire, they stay
+// active until removed or the tab is closed
+const routeStates = createTabStateStore('cdp-skill-routes.json', {
+  isEmpty: rules => rules.length === 0
+});
+
+// Queued dialog answers and the standing policy
+const dialogStates = createTabStateStore('cdp-skill-dialogs.json', {
+  isEmpty: state => state.queue.length === 0 && !state.policy
+});
+
+// Throttling and environment overrides
+const emulationStates = createTabStateStore('cdp-skill-emulation.json', {
+  isEmpty: state => Object.values(state).every(value => value === null)
+});
+
+// Download records
+const downloadStates = createTabStateStore('cdp-skill-downloads.json', {
+  isEmpty: downloads => downloads.length === 0
+});
+
+export function saveFrameState(targetId, frameState) {
+  frameStates.save(targetId, frameState);
+}
+
+export function loadFrameState(targetId) {
+  return frameStates.load(targetId);
+}
+
+export function saveRouteRules(targetId, rules) {
+  routeStates.save(targetId, rules);
+}
+
+export function loadRouteRules(targetId) {
+  return routeStates.load(targetId);
+}
+
+export function saveDialogState(targetId, state) {
+  dialogStates.save(targetId, state);
+}
+
+export function loadDialogState(targetId) {
+  return dialogStates.load(targetId);
+}
+
+export function saveEmulationState(targetId, state) {
+  emulationStates.save(targetId, state);
+}
+
+export function loadEmulationState(targetId) {
+  return emulationStates.load(targetId);
+}
+
+export function saveDownloadState(targetId, downloads) {
+  downloadStates.save(targetId, downloads);
+}
+
+export function loadDownloadState(targetId) {
+  return downloadStates.load(targetId);
+}
+
+function loadTabRegistry() {
+  try {
+    if (fs.existsSync(TAB_REGISTRY_PATH)) {
+      return JSON.parse(fs.readFileSync(TAB_REGISTRY_PATH, 'utf8'));
+    }
+  } catch (e) {
+    // Ignore errors, start fresh
+  }
+  return { tabs: {}, nextId: 1 };
+}
+
+function saveTabRegistry(registry) {
+  try {
+    // Owner-only: entries can carry HTTP credentials
+    fs.writeFileSync(TAB_REGISTRY_PATH, JSON.stringify(registry, null, 2), { mode: 0o600 });
+    fs.chmodSync(TAB_REGISTRY_PATH, 0o600);
+  } catch (e) {
+    // Ignore errors
+  }
+}
+
+export function registerTab(targetId, host = 'localhost', port = 9222, context = null) {
+  const registry = loadTabRegistry();
+
+  // Check if already registered
+  for (const [alias, entry] of Object.entries(registry.tabs)) {
+    const existingTargetId = typeof entry === 'string' ? entry : entry.targetId;
+    if (existingTargetId === targetId) return alias;
+  }
+
+  // Assign new alias
+  const alias = `t${registry.nextId}`;
+  registry.tabs[alias] = context ? { targetId, host, port, context } : { targetId, host, port };
+  registry.nextId++;
+  saveTabRegistry(registry);
+  return alias;
+}
+
+export function resolveTabEntry(aliasOrTargetId) {
+  if (!aliasOrTargetId) return null;
+
+  // If it looks like a full targetId (32 hex chars), return with defaults
+  if (/^[A-F0-9]{32}$/i.test(aliasOrTargetId)) {
+    return { targetId: aliasOrTargetId, host: 'localhost', port: 9222 };
+  }
+
+  const registry = loadTabRegistry();
+  const entry = registry.tabs[aliasOrTargetId];
+  if (!entry) return null;
+
+  // Defensive: handle stale registry files with string entries
+  if (typeof entry === 'string') {
+    return { targetId: entry, host: 'localhost', port: 9222 };
+  }
+
+  return { targetId: entry.targetId, host: entry.host || 'localhost', port: entry.port || 9222 };
+}
+
+export function resolveTabAlias(aliasOrTargetId) {
+  if (!aliasOrTargetId) return null;
+
+  // If it looks like a full targetId (32 hex chars), return as-is
+  if (/^[A-F0-9]{32}$/i.test(aliasOrTargetId)) {
+    return aliasOrTargetId;
+  }
+
+  // Try to resolve alias
+  const registry = loadTabRegistry();
+  const entry = registry.tabs[aliasOrTargetId];
+  if (!entry) return aliasOrTargetId;
+
+  // Defensive: handle stale registry files with string entries
+  return typeof entry === 'string' ? entry : entry.targetId;
+}
+
+export function unregisterTab(targetId) {
+  const registry = loadTabRegistry();
+  for (const [alias, entry] of Object.entries(registry.tabs)) {
+    const existingTargetId = typeof entry === 'string' ? entry : entry.targetId;
+    if (existingTargetId === targetId) {
+      delete registry.tabs[alias];
+      saveTabRegistry(registry);
+      for (const store of [frameStates, routeStates, dialogStates, emulationStates, downloadStates]) {
+        store.clear(targetId);
+      }
+      return alias;
+    }
+  }
+  return null;
+}
+
+export function saveHttpSettings(targetId, settings) {
+  const registry = loadTabRegistry();
+  for (const entry of Object.values(registry.tabs)) {
+    if (typeof entry === 'object' && entry.targetId === targetId) {
+      if (Object.values(settings).every(value => value === null)) {
+        delete entry.http;
+      } else {
+        entry.http = settings;
+      }
+      saveTabRegistry(registry);
+      return;
+    }
+  }
+}
+
+export function loadHttpSettings(targetId) {
+  const registry = loadTabRegistry();
+  for (const entry of Object.values(registry.tabs)) {
+    if (typeof entry === 'object' && entry.targetId === targetId) {
+      return entry.http || null;
+    }
+  }
+  return null;
+}
+
+export function saveBrowserContext(name, browserContextId, host = 'localhost', port = 9222) {
+  const registry = loadTabRegistry();
+  registry.contexts = { ...registry.contexts, [name]: { browserContextId, host, port } };
+  saveTabRegistry(registry);
+}
+
+export function resolveBrowserContext(name) {
+  const registry = loadTabRegistry();
+  return (registry.contexts && registry.contexts[name]) || null;
+}
+
+export function getTabBrowserContext(targetId) {
+  const registry = loadTabRegistry();
+  for (const entry of Object.values(registry.tabs)) {
+    if (typeof entry === 'object' && entry.targetId === targetId) {
+      const context = entry.context && registry.contexts ? registry.contexts[entry.context] : null;
+      return context ? { name: entry.context, browserContextId: context.browserContextId } : null;
+    }
+  }
+  return null;
+}
+
+export function unregisterBrowserContext(name) {
+  const registry = loadTabRegistry();
+  const closed = [];
+  for (const [alias, entry] of Object.entries(registry.tabs)) {
+    if (typeof entry === 'object' && entry.context === name) {
+      closed.push({ alias, targetId: entry.targetId });
+    }
+  }
+  // unregisterTab saves the registry per tab, so drop the context entry afterwards
+  for (const { targetId } of closed) {
+    unregisterTab(targetId);
+  }
+  const remaining = loadTabRegistry();
+  if (remaining.contexts) {
+    delete remaining.contexts[name];
+    saveTabRegistry(remaining);
+  }
+  return closed;
+}
+
+export function getTabAlias(targetId) {
+  const registry = loadTabRegistry();
+  for (const [alias, entry] of Object.entries(registry.tabs)) {
+    const existingTargetId = typeof entry === 'string' ? entry : entry.targetId;
+    if (existingTargetId === targetId) return alias;
+  }
+  return null;
+}
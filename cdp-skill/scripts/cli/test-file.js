@@ -0,0 +1,252 @@
+/**
+ * Test File Module
+ * Runs cdp-bench style `.test.json` files without an agent in the loop: opens the
+ * test URL in a fresh tab, runs a scripted `steps` array through runSteps, then
+ * verifies each milestone against the live page and scores weighted completion.
+ *
+ * Steps come from the test file's own `steps` array, or from a separate steps
+ * file (a JSON array, or an object with a `steps` array, e.g. a `record` output)
+ * that overrides it.
+ *
+ * PUBLIC EXPORTS:
+ * - collectTestFiles(paths) - Expand files/directories into .test.json paths
+ * - loadTestFile(filePath) - Read and validate a test definition
+ * - loadStepsFile(filePath) - Read a scripted steps file
+ * - runTestFile(testDef, pool, options?) - Run one test, returns its result
+ * - runTestFiles(filePaths, options?) - Run several tests, returns a summary (and writes JUnit XML)
+ *
+ * @module cdp-skill/cli/test-file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { runSteps } from '../runner/index.js';
+import { createMilestoneVerifier } from '../runner/milestone-verifier.js';
+import { formatJUnitXml } from '../runner/junit-reporter.js';
+import { createConnectionPool } from './request.js';
+import { registerTab, unregisterTab } from './tab-state.js';
+
+const DEFAULT_MIN_COMPLETION = 0.5;
+
+/**
+ * Expand files and directories into a sorted list of .test.json paths
+ * @param {string[]} paths - Files or directories
+ * @returns {string[]}
+ */
+export function collectTestFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    const resolved = path.resolve(p);
+    if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+      const entries = fs.readdirSync(resolved)
+        .filter(f => f.endsWith('.test.json'))
+        .sort()
+        .map(f => path.join(resolved, f));
+      files.push(...entries);
+    } else {
+      files.push(resolved);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read and validate a test definition
+ * @param {string} filePath - Path to a .test.json file
+ * @returns {Object} Test definition
+ */
+export function loadTestFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Test file not found: ${filePath}`);
+  }
+  let testDef;
+  try {
+    testDef = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+  }
+  if (!testDef || typeof testDef !== 'object') {
+    throw new Error(`Test file must contain a JSON object: ${filePath}`);
+  }
+  if (!testDef.url || typeof testDef.url !== 'string') {
+    throw new Error(`Test file is missing "url": ${filePath}`);
+  }
+  if (!Array.isArray(testDef.milestones)) {
+    throw new Error(`Test file is missing a "milestones" array: ${filePath}`);
+  }
+  return {
+    ...testDef,
+    id: testDef.id || path.basename(filePath, '.test.json')
+  };
+}
+
+/**
+ * Read a scripted steps file
+ * A leading newTab step (as written by `record`) is dropped: each test opens its own tab at `url`.
+ * @param {string} filePath - JSON file containing an array of steps or {steps: [...]}
+ * @returns {Array<Object>} Steps
+ */
+export function loadStepsFile(filePath) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read steps file ${filePath}: ${err.message}`);
+  }
+  const steps = Array.isArray(content) ? content : content?.steps;
+  if (!Array.isArray(steps)) {
+    throw new Error(`Steps file must contain an array of steps or {"steps": [...]}: ${filePath}`);
+  }
+  return steps[0]?.newTab !== undefined ? steps.slice(1) : steps;
+}
+
+/**
+ * Run one test definition in a fresh tab
+ *
+ * The tab is closed afterwards. Step failures stop the script but milestones are
+ * still verified, so partial progress is scored the same way the validator does.
+ *
+ * @param {Object} testDef - Test definition from loadTestFile()
+ * @param {Object} pool - Connection pool from createConnectionPool()
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.steps] - Scripted steps (default: testDef.steps)
+ * @param {string} [options.file] - Test file path (reported in results)
+ * @param {string} [options.host='localhost'] - Chrome host
+ * @param {number} [options.port=9222] - Chrome debugging port
+ * @param {boolean} [options.headless=false] - Launch Chrome headless if it is not running
+ * @param {number} [options.timeout=30000] - Step timeout in ms
+ * @param {number} [options.minCompletion=0.5] - Completion needed for status "pass"
+ * @returns {Promise<Object>} Test result
+ */
+export async function runTestFile(testDef, pool, options = {}) {
+  const {
+    file,
+    host = 'localhost',
+    port = 9222,
+    headless = false,
+    timeout = 30000,
+    minCompletion = DEFAULT_MIN_COMPLETION
+  } = options;
+  const steps = options.steps || testDef.steps;
+  const startTime = Date.now();
+  const base = { testId: testDef.id, file, category: testDef.category };
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return {
+      ...base,
+      status: 'error',
+      completion: 0,
+      error: 'No scripted steps: add a "steps" array to the test file or pass --steps <file>',
+      durationMs: 0
+    };
+  }
+
+  let browser = null;
+  let targetId = null;
+  try {
+    browser = await pool.getBrowser(host, port, { timeout, headless });
+    const session = await browser.newPage('about:blank');
+    targetId = session.targetId;
+    const tabAlias = registerTab(targetId, host, port);
+    const tab = await pool.getTab(browser, { session }, host, port);
+
+    const stepsStart = Date.now();
+    const result = await runSteps(tab.deps, [{ goto: testDef.url }, ...steps], {
+      stopOnError: true,
+      stepTimeout: timeout,
+      targetId,
+      tabAlias
+    });
+    const stepsMs = Date.now() - stepsStart;
+
+    const verification = await createMilestoneVerifier(session).verifyMilestones(testDef.milestones);
+
+    const output = {
+      ...base,
+      status: verification.completion >= minCompletion ? 'pass' : 'fail',
+      completion: verification.completion,
+      milestones: verification.milestones,
+      steps: result.steps.length,
+      stepsMs,
+      durationMs: Date.now() - startTime
+    };
+    if (result.errors.length > 0) {
+      output.errors = result.errors;
+    }
+    return output;
+  } catch (err) {
+    return {
+      ...base,
+      status: 'error',
+      completion: 0,
+      error: err.message || String(err),
+      durationMs: Date.now() - startTime
+    };
+  } finally {
+    if (targetId) {
+      await pool.forgetTab(targetId);
+      try { await browser.closePage(targetId); } catch (e) { /* tab already gone */ }
+      unregisterTab(targetId);
+    }
+  }
+}
+
+/**
+ * Run several test files and summarize
+ * @param {string[]} filePaths - Test files (see collectTestFiles)
+ * @param {Object} [options] - runTestFile options, plus:
+ * @param {string} [options.stepsFile] - Steps file applied to every test
+ * @param {string} [options.junit] - Write JUnit XML to this path
+ * @returns {Promise<Object>} Summary {status, tests, passed, failed, avgCompletion, junit?, results}
+ */
+export async function runTestFiles(filePaths, options = {}) {
+  const { stepsFile, junit, ...runOptions } = options;
+  const steps = stepsFile ? loadStepsFile(path.resolve(stepsFile)) : undefined;
+  const pool = createConnectionPool();
+  const results = [];
+
+  try {
+    for (const file of filePaths) {
+      let testDef;
+      try {
+        testDef = loadTestFile(file);
+      } catch (err) {
+        results.push({
+          testId: path.basename(file, '.test.json'),
+          file,
+          status: 'error',
+          completion: 0,
+          error: err.message,
+          durationMs: 0
+        });
+        continue;
+      }
+      results.push(await runTestFile(testDef, pool, { ...runOptions, steps, file }));
+    }
+  } finally {
+    await pool.release();
+  }
+
+  const passed = results.filter(r => r.status === 'pass').length;
+  const avgCompletion = results.length > 0
+    ? results.reduce((sum, r) => sum + r.completion, 0) / results.length
+    : 0;
+
+  const summary = {
+    status: results.length > 0 && passed === results.length ? 'ok' : 'error',
+    tests: results.length,
+    passed,
+    failed: results.length - passed,
+    avgCompletion: Math.round(avgCompletion * 1000) / 1000,
+    results
+  };
+
+  if (junit) {
+    const junitPath = path.resolve(junit);
+    fs.mkdirSync(path.dirname(junitPath), { recursive: true });
+    fs.writeFileSync(junitPath, formatJUnitXml(results));
+    summary.junit = junitPath;
+  }
+
+  return summary;
+}
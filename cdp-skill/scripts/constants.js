@@ -17,6 +17,7 @@ export const TIMEOUTS = {
   DEFAULT: 10000,        // 10 seconds - default for actionability
   NETWORK_IDLE: 500,     // network idle threshold
   STABILITY: 50,         // DOM stability check
+  DOWNLOAD_SETTLE: 5000, // downloads started by a click
 };
 
 export const POLL_INTERVALS = {
@@ -0,0 +1,367 @@
+/**
+ * TypeScript Declarations
+ * Generates the .d.ts files shipped next to the Session API, so they cannot
+ * drift from their sources:
+ * - types.d.ts from the JSDoc @typedef blocks in types.js
+ * - session.d.ts from the step registry schemas (one typed method per step)
+ *
+ * Run `npm run build:types` after changing types.js or a STEP_CONFIG schema;
+ * the Declarations tests fail while the checked-in files are stale.
+ *
+ * PUBLIC EXPORTS:
+ * - jsdocTypeToTs(type) → string - Convert a JSDoc type expression to TypeScript
+ * - schemaToTs(schema, indent?) → string - Convert a registry JSON Schema to a TypeScript type
+ * - generateTypeDeclarations(source) → string - types.d.ts content from types.js source
+ * - generateSessionDeclarations() → string - session.d.ts content from the step registry
+ * - writeDeclarations(dir?) → string[] - Write both files, returns their paths
+ *
+ * DEPENDENCIES:
+ * - ./runner/step-registry.js: getAllStepTypes
+ * - ./runner/step-schema.js: getStepSchema, checkSchema
+ *
+ * @module cdp-skill/declarations
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getAllStepTypes } from './runner/step-registry.js';
+import { getStepSchema, checkSchema } from './runner/step-schema.js';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function header(source) {
+  return `// Generated from ${source} by \`npm run build:types\`. Do not edit.\n`;
+}
+
+function docComment(text, indent) {
+  return `${indent}/** ${text.replace(/\*\//g, '*\\/')} */`;
+}
+
+function propertyKey(key) {
+  return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Find the bracket matching the opening bracket at `start`
+ * @returns {number} Index of the closing bracket
+ */
+function matchBracket(text, start) {
+  const pairs = { '(': ')', '{': '}', '<': '>', '[': ']' };
+  const stack = [];
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (pairs[ch]) {
+      stack.push(pairs[ch]);
+    } else if (ch === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  throw new Error(`Unbalanced type expression: ${text}`);
+}
+
+/**
+ * Split on a separator outside brackets
+ * @returns {string[]}
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if ('({<['.includes(ch)) depth++;
+    if (')}>]'.includes(ch)) depth--;
+    if (ch === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Convert a JSDoc type expression to TypeScript
+ * `function(string, Object=): Promise<void>` becomes an arrow type, `Object` a
+ * record, a bare `Array` any[] and `*` any; everything else (unions, generics, literals, object
+ * literals) is already TypeScript syntax.
+ * @param {string} type - JSDoc type expression
+ * @returns {string} TypeScript type
+ */
+export function jsdocTypeToTs(type) {
+  let out = '';
+  let i = 0;
+  while (i < type.length) {
+    const rest = type.slice(i);
+    const wordBoundary = !/[\w$.]/.test(type[i - 1] || '');
+
+    if (wordBoundary && /^function(?![\w$])/.test(rest)) {
+      i += 'function'.length;
+      if (type[i] !== '(') {
+        out += '((...args: any[]) => any)';
+        continue;
+      }
+      const close = matchBracket(type, i);
+      const args = splitTopLevel(type.slice(i + 1, close), ',').map(arg => arg.trim()).filter(Boolean);
+      i = close + 1;
+
+      let returns = 'void';
+      const colon = /^\s*:\s*/.exec(type.slice(i));
+      if (colon) {
+        i += colon[0].length;
+        // The return type runs to the next top-level separator
+        let end = i;
+        let depth = 0;
+        while (end < type.length) {
+          const ch = type[end];
+          if ('({<['.includes(ch)) depth++;
+          if (')}>]'.includes(ch)) {
+            if (depth === 0) break;
+            depth--;
+          }
+          if ((ch === ',' || ch === '|') && depth === 0) break;
+          end++;
+        }
+        returns = jsdocTypeToTs(type.slice(i, end).trim());
+        i = end;
+      }
+
+      const params = args.map((arg, index) => {
+        const optional = arg.endsWith('=');
+        return `arg${index}${optional ? '?' : ''}: ${jsdocTypeToTs(optional ? arg.slice(0, -1) : arg)}`;
+      });
+      out += `((${params.join(', ')}) => ${returns})`;
+      continue;
+    }
+
+    if (wordBoundary && /^Object(?![\w$])/.test(rest)) {
+      out += 'Record<string, any>';
+      i += 'Object'.length;
+      continue;
+    }
+
+    if (wordBoundary && /^Array(?![\w$<])/.test(rest)) {
+      out += 'any[]';
+      i += 'Array'.length;
+      continue;
+    }
+
+    if (type[i] === '*') {
+      out += 'any';
+      i++;
+      continue;
+    }
+
+    out += type[i];
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Read a `{...}` type expression starting at `start`
+ * @returns {{type: string, end: number}}
+ */
+function readBracedType(text, start) {
+  const open = text.indexOf('{', start);
+  const close = matchBracket(text, open);
+  return { type: text.slice(open + 1, close).trim(), end: close + 1 };
+}
+
+/**
+ * Parse the @typedef blocks of a JSDoc source file
+ * @param {string} source - File content
+ * @returns {Array<{name: string, type: string, description: string, properties: Array<Object>}>}
+ */
+function parseTypedefs(source) {
+  const typedefs = [];
+  for (const [, body] of source.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+    const text = body.split('\n').map(line => line.replace(/^\s*\* ?/, '')).join('\n');
+    const typedefAt = text.indexOf('@typedef');
+    if (typedefAt === -1) continue;
+
+    const description = text.slice(0, text.indexOf('@')).trim().replace(/\s*\n\s*/g, ' ');
+    const typedef = readBracedType(text, typedefAt);
+    const name = /^\s*(\w+)/.exec(text.slice(typedef.end))[1];
+
+    const properties = [];
+    let at = text.indexOf('@property', typedef.end);
+    while (at !== -1) {
+      const prop = readBracedType(text, at);
+      const next = text.indexOf('@property', prop.end);
+      const rest = text.slice(prop.end, next === -1 ? undefined : next).trim().replace(/\s*\n\s*/g, ' ');
+      const match = /^(\[([\w$]+)(?:=[^\]]*)?\]|[\w$]+)\s*(?:-\s*)?(.*)$/.exec(rest);
+      properties.push({
+        name: match[2] || match[1],
+        optional: match[2] !== undefined,
+        type: prop.type,
+        description: match[3]
+      });
+      at = next;
+    }
+    typedefs.push({ name, type: typedef.type, description, properties });
+  }
+  return typedefs;
+}
+
+/**
+ * Generate declarations for the @typedef blocks of a JSDoc source file
+ * @param {string} source - Content of types.js
+ * @returns {string} types.d.ts content
+ */
+export function generateTypeDeclarations(source) {
+  const blocks = parseTypedefs(source).map(({ name, type, description, properties }) => {
+    const lines = description ? [docComment(description, '')] : [];
+    if (type === 'Object' && properties.length > 0) {
+      lines.push(`export interface ${name} {`);
+      for (const prop of properties) {
+        if (prop.description) lines.push(docComment(prop.description, '  '));
+        lines.push(`  ${propertyKey(prop.name)}${prop.optional ? '?' : ''}: ${jsdocTypeToTs(prop.type)};`);
+      }
+      lines.push('}');
+    } else {
+      lines.push(`export type ${name} = ${jsdocTypeToTs(type)};`);
+    }
+    return lines.join('\n');
+  });
+  return `${header('scripts/types.js')}\n${blocks.join('\n\n')}\n`;
+}
+
+function describe(schema) {
+  const text = schema.description || '';
+  if (schema.default === undefined || /default/i.test(text)) return text;
+  const value = JSON.stringify(schema.default);
+  return text ? `${text} (default ${value})` : `Default ${value}`;
+}
+
+function typeToTs(type, schema, indent) {
+  switch (type) {
+    case 'string':
+    case 'boolean':
+    case 'null':
+      return type;
+    case 'number':
+    case 'integer':
+      return 'number';
+    case 'array':
+      return schema.items ? `Array<${schemaToTs(schema.items, indent)}>` : 'any[]';
+    case 'object': {
+      const properties = Object.entries(schema.properties || {});
+      const extra = schema.additionalProperties && typeof schema.additionalProperties === 'object'
+        ? schemaToTs(schema.additionalProperties, indent)
+        : null;
+      if (properties.length === 0) {
+        return `Record<string, ${extra || 'any'}>`;
+      }
+      const inner = `${indent}  `;
+      const required = schema.required || [];
+      const lines = ['{'];
+      for (const [key, prop] of properties) {
+        const doc = describe(prop);
+        if (doc) lines.push(docComment(doc, inner));
+        lines.push(`${inner}${propertyKey(key)}${required.includes(key) ? '' : '?'}: ${schemaToTs(prop, inner)};`);
+      }
+      if (extra) lines.push(`${inner}[key: string]: any;`);
+      lines.push(`${indent}}`);
+      return lines.join('\n');
+    }
+    default:
+      return 'any';
+  }
+}
+
+/**
+ * Convert a registry JSON Schema to a TypeScript type
+ * Nested step arrays ($defs/steps) become Step[].
+ * @param {Object} schema - JSON Schema (registry subset)
+ * @param {string} [indent] - Indentation of the line the type starts on
+ * @returns {string} TypeScript type
+ */
+export function schemaToTs(schema, indent = '') {
+  if (schema.$ref) {
+    return schema.$ref === '#/$defs/steps' ? 'Step[]' : 'any';
+  }
+  if (schema.anyOf) {
+    return [...new Set(schema.anyOf.map(option => schemaToTs(option, indent)))].join(' | ');
+  }
+  if (schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+  if (schema.enum) {
+    return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  }
+  const types = [].concat(schema.type || []);
+  if (types.length === 0) return 'any';
+  return types.map(type => typeToTs(type, schema, indent)).join(' | ');
+}
+
+/**
+ * Generate the Session API declarations from the step registry
+ * @returns {string} session.d.ts content
+ */
+export function generateSessionDeclarations() {
+  const stepTypes = getAllStepTypes();
+  const lines = [
+    header('scripts/runner/step-registry.js'),
+    "import type { SessionOptions, SessionBase, StepCallOptions, RequestResponse } from './types.js';",
+    '',
+    "export type { SessionOptions, SessionBase, StepCallOptions, RequestResponse } from './types.js';",
+    '',
+    '/** Value of each step type */',
+    'export interface StepParams {'
+  ];
+  for (const name of stepTypes) {
+    const schema = getStepSchema(name) || {};
+    if (schema.description) lines.push(docComment(schema.description, '  '));
+    lines.push(`  ${propertyKey(name)}: ${schemaToTs(schema, '  ')};`);
+  }
+  lines.push('}', '');
+
+  lines.push(
+    '/** One step of a request: a single step-type key, plus `optional` */',
+    'export type Step = { [K in keyof StepParams]: { [P in K]: StepParams[K] } & { optional?: boolean } }[keyof StepParams];',
+    '',
+    '/** One method per step type; each runs that step in the session\'s tab */',
+    'export interface StepMethods {'
+  );
+  for (const name of stepTypes) {
+    const schema = getStepSchema(name) || {};
+    // The value defaults to true, so it can be omitted wherever true is valid
+    const optional = checkSchema(true, schema, name).length === 0;
+    if (schema.description) lines.push(docComment(schema.description, '  '));
+    lines.push(`  ${propertyKey(name)}(params${optional ? '?' : ''}: StepParams[${JSON.stringify(name)}], options?: StepCallOptions): Promise<RequestResponse>;`);
+  }
+  lines.push('}', '');
+
+  lines.push(
+    '/** Session client: run(), close(), tab and one method per step type */',
+    'export type Session = SessionBase & StepMethods;',
+    '',
+    '/** Open a new tab (or attach to options.tab) and return a session bound to it */',
+    'export function createSession(options?: SessionOptions): Promise<Session>;',
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Write types.d.ts and session.d.ts
+ * @param {string} [dir] - Output directory (default: the scripts directory)
+ * @returns {string[]} Written file paths
+ */
+export function writeDeclarations(dir = SCRIPTS_DIR) {
+  const typesSource = fs.readFileSync(path.join(SCRIPTS_DIR, 'types.js'), 'utf8');
+  const files = [
+    [path.join(dir, 'types.d.ts'), generateTypeDeclarations(typesSource)],
+    [path.join(dir, 'session.d.ts'), generateSessionDeclarations()]
+  ];
+  for (const [file, content] of files) {
+    fs.writeFileSync(file, content);
+  }
+  return files.map(([file]) => file);
+}
@@ -50,6 +50,13 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
     return params;
   }
 
+  // Refs in out-of-process iframes are evaluated in the frame's own session
+  function sendRefEval(frameSession, expression, returnByValue = true) {
+    return frameSession
+      ? frameSession.send('Runtime.evaluate', { expression, returnByValue })
+      : session.send('Runtime.evaluate', frameEvalParams(expression, returnByValue));
+  }
+
   function calculateVisibleCenter(box, viewport = null) {
     let visibleBox = { ...box };
 
@@ -82,16 +89,19 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
    * @param {number} [options.timeout=5000] - Max wait time in ms
    * @param {number} [options.stableTime=500] - Time with no changes to consider stable
    * @param {boolean} [options.checkNavigation=true] - Also check for URL changes
+   * @param {Object} [options.frameSession] - Watch an out-of-process iframe instead of the current frame
    * @returns {Promise<Object>} Content change result
    */
   async function detectContentChange(options = {}) {
     const {
       timeout = 5000,
       stableTime = 500,
-      checkNavigation = true
+      checkNavigation = true,
+      frameSession = null
     } = options;
+    const watchedSession = frameSession || session;
 
-    const urlBefore = checkNavigation ? await getCurrentUrl(session) : null;
+    const urlBefore = checkNavigation ? await getCurrentUrl(watchedSession) : null;
 
     const detectExpr = `
         (function() {
@@ -150,15 +160,15 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
           });
         })()
       `;
-    const detectParams = frameEvalParams(detectExpr, true);
+    const detectParams = frameSession ? { expression: detectExpr, returnByValue: true } : frameEvalParams(detectExpr, true);
     detectParams.awaitPromise = true;
-    const result = await session.send('Runtime.evaluate', detectParams);
+    const result = await watchedSession.send('Runtime.evaluate', detectParams);
 
     const changeResult = result.result.value || { type: 'none', changeCount: 0 };
 
     // Check for navigation
     if (checkNavigation) {
-      const urlAfter = await getCurrentUrl(session);
+      const urlAfter = await getCurrentUrl(watchedSession);
       if (urlAfter !== urlBefore) {
         return {
           type: 'navigation',
@@ -424,8 +434,8 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
     }
   `;
 
-  async function executeJsClickOnRef(ref) {
-    const result = await session.send('Runtime.evaluate', frameEvalParams(`
+  async function executeJsClickOnRef(ref, frameSession = null) {
+    const result = await sendRefEval(frameSession, `
         (function() {
           ${LAZY_RESOLVE_SCRIPT}
 
@@ -444,7 +454,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
           el.click();
           return { success: true };
         })()
-      `, true));
+      `, true);
 
     const value = result.result.value || {};
     if (!value.success) {
@@ -537,11 +547,12 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
   }
 
   async function addNavigationAndDebugInfo(result, urlBeforeClick, debugData, opts) {
-    const { waitForNavigation = false, navigationTimeout = 100, debug = false, waitAfter = false, waitAfterOptions = {} } = opts;
+    const { waitForNavigation = false, navigationTimeout = 100, debug = false, waitAfter = false, waitAfterOptions = {}, frameSession = null } = opts;
 
     if (waitForNavigation) {
       const navResult = await detectNavigation(session, urlBeforeClick, navigationTimeout);
-      result.navigated = navResult.navigated;
+      // Keep a navigation that was already seen during the click
+      result.navigated = result.navigated || navResult.navigated;
       if (navResult.newUrl) {
         result.newUrl = navResult.newUrl;
       }
@@ -552,7 +563,8 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
       const changeResult = await detectContentChange({
         timeout: waitAfterOptions.timeout || 5000,
         stableTime: waitAfterOptions.stableTime || 500,
-        checkNavigation: true
+        checkNavigation: true,
+        frameSession
       });
       result.waitResult = changeResult;
     }
@@ -590,7 +602,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
 
   let clickVerifyCounter = 0;
 
-  async function clickWithVerificationByRef(ref, x, y) {
+  async function clickWithVerificationByRef(ref, x, y, frameSession = null) {
     // Use pointerdown for verification instead of click.
     // React re-renders between mousedown and click, destroying the original DOM node.
     // pointerdown fires synchronously before any re-render.
@@ -598,7 +610,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
     // LAZY RESOLUTION: Always resolve ref from metadata, never rely on cached element.
     const verifyKey = `__clickVerify_${++clickVerifyCounter}`;
 
-    await session.send('Runtime.evaluate', frameEvalParams(`
+    await sendRefEval(frameSession, `
         (function() {
           ${LAZY_RESOLVE_SCRIPT}
 
@@ -617,7 +629,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
             document.addEventListener('pointerdown', el.__docHandler, { capture: true, once: true });
           }
         })()
-      `, false));
+      `, false);
 
     try {
       await inputEmulator.click(x, y);
@@ -625,7 +637,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
     } catch (clickError) {
       // Cleanup listeners on click failure
       try {
-        await session.send('Runtime.evaluate', frameEvalParams(`
+        await sendRefEval(frameSession, `
             (function() {
               const el = window[${JSON.stringify(verifyKey)}];
               delete window[${JSON.stringify(verifyKey)}];
@@ -636,7 +648,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
               delete el.__ptrHandler;
               delete el.__docHandler;
             })()
-          `, true));
+          `, true);
       } catch { /* ignore cleanup errors */ }
       throw clickError;
     }
@@ -644,7 +656,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
     // Check if pointerdown was received
     let verifyResult;
     try {
-      verifyResult = await session.send('Runtime.evaluate', frameEvalParams(`
+      verifyResult = await sendRefEval(frameSession, `
           (function() {
             const el = window[${JSON.stringify(verifyKey)}];
             delete window[${JSON.stringify(verifyKey)}];
@@ -657,7 +669,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
             delete el.__docHandler;
             return { targetReceived: received };
           })()
-        `, true));
+        `, true);
     } catch (verifyError) {
       // Context destroyed during verification means click likely triggered navigation
       // Treat as successful click with navigation
@@ -670,9 +682,49 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
     return verifyResult.result.value || { targetReceived: false };
   }
 
-  async function clickByRef(ref, jsClick = false, opts = {}) {
-    const { force = false, debug = false, nativeOnly = false, waitForNavigation, navigationTimeout = 100, waitAfter = false, waitAfterOptions = {} } = opts;
+  /**
+   * Locate a ref that lives in an out-of-process iframe. The element is
+   * resolved and scrolled in the frame's own session; its box comes back in
+   * page coordinates, where mouse events are routed into the frame.
+   * @returns {Promise<{refInfo?: Object, result?: Object}>} refInfo, or a finished result
+   */
+  async function locateFrameRef(ref, frameSession, force) {
+    const scrolled = await frameSession.send('Runtime.evaluate', {
+      expression: `(function() {
+        ${LAZY_RESOLVE_SCRIPT}
+        const el = lazyResolveRef(${JSON.stringify(ref)});
+        if (!el) return false;
+        el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+        return true;
+      })()`,
+      returnByValue: true
+    });
+    if (!scrolled.result?.value) {
+      throw elementNotFoundError(`ref:${ref}`, 0);
+    }
+    await sleep(100);
+
+    const refInfo = await ariaSnapshot.getElementByRef(ref);
+    if (!refInfo || refInfo.stale) {
+      throw elementNotFoundError(`ref:${ref}`, 0);
+    }
+    if (!force && refInfo.isVisible === false) {
+      return {
+        result: {
+          clicked: false,
+          warning: `Element ref:${ref} exists but is not visible. It may be hidden or have zero dimensions.`
+        }
+      };
+    }
+    return { refInfo };
+  }
 
+  /**
+   * Locate a ref in the current frame, scrolling it into view when needed.
+   * Hidden radio/checkbox inputs are clicked through their label right away.
+   * @returns {Promise<{refInfo?: Object, result?: Object}>} refInfo, or a finished result
+   */
+  async function locatePageRef(ref, force) {
     // LAZY RESOLUTION: Always resolve ref from metadata, never rely on cached element
     // This eliminates stale element errors entirely
     const resolved = await lazyResolver.resolveRef(ref);
@@ -758,18 +810,22 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
         const navigated = urlAfter !== urlBefore;
 
         return {
-          clicked: true,
-          method: 'label-proxy',
-          ref,
-          warning: `Element ref:${ref} is a hidden radio/checkbox input. Clicked associated label instead.`,
-          navigated
+          result: {
+            clicked: true,
+            method: 'label-proxy',
+            ref,
+            warning: `Element ref:${ref} is a hidden radio/checkbox input. Clicked associated label instead.`,
+            navigated
+          }
         };
       }
 
       // No label found or element isn't radio/checkbox — return original error
       return {
-        clicked: false,
-        warning: `Element ref:${ref} exists but is not visible. It may be hidden or have zero dimensions.`
+        result: {
+          clicked: false,
+          warning: `Element ref:${ref} exists but is not visible. It may be hidden or have zero dimensions.`
+        }
       };
     }
 
@@ -802,7 +858,23 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
       }
     }
 
+    return { refInfo };
+  }
+
+  async function clickByRef(ref, jsClick = false, opts = {}) {
+    const { force = false, debug = false, nativeOnly = false, waitForNavigation, navigationTimeout = 100, waitAfter = false, waitAfterOptions = {} } = opts;
+
+    const frameSession = ariaSnapshot?.getRefSession ? await ariaSnapshot.getRefSession(ref) : null;
+    const located = frameSession
+      ? await locateFrameRef(ref, frameSession, force)
+      : await locatePageRef(ref, force);
+    if (located.result) {
+      return located.result;
+    }
+    const { refInfo } = located;
+
     const urlBeforeClick = await getCurrentUrl(session);
+    const frameUrlBeforeClick = frameSession ? await getCurrentUrl(frameSession) : null;
 
     const point = calculateVisibleCenter(refInfo.box);
 
@@ -814,11 +886,18 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
     let usedMethod = 'cdp';
     let targetReceived = true;
 
+    // Navigation inside an out-of-process iframe leaves the page URL unchanged
+    async function checkFrameNavigation() {
+      if (!frameSession) return null;
+      const frameUrl = await getCurrentUrl(frameSession);
+      return frameUrl !== frameUrlBeforeClick ? { frameUrl } : null;
+    }
+
     // Check for navigation helper
     async function checkNavigation() {
       try {
         const urlAfterClick = await getCurrentUrl(session);
-        return urlAfterClick !== urlBeforeClick;
+        return urlAfterClick !== urlBeforeClick || (await checkFrameNavigation()) !== null;
       } catch {
         // If we can't get URL, page likely navigated
         return true;
@@ -830,7 +909,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
     if (jsClick) {
       // User explicitly requested JS click
       try {
-        await executeJsClickOnRef(ref);
+        await executeJsClickOnRef(ref, frameSession);
         usedMethod = 'jsClick';
       } catch (e) {
         // If jsClick fails, check if navigation happened - if so, click worked
@@ -844,7 +923,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
       }
     } else {
       // Perform CDP click with verification
-      const verifyResult = await clickWithVerificationByRef(ref, point.x, point.y);
+      const verifyResult = await clickWithVerificationByRef(ref, point.x, point.y, frameSession);
       targetReceived = verifyResult.targetReceived;
 
       if (!targetReceived && !nativeOnly) {
@@ -858,7 +937,7 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
         if (!navigated) {
           // No navigation, so CDP click genuinely didn't reach target - fallback to jsClick
           try {
-            await executeJsClickOnRef(ref);
+            await executeJsClickOnRef(ref, frameSession);
             usedMethod = 'jsClick-auto';
           } catch (e) {
             // jsClick failed - check if navigation happened during the attempt
@@ -900,23 +979,19 @@ export function createClickExecutor(session, elementLocator, inputEmulator, aria
       } catch {
         // Page still navigating
       }
+      const frameNavigation = await checkFrameNavigation();
+      if (frameNavigation?.frameUrl) result.frameUrl = frameNavigation.frameUrl;
     }
 
-    // Auto-wait after click
-    if (waitAfter) {
-      const changeResult = await detectContentChange({
-        timeout: waitAfterOptions.timeout || 5000,
-        stableTime: waitAfterOptions.stableTime || 500,
-        checkNavigation: true
-      });
-      result.waitResult = changeResult;
-    }
+    await addNavigationAndDebugInfo(result, urlBeforeClick, { point, elementAtPoint }, { waitForNavigation, navigationTimeout, debug, waitAfter, waitAfterOptions, frameSession });
 
-    if (debug) {
-      result.debug = {
-        clickedAt: point,
-        elementHit: elementAtPoint
-      };
+    // The page-level navigation wait above cannot see a frame navigating on its own
+    if (waitForNavigation && !result.frameUrl) {
+      const frameNavigation = await checkFrameNavigation();
+      if (frameNavigation) {
+        result.navigated = true;
+        if (frameNavigation.frameUrl) result.frameUrl = frameNavigation.frameUrl;
+      }
     }
 
     return result;
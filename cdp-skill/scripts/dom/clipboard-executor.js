@@ -0,0 +1,206 @@
+/**
+ * Clipboard Executor
+ * Read and write the system clipboard and paste into the page
+ *
+ * Reading and writing go through navigator.clipboard in the page, so the
+ * caller must have granted clipboard-read/clipboard-write for the origin.
+ * Focus emulation is switched on first because the async clipboard API
+ * rejects while the document is not focused (the normal state of a
+ * background or headless tab).
+ *
+ * Pasting dispatches a ClipboardEvent carrying a DataTransfer of the given
+ * MIME types. Synthetic events have no default action, so when the page does
+ * not handle the paste itself, text/plain is inserted with Input.insertText
+ * the way a native paste would.
+ *
+ * EXPORTS:
+ * - createClipboardExecutor(session, options?) → ClipboardExecutor
+ *   Methods: read, write, paste
+ *
+ * DEPENDENCIES:
+ * - ./LazyResolver.js: createLazyResolver
+ * - ../utils.js: elementNotFoundError, releaseObject
+ */
+
+import { createLazyResolver } from './LazyResolver.js';
+import { elementNotFoundError, releaseObject } from '../utils.js';
+
+// MIME types the async clipboard API can write without the "web " prefix
+export const CLIPBOARD_WRITE_TYPES = ['text/plain', 'text/html', 'image/png'];
+
+const READ_CLIPBOARD_FN = `(async () => {
+  const toBase64 = async (blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  };
+  const data = {};
+  for (const item of await navigator.clipboard.read()) {
+    for (const type of item.types) {
+      const blob = await item.getType(type);
+      data[type] = type.startsWith('text/') ? await blob.text() : await toBase64(blob);
+    }
+  }
+  return data;
+})()`;
+
+// Builds clipboard contents from {mimeType: string}; image/* values are base64
+const BUILD_BLOBS_FN = `(data) => {
+  const parts = {};
+  for (const [type, value] of Object.entries(data)) {
+    parts[type] = type.startsWith('image/')
+      ? new Blob([Uint8Array.from(atob(value), c => c.charCodeAt(0))], { type })
+      : new Blob([value], { type });
+  }
+  return parts;
+}`;
+
+// Runs on the paste target; descends into same-origin iframes (TinyMCE edits inside one)
+const PASTE_FN = `function(data) {
+  let target = this;
+  while (target && target.tagName === 'IFRAME' && target.contentDocument && target.contentDocument.activeElement) {
+    target = target.contentDocument.activeElement;
+  }
+  const transfer = new DataTransfer();
+  for (const [type, value] of Object.entries(data)) {
+    if (type.startsWith('image/')) {
+      const bytes = Uint8Array.from(atob(value), c => c.charCodeAt(0));
+      transfer.items.add(new File([bytes], 'pasted.' + type.split('/')[1], { type }));
+    } else {
+      transfer.setData(type, value);
+    }
+  }
+  if (typeof target.focus === 'function') target.focus();
+  const event = new ClipboardEvent('paste', { clipboardData: transfer, bubbles: true, cancelable: true, composed: true });
+  const notCancelled = target.dispatchEvent(event);
+  return {
+    handled: !notCancelled,
+    editable: !!target.isContentEditable || (target.tagName === 'TEXTAREA') ||
+      (target.tagName === 'INPUT' && !target.readOnly && !target.disabled),
+    tag: target.tagName ? target.tagName.toLowerCase() : null
+  };
+}`;
+
+/**
+ * Create a clipboard executor
+ * @param {Object} session - CDP session
+ * @param {Object} [options] - Configuration options
+ * @param {Function} [options.getFrameContext] - Returns contextId when in a non-main frame
+ * @returns {Object} Clipboard executor interface
+ */
+export function createClipboardExecutor(session, options = {}) {
+  if (!session) throw new Error('CDP session is required');
+
+  const getFrameContext = options.getFrameContext || null;
+  const lazyResolver = createLazyResolver(session, { getFrameContext });
+
+  function evalParams(expression) {
+    const params = { expression, returnByValue: true, awaitPromise: true };
+    if (getFrameContext) {
+      const contextId = getFrameContext();
+      if (contextId) params.contextId = contextId;
+    }
+    return params;
+  }
+
+  async function evaluate(expression, label) {
+    await session.send('Emulation.setFocusEmulationEnabled', { enabled: true });
+    const result = await session.send('Runtime.evaluate', evalParams(expression));
+    if (result.exceptionDetails) {
+      const message = result.exceptionDetails.exception?.description || result.exceptionDetails.text;
+      throw new Error(`Clipboard ${label} failed: ${message}`);
+    }
+    return result.result?.value;
+  }
+
+  /**
+   * Read the clipboard
+   * @returns {Promise<Object>} Map of MIME type → content (text, or base64 for images)
+   */
+  async function read() {
+    return (await evaluate(READ_CLIPBOARD_FN, 'read')) || {};
+  }
+
+  /**
+   * Replace the clipboard contents
+   * @param {Object} data - Map of MIME type → content (text, or base64 for image/png)
+   * @returns {Promise<Array<string>>} MIME types written
+   */
+  async function write(data) {
+    const unsupported = Object.keys(data).filter(type => !CLIPBOARD_WRITE_TYPES.includes(type));
+    if (unsupported.length > 0) {
+      throw new Error(`Clipboard cannot hold ${unsupported.join(', ')} (supported: ${CLIPBOARD_WRITE_TYPES.join(', ')})`);
+    }
+    const expression = `(async () => {
+      const parts = (${BUILD_BLOBS_FN})(${JSON.stringify(data)});
+      await navigator.clipboard.write([new ClipboardItem(parts)]);
+    })()`;
+    await evaluate(expression, 'write');
+    return Object.keys(data);
+  }
+
+  async function resolveTarget(target) {
+    if (target.ref) {
+      const resolved = await lazyResolver.resolveRef(target.ref);
+      if (!resolved) throw elementNotFoundError(`ref:${target.ref}`, 0);
+      return { objectId: resolved.objectId, label: `ref:${target.ref}` };
+    }
+    if (target.selector) {
+      const resolved = await lazyResolver.resolveSelector(target.selector);
+      if (!resolved) throw elementNotFoundError(target.selector, 0);
+      return { objectId: resolved.objectId, label: target.selector };
+    }
+    const result = await session.send('Runtime.evaluate', {
+      ...evalParams('document.activeElement || document.body'),
+      returnByValue: false,
+      awaitPromise: false
+    });
+    if (!result.result?.objectId) {
+      throw new Error('No focused element to paste into');
+    }
+    return { objectId: result.result.objectId, label: 'focused' };
+  }
+
+  /**
+   * Dispatch a paste event carrying the given data
+   * @param {Object} data - Map of MIME type → content (text, or base64 for image/*)
+   * @param {Object} [target] - {ref} or {selector}; defaults to the focused element
+   * @returns {Promise<Object>} {pasted, target, handledByPage, inserted}
+   */
+  async function paste(data, target = {}) {
+    const { objectId, label } = await resolveTarget(target);
+    let outcome;
+    try {
+      const result = await session.send('Runtime.callFunctionOn', {
+        objectId,
+        functionDeclaration: PASTE_FN,
+        arguments: [{ value: data }],
+        returnByValue: true
+      });
+      if (result.exceptionDetails) {
+        throw new Error(`Paste failed: ${result.exceptionDetails.exception?.description || result.exceptionDetails.text}`);
+      }
+      outcome = result.result.value;
+    } finally {
+      await releaseObject(session, objectId);
+    }
+
+    // Nobody handled it: do what the browser's native paste would have done
+    let inserted = false;
+    if (!outcome.handled && outcome.editable && typeof data['text/plain'] === 'string') {
+      await session.send('Input.insertText', { text: data['text/plain'] });
+      inserted = true;
+    }
+
+    return { pasted: Object.keys(data), target: label, handledByPage: outcome.handled, inserted };
+  }
+
+  return {
+    read,
+    write,
+    paste
+  };
+}
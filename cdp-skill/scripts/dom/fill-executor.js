@@ -10,6 +10,7 @@
  * - ./actionability.js: createActionabilityChecker
  * - ./element-validator.js: createElementValidator
  * - ./react-filler.js: createReactInputFiller
+ * - ./input-emulator.js: createInputEmulator
  * - ../utils.js: sleep, elementNotFoundError, elementNotEditableError, connectionError, releaseObject, resetInputState
  */
 
@@ -17,6 +18,7 @@ import { createActionabilityChecker } from './actionability.js';
 import { createElementValidator } from './element-validator.js';
 import { createReactInputFiller } from './react-filler.js';
 import { createLazyResolver } from './LazyResolver.js';
+import { createInputEmulator } from './input-emulator.js';
 import {
   sleep,
   elementNotFoundError,
@@ -64,15 +66,15 @@ export function createFillExecutor(session, elementLocator, inputEmulator, ariaS
    * When value is "" and clear is true, presses Delete after selectAll
    * to actually remove the selected content (insertText("") is a no-op).
    */
-  async function selectAndFill(value, clear) {
+  async function selectAndFill(value, clear, input = inputEmulator, evaluate = (expression) => session.send('Runtime.evaluate', evalParams(expression, true))) {
     if (clear) {
-      await inputEmulator.selectAll();
+      await input.selectAll();
     }
     if (value === '' && clear) {
       // insertText("") is a no-op in CDP — press Delete to remove selected text
-      await inputEmulator.press('Delete');
+      await input.press('Delete');
       // Dispatch input/change events so frameworks (React, Vue, etc.) react to the clear
-      await session.send('Runtime.evaluate', evalParams(`
+      await evaluate(`
         (function() {
           const el = document.activeElement;
           if (el) {
@@ -80,15 +82,74 @@ export function createFillExecutor(session, elementLocator, inputEmulator, ariaS
             el.dispatchEvent(new Event('change', { bubbles: true, cancelable: true }));
           }
         })()
-      `, true));
+      `);
     } else {
-      await inputEmulator.insertText(String(value));
+      await input.insertText(String(value));
+    }
+  }
+
+  /**
+   * Fill a ref that lives in an out-of-process iframe. The click that focuses
+   * the field goes through the page session at page coordinates; text input
+   * goes to the frame's own session.
+   */
+  async function fillFrameRef(ref, frameSession, value, opts) {
+    const { clear = true, react = false } = opts;
+
+    const resolved = await frameSession.send('Runtime.evaluate', {
+      expression: `(function() {
+        const el = window.__ariaRefs && window.__ariaRefs.get(${JSON.stringify(ref)});
+        if (!el || !el.isConnected) return null;
+        el.scrollIntoView({ block: 'center', behavior: 'instant' });
+        return el;
+      })()`,
+      returnByValue: false
+    });
+    const objectId = resolved.result?.objectId;
+    if (!objectId) {
+      throw elementNotFoundError(`ref:${ref}`, 0);
+    }
+
+    try {
+      const editableCheck = await createElementValidator(frameSession).isEditable(objectId);
+      if (!editableCheck.editable) {
+        throw elementNotEditableError(`ref:${ref}`, editableCheck.reason);
+      }
+
+      if (react) {
+        await createReactInputFiller(frameSession).fillByObjectId(objectId, value);
+        return { filled: true, ref, method: 'react' };
+      }
+
+      await sleep(100);
+      const refInfo = await ariaSnapshot.getElementByRef(ref);
+      if (!refInfo || !refInfo.isVisible) {
+        throw new Error(`Element ref:${ref} exists but is not visible. It may be hidden or have zero dimensions.`);
+      }
+      await inputEmulator.click(refInfo.box.x + refInfo.box.width / 2, refInfo.box.y + refInfo.box.height / 2);
+
+      await frameSession.send('Runtime.callFunctionOn', {
+        objectId,
+        functionDeclaration: `function() { this.focus(); }`
+      });
+
+      await selectAndFill(value, clear, createInputEmulator(frameSession),
+        (expression) => frameSession.send('Runtime.evaluate', { expression, returnByValue: true }));
+
+      return { filled: true, ref, method: 'insertText' };
+    } finally {
+      await releaseObject(frameSession, objectId);
     }
   }
 
   async function fillByRef(ref, value, opts = {}) {
     const { clear = true, react = false } = opts;
 
+    const frameSession = ariaSnapshot?.getRefSession ? await ariaSnapshot.getRefSession(ref) : null;
+    if (frameSession) {
+      return fillFrameRef(ref, frameSession, value, opts);
+    }
+
     // LAZY RESOLUTION: Always resolve ref from metadata, never rely on cached element
     // This eliminates stale element errors entirely
     const resolved = await lazyResolver.resolveRef(ref);
@@ -11,9 +11,11 @@
  * - createElementValidator(session) → ElementValidator
  * - createReactInputFiller(session) → ReactInputFiller
  * - createClickExecutor(session, locator, input, aria?) → ClickExecutor
+ * - createTouchExecutor(session, locator, input, aria?) → TouchExecutor
  * - createFillExecutor(session, locator, input, aria?) → FillExecutor
  * - createKeyboardExecutor(session, locator, input) → KeyboardExecutor
  * - createWaitExecutor(session, locator) → WaitExecutor
+ * - createClipboardExecutor(session, options?) → ClipboardExecutor
  *
  * Convenience Functions:
  * - querySelector, querySelectorAll, findElement, getBoundingBox
@@ -29,9 +31,11 @@
  * - ./element-validator.js
  * - ./react-filler.js
  * - ./click-executor.js
+ * - ./touch-executor.js
  * - ./fill-executor.js
  * - ./keyboard-executor.js
  * - ./wait-executor.js
+ * - ./clipboard-executor.js
  */
 
 // ============================================================================
@@ -52,7 +56,7 @@ export { createElementHandle } from './element-handle.js';
 // Element locator (finding elements)
 export { createElementLocator } from './element-locator.js';
 
-// Input emulator (mouse/keyboard)
+// Input emulator (mouse/keyboard/touch)
 export { createInputEmulator } from './input-emulator.js';
 
 // Actionability checker (Playwright-style waiting)
@@ -67,12 +71,18 @@ export { createReactInputFiller } from './react-filler.js';
 // Click executor (high-level click operations)
 export { createClickExecutor } from './click-executor.js';
 
+// Touch executor (tap, long-press, swipe, pinch gestures)
+export { createTouchExecutor } from './touch-executor.js';
+
 // Fill executor (high-level fill operations)
 export { createFillExecutor } from './fill-executor.js';
 
 // Keyboard executor (type/select operations)
 export { createKeyboardExecutor } from './keyboard-executor.js';
 
+// Clipboard executor (read, write, paste)
+export { createClipboardExecutor } from './clipboard-executor.js';
+
 // Wait executor (waiting operations)
 export { createWaitExecutor } from './wait-executor.js';
 
@@ -1,11 +1,12 @@
 /**
  * Input Emulator
- * Mouse and keyboard input simulation via CDP
+ * Mouse, keyboard and touch input simulation via CDP
  *
  * EXPORTS:
  * - createInputEmulator(session) → InputEmulator
  *   Methods: click, doubleClick, rightClick, type, insertText, fill, press,
  *            pressCombo, parseKeyCombo, selectAll, moveMouse, hover, scroll,
+ *            tap, longPress, swipe, pinch,
  *            beginMouseTransaction, resetMouseState, getMouseState
  *
  * DEPENDENCIES:
@@ -16,8 +17,16 @@
 import { KEY_DEFINITIONS } from '../constants.js';
 import { sleep } from '../utils.js';
 
+// Finger travel per swipe direction; synthesizeScrollGesture distances follow the finger
+const SWIPE_VECTORS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
 /**
- * Create an input emulator for mouse and keyboard input
+ * Create an input emulator for mouse, keyboard and touch input
  * @param {Object} session - CDP session
  * @returns {Object} Input emulator interface
  */
@@ -391,6 +400,69 @@ export function createInputEmulator(session, options = {}) {
     });
   }
 
+  async function tap(x, y, opts = {}) {
+    validateCoordinates(x, y);
+    const { modifiers = {} } = opts;
+    const modifierFlags = calculateModifiers(modifiers);
+
+    await session.send('Input.dispatchTouchEvent', {
+      type: 'touchStart', touchPoints: [{ x, y }], modifiers: modifierFlags
+    });
+    await session.send('Input.dispatchTouchEvent', {
+      type: 'touchEnd', touchPoints: [], modifiers: modifierFlags
+    });
+  }
+
+  async function longPress(x, y, opts = {}) {
+    validateCoordinates(x, y);
+    const { duration = 800 } = opts;
+
+    await session.send('Input.dispatchTouchEvent', { type: 'touchStart', touchPoints: [{ x, y }] });
+    try {
+      await sleep(duration);
+    } finally {
+      await session.send('Input.dispatchTouchEvent', { type: 'touchEnd', touchPoints: [] });
+    }
+  }
+
+  async function swipe(x, y, opts = {}) {
+    validateCoordinates(x, y);
+    const { direction = 'up', distance = 300, duration = 300 } = opts;
+    const vector = SWIPE_VECTORS[direction];
+    if (!vector) {
+      throw new Error(`Invalid swipe direction: ${direction}. Must be one of: ${Object.keys(SWIPE_VECTORS).join(', ')}`);
+    }
+    if (typeof distance !== 'number' || distance <= 0) {
+      throw new Error('Swipe distance must be a positive number');
+    }
+
+    await session.send('Input.synthesizeScrollGesture', {
+      x,
+      y,
+      xDistance: vector.x * distance,
+      yDistance: vector.y * distance,
+      speed: Math.max(1, Math.round(distance * 1000 / Math.max(duration, 1))),
+      gestureSourceType: 'touch',
+      preventFling: true
+    });
+  }
+
+  async function pinch(x, y, opts = {}) {
+    validateCoordinates(x, y);
+    const { scale, speed = 800 } = opts;
+    if (typeof scale !== 'number' || !Number.isFinite(scale) || scale <= 0) {
+      throw new Error('Pinch scale must be a positive number');
+    }
+
+    await session.send('Input.synthesizePinchGesture', {
+      x,
+      y,
+      scaleFactor: scale,
+      relativeSpeed: speed,
+      gestureSourceType: 'touch'
+    });
+  }
+
   function parseKeyCombo(combo) {
     const parts = combo.split('+');
     const modifiers = { ctrl: false, alt: false, meta: false, shift: false };
@@ -436,6 +508,10 @@ export function createInputEmulator(session, options = {}) {
     moveMouse,
     hover,
     scroll,
+    tap,
+    longPress,
+    swipe,
+    pinch,
     // Transaction-based mouse state
     beginMouseTransaction,
     resetMouseState,
@@ -0,0 +1,217 @@
+/**
+ * Touch Executor
+ * Touch gestures (tap, long-press, swipe, pinch) targeted like click
+ *
+ * Targets are resolved the same ways click resolves them (ref, selector, text
+ * or x/y) and go through the same actionability checks; the gesture is then
+ * dispatched at the element's center, scrolled into view first if needed.
+ * Swipe and pinch fall back to the viewport center when no target is given.
+ *
+ * EXPORTS:
+ * - createTouchExecutor(session, elementLocator, inputEmulator, ariaSnapshot?) → TouchExecutor
+ *   Methods: execute, resolvePoint
+ *
+ * DEPENDENCIES:
+ * - ./actionability.js: createActionabilityChecker
+ * - ./LazyResolver.js: createLazyResolver
+ * - ../utils.js: elementNotFoundError, releaseObject
+ */
+
+import { createActionabilityChecker } from './actionability.js';
+import { createLazyResolver } from './LazyResolver.js';
+import { elementNotFoundError, releaseObject } from '../utils.js';
+
+const REF_PATTERN = /^f(\d+|\[[^\]]+\])s\d+e\d+$/;
+
+// Gestures that can run without a target (at the viewport center)
+const UNTARGETED_GESTURES = ['swipe', 'pinch'];
+
+// Scrolls the element into view when it is outside the viewport, then reports its box
+const TOUCH_POINT_FN = `function() {
+  const inViewport = (rect) => rect.top >= 0 && rect.left >= 0 &&
+    rect.bottom <= window.innerHeight && rect.right <= window.innerWidth;
+  if (!inViewport(this.getBoundingClientRect())) {
+    this.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+  }
+  const rect = this.getBoundingClientRect();
+  const style = window.getComputedStyle(this);
+  return {
+    isVisible: style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0,
+    x: rect.x + rect.width / 2,
+    y: rect.y + rect.height / 2
+  };
+}`;
+
+/**
+ * Create a touch executor for gesture steps
+ * @param {Object} session - CDP session
+ * @param {Object} elementLocator - Element locator instance
+ * @param {Object} inputEmulator - Input emulator instance
+ * @param {Object} [ariaSnapshot] - Optional ARIA snapshot instance (for refs)
+ * @returns {Object} Touch executor interface
+ */
+export function createTouchExecutor(session, elementLocator, inputEmulator, ariaSnapshot = null) {
+  if (!session) throw new Error('CDP session is required');
+  if (!elementLocator) throw new Error('Element locator is required');
+  if (!inputEmulator) throw new Error('Input emulator is required');
+
+  const getFrameContext = elementLocator.getFrameContext || null;
+  const actionabilityChecker = createActionabilityChecker(session, { getFrameContext });
+  const lazyResolver = createLazyResolver(session, { getFrameContext });
+
+  async function pointForObject(objectId, label, force) {
+    const result = await session.send('Runtime.callFunctionOn', {
+      objectId,
+      functionDeclaration: TOUCH_POINT_FN,
+      returnByValue: true
+    });
+    const point = result.result?.value;
+    if (!point) {
+      throw new Error(`Could not determine touch point for ${label}`);
+    }
+    if (!force && !point.isVisible) {
+      throw new Error(`Element ${label} is not visible`);
+    }
+    return { x: point.x, y: point.y };
+  }
+
+  async function viewportCenter() {
+    const result = await session.send('Runtime.evaluate', {
+      expression: '({ x: window.innerWidth / 2, y: window.innerHeight / 2 })',
+      returnByValue: true
+    });
+    return result.result.value;
+  }
+
+  async function pointForRef(ref, force) {
+    // Refs in out-of-process iframes resolve in their own session, boxed in page coordinates
+    const frameSession = ariaSnapshot.getRefSession ? await ariaSnapshot.getRefSession(ref) : null;
+    if (frameSession) {
+      const refInfo = await ariaSnapshot.getElementByRef(ref);
+      if (!refInfo || !refInfo.box) {
+        throw elementNotFoundError(`ref:${ref}`, 0);
+      }
+      if (!force && refInfo.isVisible === false) {
+        throw new Error(`Element ref:${ref} is not visible`);
+      }
+      return { x: refInfo.box.x + refInfo.box.width / 2, y: refInfo.box.y + refInfo.box.height / 2 };
+    }
+
+    const resolved = await lazyResolver.resolveRef(ref);
+    if (!resolved) {
+      throw elementNotFoundError(`ref:${ref}`, 0);
+    }
+    try {
+      return await pointForObject(resolved.objectId, `ref:${ref}`, force);
+    } finally {
+      await releaseObject(session, resolved.objectId);
+    }
+  }
+
+  async function pointForText(text, opts) {
+    const element = await elementLocator.findElementByText(text, { exact: opts.exact, tag: opts.tag });
+    if (!element) {
+      throw elementNotFoundError(`text:"${text}"`, opts.timeout);
+    }
+    try {
+      if (!opts.force) {
+        const actionable = await element.isActionable();
+        if (!actionable.actionable) {
+          throw new Error(`Element with text "${text}" not actionable: ${actionable.reason}`);
+        }
+      }
+      return await pointForObject(element.objectId, `with text "${text}"`, opts.force);
+    } finally {
+      await element.dispose();
+    }
+  }
+
+  async function pointForSelector(selector, opts) {
+    const waitResult = await actionabilityChecker.waitForActionable(selector, 'click', {
+      timeout: opts.timeout,
+      force: opts.force
+    });
+    if (!waitResult.success) {
+      throw new Error(waitResult.error || `Element not found: ${selector}`);
+    }
+    try {
+      return await pointForObject(waitResult.objectId, selector, opts.force);
+    } finally {
+      await releaseObject(session, waitResult.objectId);
+    }
+  }
+
+  /**
+   * Resolve where a gesture lands: {x, y} in viewport coordinates
+   * @param {string|Object} params - Selector/ref string or {ref|selector|text|x,y, exact?, tag?, force?, timeout?}
+   * @param {Object} [opts] - {optional: true} to use the viewport center when no target is given
+   * @returns {Promise<{x: number, y: number}>}
+   */
+  async function resolvePoint(params, opts = {}) {
+    const target = typeof params === 'string' ? { selector: params } : params;
+    const { text, exact = false, tag = null, force = false, timeout = 5000 } = target;
+    let { ref, selector } = target;
+
+    if (!ref && selector && REF_PATTERN.test(selector)) {
+      ref = selector;
+      selector = null;
+    }
+
+    if (typeof target.x === 'number' && typeof target.y === 'number') {
+      return { x: target.x, y: target.y };
+    }
+    if (ref && ariaSnapshot) {
+      return pointForRef(ref, force);
+    }
+    if (text) {
+      return pointForText(text, { exact, tag, force, timeout });
+    }
+    if (selector) {
+      return pointForSelector(selector, { force, timeout });
+    }
+    if (opts.optional) {
+      return viewportCenter();
+    }
+    throw new Error('Touch target requires selector, ref, text, or x/y coordinates');
+  }
+
+  /**
+   * Run a gesture step
+   * @param {string} gesture - 'tap' | 'longPress' | 'swipe' | 'pinch'
+   * @param {string|Object} params - Target plus gesture options
+   * @returns {Promise<Object>} Gesture result
+   */
+  async function execute(gesture, params) {
+    const point = await resolvePoint(params, { optional: UNTARGETED_GESTURES.includes(gesture) });
+    const gestureOptions = typeof params === 'object' ? params : {};
+    const at = { x: Math.round(point.x), y: Math.round(point.y) };
+
+    switch (gesture) {
+      case 'tap':
+        await inputEmulator.tap(point.x, point.y);
+        return { tapped: true, at };
+      case 'longPress': {
+        const { duration = 800 } = gestureOptions;
+        await inputEmulator.longPress(point.x, point.y, { duration });
+        return { longPressed: true, at, duration };
+      }
+      case 'swipe': {
+        const { direction = 'up', distance = 300, duration = 300 } = gestureOptions;
+        await inputEmulator.swipe(point.x, point.y, { direction, distance, duration });
+        return { swiped: true, at, direction, distance };
+      }
+      case 'pinch': {
+        const { scale, speed } = gestureOptions;
+        await inputEmulator.pinch(point.x, point.y, { scale, speed });
+        return { pinched: true, at, scale };
+      }
+      default:
+        throw new Error(`Unknown touch gesture: ${gesture}`);
+    }
+  }
+
+  return {
+    execute,
+    resolvePoint
+  };
+}
@@ -15,6 +15,7 @@ export {
   createTargetManager,
   createSessionRegistry,
   createPageSession,
+  createFrameSessionTracker,
   createBrowser,
   findChromePath,
   launchChrome,
@@ -37,6 +38,10 @@ export {
   waitForText,
   createCookieManager,
   createWebStorageManager,
+  createRequestRouter,
+  createEmulationManager,
+  createDownloadManager,
+  createHttpManager,
   // LCS DOM Stability (improvement #9)
   lcsLength,
   lcsSimilarity,
@@ -64,9 +69,11 @@ export {
   press,
   scroll,
   createClickExecutor,
+  createTouchExecutor,
   createFillExecutor,
   createWaitExecutor,
   createKeyboardExecutor,
+  createClipboardExecutor,
   createActionabilityChecker,
   createElementValidator,
   createReactInputFiller
@@ -90,6 +97,9 @@ export {
   captureFullPage,
   captureRegion,
   saveScreenshot,
+  createScreenshotComparator,
+  compareImages,
+  createSessionRecorder,
   createConsoleCapture,
   createNetworkCapture,
   createErrorAggregator,
@@ -106,9 +116,22 @@ export {
   validateSteps,
   executeStep,
   runSteps,
-  createTestRunner
+  createTestRunner,
+  createMilestoneVerifier,
+  formatJUnitXml,
+  getStepSchema,
+  buildRequestSchema,
+  registerStep,
+  unregisterStep,
+  findPluginFiles,
+  loadPlugins
 } from './runner/index.js';
 
+// ============================================================================
+// Session API
+// ============================================================================
+export { createSession } from './session.js';
+
 // ============================================================================
 // Utilities and Errors
 // ============================================================================
@@ -126,6 +149,7 @@ export {
   pageCrashedError,
   contextDestroyedError,
   stepValidationError,
+  requestFailedError,
   isErrorType,
   isContextDestroyed,
   isStaleElementError,
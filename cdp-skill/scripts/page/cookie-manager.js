@@ -3,24 +3,33 @@
  * CDP-based cookie management for getting, setting, and clearing cookies
  *
  * PUBLIC EXPORTS:
- * - createCookieManager(session) - Factory for cookie manager
+ * - createCookieManager(session, options?) - Factory for cookie manager
  *
  * @module cdp-skill/page/cookie-manager
  */
 
 /**
  * Creates a cookie manager for getting, setting, and clearing cookies
+ *
+ * The Storage cookie commands address a browser context, not the page, and
+ * fall back to the default context when none is given — tabs opened in a named
+ * context must pass its ID.
+ *
  * @param {import('../types.js').CDPSession} session - CDP session
+ * @param {Object} [options] - Options
+ * @param {string} [options.browserContextId] - Browser context the tab belongs to (default context when omitted)
  * @returns {Object} Cookie manager interface
  */
-export function createCookieManager(session) {
+export function createCookieManager(session, options = {}) {
+  const contextParams = options.browserContextId ? { browserContextId: options.browserContextId } : {};
+
   /**
    * Get all cookies, optionally filtered by URLs
    * @param {string[]} [urls=[]] - Optional URLs to filter cookies
    * @returns {Promise<import('../types.js').CookieObject[]>} Array of cookie objects
    */
   async function getCookies(urls = []) {
-    const result = await session.send('Storage.getCookies', {});
+    const result = await session.send('Storage.getCookies', { ...contextParams });
     let cookies = result.cookies || [];
 
     // Filter by URLs if provided
@@ -103,7 +112,7 @@ export function createCookieManager(session) {
       return processed;
     });
 
-    await session.send('Storage.setCookies', { cookies: processedCookies });
+    await session.send('Storage.setCookies', { cookies: processedCookies, ...contextParams });
   }
 
   /**
@@ -120,7 +129,7 @@ export function createCookieManager(session) {
       // Clear all cookies
       const allCookies = await getCookies();
       const count = allCookies.length;
-      await session.send('Storage.clearCookies', {});
+      await session.send('Storage.clearCookies', { ...contextParams });
       return { count };
     }
 
@@ -3,20 +3,55 @@
  * Handles JavaScript alerts, confirms, and prompts
  *
  * PUBLIC EXPORTS:
- * - createDialogHandler(session) - Factory for dialog handler
+ * - createDialogHandler(session, options?) - Factory for dialog handler
  *
  * @module cdp-skill/page/dialog-handler
  */
 
+const MAX_HISTORY = 100;
+
 /**
  * Create a dialog handler for JavaScript dialogs
+ *
+ * Answer precedence: queued responses, then the standing policy, then the
+ * custom callback, then the built-in auto-accept.
+ *
  * @param {import('../types.js').CDPSession} session - CDP session
+ * @param {Object} [options] - Options
+ * @param {function(Object): void} [options.onStateChanged] - Called with {queue, policy} whenever either changes (for persistence)
+ * @param {function(): Object|null} [options.getSavedState] - Returns saved {queue, policy} (for restoration)
  * @returns {Object} Dialog handler interface
  */
-export function createDialogHandler(session) {
+export function createDialogHandler(session, options = {}) {
+  const { onStateChanged, getSavedState } = options;
   let dialogCallback = null;
   let boundHandler = null;
-  const responseQueue = [];
+  let responseQueue = [];
+  let policy = null;
+  const history = [];
+  let totalSeen = 0;
+
+  function notifyChanged() {
+    if (onStateChanged) {
+      onStateChanged({
+        queue: responseQueue.map(r => ({ ...r })),
+        policy: policy ? { ...policy } : null
+      });
+    }
+  }
+
+  function defaultPromptText(message, defaultPrompt) {
+    // Use defaultPrompt if available
+    // Otherwise, for test automation purposes, use a reasonable default
+    if (defaultPrompt !== undefined && defaultPrompt.length > 0) {
+      return defaultPrompt;
+    }
+    if (message && message.toLowerCase().includes('prompt')) {
+      // For prompt dialogs asking for input, use a test value
+      return 'Hello CDP';
+    }
+    return '';
+  }
 
   function onDialogOpening(params) {
     const { type, message, defaultPrompt } = params;
@@ -24,54 +59,72 @@ export function createDialogHandler(session) {
     // Default behavior: accept all dialogs
     let accept = true;
     let promptText = undefined;
+    let answeredBy = 'auto';
 
-    // Check if there's a queued response
     if (responseQueue.length > 0) {
       const queued = responseQueue.shift();
       accept = queued.accept !== false;
       promptText = queued.promptText;
+      answeredBy = 'queue';
+      notifyChanged();
+    } else if (policy) {
+      accept = policy.accept !== false;
+      promptText = policy.promptText;
+      answeredBy = 'policy';
     } else if (dialogCallback) {
-      // If custom callback is set, use it
       try {
         const result = dialogCallback({ type, message, defaultPrompt });
         accept = result.accept !== false;
         promptText = result.promptText;
+        answeredBy = 'callback';
       } catch {
         // Callback threw — fall through to default accept behavior
       }
-    } else {
-      // Auto-accept with reasonable defaults for prompts
-      if (type === 'prompt') {
-        // Use defaultPrompt if available
-        // Otherwise, for test automation purposes, use a reasonable default
-        if (defaultPrompt !== undefined && defaultPrompt.length > 0) {
-          promptText = defaultPrompt;
-        } else if (message && message.toLowerCase().includes('prompt')) {
-          // For prompt dialogs asking for input, use a test value
-          promptText = 'Hello CDP';
-        } else {
-          promptText = '';
-        }
-      }
+    }
+
+    if (answeredBy === 'auto' && type === 'prompt') {
+      promptText = defaultPromptText(message, defaultPrompt);
+    }
+
+    // promptText only means something for accepted prompts
+    if (type !== 'prompt' || !accept) {
+      promptText = undefined;
+    }
+
+    const entry = { type, message, accepted: accept, answeredBy };
+    if (type === 'prompt') {
+      entry.defaultPrompt = defaultPrompt || '';
+      if (promptText !== undefined) entry.promptText = promptText;
+    }
+    history.push(entry);
+    totalSeen++;
+    if (history.length > MAX_HISTORY) {
+      history.shift();
     }
 
     // Handle the dialog
     session.send('Page.handleJavaScriptDialog', {
       accept,
       promptText
-    }).catch(err => {
+    }).catch(() => {
       // Ignore errors - dialog may have been already handled
     });
   }
 
   /**
-   * Enable dialog handling
+   * Enable dialog handling, restoring any saved queue and policy
    * @param {Function} [callback] - Optional callback to customize dialog handling
    * @returns {Promise<void>}
    */
   async function enable(callback = null) {
     dialogCallback = callback;
 
+    const saved = getSavedState ? getSavedState() : null;
+    if (saved) {
+      responseQueue = Array.isArray(saved.queue) ? saved.queue.map(r => ({ ...r })) : [];
+      policy = saved.policy ? { ...saved.policy } : null;
+    }
+
     if (!boundHandler) {
       boundHandler = onDialogOpening;
       session.on('Page.javascriptDialogOpening', boundHandler);
@@ -109,15 +162,95 @@ export function createDialogHandler(session) {
    * Queue a response for the next dialog
    * @param {boolean} accept - Whether to accept the dialog
    * @param {string} [promptText] - Text to enter for prompts
+   * @param {number} [count=1] - Number of upcoming dialogs to answer this way
+   */
+  function queueResponse(accept, promptText, count = 1) {
+    for (let i = 0; i < count; i++) {
+      const response = { accept: accept !== false };
+      if (promptText !== undefined) response.promptText = promptText;
+      responseQueue.push(response);
+    }
+    notifyChanged();
+  }
+
+  /**
+   * Set a standing policy for dialogs not covered by the queue
+   * @param {Object|null} newPolicy - {accept, promptText} or null to restore auto-accept
+   */
+  function setPolicy(newPolicy) {
+    if (newPolicy) {
+      policy = { accept: newPolicy.accept !== false };
+      if (newPolicy.promptText !== undefined) policy.promptText = newPolicy.promptText;
+    } else {
+      policy = null;
+    }
+    notifyChanged();
+  }
+
+  /**
+   * Get the standing policy
+   * @returns {Object|null}
+   */
+  function getPolicy() {
+    return policy ? { ...policy } : null;
+  }
+
+  /**
+   * Get the queued responses that have not been used yet
+   * @returns {Array<{accept: boolean, promptText?: string}>}
+   */
+  function getQueue() {
+    return responseQueue.map(r => ({ ...r }));
+  }
+
+  /**
+   * Drop all queued responses and the standing policy
+   */
+  function reset() {
+    responseQueue = [];
+    policy = null;
+    notifyChanged();
+  }
+
+  /**
+   * Get dialogs seen by this handler, oldest first
+   * @returns {Array<Object>}
+   */
+  function getHistory() {
+    return history.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Get how many dialogs this handler has seen in total. Unlike the history
+   * length, this keeps counting once old entries are dropped from the history.
+   * @returns {number}
+   */
+  function getTotalCount() {
+    return totalSeen;
+  }
+
+  /**
+   * Get dialogs seen after the total count reached the given value
+   * @param {number} countBefore - Value of getTotalCount() taken earlier
+   * @returns {Array<Object>} Entries still in the history, oldest first
    */
-  function queueResponse(accept, promptText) {
-    responseQueue.push({ accept, promptText });
+  function getHistorySince(countBefore) {
+    const newCount = Math.min(totalSeen - countBefore, history.length);
+    if (newCount <= 0) return [];
+    return history.slice(history.length - newCount).map(entry => ({ ...entry }));
   }
 
   return {
     enable,
     disable,
     setHandler,
-    queueResponse
+    queueResponse,
+    setPolicy,
+    getPolicy,
+    getQueue,
+    reset,
+    getHistory,
+    getTotalCount,
+    getHistorySince
   };
 }
@@ -0,0 +1,305 @@
+/**
+ * Download Manager Module
+ * File download capture via Browser.setDownloadBehavior and the Browser download events
+ *
+ * Download behavior belongs to the browser, not the tab, so Chrome saves every
+ * download under its guid in a shared staging directory. Each tab's manager
+ * claims the downloads started by its own frames and, once complete, moves them
+ * to the tab's download directory under their suggested filename.
+ *
+ * Downloads still running when the CLI invocation ends are reported through
+ * onDownloadsChanged and picked up from the staging directory by initialize()
+ * on the next invocation against the same tab.
+ *
+ * PUBLIC EXPORTS:
+ * - createDownloadManager(connection, session, options) - Factory for download manager
+ *
+ * @module cdp-skill/page/download-manager
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { sleep } from '../utils.js';
+import { globToRegex } from './request-router.js';
+
+const FINAL_STATES = ['completed', 'canceled'];
+
+// Suggested filenames come from the server; keep them inside the download directory
+function safeFilename(name, guid) {
+  const base = path.basename(String(name || '')).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim();
+  return base && base !== '.' && base !== '..' ? base : guid;
+}
+
+// "report.csv" → "report (1).csv" when the name is taken
+function uniquePath(directory, filename) {
+  const ext = path.extname(filename);
+  const stem = filename.slice(0, filename.length - ext.length);
+  let candidate = path.join(directory, filename);
+  for (let i = 1; fs.existsSync(candidate); i++) {
+    candidate = path.join(directory, `${stem} (${i})${ext}`);
+  }
+  return candidate;
+}
+
+function toPublic(record) {
+  return {
+    url: record.url,
+    suggestedFilename: record.suggestedFilename,
+    path: record.path,
+    state: record.state,
+    bytes: record.bytes
+  };
+}
+
+/**
+ * Create a download manager for one tab
+ * @param {import('../types.js').CDPConnection} connection - Browser-level connection (download events are browser-wide)
+ * @param {import('../types.js').CDPSession} session - Page session (identifies the tab's frames)
+ * @param {Object} options - Options
+ * @param {string} options.downloadPath - This tab's download directory
+ * @param {string} options.stagingPath - Directory Chrome saves guid-named downloads to, shared by all tabs
+ * @param {string} [options.browserContextId] - Browser context the tab belongs to (download behavior is set per context)
+ * @param {function(Array<Object>): void} [options.onDownloadsChanged] - Called with the download records whenever they change (for persistence)
+ * @param {function(): Array<Object>|null} [options.getSavedDownloads] - Returns saved download records (for restoration)
+ * @returns {Object} Download manager interface
+ */
+export function createDownloadManager(connection, session, options = {}) {
+  if (!connection) throw new Error('CDP connection is required');
+  if (!session) throw new Error('CDP session is required');
+  const { downloadPath, stagingPath, browserContextId, onDownloadsChanged, getSavedDownloads } = options;
+  if (!downloadPath || !stagingPath) throw new Error('downloadPath and stagingPath are required');
+
+  let downloads = [];
+  let listening = false;
+  // Progress that arrived while downloadWillBegin was still checking the frame
+  const earlyProgress = new Map();
+
+  function notifyChanged() {
+    if (onDownloadsChanged) {
+      onDownloadsChanged(downloads.map(record => ({ ...record })));
+    }
+  }
+
+  async function isOwnFrame(frameId) {
+    if (frameId === session.targetId) return true;
+    try {
+      const { frameTree } = await session.send('Page.getFrameTree');
+      const stack = [frameTree];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.frame.id === frameId) return true;
+        if (node.childFrames) stack.push(...node.childFrames);
+      }
+    } catch {
+      // Page gone or busy — not ours to claim
+    }
+    return false;
+  }
+
+  // Move the guid-named file out of staging under its suggested name
+  function finalize(record, stagedFile) {
+    const source = stagedFile || path.join(stagingPath, record.guid);
+    try {
+      fs.mkdirSync(downloadPath, { recursive: true });
+      record.path = uniquePath(downloadPath, safeFilename(record.suggestedFilename, record.guid));
+      fs.renameSync(source, record.path);
+      record.bytes = fs.statSync(record.path).size;
+    } catch {
+      // File missing (e.g. removed by the user) — keep the record, point at the staged name
+      record.path = source;
+    }
+  }
+
+  async function onWillBegin(params) {
+    if (downloads.some(record => record.guid === params.guid)) return;
+    earlyProgress.set(params.guid, null);
+    if (!(await isOwnFrame(params.frameId))) {
+      earlyProgress.delete(params.guid);
+      return;
+    }
+    downloads.push({
+      guid: params.guid,
+      url: params.url,
+      suggestedFilename: params.suggestedFilename,
+      path: path.join(downloadPath, safeFilename(params.suggestedFilename, params.guid)),
+      state: 'inProgress',
+      bytes: 0,
+      startedAt: Date.now()
+    });
+    const early = earlyProgress.get(params.guid);
+    earlyProgress.delete(params.guid);
+    notifyChanged();
+    if (early) onProgress(early);
+  }
+
+  function onProgress(params) {
+    if (earlyProgress.has(params.guid)) {
+      earlyProgress.set(params.guid, params);
+      return;
+    }
+    const record = downloads.find(entry => entry.guid === params.guid);
+    if (!record || FINAL_STATES.includes(record.state)) return;
+    record.bytes = params.receivedBytes;
+    if (params.state === 'completed') {
+      record.state = 'completed';
+      record.finishedAt = Date.now();
+      finalize(record, params.filePath);
+      notifyChanged();
+    } else if (params.state === 'canceled') {
+      record.state = 'canceled';
+      record.finishedAt = Date.now();
+      record.path = null;
+      notifyChanged();
+    }
+  }
+
+  // Downloads that finished after the last invocation ended are waiting in staging
+  function reconcile() {
+    let changed = false;
+    for (const record of downloads) {
+      if (record.state !== 'inProgress') continue;
+      const staged = path.join(stagingPath, record.guid);
+      if (fs.existsSync(staged) && !fs.existsSync(`${staged}.crdownload`)) {
+        record.state = 'completed';
+        record.finishedAt = Date.now();
+        finalize(record, staged);
+        changed = true;
+      }
+    }
+    if (changed) notifyChanged();
+  }
+
+  /**
+   * Route downloads to the staging directory and start tracking them
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    const saved = getSavedDownloads ? getSavedDownloads() : null;
+    if (saved) {
+      downloads = saved.map(record => ({ ...record }));
+    }
+    fs.mkdirSync(stagingPath, { recursive: true });
+    const params = {
+      behavior: 'allowAndName',
+      downloadPath: stagingPath,
+      eventsEnabled: true
+    };
+    if (browserContextId) params.browserContextId = browserContextId;
+    await connection.send('Browser.setDownloadBehavior', params);
+    if (!listening) {
+      connection.on('Browser.downloadWillBegin', onWillBegin);
+      connection.on('Browser.downloadProgress', onProgress);
+      listening = true;
+    }
+    reconcile();
+  }
+
+  /**
+   * Get a marker for downloads started from now on (see since())
+   * @returns {number}
+   */
+  function mark() {
+    return downloads.length;
+  }
+
+  /**
+   * Downloads started after a marker
+   * @param {number} marker - Value from mark()
+   * @returns {Array<Object>} {url, suggestedFilename, path, state, bytes}
+   */
+  function since(marker) {
+    return downloads.slice(marker).map(toPublic);
+  }
+
+  /**
+   * List this tab's downloads, oldest first
+   * @returns {Array<Object>} {url, suggestedFilename, path, state, bytes}
+   */
+  function list() {
+    reconcile();
+    return downloads.map(toPublic);
+  }
+
+  /**
+   * Wait until downloads started after a marker have finished
+   * @param {number} marker - Value from mark()
+   * @param {number} timeout - Maximum wait in ms
+   * @returns {Promise<Array<Object>>} The downloads, finished or not
+   */
+  async function settle(marker, timeout) {
+    const deadline = Date.now() + timeout;
+    while (downloads.slice(marker).some(record => !FINAL_STATES.includes(record.state)) && Date.now() < deadline) {
+      await sleep(100);
+    }
+    return since(marker);
+  }
+
+  /**
+   * Wait for the newest download (matching a filename glob) to finish, or to start and finish
+   * @param {Object} [opts] - Options
+   * @param {string} [opts.match] - Filename glob (e.g. "*.csv") the download must match
+   * @param {number} [opts.since=0] - Only consider downloads after this marker
+   * @param {number} [opts.finishedAfter=0] - Ignore downloads that had already finished before this time (ms epoch)
+   * @param {number} [opts.timeout=30000] - Maximum wait in ms
+   * @returns {Promise<Object>} The finished download
+   */
+  async function waitFor(opts = {}) {
+    const { match, since: marker = 0, finishedAfter = 0, timeout = 30000 } = opts;
+    const pattern = match ? globToRegex(match) : null;
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      reconcile();
+      const newest = downloads.slice(marker)
+        .filter(record => !pattern || pattern.test(record.suggestedFilename || ''))
+        .filter(record => !FINAL_STATES.includes(record.state) || (record.finishedAt ?? 0) >= finishedAfter)
+        .pop();
+      if (newest && FINAL_STATES.includes(newest.state)) {
+        return toPublic(newest);
+      }
+      if (Date.now() >= deadline) {
+        const pending = newest ? ` (${newest.suggestedFilename} still in progress, ${newest.bytes} bytes)` : '';
+        throw new Error(`Timed out after ${timeout}ms waiting for a download${match ? ` matching ${match}` : ''}${pending}`);
+      }
+      await sleep(100);
+    }
+  }
+
+  /**
+   * Forget this tab's downloads and delete their files
+   * @returns {number} Number of downloads removed
+   */
+  function clear() {
+    const count = downloads.length;
+    for (const record of downloads) {
+      if (record.state === 'completed' && record.path) {
+        fs.rmSync(record.path, { force: true });
+      }
+    }
+    downloads = [];
+    notifyChanged();
+    return count;
+  }
+
+  /**
+   * Stop listening for download events
+   */
+  function dispose() {
+    if (listening) {
+      connection.off('Browser.downloadWillBegin', onWillBegin);
+      connection.off('Browser.downloadProgress', onProgress);
+      listening = false;
+    }
+  }
+
+  return {
+    initialize,
+    mark,
+    since,
+    list,
+    settle,
+    waitFor,
+    clear,
+    dispose
+  };
+}
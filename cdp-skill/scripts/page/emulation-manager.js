@@ -0,0 +1,343 @@
+/**
+ * Emulation Manager Module
+ * Network/CPU throttling and browsing environment (geolocation, timezone, locale,
+ * media features, user agent) emulation via the CDP Network and Emulation domains
+ *
+ * Overrides only live as long as the CDP session, so the active state is
+ * reported through onStateChanged and re-applied by initialize() on the next
+ * invocation against the same tab.
+ *
+ * PUBLIC EXPORTS:
+ * - createEmulationManager(session, options?) - Factory for emulation manager
+ * - NETWORK_PROFILES - Named network profiles (latency in ms, throughput in kbit/s)
+ *
+ * @module cdp-skill/page/emulation-manager
+ */
+
+/**
+ * Named network profiles, matching the DevTools throttling presets
+ * latency in ms, download/upload in kbit/s
+ */
+export const NETWORK_PROFILES = {
+  offline: { offline: true, latency: 0, download: 0, upload: 0 },
+  'slow-3g': { offline: false, latency: 2000, download: 400, upload: 400 },
+  'fast-3g': { offline: false, latency: 563, download: 1440, upload: 675 },
+  '4g': { offline: false, latency: 165, download: 8100, upload: 1350 }
+};
+
+// kbit/s → bytes/s as expected by Network.emulateNetworkConditions (-1 disables throttling)
+function toBytesPerSecond(kbps) {
+  return kbps > 0 ? Math.round(kbps * 1000 / 8) : -1;
+}
+
+// Emulation.setUserAgentOverride requires every userAgentMetadata field except the brand lists
+function toUserAgentMetadata(clientHints) {
+  return {
+    brands: clientHints.brands,
+    fullVersionList: clientHints.fullVersionList,
+    platform: clientHints.platform || '',
+    platformVersion: clientHints.platformVersion || '',
+    architecture: clientHints.architecture || '',
+    model: clientHints.model || '',
+    mobile: clientHints.mobile === true
+  };
+}
+
+/**
+ * Create an emulation manager for throttling and environment overrides
+ * @param {import('../types.js').CDPSession} session - CDP session
+ * @param {Object} [options] - Options
+ * @param {Object} [options.pageController] - Page controller (geolocation is applied through it)
+ * @param {string} [options.browserContextId] - Browser context the tab belongs to (for the geolocation grant)
+ * @param {function(Object): void} [options.onStateChanged] - Called with the emulation state whenever it changes (for persistence)
+ * @param {function(): Object|null} [options.getSavedState] - Returns saved state (for restoration)
+ * @returns {Object} Emulation manager interface
+ */
+export function createEmulationManager(session, options = {}) {
+  const { pageController, browserContextId, onStateChanged, getSavedState } = options;
+  let network = null;
+  let cpu = null;
+  let geolocation = null;
+  let timezone = null;
+  let locale = null;
+  let colorScheme = null;
+  let reducedMotion = null;
+  let userAgent = null;
+
+  function notifyChanged() {
+    if (onStateChanged) {
+      onStateChanged(getState());
+    }
+  }
+
+  async function applyNetwork(conditions) {
+    const settings = conditions || { offline: false, latency: 0, download: 0, upload: 0 };
+    await session.send('Network.emulateNetworkConditions', {
+      offline: settings.offline,
+      latency: settings.latency,
+      downloadThroughput: toBytesPerSecond(settings.download),
+      uploadThroughput: toBytesPerSecond(settings.upload)
+    });
+  }
+
+  async function applyCpu(rate) {
+    await session.send('Emulation.setCPUThrottlingRate', { rate: rate || 1 });
+  }
+
+  async function applyGeolocation() {
+    if (!pageController) {
+      throw new Error('Geolocation emulation requires a page controller');
+    }
+    if (!geolocation) {
+      await pageController.clearGeolocation();
+      return;
+    }
+    await pageController.setGeolocation(geolocation);
+    try {
+      // Without the grant, navigator.geolocation waits on a permission prompt nobody answers.
+      // setPermission rather than grantPermissions, which would deny every other permission
+      const params = { permission: { name: 'geolocation' }, setting: 'granted' };
+      if (browserContextId) params.browserContextId = browserContextId;
+      await session.send('Browser.setPermission', params);
+    } catch {
+      // Not available for this target — the override still applies once permission is given
+    }
+  }
+
+  async function applyTimezone() {
+    await session.send('Emulation.setTimezoneOverride', { timezoneId: timezone || '' });
+  }
+
+  async function applyMedia() {
+    const features = [];
+    if (colorScheme) features.push({ name: 'prefers-color-scheme', value: colorScheme });
+    if (reducedMotion) features.push({ name: 'prefers-reduced-motion', value: reducedMotion });
+    await session.send('Emulation.setEmulatedMedia', { features });
+  }
+
+  // Locale also drives Accept-Language and navigator.language, which live on the user-agent override
+  async function applyLocaleAndUserAgent() {
+    await session.send('Emulation.setLocaleOverride', locale ? { locale } : {});
+
+    if (!userAgent && !locale) {
+      await session.send('Emulation.setUserAgentOverride', { userAgent: '' });
+      return;
+    }
+
+    const params = {
+      userAgent: userAgent?.userAgent || (await session.send('Browser.getVersion')).userAgent
+    };
+    const acceptLanguage = userAgent?.acceptLanguage || locale;
+    if (acceptLanguage) params.acceptLanguage = acceptLanguage;
+    if (userAgent?.platform) params.platform = userAgent.platform;
+    if (userAgent?.clientHints) params.userAgentMetadata = toUserAgentMetadata(userAgent.clientHints);
+    await session.send('Emulation.setUserAgentOverride', params);
+  }
+
+  /**
+   * Re-apply saved emulation for this tab
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    const saved = getSavedState ? getSavedState() : null;
+    if (!saved) return;
+    if (saved.network) {
+      network = { ...saved.network };
+      await applyNetwork(network);
+    }
+    if (saved.cpu) {
+      cpu = saved.cpu;
+      await applyCpu(cpu);
+    }
+    if (saved.geolocation) {
+      geolocation = { ...saved.geolocation };
+      await applyGeolocation();
+    }
+    if (saved.timezone) {
+      timezone = saved.timezone;
+      await applyTimezone();
+    }
+    if (saved.colorScheme || saved.reducedMotion) {
+      colorScheme = saved.colorScheme || null;
+      reducedMotion = saved.reducedMotion || null;
+      await applyMedia();
+    }
+    if (saved.locale || saved.userAgent) {
+      locale = saved.locale || null;
+      userAgent = saved.userAgent ? { ...saved.userAgent } : null;
+      await applyLocaleAndUserAgent();
+    }
+  }
+
+  /**
+   * Set network conditions
+   * @param {string|Object|null} conditions - Profile name, {latency, download, upload, offline?} (ms, kbit/s), or null to stop throttling
+   * @returns {Promise<Object|null>} The applied conditions
+   */
+  async function setNetwork(conditions) {
+    if (conditions === null || conditions === 'none') {
+      network = null;
+    } else if (typeof conditions === 'string') {
+      const profile = NETWORK_PROFILES[conditions];
+      if (!profile) {
+        throw new Error(`Unknown network profile: ${conditions} (expected one of ${Object.keys(NETWORK_PROFILES).join(', ')})`);
+      }
+      network = { profile: conditions, ...profile };
+    } else {
+      network = {
+        profile: 'custom',
+        offline: conditions.offline === true,
+        latency: conditions.latency || 0,
+        download: conditions.download || 0,
+        upload: conditions.upload || 0
+      };
+    }
+    await applyNetwork(network);
+    notifyChanged();
+    return network ? { ...network } : null;
+  }
+
+  /**
+   * Set the CPU slowdown rate
+   * @param {number|null} rate - Slowdown factor (1 = no throttling, 4 = 4x slower), or null to stop throttling
+   * @returns {Promise<number|null>} The applied rate
+   */
+  async function setCpuRate(rate) {
+    cpu = rate && rate > 1 ? rate : null;
+    await applyCpu(cpu);
+    notifyChanged();
+    return cpu;
+  }
+
+  /**
+   * Override the geolocation and grant the geolocation permission
+   * @param {Object|null} position - {latitude, longitude, accuracy?}, or null to clear
+   * @returns {Promise<Object|null>} The applied position
+   */
+  async function setGeolocation(position) {
+    geolocation = position ? { latitude: position.latitude, longitude: position.longitude, accuracy: position.accuracy ?? 1 } : null;
+    await applyGeolocation();
+    notifyChanged();
+    return geolocation ? { ...geolocation } : null;
+  }
+
+  /**
+   * Override the timezone
+   * @param {string|null} timezoneId - IANA timezone (e.g. "Europe/Berlin"), or null to clear
+   * @returns {Promise<string|null>}
+   */
+  async function setTimezone(timezoneId) {
+    timezone = timezoneId || null;
+    await applyTimezone();
+    notifyChanged();
+    return timezone;
+  }
+
+  /**
+   * Override the locale (Intl formatting, navigator.language and Accept-Language)
+   * @param {string|null} value - BCP 47 locale (e.g. "de-DE"), or null to clear
+   * @returns {Promise<string|null>}
+   */
+  async function setLocale(value) {
+    locale = value || null;
+    await applyLocaleAndUserAgent();
+    notifyChanged();
+    return locale;
+  }
+
+  /**
+   * Emulate CSS media features; keys left undefined keep their current value
+   * @param {Object} features - {colorScheme?, reducedMotion?} (null clears one)
+   * @returns {Promise<{colorScheme: string|null, reducedMotion: string|null}>}
+   */
+  async function setMediaFeatures(features) {
+    if (features.colorScheme !== undefined) colorScheme = features.colorScheme || null;
+    if (features.reducedMotion !== undefined) reducedMotion = features.reducedMotion || null;
+    await applyMedia();
+    notifyChanged();
+    return { colorScheme, reducedMotion };
+  }
+
+  /**
+   * Override the user agent, optionally with client hints
+   * @param {string|Object|null} value - UA string, {userAgent, platform?, acceptLanguage?, clientHints?}, or null to clear
+   * @returns {Promise<Object|null>}
+   */
+  async function setUserAgent(value) {
+    if (!value) {
+      userAgent = null;
+    } else if (typeof value === 'string') {
+      userAgent = { userAgent: value };
+    } else {
+      userAgent = {};
+      for (const key of ['userAgent', 'platform', 'acceptLanguage', 'clientHints']) {
+        if (value[key] !== undefined) userAgent[key] = value[key];
+      }
+    }
+    await applyLocaleAndUserAgent();
+    notifyChanged();
+    return userAgent ? { ...userAgent } : null;
+  }
+
+  /**
+   * Remove all emulation
+   * @returns {Promise<void>}
+   */
+  async function reset() {
+    const hadGeolocation = geolocation !== null;
+    network = null;
+    cpu = null;
+    geolocation = null;
+    timezone = null;
+    locale = null;
+    colorScheme = null;
+    reducedMotion = null;
+    userAgent = null;
+    await applyNetwork(null);
+    await applyCpu(null);
+    if (hadGeolocation) await applyGeolocation();
+    await applyTimezone();
+    await applyMedia();
+    await applyLocaleAndUserAgent();
+    notifyChanged();
+  }
+
+  /**
+   * Get the active emulation (null for anything not overridden)
+   * @returns {Object} {network, cpu, geolocation, timezone, locale, colorScheme, reducedMotion, userAgent}
+   */
+  function getState() {
+    return {
+      network: network ? { ...network } : null,
+      cpu,
+      geolocation: geolocation ? { ...geolocation } : null,
+      timezone,
+      locale,
+      colorScheme,
+      reducedMotion,
+      userAgent: userAgent ? { ...userAgent } : null
+    };
+  }
+
+  /**
+   * Check whether any emulation is active
+   * @returns {boolean}
+   */
+  function isActive() {
+    return Object.values(getState()).some(value => value !== null);
+  }
+
+  return {
+    initialize,
+    setNetwork,
+    setCpuRate,
+    setGeolocation,
+    setTimezone,
+    setLocale,
+    setMediaFeatures,
+    setUserAgent,
+    reset,
+    getState,
+    isActive
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * HTTP Settings Module
+ * Per-tab extra request headers, HTTP authentication credentials and user agent
+ *
+ * Headers go through Network.setExtraHTTPHeaders. Credentials are handed to the
+ * request router, which owns the Fetch domain and answers Fetch.authRequired.
+ * The user agent is delegated to the emulation manager so the `http` and
+ * `emulate` steps share one override.
+ *
+ * Like the other per-tab overrides these only last as long as the CDP session,
+ * so headers and credentials are reported through onStateChanged and re-applied
+ * by initialize() on the next invocation against the same tab.
+ *
+ * PUBLIC EXPORTS:
+ * - createHttpManager(session, options) - Factory for HTTP settings manager
+ *
+ * @module cdp-skill/page/http-manager
+ */
+
+/**
+ * Create an HTTP settings manager for one tab
+ * @param {import('../types.js').CDPSession} session - CDP session
+ * @param {Object} options - Options
+ * @param {Object} options.requestRouter - Request router (answers authentication challenges)
+ * @param {Object} [options.emulationManager] - Emulation manager (owns the user-agent override)
+ * @param {function(Object): void} [options.onStateChanged] - Called with {headers, credentials} whenever they change (for persistence)
+ * @param {function(): Object|null} [options.getSavedState] - Returns saved state (for restoration)
+ * @returns {Object} HTTP settings manager interface
+ */
+export function createHttpManager(session, options = {}) {
+  const { requestRouter, emulationManager, onStateChanged, getSavedState } = options;
+  if (!requestRouter) throw new Error('Request router is required');
+
+  let headers = null;
+  let credentials = null;
+
+  function notifyChanged() {
+    if (onStateChanged) {
+      onStateChanged(getState());
+    }
+  }
+
+  async function applyHeaders() {
+    await session.send('Network.setExtraHTTPHeaders', { headers: headers || {} });
+  }
+
+  /**
+   * Re-apply saved headers and credentials for this tab
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    const saved = getSavedState ? getSavedState() : null;
+    if (!saved) return;
+    if (saved.headers) {
+      headers = { ...saved.headers };
+      await applyHeaders();
+    }
+    if (saved.credentials) {
+      credentials = { ...saved.credentials };
+      await requestRouter.setCredentials(credentials);
+    }
+  }
+
+  /**
+   * Merge extra headers sent with every request from this tab
+   * @param {Object|null} values - {name: value}; a null value removes that header, null removes all
+   * @returns {Promise<Object|null>} The headers now sent
+   */
+  async function setHeaders(values) {
+    if (values === null) {
+      headers = null;
+    } else {
+      const merged = { ...(headers || {}) };
+      for (const [name, value] of Object.entries(values)) {
+        // Header names are case-insensitive; replace an existing entry whatever its casing
+        for (const existing of Object.keys(merged)) {
+          if (existing.toLowerCase() === name.toLowerCase()) delete merged[existing];
+        }
+        if (value !== null) merged[name] = String(value);
+      }
+      headers = Object.keys(merged).length > 0 ? merged : null;
+    }
+    await applyHeaders();
+    notifyChanged();
+    return headers ? { ...headers } : null;
+  }
+
+  /**
+   * Set the credentials used to answer HTTP authentication challenges
+   * @param {Object|null} value - {username, password, origin?, proxy?}, or null to clear
+   * @returns {Promise<void>}
+   */
+  async function setCredentials(value) {
+    credentials = value ? { ...value } : null;
+    await requestRouter.setCredentials(credentials);
+    notifyChanged();
+  }
+
+  /**
+   * Override the user agent (shared with the emulate step)
+   * @param {string|Object|null} value - UA string or {userAgent, platform?, acceptLanguage?, clientHints?}, or null to clear
+   * @returns {Promise<Object|null>}
+   */
+  async function setUserAgent(value) {
+    if (!emulationManager) {
+      throw new Error('User agent override requires an emulation manager');
+    }
+    return emulationManager.setUserAgent(value);
+  }
+
+  /**
+   * Clear headers and credentials (the user agent is left to emulate)
+   * @returns {Promise<void>}
+   */
+  async function reset() {
+    headers = null;
+    credentials = null;
+    await applyHeaders();
+    await requestRouter.setCredentials(null);
+    notifyChanged();
+  }
+
+  /**
+   * Get the active settings, including the password (for persistence)
+   * @returns {{headers: Object|null, credentials: Object|null}}
+   */
+  function getState() {
+    return {
+      headers: headers ? { ...headers } : null,
+      credentials: credentials ? { ...credentials } : null
+    };
+  }
+
+  /**
+   * Get the active settings safe for output: the password is masked
+   * @returns {{headers: Object|null, credentials: Object|null, userAgent: string|null}}
+   */
+  function describe() {
+    let masked = null;
+    if (credentials) {
+      masked = { ...credentials, password: '***' };
+    }
+    const userAgent = emulationManager ? emulationManager.getState().userAgent : null;
+    return {
+      headers: headers ? { ...headers } : null,
+      credentials: masked,
+      userAgent: userAgent ? userAgent.userAgent || null : null
+    };
+  }
+
+  return {
+    initialize,
+    setHeaders,
+    setCredentials,
+    setUserAgent,
+    reset,
+    getState,
+    describe
+  };
+}
@@ -29,6 +29,18 @@ export { createCookieManager } from './cookie-manager.js';
 // Web Storage Management
 export { createWebStorageManager } from './web-storage-manager.js';
 
+// Request Routing (Fetch domain interception)
+export { createRequestRouter, globToRegex } from './request-router.js';
+
+// Network and CPU Emulation
+export { createEmulationManager, NETWORK_PROFILES } from './emulation-manager.js';
+
+// Extra headers, HTTP credentials and user agent
+export { createHttpManager } from './http-manager.js';
+
+// Download Capture
+export { createDownloadManager } from './download-manager.js';
+
 // Page Controller
 export {
   WaitCondition,
@@ -43,10 +43,12 @@ export const WaitCondition = Object.freeze({
  * @param {Object} [options] - Options
  * @param {function(Object): void} [options.onFrameChanged] - Called when frame context changes (for persistence)
  * @param {function(): Object|null} [options.getSavedFrameState] - Returns saved frame state (for restoration)
+ * @param {function(Object): void} [options.onDialogStateChanged] - Called when queued dialog answers or policy change (for persistence)
+ * @param {function(): Object|null} [options.getSavedDialogState] - Returns saved dialog state (for restoration)
  * @returns {Object} Page controller interface
  */
 export function createPageController(cdpClient, options = {}) {
-  const { onFrameChanged, getSavedFrameState } = options;
+  const { onFrameChanged, getSavedFrameState, onDialogStateChanged, getSavedDialogState } = options;
   let mainFrameId = null;
   let currentFrameId = null;
   let currentExecutionContextId = null;
@@ -59,7 +61,10 @@ export function createPageController(cdpClient, options = {}) {
   const networkIdleDelay = 500;
   let navigationInProgress = false;
   let currentNavigationAbort = null;
-  const dialogHandler = createDialogHandler(cdpClient);
+  const dialogHandler = createDialogHandler(cdpClient, {
+    onStateChanged: onDialogStateChanged,
+    getSavedState: getSavedDialogState
+  });
   let currentNavigationUrl = null;
   let pageCrashed = false;
   const crashWaiters = new Set();
@@ -1352,6 +1357,7 @@ export function createPageController(cdpClient, options = {}) {
     get mainFrameId() { return mainFrameId; },
     get currentFrameId() { return currentFrameId; },
     get currentExecutionContextId() { return currentExecutionContextId; },
+    get dialogHandler() { return dialogHandler; },
     get session() { return cdpClient; }
   };
 }
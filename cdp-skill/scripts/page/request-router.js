@@ -0,0 +1,398 @@
+/**
+ * Request Router Module
+ * Request interception and response mocking via the CDP Fetch domain
+ *
+ * The router owns the tab's Fetch domain, so it also answers HTTP authentication
+ * challenges (Fetch.authRequired) when credentials are set.
+ *
+ * PUBLIC EXPORTS:
+ * - createRequestRouter(session, options?) - Factory for request router
+ * - globToRegex(glob) - Convert a URL glob to a RegExp
+ *
+ * @module cdp-skill/page/request-router
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.css': 'text/css',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Convert a URL glob to a RegExp
+ * `**` matches any characters, `*` matches anything except "/", `{a,b}` matches alternatives.
+ * All other characters (including "?") match literally.
+ * @param {string} glob - URL glob (e.g. "**\/api/pay*")
+ * @returns {RegExp}
+ */
+export function globToRegex(glob) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (c === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (c === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (c === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += c.replace(/[.+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a request router for intercepting, blocking, modifying and fulfilling requests,
+ * and for answering HTTP authentication challenges
+ * @param {import('../types.js').CDPSession} session - CDP session
+ * @param {Object} [options] - Options
+ * @param {function(Array): void} [options.onRulesChanged] - Called with the rule list whenever it changes (for persistence)
+ * @param {function(): Array|null} [options.getSavedRules] - Returns saved rules (for restoration)
+ * @returns {Object} Request router interface
+ */
+export function createRequestRouter(session, options = {}) {
+  const { onRulesChanged, getSavedRules } = options;
+  let rules = [];
+  let nextId = 1;
+  let enabled = false;
+  let authEnabled = false;
+  let boundHandler = null;
+  let boundAuthHandler = null;
+  let credentials = null;
+  const hits = new Map();
+  // Requests already answered once — a second challenge means the credentials were rejected
+  const authAttempts = new Set();
+
+  function notifyChanged() {
+    if (onRulesChanged) {
+      onRulesChanged(rules.map(rule => ({ ...rule })));
+    }
+  }
+
+  function ruleMatches(rule, request, resourceType) {
+    if (rule.method && rule.method.toUpperCase() !== request.method.toUpperCase()) {
+      return false;
+    }
+    if (rule.resourceType && rule.resourceType.toLowerCase() !== (resourceType || '').toLowerCase()) {
+      return false;
+    }
+    if (rule.urlRegex) {
+      return new RegExp(rule.urlRegex).test(request.url);
+    }
+    return globToRegex(rule.url).test(request.url);
+  }
+
+  /**
+   * Find the rule that applies to a request — most recently added wins
+   * @param {Object} request - CDP Network.Request
+   * @param {string} [resourceType] - CDP resource type
+   * @returns {Object|null}
+   */
+  function findRule(request, resourceType) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+      if (ruleMatches(rules[i], request, resourceType)) {
+        return rules[i];
+      }
+    }
+    return null;
+  }
+
+  function buildFulfillment(fulfill) {
+    let body;
+    let contentType = fulfill.contentType;
+
+    if (fulfill.file) {
+      body = fs.readFileSync(fulfill.file);
+      contentType = contentType || CONTENT_TYPES[path.extname(fulfill.file).toLowerCase()] || 'application/octet-stream';
+    } else if (fulfill.json !== undefined) {
+      body = Buffer.from(JSON.stringify(fulfill.json));
+      contentType = contentType || 'application/json';
+    } else {
+      body = Buffer.from(fulfill.body ?? '');
+      contentType = contentType || 'text/plain; charset=utf-8';
+    }
+
+    const headers = { ...(fulfill.headers || {}) };
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = contentType;
+    }
+
+    return {
+      responseCode: fulfill.status || 200,
+      responseHeaders: Object.entries(headers).map(([name, value]) => ({ name, value: String(value) })),
+      body: body.toString('base64')
+    };
+  }
+
+  function mergeHeaders(original, overrides) {
+    const merged = {};
+    for (const [name, value] of Object.entries(original || {})) {
+      merged[name.toLowerCase()] = { name, value };
+    }
+    for (const [name, value] of Object.entries(overrides || {})) {
+      if (value === null) {
+        delete merged[name.toLowerCase()];
+      } else {
+        merged[name.toLowerCase()] = { name, value: String(value) };
+      }
+    }
+    return Object.values(merged);
+  }
+
+  async function onRequestPaused(params) {
+    const { requestId, request, resourceType } = params;
+    let rule = null;
+
+    try {
+      rule = findRule(request, resourceType);
+      if (!rule) {
+        await session.send('Fetch.continueRequest', { requestId });
+        return;
+      }
+
+      hits.set(rule.id, (hits.get(rule.id) || 0) + 1);
+
+      if (rule.block) {
+        await session.send('Fetch.failRequest', {
+          requestId,
+          errorReason: typeof rule.block === 'string' ? rule.block : 'BlockedByClient'
+        });
+      } else if (rule.fulfill) {
+        await session.send('Fetch.fulfillRequest', { requestId, ...buildFulfillment(rule.fulfill) });
+      } else if (rule.modify) {
+        const continueParams = { requestId };
+        if (rule.modify.headers) continueParams.headers = mergeHeaders(request.headers, rule.modify.headers);
+        if (rule.modify.url) continueParams.url = rule.modify.url;
+        if (rule.modify.method) continueParams.method = rule.modify.method;
+        if (rule.modify.postData !== undefined) {
+          continueParams.postData = Buffer.from(String(rule.modify.postData)).toString('base64');
+        }
+        await session.send('Fetch.continueRequest', continueParams);
+      } else {
+        await session.send('Fetch.continueRequest', { requestId });
+      }
+    } catch {
+      // The request may have been cancelled or the rule's file removed — never leave it paused
+      if (rule) {
+        try {
+          await session.send('Fetch.continueRequest', { requestId });
+        } catch {
+          // Request no longer exists
+        }
+      }
+    }
+  }
+
+  function credentialsApply(authChallenge) {
+    if (!credentials) return false;
+    if (authChallenge.source === 'Proxy') return credentials.proxy === true;
+    return !credentials.origin || credentials.origin === authChallenge.origin;
+  }
+
+  async function onAuthRequired(params) {
+    const { requestId, authChallenge } = params;
+    let response = 'CancelAuth';
+    if (credentialsApply(authChallenge) && !authAttempts.has(requestId)) {
+      authAttempts.add(requestId);
+      response = 'ProvideCredentials';
+    }
+    try {
+      await session.send('Fetch.continueWithAuth', {
+        requestId,
+        authChallengeResponse: response === 'ProvideCredentials'
+          ? { response, username: credentials.username, password: credentials.password }
+          : { response }
+      });
+    } catch {
+      // Request no longer exists
+    }
+  }
+
+  // (Re-)enable the Fetch domain; called whenever rules or credentials change
+  async function enableInterception() {
+    const wantAuth = credentials !== null;
+    if (enabled && authEnabled === wantAuth) return;
+    if (!enabled) {
+      boundHandler = onRequestPaused;
+      boundAuthHandler = onAuthRequired;
+      session.on('Fetch.requestPaused', boundHandler);
+      session.on('Fetch.authRequired', boundAuthHandler);
+    }
+    const params = { patterns: [{ urlPattern: '*', requestStage: 'Request' }] };
+    if (wantAuth) params.handleAuthRequests = true;
+    await session.send('Fetch.enable', params);
+    enabled = true;
+    authEnabled = wantAuth;
+  }
+
+  async function disableInterception() {
+    if (!enabled) return;
+    session.off('Fetch.requestPaused', boundHandler);
+    session.off('Fetch.authRequired', boundAuthHandler);
+    boundHandler = null;
+    boundAuthHandler = null;
+    enabled = false;
+    authEnabled = false;
+    await session.send('Fetch.disable');
+  }
+
+  // Interception stays on while there are rules or credentials to answer challenges with
+  async function syncInterception() {
+    if (rules.length > 0 || credentials) {
+      await enableInterception();
+    } else {
+      await disableInterception();
+    }
+  }
+
+  /**
+   * Restore saved rules and start intercepting if any exist
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    const saved = getSavedRules ? getSavedRules() : null;
+    if (Array.isArray(saved) && saved.length > 0) {
+      rules = saved.map(rule => ({ ...rule }));
+      nextId = Math.max(...rules.map(r => parseInt(String(r.id).slice(1), 10) || 0)) + 1;
+      await enableInterception();
+    }
+  }
+
+  /**
+   * Add a routing rule
+   * @param {Object} rule - Rule definition
+   * @param {string} [rule.url] - URL glob
+   * @param {string} [rule.urlRegex] - URL regex (alternative to url)
+   * @param {string} [rule.method] - Only match this HTTP method
+   * @param {string} [rule.resourceType] - Only match this resource type (Document, XHR, Fetch, Script, ...)
+   * @param {boolean|string} [rule.block] - Fail the request (string = CDP Network.ErrorReason)
+   * @param {Object} [rule.fulfill] - Respond with {status, headers, body|json|file, contentType}
+   * @param {Object} [rule.modify] - Continue with {headers, url, method, postData} overrides (null header value removes it)
+   * @returns {Promise<Object>} The stored rule with its id
+   */
+  async function addRule(rule) {
+    const stored = { id: `r${nextId++}` };
+    for (const key of ['url', 'urlRegex', 'method', 'resourceType', 'block', 'fulfill', 'modify']) {
+      if (rule[key] !== undefined) stored[key] = rule[key];
+    }
+    if (stored.fulfill?.file) {
+      const filePath = path.resolve(stored.fulfill.file);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`route fulfill file not found: ${filePath}`);
+      }
+      stored.fulfill = { ...stored.fulfill, file: filePath };
+    }
+
+    rules.push(stored);
+    notifyChanged();
+    await enableInterception();
+    return { ...stored };
+  }
+
+  /**
+   * Remove rules by id or by exact url/urlRegex pattern
+   * @param {string} idOrPattern - Rule id (e.g. "r2") or pattern
+   * @returns {Promise<number>} Number of rules removed
+   */
+  async function removeRule(idOrPattern) {
+    const before = rules.length;
+    rules = rules.filter(r => r.id !== idOrPattern && r.url !== idOrPattern && r.urlRegex !== idOrPattern);
+    const removed = before - rules.length;
+    if (removed > 0) {
+      notifyChanged();
+      await syncInterception();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all rules and stop intercepting
+   * @returns {Promise<number>} Number of rules removed
+   */
+  async function clearRules() {
+    const removed = rules.length;
+    rules = [];
+    notifyChanged();
+    await syncInterception();
+    return removed;
+  }
+
+  /**
+   * Set the credentials used to answer HTTP authentication challenges
+   * @param {Object|null} value - {username, password, origin?, proxy?}, or null to stop answering.
+   *   Without origin, server challenges from any origin are answered; proxy challenges only with proxy: true
+   * @returns {Promise<void>}
+   */
+  async function setCredentials(value) {
+    credentials = value ? { ...value } : null;
+    authAttempts.clear();
+    await syncInterception();
+  }
+
+  /**
+   * List active rules with hit counts for this session
+   * @returns {Array<Object>}
+   */
+  function listRules() {
+    return rules.map(rule => ({ ...rule, hits: hits.get(rule.id) || 0 }));
+  }
+
+  /**
+   * Check whether the Fetch domain is intercepting requests
+   * @returns {boolean}
+   */
+  function isEnabled() {
+    return enabled;
+  }
+
+  /**
+   * Stop intercepting (rules are kept for the next session)
+   * @returns {Promise<void>}
+   */
+  async function dispose() {
+    try {
+      await disableInterception();
+    } catch {
+      // Session may already be closed
+    }
+  }
+
+  return {
+    initialize,
+    addRule,
+    removeRule,
+    clearRules,
+    listRules,
+    setCredentials,
+    isEnabled,
+    dispose
+  };
+}
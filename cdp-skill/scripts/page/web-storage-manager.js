@@ -3,17 +3,26 @@
  * Management for localStorage and sessionStorage via CDP
  *
  * PUBLIC EXPORTS:
- * - createWebStorageManager(session) - Factory for web storage manager
+ * - createWebStorageManager(session, options?) - Factory for web storage manager
  *
  * @module cdp-skill/page/web-storage-manager
  */
 
 /**
  * Creates a web storage manager for localStorage and sessionStorage
+ *
+ * Without an origin, operations run in the current frame (main frame, or the
+ * iframe selected through getFrameContext). With an origin, they go through the
+ * DOMStorage domain, which requires a frame with that origin to be loaded in the tab.
+ *
  * @param {import('../types.js').CDPSession} session - CDP session
+ * @param {Object} [options] - Options
+ * @param {function(): number|null} [options.getFrameContext] - Returns contextId when in a non-main frame
  * @returns {Object} Web storage manager interface
  */
-export function createWebStorageManager(session) {
+export function createWebStorageManager(session, options = {}) {
+  const getFrameContext = options.getFrameContext || null;
+
   const STORAGE_SCRIPT = `
 (function(storageType) {
   const storage = storageType === 'session' ? sessionStorage : localStorage;
@@ -46,17 +55,36 @@ export function createWebStorageManager(session) {
 })
 `;
 
+  async function evaluate(expression) {
+    const params = { expression, returnByValue: true };
+    const contextId = getFrameContext ? getFrameContext() : null;
+    if (contextId) {
+      params.contextId = contextId;
+    }
+    return session.send('Runtime.evaluate', params);
+  }
+
+  function storageId(origin, storageType) {
+    return { securityOrigin: origin, isLocalStorage: storageType === 'local' };
+  }
+
   /**
    * Get all items from localStorage or sessionStorage
    * @param {'local'|'session'} [type='local'] - Storage type
+   * @param {Object} [scope] - Scope options
+   * @param {string} [scope.origin] - Origin to read instead of the current frame
    * @returns {Promise<import('../types.js').StorageItem[]>} Array of storage items
    */
-  async function getStorage(type = 'local') {
+  async function getStorage(type = 'local', scope = {}) {
     const storageType = type === 'session' ? 'session' : 'local';
-    const result = await session.send('Runtime.evaluate', {
-      expression: `(${STORAGE_SCRIPT})('${storageType}')`,
-      returnByValue: true
-    });
+    if (scope.origin) {
+      const { entries } = await session.send('DOMStorage.getDOMStorageItems', {
+        storageId: storageId(scope.origin, storageType)
+      });
+      return (entries || []).map(([name, value]) => ({ name, value }));
+    }
+
+    const result = await evaluate(`(${STORAGE_SCRIPT})('${storageType}')`);
 
     if (result.exceptionDetails) {
       throw new Error(`Failed to get ${storageType}Storage: ${result.exceptionDetails.text}`);
@@ -69,14 +97,25 @@ export function createWebStorageManager(session) {
    * Set items in localStorage or sessionStorage
    * @param {Object} items - Object with key-value pairs (null value removes item)
    * @param {'local'|'session'} [type='local'] - Storage type
+   * @param {Object} [scope] - Scope options
+   * @param {string} [scope.origin] - Origin to write instead of the current frame
    * @returns {Promise<void>}
    */
-  async function setStorage(items, type = 'local') {
+  async function setStorage(items, type = 'local', scope = {}) {
     const storageType = type === 'session' ? 'session' : 'local';
-    const result = await session.send('Runtime.evaluate', {
-      expression: `(${SET_STORAGE_SCRIPT})('${storageType}', ${JSON.stringify(items)})`,
-      returnByValue: true
-    });
+    if (scope.origin) {
+      const id = storageId(scope.origin, storageType);
+      for (const [key, value] of Object.entries(items)) {
+        if (value === null) {
+          await session.send('DOMStorage.removeDOMStorageItem', { storageId: id, key });
+        } else {
+          await session.send('DOMStorage.setDOMStorageItem', { storageId: id, key, value: String(value) });
+        }
+      }
+      return;
+    }
+
+    const result = await evaluate(`(${SET_STORAGE_SCRIPT})('${storageType}', ${JSON.stringify(items)})`);
 
     if (result.exceptionDetails) {
       throw new Error(`Failed to set ${storageType}Storage: ${result.exceptionDetails.text}`);
@@ -86,23 +125,106 @@ export function createWebStorageManager(session) {
   /**
    * Clear all items from localStorage or sessionStorage
    * @param {'local'|'session'} [type='local'] - Storage type
+   * @param {Object} [scope] - Scope options
+   * @param {string} [scope.origin] - Origin to clear instead of the current frame
    * @returns {Promise<void>}
    */
-  async function clearStorage(type = 'local') {
+  async function clearStorage(type = 'local', scope = {}) {
     const storageType = type === 'session' ? 'session' : 'local';
-    const result = await session.send('Runtime.evaluate', {
-      expression: `(${CLEAR_STORAGE_SCRIPT})('${storageType}')`,
-      returnByValue: true
-    });
+    if (scope.origin) {
+      await session.send('DOMStorage.clear', { storageId: storageId(scope.origin, storageType) });
+      return;
+    }
+
+    const result = await evaluate(`(${CLEAR_STORAGE_SCRIPT})('${storageType}')`);
 
     if (result.exceptionDetails) {
       throw new Error(`Failed to clear ${storageType}Storage: ${result.exceptionDetails.text}`);
     }
   }
 
+  /**
+   * Get the origin of the current frame
+   * @returns {Promise<string>}
+   */
+  async function getOrigin() {
+    const result = await evaluate('location.origin');
+    if (result.exceptionDetails) {
+      throw new Error(`Failed to get frame origin: ${result.exceptionDetails.text}`);
+    }
+    return result.result.value;
+  }
+
+  /**
+   * List the distinct origins of all frames loaded in the tab
+   * @returns {Promise<string[]>}
+   */
+  async function getFrameOrigins() {
+    const { frameTree } = await session.send('Page.getFrameTree');
+    const origins = new Set();
+    const walk = (node) => {
+      const origin = node.frame.securityOrigin;
+      if (origin && /^https?:\/\//.test(origin)) {
+        origins.add(origin);
+      }
+      for (const child of node.childFrames || []) {
+        walk(child);
+      }
+    };
+    walk(frameTree);
+    return [...origins];
+  }
+
+  /**
+   * Read localStorage and sessionStorage for every origin loaded in the tab
+   * @returns {Promise<Array<{origin: string, localStorage: Array, sessionStorage: Array}>>}
+   */
+  async function exportOrigins() {
+    const result = [];
+    for (const origin of await getFrameOrigins()) {
+      const localStorage = await getStorage('local', { origin });
+      const sessionStorage = await getStorage('session', { origin });
+      if (localStorage.length > 0 || sessionStorage.length > 0) {
+        result.push({ origin, localStorage, sessionStorage });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Write saved storage back into origins loaded in the tab
+   * Origins with no loaded frame are skipped (navigate there first, then import again).
+   * @param {Array<{origin: string, localStorage?: Array, sessionStorage?: Array}>} origins - Saved origins
+   * @returns {Promise<{applied: string[], skipped: string[]}>}
+   */
+  async function importOrigins(origins) {
+    const loaded = new Set(await getFrameOrigins());
+    const applied = [];
+    const skipped = [];
+
+    for (const entry of origins || []) {
+      if (!loaded.has(entry.origin)) {
+        skipped.push(entry.origin);
+        continue;
+      }
+      for (const [type, items] of [['local', entry.localStorage], ['session', entry.sessionStorage]]) {
+        if (items && items.length > 0) {
+          await setStorage(Object.fromEntries(items.map(item => [item.name, item.value])), type, { origin: entry.origin });
+        }
+      }
+      applied.push(entry.origin);
+    }
+
+    return { applied, skipped };
+  }
+
   return {
     getStorage,
     setStorage,
-    clearStorage
+    clearStorage,
+    getOrigin,
+    getFrameOrigins,
+    exportOrigins,
+    importOrigins
   };
 }
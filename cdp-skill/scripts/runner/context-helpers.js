@@ -6,8 +6,8 @@
  * - buildActionContext(action, params, context) → string - Describes what action was taken
  * - buildCommandContext(steps) → string - Summarizes multi-step commands
  * - captureFailureContext(deps) → Object - Gathers debug info on failure
- * - STEP_TYPES - Array of valid step type names (from registry)
- * - VISUAL_ACTIONS - Actions that trigger auto-screenshot (from registry)
+ * - STEP_TYPES - Array of built-in step type names (from registry)
+ * - VISUAL_ACTIONS - Built-in actions that trigger auto-screenshot (from registry)
  *
  * DEPENDENCIES:
  * - ./step-registry.js: getAllStepTypes, getVisualActions
@@ -16,6 +16,7 @@
 import { getAllStepTypes, getVisualActions } from './step-registry.js';
 
 // Re-export from registry for backwards compatibility
+// (snapshots taken at load; getAllStepTypes() also lists plugin steps registered later)
 export const STEP_TYPES = getAllStepTypes();
 export const VISUAL_ACTIONS = getVisualActions();
 
@@ -52,6 +53,21 @@ export function buildActionContext(action, params, context) {
       if (typeof params?.x === 'number' && typeof params?.y === 'number') return `Hovered over (${params.x}, ${params.y})`;
       return 'Hovered over element';
     }
+    case 'tap':
+    case 'longPress': {
+      const verb = action === 'tap' ? 'Tapped' : 'Long-pressed';
+      if (typeof params === 'string') return `${verb} ${params}`;
+      if (params?.selector) return `${verb} ${params.selector}`;
+      if (params?.ref) return `${verb} [ref=${params.ref}]`;
+      if (params?.text) return `${verb} "${params.text}"`;
+      return `${verb} element`;
+    }
+    case 'swipe': {
+      return params?.direction ? `Swiped ${params.direction}` : 'Swiped';
+    }
+    case 'pinch': {
+      return params?.scale > 1 ? 'Pinched to zoom in' : 'Pinched to zoom out';
+    }
     case 'frame': {
       if (params === 'top') return 'Switched to main frame';
       if (typeof params === 'string') return `Switched to frame ${params}`;
@@ -76,6 +92,10 @@ export function buildActionContext(action, params, context) {
       if (params?.ref) return `Uploaded to [ref=${params.ref}]`;
       return 'Uploaded file(s)';
     }
+    case 'runRecipe': {
+      const name = typeof params === 'string' ? params : params?.name;
+      return name ? `Ran recipe "${name}"` : 'Ran recipe';
+    }
     default:
       return '';
   }
@@ -89,7 +109,7 @@ export function buildActionContext(action, params, context) {
  */
 export function buildCommandContext(steps) {
   const actions = steps.map(step => {
-    const action = STEP_TYPES.find(type => step[type] !== undefined);
+    const action = getAllStepTypes().find(type => step[type] !== undefined);
     return action;
   }).filter(Boolean);
 
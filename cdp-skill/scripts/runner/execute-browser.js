@@ -1,23 +1,40 @@
 /**
  * Browser Executors
- * PDF, eval, cookies, tabs, and console step executors
+ * PDF, screenshot compare, eval, cookies, storage, tabs, console, network, route, dialog, emulate, permissions, http, and downloads step executors
  *
  * EXPORTS:
  * - executePdf(pdfCapture, elementLocator, params) → Promise<Object>
+ * - executeScreenshotCompare(screenshotComparator, params) → Promise<Object>
  * - executeEval(pageController, params) → Promise<Object>
  * - executeCookies(cookieManager, pageController, params) → Promise<Object>
+ * - executeStorage(webStorageManager, cookieManager, params) → Promise<Object>
  * - executeListTabs(browser) → Promise<Array>
  * - executeCloseTab(browser, targetId) → Promise<Object>
  * - executeConsole(consoleCapture, params) → Promise<Object>
  * - formatCommandConsole(consoleCapture, messageCountBefore) → Object|null
+ * - formatConsoleMessage(message) → Object - Console message as shown in output
+ * - executeNetwork(networkCapture, consoleCapture, params) → Promise<Object>
+ * - executeRoute(requestRouter, params) → Promise<Object>
+ * - executeDialog(dialogHandler, params) → Object
+ * - formatCommandDialogs(dialogHandler, dialogCountBefore) → Array|null
+ * - executeEmulate(emulationManager, params) → Promise<Object>
+ * - formatEmulation(emulationManager) → Object|null
+ * - executePermissions(browser, pageController, params, browserContextId?) → Promise<Object>
+ * - executeDownloads(downloadManager, params, commandStartedAt?) → Promise<Object>
+ * - executeHttp(httpManager, params) → Promise<Object>
  *
  * DEPENDENCIES:
- * - ../capture.js: createEvalSerializer
- * - ../utils.js: resolveTempPath
+ * - ../capture.js: createEvalSerializer, createErrorAggregator
+ * - ../utils.js: resolveTempPath, getCurrentUrl, getCurrentOrigin
+ * - ../page/index.js: globToRegex
  */
 
-import { createEvalSerializer } from '../capture/index.js';
-import { resolveTempPath, getCurrentUrl } from '../utils.js';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import { createEvalSerializer, createErrorAggregator } from '../capture/index.js';
+import { resolveTempPath, getCurrentUrl, getCurrentOrigin } from '../utils.js';
+import { globToRegex } from '../page/index.js';
 
 export async function executePdf(pdfCapture, elementLocator, params) {
   if (!pdfCapture) {
@@ -34,6 +51,22 @@ export async function executePdf(pdfCapture, elementLocator, params) {
   return pdfCapture.saveToFile(resolvedPath, options, elementLocator);
 }
 
+/**
+ * Execute a screenshotCompare step - compare a capture with a named baseline
+ * Creates the baseline on first run; throws when the mismatch exceeds the threshold.
+ * @param {Object} screenshotComparator - Screenshot comparator instance
+ * @param {string|Object} params - Baseline name or {name, selector|ref|fullPage, mask, threshold, ...}
+ * @returns {Promise<Object>}
+ */
+export async function executeScreenshotCompare(screenshotComparator, params) {
+  if (!screenshotComparator) {
+    throw new Error('Screenshot comparator not available');
+  }
+
+  const options = typeof params === 'string' ? { name: params } : params;
+  return screenshotComparator.compare(options);
+}
+
 /**
  * Execute an eval step - executes JavaScript in the page context
  * Enhanced with serialization for non-JSON values (FR-039, FR-040, FR-041)
@@ -250,6 +283,88 @@ export async function executeCookies(cookieManager, pageController, params) {
   throw new Error('cookies requires action: get, set, clear, or delete');
 }
 
+/**
+ * Execute a storage step - read and write localStorage/sessionStorage, or export/import
+ * a storage state file bundling cookies with both storages for every loaded origin
+ * @param {Object} webStorageManager - Web storage manager instance
+ * @param {Object} cookieManager - Cookie manager instance (for export/import)
+ * @param {Object} params - {get|set|delete|clear, type, origin} or {export|import: path}
+ * @returns {Promise<Object>}
+ */
+export async function executeStorage(webStorageManager, cookieManager, params) {
+  if (!webStorageManager) {
+    throw new Error('Web storage manager not available');
+  }
+
+  if (params.export !== undefined) {
+    const statePath = await resolveTempPath(params.export, '.json');
+    const cookies = cookieManager ? await cookieManager.getCookies() : [];
+    const origins = await webStorageManager.exportOrigins();
+    await fs.writeFile(statePath, JSON.stringify({ cookies, origins }, null, 2), 'utf8');
+    return { action: 'export', path: statePath, cookies: cookies.length, origins: origins.map(o => o.origin) };
+  }
+
+  if (params.import !== undefined) {
+    const statePath = await resolveTempPath(params.import, '.json');
+    let state;
+    try {
+      state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+    } catch (e) {
+      throw new Error(`Cannot read storage state ${statePath}: ${e.message}`);
+    }
+
+    const cookies = (state.cookies || []).map(cookie => {
+      const { expires, ...rest } = cookie;
+      // Session cookies are exported with expires -1, which CDP would treat as already expired
+      return expires > 0 ? { ...rest, expires } : rest;
+    });
+    if (cookies.length > 0) {
+      if (!cookieManager) {
+        throw new Error('Cookie manager not available');
+      }
+      await cookieManager.setCookies(cookies);
+    }
+
+    const { applied, skipped } = await webStorageManager.importOrigins(state.origins || []);
+    const result = { action: 'import', path: statePath, cookies: cookies.length, applied, skipped };
+    if (skipped.length > 0) {
+      result.hint = 'Storage for skipped origins is only applied while a page from that origin is open — navigate there and import again';
+    }
+    return result;
+  }
+
+  const type = params.type === 'session' ? 'session' : 'local';
+  const scope = params.origin ? { origin: params.origin } : {};
+  const origin = params.origin || await webStorageManager.getOrigin();
+
+  if (params.get !== undefined) {
+    let items = await webStorageManager.getStorage(type, scope);
+    if (params.get !== true) {
+      const names = Array.isArray(params.get) ? params.get : [params.get];
+      items = items.filter(item => names.includes(item.name));
+    }
+    return { action: 'get', type, origin, items };
+  }
+
+  if (params.set !== undefined) {
+    await webStorageManager.setStorage(params.set, type, scope);
+    return { action: 'set', type, origin, count: Object.keys(params.set).length };
+  }
+
+  if (params.delete !== undefined) {
+    const names = Array.isArray(params.delete) ? params.delete : [params.delete];
+    await webStorageManager.setStorage(Object.fromEntries(names.map(name => [name, null])), type, scope);
+    return { action: 'delete', type, origin, count: names.length };
+  }
+
+  if (params.clear !== undefined) {
+    await webStorageManager.clearStorage(type, scope);
+    return { action: 'clear', type, origin };
+  }
+
+  throw new Error('storage requires one of: get, set, delete, clear, export, import');
+}
+
 /**
  * Execute a formState step - dump form field state (Feature 12)
  * @param {Object} formValidator - Form validator instance
@@ -311,8 +426,8 @@ export function formatStackTrace(stackTrace) {
  * Execute a console step - retrieves browser console logs
  *
  * Note: Console logs are captured from the moment startCapture() is called
- * (typically at session start). Logs do NOT persist across separate CLI invocations.
- * Each invocation starts with an empty log buffer.
+ * (typically at session start). A one-shot CLI call starts with an empty buffer;
+ * the daemon, MCP server and createSession() keep it across calls for the tab.
  */
 
 export async function executeConsole(consoleCapture, params) {
@@ -382,8 +497,7 @@ export async function executeConsole(consoleCapture, params) {
 export function formatCommandConsole(consoleCapture, messageCountBefore) {
   if (!consoleCapture) return null;
 
-  const allMessages = consoleCapture.getMessages();
-  const newMessages = allMessages.slice(messageCountBefore);
+  const newMessages = consoleCapture.getMessagesSinceCount(messageCountBefore);
 
   // Filter to errors and warnings only
   const relevant = newMessages.filter(m =>
@@ -400,14 +514,477 @@ export function formatCommandConsole(consoleCapture, messageCountBefore) {
   return {
     errors: deduped.filter(m => m.level === 'error').length,
     warnings: deduped.filter(m => m.level === 'warning').length,
-    messages: deduped.map(m => ({
-      level: m.level,
-      text: m.text,
-      source: m.url ? `${m.url.split('/').pop()}:${m.line}` : undefined
-    }))
+    messages: deduped.map(formatConsoleMessage)
+  };
+}
+
+/**
+ * Format a captured console message for output
+ * @param {Object} message - Message from consoleCapture
+ * @returns {{level: string, text: string, source?: string}}
+ */
+export function formatConsoleMessage(message) {
+  return {
+    level: message.level,
+    text: message.text,
+    source: message.url ? `${message.url.split('/').pop()}:${message.line}` : undefined
   };
 }
 
 /**
  * Execute a validate step - query validation state of an element
  */
+
+/**
+ * Format a request log entry for step output
+ * @param {Object} entry - Request entry from networkCapture.getRequests()
+ * @returns {Object} Compact request summary
+ */
+function formatRequestEntry(entry) {
+  const formatted = {
+    method: entry.method,
+    url: entry.url.length > 300 ? entry.url.substring(0, 300) + '...' : entry.url,
+    status: entry.status ?? null,
+    type: entry.resourceType,
+    state: entry.state
+  };
+  if (entry.mimeType) formatted.mimeType = entry.mimeType;
+  if (entry.endTimestamp && entry.timestamp) {
+    formatted.duration = Math.round((entry.endTimestamp - entry.timestamp) * 1000);
+  }
+  if (entry.encodedDataLength !== undefined) formatted.size = entry.encodedDataLength;
+  if (entry.fromCache) formatted.fromCache = true;
+  if (entry.errorText) formatted.error = entry.errorText;
+  return formatted;
+}
+
+/**
+ * Pull the query filter keys out of a network step params object
+ * @param {Object} params - Query or har params
+ * @returns {Object} Filter for networkCapture.getRequests()
+ */
+function extractRequestFilter(params) {
+  if (!params || typeof params !== 'object') return {};
+  const filter = {};
+  for (const key of ['url', 'method', 'status', 'type', 'failed']) {
+    if (params[key] !== undefined) filter[key] = params[key];
+  }
+  return filter;
+}
+
+/**
+ * Execute a network step - start/stop request capture, query it, or export it as HAR
+ *
+ * Note: how long the request log lives depends on how the tab is driven. A
+ * one-shot CLI call tears the capture down when it exits, so start capture and
+ * run the steps you want to observe in the same call. The daemon, MCP server
+ * and createSession() keep each tab's capture alive, so the log (and a started
+ * capture) carries over between calls until it is cleared or the tab closes.
+ *
+ * @param {Object} networkCapture - Network capture instance
+ * @param {Object} consoleCapture - Console capture instance (combined into the errors report)
+ * @param {string|Object} params - "start" | "stop" | "clear" | "query" | "errors" | {start|stop|clear|query|errors|har}
+ * @returns {Promise<Object>}
+ */
+export async function executeNetwork(networkCapture, consoleCapture, params) {
+  if (!networkCapture) {
+    throw new Error('Network capture not available');
+  }
+
+  const action = typeof params === 'string'
+    ? params
+    : ['start', 'stop', 'clear', 'query', 'errors', 'har'].find(key => params[key] !== undefined);
+
+  if (action === 'start') {
+    const startOptions = typeof params.start === 'object' && params.start !== null ? params.start : {};
+    await networkCapture.startCapture(startOptions);
+    return { action: 'start', capturing: true };
+  }
+
+  if (action === 'stop') {
+    // Keep the Network domain enabled — the page controller relies on it for network settle
+    await networkCapture.stopCapture({ disableDomain: false });
+    return { action: 'stop', capturing: false, captured: networkCapture.getRequests().length };
+  }
+
+  if (action === 'clear') {
+    networkCapture.clear();
+    return { action: 'clear', capturing: networkCapture.isCapturing() };
+  }
+
+  if (action === 'query') {
+    const queryParams = typeof params === 'object' && typeof params.query === 'object' ? params.query : {};
+    const limit = queryParams.limit || 50;
+    const matches = networkCapture.getRequests(extractRequestFilter(queryParams));
+    const recent = matches.slice(-limit);
+    return {
+      action: 'query',
+      capturing: networkCapture.isCapturing(),
+      total: matches.length,
+      showing: recent.length,
+      requests: recent.map(formatRequestEntry)
+    };
+  }
+
+  if (action === 'errors') {
+    const failures = networkCapture.getAllErrors().map(e => ({
+      type: e.type,
+      method: e.method,
+      url: e.url,
+      ...(e.status !== undefined ? { status: e.status } : {}),
+      ...(e.errorText ? { error: e.errorText } : {}),
+      resourceType: e.resourceType
+    }));
+    const output = { action: 'errors', capturing: networkCapture.isCapturing(), network: failures };
+    if (consoleCapture) {
+      const summary = createErrorAggregator(consoleCapture, networkCapture).getSummary();
+      output.counts = summary.counts;
+      output.hasErrors = summary.hasErrors;
+    }
+    return output;
+  }
+
+  if (action === 'har') {
+    const harParams = typeof params.har === 'string' ? { path: params.har } : params.har;
+    const harPath = await resolveTempPath(harParams.path || `network-${Date.now()}.har`, '.har');
+    const har = await networkCapture.toHar({
+      filter: extractRequestFilter(harParams),
+      content: harParams.content === true,
+      maxBodySize: harParams.maxBodySize
+    });
+    await fs.writeFile(harPath, JSON.stringify(har, null, 2), 'utf8');
+    return { action: 'har', path: harPath, entries: har.log.entries.length };
+  }
+
+  throw new Error('network requires one of: start, stop, clear, query, errors, har');
+}
+
+/**
+ * Execute a route step - add, list, remove, or clear request interception rules
+ * Rules persist per tab and are re-applied on every later invocation against that tab.
+ * @param {Object} requestRouter - Request router instance
+ * @param {Object} params - Rule ({url|urlRegex, block|fulfill|modify}) or {list|remove|clear}
+ * @returns {Promise<Object>}
+ */
+export async function executeRoute(requestRouter, params) {
+  if (!requestRouter) {
+    throw new Error('Request router not available');
+  }
+
+  if (params.list !== undefined) {
+    const rules = requestRouter.listRules();
+    return { action: 'list', count: rules.length, rules };
+  }
+
+  if (params.remove !== undefined) {
+    const targets = Array.isArray(params.remove) ? params.remove : [params.remove];
+    let removed = 0;
+    for (const target of targets) {
+      removed += await requestRouter.removeRule(target);
+    }
+    return { action: 'remove', removed, remaining: requestRouter.listRules().length };
+  }
+
+  if (params.clear !== undefined) {
+    const removed = await requestRouter.clearRules();
+    return { action: 'clear', removed };
+  }
+
+  const rule = await requestRouter.addRule(params);
+  const action = rule.block ? 'block' : rule.fulfill ? 'fulfill' : 'modify';
+  return { action: 'add', rule: { id: rule.id, url: rule.url || rule.urlRegex, type: action }, count: requestRouter.listRules().length };
+}
+
+
+/**
+ * Execute a dialog step - queue answers for upcoming JavaScript dialogs or set a standing policy
+ * Queued answers are used first (one per dialog), then the policy, then the built-in auto-accept.
+ * Both persist per tab, so a dialog opened by a later command is still answered as requested.
+ * @param {Object} dialogHandler - Dialog handler instance
+ * @param {string|Object} params - "accept" | "dismiss" | "reset" | {accept, promptText, count} | {policy, promptText}
+ * @returns {Object}
+ */
+export function executeDialog(dialogHandler, params) {
+  if (!dialogHandler) {
+    throw new Error('Dialog handler not available');
+  }
+
+  const formatPolicy = () => dialogHandler.getPolicy() || 'auto';
+
+  if (params === 'reset' || params?.reset === true) {
+    dialogHandler.reset();
+    return { action: 'reset', queued: 0, policy: 'auto' };
+  }
+
+  if (typeof params === 'object' && params.policy !== undefined) {
+    if (params.policy === 'auto') {
+      dialogHandler.setPolicy(null);
+    } else {
+      dialogHandler.setPolicy({ accept: params.policy === 'accept', promptText: params.promptText });
+    }
+    return { action: 'policy', queued: dialogHandler.getQueue().length, policy: formatPolicy() };
+  }
+
+  const answer = typeof params === 'string' ? { accept: params === 'accept' } : params;
+  const accept = answer.accept !== undefined ? answer.accept : true;
+  dialogHandler.queueResponse(accept, answer.promptText, answer.count || 1);
+  return { action: 'queue', queued: dialogHandler.getQueue().length, policy: formatPolicy() };
+}
+
+/**
+ * Collect the dialogs that opened since the start of a command
+ * @param {Object} dialogHandler - Dialog handler instance
+ * @param {number} dialogCountBefore - Handler's getTotalCount() before the command ran
+ * @returns {Array<Object>|null}
+ */
+export function formatCommandDialogs(dialogHandler, dialogCountBefore) {
+  if (!dialogHandler) return null;
+
+  const dialogs = dialogHandler.getHistorySince(dialogCountBefore);
+  return dialogs.length > 0 ? dialogs : null;
+}
+
+/**
+ * Execute an emulate step - throttle the network/CPU and override the browsing environment, or reset everything
+ * Emulation persists per tab and is re-applied on every later invocation against that tab.
+ * @param {Object} emulationManager - Emulation manager instance
+ * @param {string|Object} params - Network profile | "reset" | {network, cpu, geolocation, timezone, locale, colorScheme, reducedMotion, userAgent} | {reset: true}
+ * @returns {Promise<Object>}
+ */
+export async function executeEmulate(emulationManager, params) {
+  if (!emulationManager) {
+    throw new Error('Emulation manager not available');
+  }
+
+  if (params === 'reset' || params?.reset === true) {
+    await emulationManager.reset();
+    return { action: 'reset', active: false };
+  }
+
+  const settings = typeof params === 'string' ? { network: params } : params;
+  if (settings.network !== undefined) {
+    await emulationManager.setNetwork(settings.network);
+  }
+  if (settings.cpu !== undefined) {
+    await emulationManager.setCpuRate(settings.cpu);
+  }
+  if (settings.geolocation !== undefined) {
+    await emulationManager.setGeolocation(settings.geolocation);
+  }
+  if (settings.timezone !== undefined) {
+    await emulationManager.setTimezone(settings.timezone);
+  }
+  if (settings.locale !== undefined) {
+    await emulationManager.setLocale(settings.locale);
+  }
+  if (settings.colorScheme !== undefined || settings.reducedMotion !== undefined) {
+    await emulationManager.setMediaFeatures({ colorScheme: settings.colorScheme, reducedMotion: settings.reducedMotion });
+  }
+  if (settings.userAgent !== undefined) {
+    await emulationManager.setUserAgent(settings.userAgent);
+  }
+
+  const applied = Object.entries(emulationManager.getState()).filter(([, value]) => value !== null);
+  return { action: 'set', active: emulationManager.isActive(), ...Object.fromEntries(applied) };
+}
+
+/**
+ * Summarize active emulation for the response context block
+ * Named profiles are reported by name, custom conditions as {latency, download, upload};
+ * geolocation as {latitude, longitude} and the user agent as its string. Inactive settings are omitted.
+ * @param {Object} emulationManager - Emulation manager instance
+ * @returns {Object|null} {network?, cpu?, geolocation?, timezone?, locale?, colorScheme?, reducedMotion?, userAgent?} or null when nothing is emulated
+ */
+export function formatEmulation(emulationManager) {
+  if (!emulationManager || !emulationManager.isActive()) return null;
+
+  const { network, geolocation, userAgent, ...rest } = emulationManager.getState();
+  const summary = {};
+  if (network) {
+    summary.network = network.profile === 'custom'
+      ? { latency: network.latency, download: network.download, upload: network.upload, ...(network.offline ? { offline: true } : {}) }
+      : network.profile;
+  }
+  if (geolocation) {
+    summary.geolocation = { latitude: geolocation.latitude, longitude: geolocation.longitude };
+  }
+  for (const [key, value] of Object.entries(rest)) {
+    if (value !== null) summary[key] = value;
+  }
+  if (userAgent) {
+    summary.userAgent = userAgent.userAgent;
+  }
+  return summary;
+}
+
+// Permissions reported by a bare query
+const DEFAULT_PERMISSION_QUERY = ['geolocation', 'notifications', 'camera', 'microphone', 'clipboard-read', 'clipboard-write'];
+
+/**
+ * Read permission states for the current page's origin via navigator.permissions
+ * @param {Object} pageController - Page controller instance
+ * @param {Array<string>} names - Permission names
+ * @returns {Promise<Object>} Map of name → "granted" | "denied" | "prompt" | "unsupported"
+ */
+async function queryPermissionStates(pageController, names) {
+  const result = await pageController.session.send('Runtime.evaluate', {
+    expression: `(async (names) => {
+      const states = {};
+      for (const name of names) {
+        try {
+          states[name] = (await navigator.permissions.query({ name })).state;
+        } catch (e) {
+          states[name] = 'unsupported';
+        }
+      }
+      return states;
+    })(${JSON.stringify(names)})`,
+    awaitPromise: true,
+    returnByValue: true
+  });
+  return result.result?.value || {};
+}
+
+/**
+ * Execute a permissions step - grant, deny or reset permissions per origin, or report their states
+ * Overrides live in the browser context (not the tab) until reset or Chrome restarts.
+ * @param {Object} browser - Browser client (browser-level connection)
+ * @param {Object} pageController - Page controller instance (for the default origin and state queries)
+ * @param {string|Object} params - "query" | "reset" | {grant|deny|reset|query, origin?}
+ * @param {string} [browserContextId] - Browser context of the tab (default context when omitted)
+ * @returns {Promise<Object>} {action, origin, permissions?} with current states when they can be read
+ */
+export async function executePermissions(browser, pageController, params, browserContextId = null) {
+  if (!browser) {
+    throw new Error('Browser not available');
+  }
+
+  const options = typeof params === 'string' ? { [params]: true } : params;
+  const action = ['grant', 'deny', 'reset', 'query'].find(key => options[key] !== undefined);
+  const listed = options[action] === true ? null : [].concat(options[action]);
+
+  const pageOrigin = pageController ? await getCurrentOrigin(pageController.session) : null;
+  const origin = options.origin || pageOrigin;
+  const scope = browserContextId ? { browserContextId } : {};
+
+  if (action === 'reset' && !listed) {
+    await browser.resetPermissions(scope);
+    return { action, origin: 'all' };
+  }
+  if (!origin) {
+    throw new Error('permissions needs an origin: navigate to a page first or pass origin');
+  }
+
+  if (action !== 'query') {
+    const setting = action === 'grant' ? 'granted' : action === 'deny' ? 'denied' : 'prompt';
+    for (const name of listed) {
+      await browser.setPermission(name, setting, { origin, ...scope });
+    }
+  }
+
+  const output = { action, origin };
+  // States can only be read from a page on that origin
+  if (pageController && origin === pageOrigin) {
+    output.permissions = await queryPermissionStates(pageController, listed || DEFAULT_PERMISSION_QUERY);
+  } else {
+    output.note = `states are only readable from a page on ${origin}`;
+  }
+  return output;
+}
+
+async function hashFile(filePath, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Execute a downloads step - list this tab's downloads, wait for one to finish, or clear them
+ * `wait` skips downloads that had already finished when the command started, so it
+ * never returns a file from an earlier command; downloads still running then count.
+ * @param {Object} downloadManager - Download manager instance
+ * @param {string|boolean|Object} params - true | "list" | "wait" | "clear" | {wait?, match?, timeout?, checksum?, clear?}
+ * @param {number} [commandStartedAt=Date.now()] - When the command started (ms epoch)
+ * @returns {Promise<Object>} {action, downloads} | {action: "wait", download} | {action: "clear", cleared}
+ */
+export async function executeDownloads(downloadManager, params, commandStartedAt = Date.now()) {
+  if (!downloadManager) {
+    throw new Error('Download manager not available');
+  }
+
+  let options;
+  if (params === true || params === 'list') {
+    options = {};
+  } else if (typeof params === 'string') {
+    options = { [params]: true };
+  } else {
+    options = params;
+  }
+
+  if (options.clear) {
+    return { action: 'clear', cleared: downloadManager.clear() };
+  }
+
+  const algorithm = options.checksum === true ? 'sha256' : options.checksum;
+  const withChecksum = async (download) => {
+    if (algorithm && download.state === 'completed' && download.path) {
+      try {
+        download[algorithm] = await hashFile(download.path, algorithm);
+      } catch {
+        download[algorithm] = null;
+      }
+    }
+    return download;
+  };
+
+  if (options.wait) {
+    const download = await downloadManager.waitFor({ match: options.match, finishedAfter: commandStartedAt, timeout: options.timeout });
+    if (download.state === 'canceled') {
+      throw new Error(`Download canceled: ${download.suggestedFilename} (${download.url})`);
+    }
+    return { action: 'wait', download: await withChecksum(download) };
+  }
+
+  const pattern = options.match ? globToRegex(options.match) : null;
+  const downloads = downloadManager.list().filter(d => !pattern || pattern.test(d.suggestedFilename || ''));
+  return { action: 'list', downloads: await Promise.all(downloads.map(withChecksum)) };
+}
+
+/**
+ * Execute an http step - set extra headers, HTTP credentials and the user agent for this tab
+ * Settings persist per tab and are re-applied on later invocations.
+ * @param {Object} httpManager - HTTP settings manager instance
+ * @param {string|Object} params - "reset" | {headers?, credentials?, userAgent?} (null clears one)
+ * @returns {Promise<Object>} {action, headers?, credentials?, userAgent?} with the password masked
+ */
+export async function executeHttp(httpManager, params) {
+  if (!httpManager) {
+    throw new Error('HTTP settings not available');
+  }
+
+  if (params === 'reset') {
+    await httpManager.reset();
+    if (httpManager.describe().userAgent) {
+      await httpManager.setUserAgent(null);
+    }
+    return { action: 'reset' };
+  }
+
+  if (params.headers !== undefined) {
+    await httpManager.setHeaders(params.headers);
+  }
+  if (params.credentials !== undefined) {
+    await httpManager.setCredentials(params.credentials);
+  }
+  if (params.userAgent !== undefined) {
+    await httpManager.setUserAgent(params.userAgent);
+  }
+
+  const result = { action: 'set' };
+  for (const [key, value] of Object.entries(httpManager.describe())) {
+    if (value !== null) result[key] = value;
+  }
+  return result;
+}
@@ -0,0 +1,293 @@
+/**
+ * Control Flow Step Executors
+ * Conditionals, loops and retries around nested step blocks
+ *
+ * A block is an array of ordinary steps. It runs in order and stops at the first
+ * failing step (optional steps that fail are skipped, as at top level); the
+ * failure fails the enclosing control step. Nested results are reported in the
+ * control step's output in compact form: {action, status, output?, warning?, error?}.
+ * A failed control step keeps that output up to the failing step: the error
+ * thrown carries it as `error.output`, which executeStep copies onto the result.
+ *
+ * Conditions ({selector} | {text} | {fn}, plus not/wait) are evaluated in the
+ * current frame. forEach substitutes {{item}}, {{item.key}} and {{index}}
+ * placeholders (renamed with `as` / `indexAs`) into the block for each item.
+ *
+ * EXPORTS:
+ * - buildConditionPredicate(condition) → string
+ * - evaluateCondition(pageController, condition) → Promise<boolean>
+ * - runBlock(steps, runStep, label) → Promise<Array>
+ * - executeIf(deps, params, options) → Promise<Object>
+ * - executeRepeat(deps, params, options) → Promise<Object>
+ * - executeForEach(deps, params, options) → Promise<Object>
+ * - executeRetry(deps, params, options) → Promise<Object>
+ *
+ * DEPENDENCIES:
+ * - ./execute-dynamic.js: executePoll
+ * - ./execute-recipe.js: substituteParams
+ * - ../aria.js: SELECTOR_GENERATOR_SCRIPT
+ * - ../utils/backoff.js: createBackoffSleeper
+ */
+
+import { executePoll } from './execute-dynamic.js';
+import { substituteParams } from './execute-recipe.js';
+import { SELECTOR_GENERATOR_SCRIPT } from '../aria.js';
+import { createBackoffSleeper } from '../utils/backoff.js';
+
+const DEFAULT_MAX_ITERATIONS = 100;
+const DEFAULT_RETRY_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 5000;
+const ITEM_TEXT_LIMIT = 200;
+
+// ---------------------------------------------------------------------------
+// Conditions
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a browser-side predicate for a condition.
+ *
+ * @param {Object} condition - {selector, visible?} | {text, caseSensitive?} | {fn}, plus not?
+ * @returns {string} async function source returning a boolean
+ */
+export function buildConditionPredicate(condition) {
+  let check;
+  if (condition.selector !== undefined) {
+    check = `(() => {
+      const el = document.querySelector(${JSON.stringify(condition.selector)});
+      if (!el) return false;
+      if (${condition.visible !== true}) return true;
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    })()`;
+  } else if (condition.text !== undefined) {
+    check = condition.caseSensitive
+      ? `(document.body ? document.body.innerText : '').includes(${JSON.stringify(condition.text)})`
+      : `(document.body ? document.body.innerText : '').toLowerCase().includes(${JSON.stringify(condition.text.toLowerCase())})`;
+  } else {
+    check = `await (${condition.fn})()`;
+  }
+  return `async () => ${condition.not ? '!' : '!!'}(${check})`;
+}
+
+/**
+ * Evaluate a condition in the current frame.
+ * With `wait`, polls until the condition holds or the wait elapses.
+ *
+ * @param {Object} pageController - Page controller
+ * @param {Object} condition - Condition object
+ * @returns {Promise<boolean>}
+ */
+export async function evaluateCondition(pageController, condition) {
+  const result = await executePoll(pageController, {
+    fn: buildConditionPredicate(condition),
+    timeout: condition.wait || 0
+  });
+  return result.resolved;
+}
+
+// ---------------------------------------------------------------------------
+// Blocks
+// ---------------------------------------------------------------------------
+
+function toNestedResult(stepResult) {
+  const entry = { action: stepResult.action, status: stepResult.status };
+  if (stepResult.output !== undefined) entry.output = stepResult.output;
+  if (stepResult.warning) entry.warning = stepResult.warning;
+  if (stepResult.error) entry.error = stepResult.error;
+  return entry;
+}
+
+/**
+ * Run a block of steps in order, stopping at the first failing step.
+ *
+ * @param {Array<Object>} steps - Steps to run
+ * @param {Function} runStep - (step) → Promise<stepResult>
+ * @param {string} label - Block name used in error messages (e.g. "if.then")
+ * @returns {Promise<Array>} compact nested results
+ */
+export async function runBlock(steps, runStep, label) {
+  const results = [];
+  for (let i = 0; i < steps.length; i++) {
+    const stepResult = await runStep(steps[i]);
+    results.push(toNestedResult(stepResult));
+    if (stepResult.status === 'error') {
+      const error = new Error(`${label} step ${i + 1} (${stepResult.action || 'unknown'}) failed: ${stepResult.error}`);
+      error.results = results;
+      throw error;
+    }
+  }
+  return results;
+}
+
+function withOutput(error, output) {
+  error.output = output;
+  return error;
+}
+
+function conditionOf(params) {
+  const { then, else: otherwise, timeout, ...condition } = params;
+  return condition;
+}
+
+// ---------------------------------------------------------------------------
+// Executors
+// ---------------------------------------------------------------------------
+
+/**
+ * Run `then` when the condition holds, otherwise `else` (if given).
+ *
+ * @param {Object} deps - Step dependencies (uses pageController)
+ * @param {Object} params - {selector|text|fn, visible?, caseSensitive?, not?, wait?, then, else?}
+ * @param {Object} options - {runStep}
+ * @returns {Promise<Object>} {condition, branch, steps}
+ */
+export async function executeIf(deps, params, options) {
+  const condition = await evaluateCondition(deps.pageController, conditionOf(params));
+  const branch = condition ? 'then' : (params.else ? 'else' : null);
+  let steps = [];
+  if (branch) {
+    try {
+      steps = await runBlock(params[branch], options.runStep, `if.${branch}`);
+    } catch (err) {
+      throw withOutput(err, { condition, branch, steps: err.results || [] });
+    }
+  }
+  return { condition, branch, steps };
+}
+
+/**
+ * Run a block repeatedly: a fixed number of times, while a condition holds
+ * (checked before each iteration) and/or until one holds (checked after).
+ * Condition loops stop after `max` iterations (default 100).
+ *
+ * @param {Object} deps - Step dependencies (uses pageController)
+ * @param {Object} params - {steps, times?, while?, until?, max?}
+ * @param {Object} options - {runStep}
+ * @returns {Promise<Object>} {count, stoppedBy, iterations}
+ */
+export async function executeRepeat(deps, params, options) {
+  const { steps, times } = params;
+  const max = times ?? params.max ?? DEFAULT_MAX_ITERATIONS;
+  const iterations = [];
+  let stoppedBy = times !== undefined ? 'times' : 'max';
+
+  for (let index = 0; index < max; index++) {
+    if (params.while && !(await evaluateCondition(deps.pageController, params.while))) {
+      stoppedBy = 'while';
+      break;
+    }
+    try {
+      iterations.push({ index, steps: await runBlock(steps, options.runStep, `repeat iteration ${index + 1}`) });
+    } catch (err) {
+      iterations.push({ index, steps: err.results || [] });
+      throw withOutput(err, { count: iterations.length, stoppedBy: 'error', iterations });
+    }
+    if (params.until && await evaluateCondition(deps.pageController, params.until)) {
+      stoppedBy = 'until';
+      break;
+    }
+  }
+
+  const result = { count: iterations.length, stoppedBy, iterations };
+  if (stoppedBy === 'max' && times === undefined) {
+    result.warning = `repeat stopped after max ${max} iterations before its condition was met`;
+  }
+  return result;
+}
+
+async function queryItems(pageController, selector, limit) {
+  const expression = `(() => {
+    ${SELECTOR_GENERATOR_SCRIPT}
+    return Array.from(document.querySelectorAll(${JSON.stringify(selector)}))
+      .slice(0, ${limit})
+      .map(el => ({
+        selector: generateSelectorForElement(el),
+        text: (el.innerText || el.textContent || '').trim().slice(0, ${ITEM_TEXT_LIMIT})
+      }));
+  })()`;
+  const result = await pageController.evaluateInFrame(expression, { returnByValue: true });
+  if (result.exceptionDetails) {
+    const errorText = result.exceptionDetails.exception?.description || result.exceptionDetails.text;
+    throw new Error(`forEach query failed: ${errorText}`);
+  }
+  return result.result?.value || [];
+}
+
+function loopValues(item, index, as, indexAs) {
+  const values = { [as]: item, [indexAs]: index };
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    for (const [key, value] of Object.entries(item)) {
+      values[`${as}.${key}`] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Run a block once per item of a literal list or per element matching a selector.
+ * Element items are {selector, text}; the selector is generated per element
+ * when the loop starts, so blocks that reorder the list should re-query instead.
+ *
+ * @param {Object} deps - Step dependencies (uses pageController)
+ * @param {Object} params - {items|query, steps, as?, indexAs?, max?}
+ * @param {Object} options - {runStep}
+ * @returns {Promise<Object>} {count, iterations}
+ */
+export async function executeForEach(deps, params, options) {
+  const { steps, as = 'item', indexAs = 'index', max = DEFAULT_MAX_ITERATIONS } = params;
+  const items = params.items !== undefined
+    ? params.items.slice(0, max)
+    : await queryItems(deps.pageController, params.query, max);
+
+  const iterations = [];
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    const block = substituteParams(steps, loopValues(item, index, as, indexAs));
+    try {
+      iterations.push({ index, item, steps: await runBlock(block, options.runStep, `forEach item ${index + 1}`) });
+    } catch (err) {
+      iterations.push({ index, item, steps: err.results || [] });
+      throw withOutput(err, { count: iterations.length, iterations });
+    }
+  }
+  return { count: iterations.length, iterations };
+}
+
+/**
+ * Run a block, re-running it from the start with exponential backoff when a step fails.
+ * When every attempt fails, the error's output lists each attempt's nested results.
+ *
+ * @param {Object} deps - Step dependencies
+ * @param {Object} params - {steps, attempts?, delay?, maxDelay?}
+ * @param {Object} options - {runStep}
+ * @returns {Promise<Object>} {attempts, steps, errors?}
+ */
+export async function executeRetry(deps, params, options) {
+  const { steps, attempts = DEFAULT_RETRY_ATTEMPTS } = params;
+  const backoff = createBackoffSleeper({
+    initialDelay: params.delay ?? DEFAULT_RETRY_DELAY,
+    maxDelay: params.maxDelay ?? MAX_RETRY_DELAY
+  });
+  const errors = [];
+  const attemptSteps = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const results = await runBlock(steps, options.runStep, `retry attempt ${attempt}`);
+      const result = { attempts: attempt, steps: results };
+      if (errors.length > 0) result.errors = errors;
+      return result;
+    } catch (err) {
+      errors.push(err.message);
+      attemptSteps.push(err.results || []);
+      if (attempt < attempts) await backoff.sleep();
+    }
+  }
+
+  throw withOutput(
+    new Error(`retry failed after ${attempts} attempts: ${errors[errors.length - 1]}`),
+    { attempts, errors, attemptSteps }
+  );
+}
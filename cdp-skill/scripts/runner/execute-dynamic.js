@@ -10,6 +10,7 @@
  * - executeWriteSiteProfile(params) → Promise<Object>
  * - executeReadSiteProfile(params) → Promise<Object>
  * - loadSiteProfile(domain) → Promise<string|null>
+ * - siteFilePath(domain, extension) → string
  *
  * DEPENDENCIES:
  * - ../capture/eval-serializer.js: createEvalSerializer
@@ -404,6 +405,17 @@ function sanitizeDomain(domain) {
   return domain.replace(/^www\./, '').replace(/[^a-zA-Z0-9.\-]/g, '_');
 }
 
+/**
+ * Path of a per-domain file in the sites directory.
+ *
+ * @param {string} domain - hostname (e.g. "github.com")
+ * @param {string} extension - file suffix (e.g. ".md", ".recipes.json")
+ * @returns {string} absolute file path
+ */
+export function siteFilePath(domain, extension) {
+  return path.join(SITES_DIR, `${sanitizeDomain(domain)}${extension}`);
+}
+
 /**
  * Load a site profile for the given domain.
  *
@@ -411,8 +423,7 @@ function sanitizeDomain(domain) {
  * @returns {Promise<string|null>} profile file path or null
  */
 export async function loadSiteProfile(domain) {
-  const clean = sanitizeDomain(domain);
-  const profilePath = path.join(SITES_DIR, `${clean}.md`);
+  const profilePath = siteFilePath(domain, '.md');
   try {
     await fs.access(profilePath);
     return profilePath;
@@ -433,9 +444,8 @@ export async function executeWriteSiteProfile(params) {
     throw new Error(`writeSiteProfile requires domain and content (got keys: ${providedKeys})`);
   }
 
-  const clean = sanitizeDomain(params.domain);
   await ensureSitesDir();
-  const profilePath = path.join(SITES_DIR, `${clean}.md`);
+  const profilePath = siteFilePath(params.domain, '.md');
   await fs.writeFile(profilePath, params.content, 'utf8');
 
   return { written: true, path: profilePath, domain: params.domain };
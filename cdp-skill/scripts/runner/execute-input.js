@@ -1,16 +1,20 @@
 /**
  * Input Executors
- * Fill and select step executors
+ * Fill, select, upload and clipboard step executors
  *
  * EXPORTS:
  * - executeFillActive(pageController, inputEmulator, params) → Promise<Object>
  * - executeSelectOption(elementLocator, params) → Promise<Object>
+ * - executeUpload(elementLocator, pageController, params) → Promise<Object>
+ * - executeClipboard(clipboardExecutor, browser, pageController, params, browserContextId?) → Promise<Object>
  *
  * DEPENDENCIES:
- * - ../utils.js: elementNotFoundError
+ * - ../utils.js: elementNotFoundError, getCurrentOrigin, resolveTempPath
  */
 
-import { elementNotFoundError } from '../utils.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { elementNotFoundError, getCurrentOrigin, resolveTempPath } from '../utils.js';
 
 /**
  * Execute a selectOption step - select option in dropdown
@@ -333,3 +337,93 @@ export async function executeUpload(elementLocator, pageController, params) {
  * Execute a refAt step - get or create a ref for the element at given coordinates
  * Uses document.elementFromPoint to find the element, then assigns/retrieves a ref
  */
+
+// Shorthand keys accepted in place of MIME types
+const CLIPBOARD_SHORTHANDS = { text: 'text/plain', html: 'text/html', image: 'image/png' };
+
+/**
+ * Turn clipboard step content into {mimeType: content}, reading image files as base64
+ * @param {string|Object} content - Plain text, or {text?, html?, image?, "mime/type"?}
+ * @returns {Promise<Object>}
+ */
+async function toClipboardData(content) {
+  if (typeof content === 'string') {
+    return { 'text/plain': content };
+  }
+  const data = {};
+  for (const [key, value] of Object.entries(content)) {
+    const type = CLIPBOARD_SHORTHANDS[key] || key;
+    if (type.startsWith('image/')) {
+      const filePath = path.resolve(value);
+      try {
+        data[type] = (await fs.readFile(filePath)).toString('base64');
+      } catch {
+        throw new Error(`clipboard image file not found: ${filePath}`);
+      }
+    } else {
+      data[type] = String(value);
+    }
+  }
+  return data;
+}
+
+/**
+ * Grant clipboard permissions for the current page's origin so navigator.clipboard doesn't prompt
+ */
+async function grantClipboardAccess(browser, pageController, browserContextId) {
+  const origin = await getCurrentOrigin(pageController.session);
+  if (!browser || !origin) return;
+  const scope = browserContextId ? { browserContextId } : {};
+  await browser.setPermission('clipboard-read', 'granted', { origin, ...scope });
+  await browser.setPermission('clipboard-write', 'granted', { origin, ...scope });
+}
+
+/**
+ * Execute a clipboard step - read or write the clipboard, or paste into the page
+ * @param {Object} clipboardExecutor - Clipboard executor instance
+ * @param {Object} browser - Browser client (grants clipboard permissions)
+ * @param {Object} pageController - Page controller instance
+ * @param {string|Object} params - "read" | "paste" | {read} | {write: text|{text, html, image}} | {paste: true|text|{...}, ref?, selector?}
+ * @param {string} [browserContextId] - Browser context of the tab (default context when omitted)
+ * @returns {Promise<Object>}
+ */
+export async function executeClipboard(clipboardExecutor, browser, pageController, params, browserContextId = null) {
+  if (!clipboardExecutor) {
+    throw new Error('Clipboard executor not available');
+  }
+
+  const options = typeof params === 'string' ? { [params]: true } : params;
+
+  if (options.read !== undefined) {
+    await grantClipboardAccess(browser, pageController, browserContextId);
+    const data = await clipboardExecutor.read();
+    const output = { action: 'read', types: Object.keys(data) };
+    if (data['text/plain'] !== undefined) output.text = data['text/plain'];
+    if (data['text/html'] !== undefined) output.html = data['text/html'];
+    if (data['image/png'] !== undefined) {
+      output.image = await resolveTempPath(`clipboard-${Date.now()}.png`, '.png');
+      await fs.writeFile(output.image, Buffer.from(data['image/png'], 'base64'));
+    }
+    return output;
+  }
+
+  if (options.write !== undefined) {
+    await grantClipboardAccess(browser, pageController, browserContextId);
+    const types = await clipboardExecutor.write(await toClipboardData(options.write));
+    return { action: 'write', types };
+  }
+
+  // paste: true pastes what is on the clipboard, anything else is pasted as given
+  let data;
+  if (options.paste === true) {
+    await grantClipboardAccess(browser, pageController, browserContextId);
+    data = await clipboardExecutor.read();
+    if (Object.keys(data).length === 0) {
+      throw new Error('Nothing to paste: the clipboard is empty');
+    }
+  } else {
+    data = await toClipboardData(options.paste);
+  }
+  const result = await clipboardExecutor.paste(data, { ref: options.ref, selector: options.selector });
+  return { action: 'paste', ...result };
+}
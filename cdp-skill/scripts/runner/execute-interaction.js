@@ -1,19 +1,20 @@
 /**
  * Interaction Executors
- * Click, hover, and drag step executors
+ * Click, hover, drag and touch gesture step executors
  *
  * EXPORTS:
  * - executeClick(elementLocator, inputEmulator, ariaSnapshot, params) → Promise<Object>
  * - clickWithVerification: removed (stale, superseded by click-executor.js pointerdown version)
  * - executeHover(elementLocator, inputEmulator, ariaSnapshot, params) → Promise<Object>
  * - executeDrag(elementLocator, inputEmulator, pageController, ariaSnapshot, params) → Promise<Object>
+ * - executeTouch(elementLocator, inputEmulator, ariaSnapshot, gesture, params) → Promise<Object>
  *
  * DEPENDENCIES:
- * - ../dom/index.js: createClickExecutor, createActionabilityChecker
+ * - ../dom/index.js: createClickExecutor, createTouchExecutor, createActionabilityChecker
  * - ../utils.js: elementNotFoundError, sleep, resetInputState, releaseObject
  */
 
-import { createClickExecutor, createActionabilityChecker } from '../dom/index.js';
+import { createClickExecutor, createTouchExecutor, createActionabilityChecker } from '../dom/index.js';
 import { elementNotFoundError, sleep, resetInputState, releaseObject } from '../utils.js';
 
 export async function executeClick(elementLocator, inputEmulator, ariaSnapshot, params) {
@@ -27,6 +28,20 @@ export async function executeClick(elementLocator, inputEmulator, ariaSnapshot,
   return clickExecutor.execute(params);
 }
 
+/**
+ * Execute a touch gesture step (tap, longPress, swipe, pinch)
+ * Targets resolve like click (ref, selector, text, x/y) with the same actionability checks
+ */
+export async function executeTouch(elementLocator, inputEmulator, ariaSnapshot, gesture, params) {
+  const touchExecutor = createTouchExecutor(
+    elementLocator.session,
+    elementLocator,
+    inputEmulator,
+    ariaSnapshot
+  );
+  return touchExecutor.execute(gesture, params);
+}
+
 /**
  * Execute a hover step - moves mouse over an element to trigger hover events
  * Uses Playwright-style auto-waiting for element to be visible and stable
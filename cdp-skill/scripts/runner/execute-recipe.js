@@ -0,0 +1,336 @@
+/**
+ * Recipe Step Executors
+ * Named, parameterized step sequences stored per domain next to site profiles
+ *
+ * Recipes live in ~/.cdp-skill/sites/{domain}.recipes.json as a map of
+ * name → {description?, params, defaults?, steps}. String values in steps may
+ * contain {{param}} placeholders; a value that is exactly one placeholder is
+ * replaced by the raw parameter (so numbers and booleans survive). `defaults`
+ * supplies readyWhen/settledWhen to every step that supports hooks and does not
+ * set its own. Steps may call other recipes with runRecipe.
+ *
+ * EXPORTS:
+ * - substituteParams(value, values) → any
+ * - collectPlaceholders(value) → string[]
+ * - applyRecipeDefaults(steps, defaults) → Array
+ * - loadRecipes(domain) → Promise<Object>
+ * - summarizeRecipes(recipes) → Object
+ * - executeWriteRecipe(params) → Promise<Object>
+ * - executeRunRecipe(deps, params, options) → Promise<Object>
+ *
+ * DEPENDENCIES:
+ * - ./execute-dynamic.js: siteFilePath
+ * - ./step-validator.js: validateSteps
+ * - ./step-registry.js: getAllStepTypes, stepSupportsHooks
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { siteFilePath } from './execute-dynamic.js';
+import { validateSteps } from './step-validator.js';
+import { getAllStepTypes, stepSupportsHooks } from './step-registry.js';
+
+const RECIPES_EXTENSION = '.recipes.json';
+const MAX_RECIPE_DEPTH = 10;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const EXACT_PLACEHOLDER_PATTERN = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+// ---------------------------------------------------------------------------
+// Parameters and defaults
+// ---------------------------------------------------------------------------
+
+/**
+ * Replace {{param}} placeholders in every string of a JSON value.
+ *
+ * @param {*} value - steps (or any JSON value)
+ * @param {Object} values - parameter values by name
+ * @returns {*} copy with placeholders replaced
+ */
+export function substituteParams(value, values) {
+  if (typeof value === 'string') {
+    const exact = value.match(EXACT_PLACEHOLDER_PATTERN);
+    if (exact && Object.hasOwn(values, exact[1])) {
+      return values[exact[1]];
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) =>
+      Object.hasOwn(values, name) ? String(values[name]) : match
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substituteParams(item, values));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = substituteParams(item, values);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * List the distinct placeholder names used in a JSON value.
+ * Loop variables bound by a forEach step are not reported inside its steps.
+ *
+ * @param {*} value - steps (or any JSON value)
+ * @returns {string[]} names in order of first use
+ */
+export function collectPlaceholders(value) {
+  const names = new Set();
+  const isBound = (name, bound) => bound.some(b => name === b || name.startsWith(`${b}.`));
+  const visit = (item, bound) => {
+    if (typeof item === 'string') {
+      for (const match of item.matchAll(PLACEHOLDER_PATTERN)) {
+        if (!isBound(match[1], bound)) names.add(match[1]);
+      }
+    } else if (Array.isArray(item)) {
+      item.forEach(child => visit(child, bound));
+    } else if (item && typeof item === 'object') {
+      for (const [key, child] of Object.entries(item)) {
+        if (key === 'forEach' && child && typeof child === 'object' && !Array.isArray(child)) {
+          const { steps, ...rest } = child;
+          visit(rest, bound);
+          visit(steps, [...bound, child.as || 'item', child.indexAs || 'index']);
+        } else {
+          visit(child, bound);
+        }
+      }
+    }
+  };
+  visit(value, []);
+  return [...names];
+}
+
+/**
+ * Add default readyWhen/settledWhen hooks to steps that support hooks.
+ * Only object-form params are changed; string shorthands are left as is.
+ *
+ * @param {Array<Object>} steps - recipe steps
+ * @param {Object} [defaults] - {readyWhen, settledWhen}
+ * @returns {Array<Object>} steps with defaults applied
+ */
+export function applyRecipeDefaults(steps, defaults) {
+  if (!defaults || Object.keys(defaults).length === 0) return steps;
+  const stepTypes = getAllStepTypes();
+
+  return steps.map(step => {
+    const action = stepTypes.find(type => step?.[type] !== undefined);
+    const params = action ? step[action] : null;
+    if (!stepSupportsHooks(action) || !params || typeof params !== 'object' || Array.isArray(params)) {
+      return step;
+    }
+    const withDefaults = { ...params };
+    for (const [hook, fn] of Object.entries(defaults)) {
+      if (withDefaults[hook] === undefined) withDefaults[hook] = fn;
+    }
+    return { ...step, [action]: withDefaults };
+  });
+}
+
+/**
+ * Normalize a params declaration to {name: {required, default?, description?}}.
+ * Without a declaration every placeholder in the steps is a required param.
+ */
+function normalizeParamSpecs(declared, steps) {
+  if (declared === undefined) {
+    declared = collectPlaceholders(steps);
+  }
+  const specs = {};
+  if (Array.isArray(declared)) {
+    for (const name of declared) specs[name] = { required: true };
+    return specs;
+  }
+  for (const [name, spec] of Object.entries(declared)) {
+    const normalized = { required: spec.required ?? spec.default === undefined };
+    if (spec.default !== undefined) normalized.default = spec.default;
+    if (spec.description !== undefined) normalized.description = spec.description;
+    specs[name] = normalized;
+  }
+  return specs;
+}
+
+/**
+ * Merge call values with declared defaults; throws when required params are missing.
+ */
+function resolveParamValues(name, recipe, provided) {
+  const values = {};
+  const missing = [];
+  for (const [param, spec] of Object.entries(recipe.params || {})) {
+    if (provided[param] !== undefined) {
+      values[param] = provided[param];
+    } else if (spec.default !== undefined) {
+      values[param] = spec.default;
+    } else if (spec.required) {
+      missing.push(param);
+    } else {
+      values[param] = '';
+    }
+  }
+  for (const [param, value] of Object.entries(provided)) {
+    if (values[param] === undefined) values[param] = value;
+  }
+  if (missing.length > 0) {
+    throw new Error(`Recipe "${name}" is missing required param(s): ${missing.join(', ')}`);
+  }
+  return values;
+}
+
+function formatValidationErrors(errors) {
+  return errors.map(e => `step ${e.index + 1}: ${e.errors.join(', ')}`).join('; ');
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+/**
+ * Load all recipes for a domain.
+ *
+ * @param {string} domain - hostname (e.g. "github.com")
+ * @returns {Promise<Object>} recipes by name ({} if the domain has none)
+ */
+export async function loadRecipes(domain) {
+  const filePath = siteFilePath(domain, RECIPES_EXTENSION);
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch {
+    return {};
+  }
+  try {
+    const recipes = JSON.parse(content);
+    return recipes && typeof recipes === 'object' && !Array.isArray(recipes) ? recipes : {};
+  } catch (err) {
+    throw new Error(`Invalid recipes file ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Describe recipes for listings: name → {description?, params}.
+ *
+ * @param {Object} recipes - recipes by name, from loadRecipes()
+ * @returns {Object} summary by name
+ */
+export function summarizeRecipes(recipes) {
+  const summary = {};
+  for (const [name, recipe] of Object.entries(recipes)) {
+    summary[name] = { params: Object.keys(recipe.params || {}) };
+    if (recipe.description) summary[name].description = recipe.description;
+  }
+  return summary;
+}
+
+/**
+ * Save (or replace) a named recipe for a domain.
+ * Steps are validated with default hooks and param defaults applied, so a bad
+ * recipe is rejected at save time.
+ *
+ * @param {Object} params - {domain, name, steps, params?, defaults?, description?}
+ * @returns {Promise<Object>} {written, path, domain, name, params, steps}
+ */
+export async function executeWriteRecipe(params) {
+  const { domain, name, steps, defaults, description } = params;
+
+  const specs = normalizeParamSpecs(params.params, steps);
+  const undeclared = collectPlaceholders(steps).filter(p => !specs[p]);
+  if (undeclared.length > 0) {
+    throw new Error(`Recipe "${name}" uses undeclared param(s): ${undeclared.join(', ')}. Add them to params.`);
+  }
+
+  // Validate with declared defaults filled in, so a numeric param with a default passes
+  const defaultValues = {};
+  for (const [param, spec] of Object.entries(specs)) {
+    if (spec.default !== undefined) defaultValues[param] = spec.default;
+  }
+  const validation = validateSteps(applyRecipeDefaults(substituteParams(steps, defaultValues), defaults));
+  if (!validation.valid) {
+    throw new Error(`Recipe "${name}" has invalid steps: ${formatValidationErrors(validation.errors)}`);
+  }
+
+  const recipe = { params: specs, steps };
+  if (description) recipe.description = description;
+  if (defaults && Object.keys(defaults).length > 0) recipe.defaults = defaults;
+
+  const recipes = await loadRecipes(domain);
+  recipes[name] = recipe;
+  const filePath = siteFilePath(domain, RECIPES_EXTENSION);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(recipes, null, 2) + '\n', 'utf8');
+
+  return { written: true, path: filePath, domain, name, params: Object.keys(specs), steps: steps.length };
+}
+
+// ---------------------------------------------------------------------------
+// Execution
+// ---------------------------------------------------------------------------
+
+async function getCurrentDomain(pageController) {
+  const result = await pageController.evaluateInFrame('window.location.href', { returnByValue: true });
+  const url = result.result?.value;
+  try {
+    const hostname = new URL(url).hostname.replace(/^www\./, '');
+    if (hostname) return hostname;
+  } catch {
+    // fall through
+  }
+  throw new Error(`runRecipe needs a domain: the current page (${url}) has no hostname`);
+}
+
+/**
+ * Run a named recipe: substitute params, apply default hooks, then execute each step.
+ * Stops at the first failing step.
+ *
+ * @param {Object} deps - step dependencies (uses pageController to find the current domain)
+ * @param {string|Object} params - recipe name or {name, domain?, params?}
+ * @param {Object} options - execution options
+ * @param {Function} options.runStep - (step, {recipeStack, recipeDomain}) → Promise<stepResult>
+ * @param {string[]} [options.recipeStack] - recipes currently running (cycle detection)
+ * @param {string} [options.recipeDomain] - domain of the calling recipe (nested calls default to it)
+ * @returns {Promise<Object>} {recipe, domain, steps, results}
+ */
+export async function executeRunRecipe(deps, params, options) {
+  const { runStep, recipeStack = [], recipeDomain } = options;
+  const call = typeof params === 'string' ? { name: params } : params;
+  const name = call.name;
+  const domain = (call.domain || recipeDomain || await getCurrentDomain(deps.pageController)).replace(/^www\./, '');
+
+  const recipes = await loadRecipes(domain);
+  const recipe = recipes[name];
+  if (!recipe) {
+    const available = Object.keys(recipes);
+    throw new Error(`No recipe "${name}" for ${domain}` +
+      (available.length > 0 ? ` (available: ${available.join(', ')})` : '. Save one with writeRecipe'));
+  }
+
+  const key = `${domain}/${name}`;
+  if (recipeStack.includes(key)) {
+    throw new Error(`Recipe cycle: ${[...recipeStack, key].join(' -> ')}`);
+  }
+  if (recipeStack.length >= MAX_RECIPE_DEPTH) {
+    throw new Error(`Recipes nested more than ${MAX_RECIPE_DEPTH} deep: ${[...recipeStack, key].join(' -> ')}`);
+  }
+
+  const values = resolveParamValues(name, recipe, call.params || {});
+  const steps = applyRecipeDefaults(substituteParams(recipe.steps, values), recipe.defaults);
+  const validation = validateSteps(steps);
+  if (!validation.valid) {
+    throw new Error(`Recipe "${name}" has invalid steps after substitution: ${formatValidationErrors(validation.errors)}`);
+  }
+
+  const results = [];
+  for (let i = 0; i < steps.length; i++) {
+    const stepResult = await runStep(steps[i], { recipeStack: [...recipeStack, key], recipeDomain: domain });
+    const entry = { action: stepResult.action, status: stepResult.status };
+    if (stepResult.output !== undefined) entry.output = stepResult.output;
+    if (stepResult.warning) entry.warning = stepResult.warning;
+    if (stepResult.error) entry.error = stepResult.error;
+    results.push(entry);
+
+    if (stepResult.status === 'error') {
+      throw new Error(`Recipe "${name}" step ${i + 1} (${stepResult.action || 'unknown'}) failed: ${stepResult.error}`);
+    }
+  }
+
+  return { recipe: name, domain, steps: results.length, results };
+}
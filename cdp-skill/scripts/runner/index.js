@@ -4,14 +4,22 @@
  *
  * EXPORTS:
  * - validateSteps(steps) → {valid: boolean, errors: Array}
+ * - buildRequestSchema() → Object - JSON Schema for a whole request
  * - executeStep(deps, step, options?) → Promise<StepResult>
  * - runSteps(deps, steps, options?) → Promise<RunResult>
  * - createTestRunner(deps) → TestRunner
+ * - registerStep(name, config) - Add a custom step type
+ * - loadPlugins(files) → Promise<string[]> - Register the steps exported by plugin modules
  *
  * SUBMODULES:
  * - ./context-helpers.js: buildActionContext, buildCommandContext, captureFailureContext, STEP_TYPES, VISUAL_ACTIONS
  * - ./step-validator.js: validateSteps, validateStepInternal
+ * - ./step-schema.js: getStepSchema, checkSchema, validateStepParams, buildRequestSchema
  * - ./step-executors.js: executeStep, runSteps
+ * - ./step-registry.js: registerStep, unregisterStep
+ * - ./step-plugins.js: PLUGINS_DIR, findPluginFiles, loadPlugins
+ * - ./milestone-verifier.js: createMilestoneVerifier
+ * - ./junit-reporter.js: formatJUnitXml, escapeXml
  */
 
 // Re-export from submodules for direct access
@@ -28,11 +36,33 @@ export {
   validateStepInternal
 } from './step-validator.js';
 
+export {
+  getStepSchema,
+  checkSchema,
+  validateStepParams,
+  buildRequestSchema
+} from './step-schema.js';
+
 export {
   executeStep,
   runSteps
 } from './step-executors.js';
 
+export {
+  registerStep,
+  unregisterStep
+} from './step-registry.js';
+
+export {
+  PLUGINS_DIR,
+  findPluginFiles,
+  loadPlugins
+} from './step-plugins.js';
+
+export { createMilestoneVerifier } from './milestone-verifier.js';
+
+export { formatJUnitXml, escapeXml } from './junit-reporter.js';
+
 // Import for use in createTestRunner
 import { validateSteps } from './step-validator.js';
 import { executeStep, runSteps } from './step-executors.js';
@@ -0,0 +1,118 @@
+/**
+ * JUnit Reporter Module
+ * Formats test-file results as JUnit XML for CI systems
+ *
+ * Each test file becomes a <testsuite>; its scripted steps and each milestone
+ * become <testcase> entries so CI dashboards show which milestone regressed.
+ *
+ * PUBLIC EXPORTS:
+ * - formatJUnitXml(results, options?) - Build a JUnit XML document
+ * - escapeXml(value) - Escape text for XML attributes and content
+ *
+ * @module cdp-skill/runner/junit-reporter
+ */
+
+/**
+ * Escape text for XML attributes and content
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function formatSuite(result) {
+  const name = escapeXml(result.testId);
+  const cases = [];
+  let failures = 0;
+  let errors = 0;
+
+  if (result.error) {
+    errors++;
+    cases.push(
+      `    <testcase classname="${name}" name="run" time="${seconds(result.durationMs)}">\n` +
+      `      <error message="${escapeXml(result.error)}"/>\n` +
+      `    </testcase>`
+    );
+  } else {
+    const stepErrors = result.errors || [];
+    if (stepErrors.length > 0) {
+      failures++;
+      const message = stepErrors.map(e => `step ${e.step} (${e.action}): ${e.error}`).join('; ');
+      cases.push(
+        `    <testcase classname="${name}" name="steps" time="${seconds(result.stepsMs)}">\n` +
+        `      <failure message="${escapeXml(message)}" type="StepFailure"/>\n` +
+        `    </testcase>`
+      );
+    } else {
+      cases.push(`    <testcase classname="${name}" name="steps" time="${seconds(result.stepsMs)}"/>`);
+    }
+
+    for (const milestone of result.milestones || []) {
+      const caseName = escapeXml(`${milestone.id} (weight ${milestone.weight})`);
+      if (milestone.passed) {
+        cases.push(`    <testcase classname="${name}" name="${caseName}" time="0.000"/>`);
+      } else {
+        failures++;
+        cases.push(
+          `    <testcase classname="${name}" name="${caseName}" time="0.000">\n` +
+          `      <failure message="${escapeXml(milestone.detail)}" type="MilestoneFailure"/>\n` +
+          `    </testcase>`
+        );
+      }
+    }
+  }
+
+  const properties = [
+    ['completion', result.completion ?? 0],
+    ['status', result.status],
+    ['category', result.category],
+    ['file', result.file]
+  ]
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `      <property name="${key}" value="${escapeXml(value)}"/>`)
+    .join('\n');
+
+  const suite =
+    `  <testsuite name="${name}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${seconds(result.durationMs)}">\n` +
+    `    <properties>\n${properties}\n    </properties>\n` +
+    `${cases.join('\n')}\n` +
+    `  </testsuite>`;
+
+  return { suite, tests: cases.length, failures, errors };
+}
+
+/**
+ * Build a JUnit XML document from test-file results
+ * @param {Array<Object>} results - Results from runTestFile()
+ * @param {Object} [options] - Options
+ * @param {string} [options.name='cdp-skill'] - Name of the <testsuites> element
+ * @returns {string} XML document
+ */
+export function formatJUnitXml(results, options = {}) {
+  const name = options.name || 'cdp-skill';
+  const suites = results.map(formatSuite);
+  const totals = suites.reduce((acc, s) => ({
+    tests: acc.tests + s.tests,
+    failures: acc.failures + s.failures,
+    errors: acc.errors + s.errors
+  }), { tests: 0, failures: 0, errors: 0 });
+  const durationMs = results.reduce((sum, r) => sum + (r.durationMs || 0), 0);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="${escapeXml(name)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" time="${seconds(durationMs)}">\n` +
+    suites.map(s => s.suite).join('\n') +
+    (suites.length > 0 ? '\n' : '') +
+    '</testsuites>\n';
+}
@@ -0,0 +1,120 @@
+/**
+ * Milestone Verifier Module
+ * Evaluates cdp-bench milestone `verify` blocks against the live page
+ *
+ * Supported verify forms:
+ *   {eval_truthy: "code"}   - JavaScript expression or statement list whose last
+ *                             value is truthy (`await` is allowed)
+ *   {dom_exists: "css"}     - document.querySelector(css) finds an element
+ *   {url_contains: "text"}  - location.href contains text
+ *   {all: [verify, ...]}    - every nested check passes
+ *   {any: [verify, ...]}    - at least one nested check passes
+ *
+ * PUBLIC EXPORTS:
+ * - createMilestoneVerifier(session) - Factory for milestone verifier
+ *
+ * @module cdp-skill/runner/milestone-verifier
+ */
+
+/**
+ * Create a milestone verifier bound to a page session
+ * @param {import('../types.js').CDPSession} session - CDP session
+ * @returns {Object} Milestone verifier interface
+ */
+export function createMilestoneVerifier(session) {
+  async function evaluate(expression, options = {}) {
+    const result = await session.send('Runtime.evaluate', {
+      expression,
+      returnByValue: true,
+      awaitPromise: true,
+      ...options
+    });
+    if (result.exceptionDetails) {
+      const description = result.exceptionDetails.exception?.description || result.exceptionDetails.text;
+      throw new Error(description.split('\n')[0]);
+    }
+    return result.result.value;
+  }
+
+  /**
+   * Check a single verify block
+   * @param {Object} verify - Verify block
+   * @returns {Promise<{passed: boolean, detail: string}>}
+   */
+  async function check(verify) {
+    if (!verify || typeof verify !== 'object') {
+      return { passed: false, detail: 'missing verify block' };
+    }
+
+    if (Array.isArray(verify.all) || Array.isArray(verify.any)) {
+      const isAll = Array.isArray(verify.all);
+      const checks = isAll ? verify.all : verify.any;
+      const details = [];
+      for (const nested of checks) {
+        const result = await check(nested);
+        if (isAll && !result.passed) return result;
+        if (!isAll && result.passed) return result;
+        details.push(result.detail);
+      }
+      return isAll
+        ? { passed: true, detail: `all ${checks.length} checks passed` }
+        : { passed: false, detail: `no check passed (${details.join('; ')})` };
+    }
+
+    try {
+      if (verify.eval_truthy !== undefined) {
+        // REPL mode yields the completion value of statement lists such as
+        // "const v = ...; v > 0" and allows top-level await; the block keeps
+        // their declarations out of the page's global scope
+        const value = await evaluate(`{\n${verify.eval_truthy}\n}`, { replMode: true });
+        return value
+          ? { passed: true, detail: 'eval_truthy' }
+          : { passed: false, detail: `eval_truthy returned ${JSON.stringify(value) ?? 'undefined'}` };
+      }
+
+      if (verify.dom_exists !== undefined) {
+        const exists = await evaluate(`document.querySelector(${JSON.stringify(verify.dom_exists)}) !== null`);
+        return exists
+          ? { passed: true, detail: `dom_exists ${verify.dom_exists}` }
+          : { passed: false, detail: `no element matches ${verify.dom_exists}` };
+      }
+
+      if (verify.url_contains !== undefined) {
+        const url = await evaluate('location.href');
+        return url.includes(verify.url_contains)
+          ? { passed: true, detail: `url_contains ${verify.url_contains}` }
+          : { passed: false, detail: `url ${url} does not contain ${verify.url_contains}` };
+      }
+    } catch (err) {
+      return { passed: false, detail: `error: ${err.message}` };
+    }
+
+    return { passed: false, detail: `unsupported verify keys: ${Object.keys(verify).join(', ')}` };
+  }
+
+  /**
+   * Verify every milestone and compute weighted completion
+   * @param {Array<{id: string, weight: number, verify: Object}>} milestones - Milestones from a test file
+   * @returns {Promise<{completion: number, milestones: Array<{id: string, weight: number, passed: boolean, detail: string}>}>}
+   */
+  async function verifyMilestones(milestones = []) {
+    const results = [];
+    let completion = 0;
+
+    for (const milestone of milestones) {
+      const { passed, detail } = await check(milestone.verify);
+      results.push({ id: milestone.id, weight: milestone.weight, passed, detail });
+      if (passed) completion += milestone.weight || 0;
+    }
+
+    return {
+      completion: Math.round(Math.min(1, completion) * 1000) / 1000,
+      milestones: results
+    };
+  }
+
+  return {
+    check,
+    verifyMilestones
+  };
+}
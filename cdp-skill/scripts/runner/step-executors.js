@@ -8,11 +8,13 @@
  *
  * SUBMODULES:
  * - ./execute-navigation.js: executeWait, executeWaitForNavigation, executeScroll
- * - ./execute-interaction.js: executeClick, executeHover, executeDrag
- * - ./execute-input.js: executeFillActive, executeSelectOption
+ * - ./execute-interaction.js: executeClick, executeHover, executeDrag, executeTouch
+ * - ./execute-input.js: executeFillActive, executeSelectOption, executeUpload, executeClipboard
  * - ./execute-query.js: executeSnapshot, executeQuery, executeQueryAll, executeInspect, etc.
  * - ./execute-form.js: executeValidate, executeSubmit, executeFormState, executeExtract, executeAssert
- * - ./execute-browser.js: executePdf, executeEval, executeCookies, executeConsole, etc.
+ * - ./execute-browser.js: executePdf, executeScreenshotCompare, executeEval, executeCookies, executeStorage, executeConsole, executeNetwork, executeRoute, executeDownloads, executeHttp, etc.
+ * - ./execute-recipe.js: executeWriteRecipe, executeRunRecipe
+ * - ./execute-control.js: executeIf, executeRepeat, executeForEach, executeRetry
  */
 
 import {
@@ -24,7 +26,8 @@ import {
 
 import {
   createFillExecutor,
-  createKeyboardExecutor
+  createKeyboardExecutor,
+  createClipboardExecutor
 } from '../dom/index.js';
 
 import {
@@ -33,30 +36,36 @@ import {
 } from '../diff.js';
 
 import { sleep, resolveTempPath, getCurrentUrl } from '../utils.js';
+import { TIMEOUTS } from '../constants.js';
 import fs from 'fs/promises';
 
 // Import from submodules
 import {
-  STEP_TYPES,
   buildCommandContext,
   captureFailureContext
 } from './context-helpers.js';
 
 import { validateSteps } from './step-validator.js';
+import { getAllStepTypes, getStepConfig } from './step-registry.js';
 
 // Import domain executors
 import { executeWait, executeWaitForNavigation, executeScroll } from './execute-navigation.js';
-import { executeClick, executeHover, executeDrag } from './execute-interaction.js';
-import { executeFillActive, executeSelectOption, executeUpload } from './execute-input.js';
+import { executeClick, executeHover, executeDrag, executeTouch } from './execute-interaction.js';
+import { executeFillActive, executeSelectOption, executeUpload, executeClipboard } from './execute-input.js';
 import { executeSnapshot, executeSnapshotSearch, executeQuery, executeQueryAll, executeInspect, executeGetDom, executeGetBox, executeRefAt, executeElementsAt, executeElementsNear } from './execute-query.js';
 // executeRefAt, executeElementsNear kept for internal dispatch from unified elementsAt
 import { executeSubmit, executeExtract, executeAssert } from './execute-form.js';
-import { executePdf, executeEval, executeCookies, executeListTabs, executeCloseTab, executeConsole, formatCommandConsole } from './execute-browser.js';
+import { executePdf, executeScreenshotCompare, executeEval, executeCookies, executeStorage, executeListTabs, executeCloseTab, executeConsole, executeNetwork, executeRoute, executeDialog, executeEmulate, formatEmulation, executePermissions, executeDownloads, executeHttp, formatCommandConsole, formatConsoleMessage, formatCommandDialogs } from './execute-browser.js';
 // executeEval kept for internal dispatch from unified pageFunction
 import { executePageFunction, executePoll, executeWriteSiteProfile, executeReadSiteProfile, loadSiteProfile } from './execute-dynamic.js';
+import { executeWriteRecipe, executeRunRecipe, loadRecipes, summarizeRecipes } from './execute-recipe.js';
+import { executeIf, executeRepeat, executeForEach, executeRetry } from './execute-control.js';
 
 const keyValidator = createKeyValidator();
 
+// Control-flow steps that run nested step blocks
+const NESTING_ACTIONS = new Set(['if', 'repeat', 'forEach', 'retry']);
+
 /**
  * Detect if a string looks like a function expression (vs a bare expression).
  * Functions start with (, function keyword, async keyword, or match arrow function patterns.
@@ -88,6 +97,7 @@ function isFunctionExpression(str) {
  * @param {Object} deps - Dependencies
  * @param {Object} step - Step definition
  * @param {Object} [options] - Execution options
+ * @param {number} [options.commandStartedAt] - Start of the command (runSteps); a downloads wait skips downloads finished before it
  * @returns {Promise<Object>}
  */
 export async function executeStep(deps, step, options = {}) {
@@ -100,8 +110,11 @@ export async function executeStep(deps, step, options = {}) {
     status: 'ok'
   };
 
+  // Nested steps of control-flow blocks run with the same options (and recipe context)
+  const runStep = (subStep) => executeStep(deps, subStep, options);
+
   async function executeStepInternal() {
-    const definedActions = STEP_TYPES.filter(type => step[type] !== undefined);
+    const definedActions = getAllStepTypes().filter(type => step[type] !== undefined);
     if (definedActions.length === 0) {
       throw new Error(`Unknown step type: ${JSON.stringify(step)}`);
     }
@@ -173,6 +186,7 @@ export async function executeStep(deps, step, options = {}) {
       } catch {
         // Detection failure is non-fatal
       }
+      const downloadMark = deps.downloadManager ? deps.downloadManager.mark() : null;
 
       const clickResult = await executeClick(elementLocator, inputEmulator, deps.ariaSnapshot, step.click);
       if (clickResult) {
@@ -220,6 +234,15 @@ export async function executeStep(deps, step, options = {}) {
       } catch {
         // Detection failure is non-fatal
       }
+
+      // Report downloads started by the click, giving them a moment to finish
+      if (downloadMark !== null) {
+        const downloads = await deps.downloadManager.settle(downloadMark, TIMEOUTS.DOWNLOAD_SETTLE);
+        if (downloads.length > 0) {
+          stepResult.output = stepResult.output || {};
+          stepResult.output.downloads = downloads;
+        }
+      }
     } else if (step.fill !== undefined) {
       stepResult.action = 'fill';
       const params = step.fill;
@@ -289,9 +312,33 @@ export async function executeStep(deps, step, options = {}) {
     } else if (step.console !== undefined) {
       stepResult.action = 'console';
       stepResult.output = await executeConsole(deps.consoleCapture, step.console);
+    } else if (step.network !== undefined) {
+      stepResult.action = 'network';
+      stepResult.output = await executeNetwork(deps.networkCapture, deps.consoleCapture, step.network);
+    } else if (step.route !== undefined) {
+      stepResult.action = 'route';
+      stepResult.output = await executeRoute(deps.requestRouter, step.route);
+    } else if (step.dialog !== undefined) {
+      stepResult.action = 'dialog';
+      stepResult.output = executeDialog(deps.pageController?.dialogHandler, step.dialog);
+    } else if (step.emulate !== undefined) {
+      stepResult.action = 'emulate';
+      stepResult.output = await executeEmulate(deps.emulationManager, step.emulate);
+    } else if (step.permissions !== undefined) {
+      stepResult.action = 'permissions';
+      stepResult.output = await executePermissions(deps.browser, deps.pageController, step.permissions, deps.browserContextId);
+    } else if (step.http !== undefined) {
+      stepResult.action = 'http';
+      stepResult.output = await executeHttp(deps.httpManager, step.http);
+    } else if (step.downloads !== undefined) {
+      stepResult.action = 'downloads';
+      stepResult.output = await executeDownloads(deps.downloadManager, step.downloads, options.commandStartedAt);
     } else if (step.pdf !== undefined) {
       stepResult.action = 'pdf';
       stepResult.output = await executePdf(deps.pdfCapture, elementLocator, step.pdf);
+    } else if (step.screenshotCompare !== undefined) {
+      stepResult.action = 'screenshotCompare';
+      stepResult.output = await executeScreenshotCompare(deps.screenshotComparator, step.screenshotCompare);
     } else if (step.snapshot !== undefined) {
       stepResult.action = 'snapshot';
       // Brief network settle before capturing — catches async content loading
@@ -306,12 +353,27 @@ export async function executeStep(deps, step, options = {}) {
       if (hoverResult.capturedResult) {
         stepResult.output = hoverResult.capturedResult;
       }
+    } else if (step.tap !== undefined) {
+      stepResult.action = 'tap';
+      stepResult.output = await executeTouch(elementLocator, inputEmulator, deps.ariaSnapshot, 'tap', step.tap);
+    } else if (step.longPress !== undefined) {
+      stepResult.action = 'longPress';
+      stepResult.output = await executeTouch(elementLocator, inputEmulator, deps.ariaSnapshot, 'longPress', step.longPress);
+    } else if (step.swipe !== undefined) {
+      stepResult.action = 'swipe';
+      stepResult.output = await executeTouch(elementLocator, inputEmulator, deps.ariaSnapshot, 'swipe', step.swipe);
+    } else if (step.pinch !== undefined) {
+      stepResult.action = 'pinch';
+      stepResult.output = await executeTouch(elementLocator, inputEmulator, deps.ariaSnapshot, 'pinch', step.pinch);
     } else if (step.viewport !== undefined) {
       stepResult.action = 'viewport';
       stepResult.output = await pageController.setViewport(step.viewport);
     } else if (step.cookies !== undefined) {
       stepResult.action = 'cookies';
       stepResult.output = await executeCookies(deps.cookieManager, deps.pageController, step.cookies);
+    } else if (step.storage !== undefined) {
+      stepResult.action = 'storage';
+      stepResult.output = await executeStorage(deps.webStorageManager, deps.cookieManager, step.storage);
     } else if (step.back !== undefined) {
       stepResult.action = 'back';
       const backOptions = step.back === true ? {} : step.back;
@@ -336,6 +398,16 @@ export async function executeStep(deps, step, options = {}) {
     } else if (step.newTab !== undefined) {
       stepResult.action = 'newTab';
       if (step._newTabHandled) {
+        // Headers, credentials and user agent must be in place before the first request
+        const httpSettings = {};
+        if (typeof step.newTab === 'object' && step.newTab !== null) {
+          for (const key of ['headers', 'credentials', 'userAgent']) {
+            if (step.newTab[key] !== undefined) httpSettings[key] = step.newTab[key];
+          }
+        }
+        if (Object.keys(httpSettings).length > 0) {
+          await executeHttp(deps.httpManager, httpSettings);
+        }
         if (step._newTabUrl) {
           const navOptions = {};
           if (step._newTabTimeout) {
@@ -363,9 +435,15 @@ export async function executeStep(deps, step, options = {}) {
           }
         }
         stepResult.output = { tab: step._newTabAlias };
+        if (step._newTabContext) {
+          stepResult.output.browserContext = step._newTabContext;
+        }
       } else {
         throw new Error('openTab must be the first step when no targetId is provided');
       }
+    } else if (step.closeContext !== undefined) {
+      stepResult.action = 'closeContext';
+      throw new Error('closeContext must be the only step in a request');
     } else if (step.selectText !== undefined) {
       stepResult.action = 'selectText';
       const keyboardExecutor = createKeyboardExecutor(
@@ -400,6 +478,12 @@ export async function executeStep(deps, step, options = {}) {
     } else if (step.upload !== undefined) {
       stepResult.action = 'upload';
       stepResult.output = await executeUpload(elementLocator, pageController, step.upload);
+    } else if (step.clipboard !== undefined) {
+      stepResult.action = 'clipboard';
+      const clipboardExecutor = createClipboardExecutor(elementLocator.session, {
+        getFrameContext: elementLocator.getFrameContext
+      });
+      stepResult.output = await executeClipboard(clipboardExecutor, deps.browser, pageController, step.clipboard, deps.browserContextId);
     } else if (step.get !== undefined) {
       stepResult.action = 'get';
       const getParams = step.get;
@@ -494,6 +578,36 @@ export async function executeStep(deps, step, options = {}) {
     } else if (step.readSiteProfile !== undefined) {
       stepResult.action = 'readSiteProfile';
       stepResult.output = await executeReadSiteProfile(step.readSiteProfile);
+      const recipes = await loadRecipes(stepResult.output.domain);
+      if (Object.keys(recipes).length > 0) {
+        stepResult.output.recipes = summarizeRecipes(recipes);
+      }
+    } else if (step.writeRecipe !== undefined) {
+      stepResult.action = 'writeRecipe';
+      stepResult.output = await executeWriteRecipe(step.writeRecipe);
+    } else if (step.runRecipe !== undefined) {
+      stepResult.action = 'runRecipe';
+      stepResult.output = await executeRunRecipe(deps, step.runRecipe, {
+        recipeStack: options.recipeStack,
+        recipeDomain: options.recipeDomain,
+        runStep: (subStep, nested) => executeStep(deps, subStep, { ...options, ...nested })
+      });
+    } else if (step.if !== undefined) {
+      stepResult.action = 'if';
+      stepResult.output = await executeIf(deps, step.if, { runStep });
+    } else if (step.repeat !== undefined) {
+      stepResult.action = 'repeat';
+      stepResult.output = await executeRepeat(deps, step.repeat, { runStep });
+      if (stepResult.output.warning) {
+        stepResult.warning = stepResult.output.warning;
+        delete stepResult.output.warning;
+      }
+    } else if (step.forEach !== undefined) {
+      stepResult.action = 'forEach';
+      stepResult.output = await executeForEach(deps, step.forEach, { runStep });
+    } else if (step.retry !== undefined) {
+      stepResult.action = 'retry';
+      stepResult.output = await executeRetry(deps, step.retry, { runStep });
     } else if (step.switchTab !== undefined) {
       stepResult.action = 'switchTab';
       if (step._switchTabHandled) {
@@ -509,6 +623,17 @@ export async function executeStep(deps, step, options = {}) {
       stepResult.action = 'getTitle';
       const titleResult = await pageController.evaluateInFrame('document.title', { returnByValue: true });
       stepResult.output = { title: titleResult.result?.value };
+    } else if (getStepConfig(actionKey)?.execute) {
+      // Custom step registered by a plugin
+      stepResult.action = actionKey;
+      const output = await getStepConfig(actionKey).execute(deps, actionValue, {
+        runStep,
+        tabAlias: options.tabAlias,
+        timeout: stepTimeout
+      });
+      if (output !== undefined) {
+        stepResult.output = output;
+      }
     }
 
     // Process hooks on action steps (settledWhen, observe)
@@ -535,12 +660,15 @@ export async function executeStep(deps, step, options = {}) {
     }
   }
 
-  const definedAction = STEP_TYPES.find(type => step[type] !== undefined);
+  const definedAction = getAllStepTypes().find(type => step[type] !== undefined);
   const stepParams = definedAction ? step[definedAction] : null;
 
   // Step-level timeout overrides the default step timeout
   if (stepParams && typeof stepParams === 'object' && typeof stepParams.timeout === 'number' && stepParams.timeout > 0) {
     stepTimeout = stepParams.timeout;
+  } else if (definedAction === 'runRecipe' || NESTING_ACTIONS.has(definedAction)) {
+    // Each nested step has its own timeout; the enclosing step gets the maximum
+    stepTimeout = TIMEOUTS.MAX;
   }
 
   let timeoutId;
@@ -584,11 +712,29 @@ export async function executeStep(deps, step, options = {}) {
       stepResult.status = 'error';
       stepResult.error = error.message;
     }
+    // Control steps attach the nested results that ran before the failure
+    if (error.output !== undefined) {
+      stepResult.output = error.output;
+    }
   }
 
   return stepResult;
 }
 
+/**
+ * Send a progress event to the onEvent listener; listener errors never fail the run
+ * @param {function(Object): void} [onEvent] - Event listener
+ * @param {Object} event - Event ({event, ...})
+ */
+function emitEvent(onEvent, event) {
+  if (!onEvent) return;
+  try {
+    onEvent(event);
+  } catch (e) {
+    // A broken listener must not affect the steps
+  }
+}
+
 /**
  * Run an array of test steps
  * @param {Object} deps - Dependencies
@@ -596,6 +742,7 @@ export async function executeStep(deps, step, options = {}) {
  * @param {Object} [options] - Execution options
  * @param {boolean} [options.stopOnError=true] - Stop on first error
  * @param {number} [options.stepTimeout=30000] - Timeout per step
+ * @param {function(Object): void} [options.onEvent] - Progress listener: stepStart, stepEnd and console events
  * @returns {Promise<{status: string, steps: Array, errors: Array}>}
  */
 export async function runSteps(deps, steps, options = {}) {
@@ -611,7 +758,10 @@ export async function runSteps(deps, steps, options = {}) {
     errors: []
   };
 
-  const consoleCountBefore = deps.consoleCapture ? deps.consoleCapture.getMessages().length : 0;
+  const commandStartedAt = Date.now();
+  const consoleCountBefore = deps.consoleCapture ? deps.consoleCapture.getTotalCount() : 0;
+  const dialogHandler = deps.pageController?.dialogHandler;
+  const dialogCountBefore = dialogHandler ? dialogHandler.getTotalCount() : 0;
 
   let beforeUrl, beforeViewport;
   const contextCapture = deps.pageController ? createContextCapture(deps.pageController.session) : null;
@@ -627,9 +777,18 @@ export async function runSteps(deps, steps, options = {}) {
     }
   }
 
+  const { onEvent } = options;
+  // Console messages are streamed as they arrive, in addition to the summary below
+  const stopConsoleEvents = onEvent && deps.consoleCapture?.onMessage
+    ? deps.consoleCapture.onMessage(message => emitEvent(onEvent, { event: 'console', ...formatConsoleMessage(message) }))
+    : null;
+
   for (const step of steps) {
-    const stepResult = await executeStep(deps, step, options);
+    const index = result.steps.length + 1;
+    emitEvent(onEvent, { event: 'stepStart', step: index, action: getAllStepTypes().find(type => step[type] !== undefined) });
+    const stepResult = await executeStep(deps, step, { ...options, commandStartedAt });
     result.steps.push(stepResult);
+    emitEvent(onEvent, { event: 'stepEnd', step: index, result: stepResult });
 
     if (stepResult.status === 'error') {
       result.status = 'error';
@@ -652,6 +811,12 @@ export async function runSteps(deps, steps, options = {}) {
       result.console = consoleSummary;
     }
   }
+  if (stopConsoleEvents) stopConsoleEvents();
+
+  const dialogs = formatCommandDialogs(dialogHandler, dialogCountBefore);
+  if (dialogs) {
+    result.dialogs = dialogs;
+  }
 
   if (deps.ariaSnapshot && contextCapture && beforeViewport) {
     try {
@@ -672,6 +837,12 @@ export async function runSteps(deps, steps, options = {}) {
       result.fullSnapshot = fullSnapshotPath;
       result.context = afterContext;
 
+      // Keep throttling visible so slow or failing loads aren't mistaken for site problems
+      const emulation = formatEmulation(deps.emulationManager);
+      if (emulation && afterContext) {
+        afterContext.emulation = emulation;
+      }
+
       // Write viewport snapshot to file to keep response concise
       const viewportPath = await resolveTempPath(`${options.tabAlias || 'command'}.viewport.yaml`, '.yaml');
       await fs.writeFile(viewportPath, afterViewport.yaml || '', 'utf8');
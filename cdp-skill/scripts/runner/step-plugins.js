@@ -0,0 +1,100 @@
+/**
+ * Step Plugins
+ * Loads user modules that add custom step types to the step registry
+ *
+ * A plugin is an ES module exporting `steps`, a map of step name to a
+ * STEP_CONFIG-style entry plus an executor:
+ *
+ *   export const steps = {
+ *     ssoLogin: {
+ *       schema: { description: 'Log in through the company SSO', type: 'object', properties: { user: { type: 'string' } } },
+ *       validate: (params) => params?.user ? [] : ['ssoLogin requires a user'],
+ *       isVisual: true,
+ *       hooks: ['settledWhen'],
+ *       execute: async (deps, params, { runStep }) => { ... return { user: params.user }; }
+ *     }
+ *   };
+ *
+ * Modules come from ~/.cdp-skill/plugins (every .js / .mjs file, in name order)
+ * and from --plugin paths. Each file is imported once per process.
+ *
+ * EXPORTS:
+ * - PLUGINS_DIR - Default plugin directory (~/.cdp-skill/plugins)
+ * - findPluginFiles(dir?) → string[] - Plugin modules in a directory
+ * - loadPlugins(files) → Promise<string[]> - Import modules and register their steps
+ *
+ * DEPENDENCIES:
+ * - ./step-registry.js: registerStep, unregisterStep
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+import { registerStep, unregisterStep } from './step-registry.js';
+
+export const PLUGINS_DIR = path.join(os.homedir(), '.cdp-skill', 'plugins');
+
+const PLUGIN_EXTENSIONS = new Set(['.js', '.mjs']);
+
+// Resolved path -> step names it registered
+const loadedPlugins = new Map();
+
+/**
+ * List the plugin modules in a directory
+ * @param {string} [dir=PLUGINS_DIR] - Plugin directory
+ * @returns {string[]} Absolute paths in name order (empty when the directory doesn't exist)
+ */
+export function findPluginFiles(dir = PLUGINS_DIR) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(entry => entry.isFile() && PLUGIN_EXTENSIONS.has(path.extname(entry.name)))
+    .map(entry => path.join(dir, entry.name))
+    .sort();
+}
+
+/**
+ * Import plugin modules and register the steps they export
+ * Files already loaded in this process are skipped. A file either registers all
+ * of its steps or none of them.
+ * @param {string[]} [files] - Module paths (relative paths resolve against the working directory)
+ * @returns {Promise<string[]>} Names of the newly registered steps
+ * @throws {Error} When a module fails to import or exports invalid steps
+ */
+export async function loadPlugins(files = []) {
+  const added = [];
+  for (const file of files) {
+    const resolved = path.resolve(file);
+    if (loadedPlugins.has(resolved)) continue;
+
+    let steps;
+    try {
+      const mod = await import(pathToFileURL(resolved).href);
+      steps = mod.steps ?? mod.default?.steps;
+    } catch (err) {
+      throw new Error(`Failed to load plugin ${resolved}: ${err.message}`);
+    }
+    if (!steps || typeof steps !== 'object') {
+      throw new Error(`Plugin ${resolved} must export "steps", an object mapping step names to step definitions`);
+    }
+
+    const registered = [];
+    try {
+      for (const [name, config] of Object.entries(steps)) {
+        registerStep(name, config);
+        registered.push(name);
+      }
+    } catch (err) {
+      registered.forEach(unregisterStep);
+      throw new Error(`Plugin ${resolved}: ${err.message}`);
+    }
+    loadedPlugins.set(resolved, registered);
+    added.push(...registered);
+  }
+  return added;
+}
@@ -9,6 +9,8 @@
  * - getStepConfig(stepType): Get configuration for a specific step type
  * - getAllStepTypes(): Get array of all valid step type strings
  * - getVisualActions(): Get array of actions that trigger screenshots
+ * - registerStep(name, config): Add a custom (plugin) step type
+ * - unregisterStep(name): Remove a custom step type
  *
  * DEPENDENCIES: None (pure registry)
  */
@@ -33,6 +35,10 @@ export const STEP_TYPES = {
   SNAPSHOT: 'snapshot',
   SNAPSHOT_SEARCH: 'snapshotSearch',
   HOVER: 'hover',
+  TAP: 'tap',
+  LONG_PRESS: 'longPress',
+  SWIPE: 'swipe',
+  PINCH: 'pinch',
   VIEWPORT: 'viewport',
   COOKIES: 'cookies',
   BACK: 'back',
@@ -40,6 +46,7 @@ export const STEP_TYPES = {
   WAIT_FOR_NAVIGATION: 'waitForNavigation',
   LIST_TABS: 'listTabs',
   CLOSE_TAB: 'closeTab',
+  CLOSE_CONTEXT: 'closeContext',
   NEW_TAB: 'newTab',
   SELECT_TEXT: 'selectText',
   SELECT_OPTION: 'selectOption',
@@ -55,18 +62,297 @@ export const STEP_TYPES = {
   POLL: 'poll',
   WRITE_SITE_PROFILE: 'writeSiteProfile',
   READ_SITE_PROFILE: 'readSiteProfile',
+  WRITE_RECIPE: 'writeRecipe',
+  RUN_RECIPE: 'runRecipe',
   SWITCH_TAB: 'switchTab',
   GET_URL: 'getUrl',
   GET_TITLE: 'getTitle',
-  UPLOAD: 'upload'
+  UPLOAD: 'upload',
+  NETWORK: 'network',
+  ROUTE: 'route',
+  DIALOG: 'dialog',
+  EMULATE: 'emulate',
+  PERMISSIONS: 'permissions',
+  CLIPBOARD: 'clipboard',
+  DOWNLOADS: 'downloads',
+  HTTP: 'http',
+  STORAGE: 'storage',
+  SCREENSHOT_COMPARE: 'screenshotCompare',
+  IF: 'if',
+  REPEAT: 'repeat',
+  FOR_EACH: 'forEach',
+  RETRY: 'retry'
+};
+
+/**
+ * Validate a control-flow condition: exactly one of selector, text or fn
+ * @param {string} label - Name used in error messages (e.g. "repeat while")
+ * @param {Object} condition - Condition object
+ * @returns {string[]} Array of validation errors
+ */
+function validateCondition(label, condition) {
+  const errors = [];
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${label} condition must be an object with selector, text, or fn`);
+    return errors;
+  }
+  const kinds = ['selector', 'text', 'fn'].filter(key => condition[key] !== undefined);
+  if (kinds.length !== 1) {
+    errors.push(`${label} condition requires exactly one of selector, text, fn` +
+      (kinds.length > 1 ? ` (got ${kinds.join(', ')})` : ''));
+  }
+  for (const key of kinds) {
+    if (typeof condition[key] !== 'string' || condition[key].length === 0) {
+      errors.push(`${label} ${key} must be a non-empty string`);
+    }
+  }
+  for (const key of ['not', 'visible', 'caseSensitive']) {
+    if (condition[key] !== undefined && typeof condition[key] !== 'boolean') {
+      errors.push(`${label} ${key} must be a boolean`);
+    }
+  }
+  if (condition.wait !== undefined && (typeof condition.wait !== 'number' || condition.wait < 0)) {
+    errors.push(`${label} wait must be a non-negative number of milliseconds`);
+  }
+  return errors;
+}
+
+/**
+ * Validate that a nested block is a non-empty array (its steps are validated by the step validator)
+ * @param {string} label - Name used in error messages (e.g. "if then")
+ * @param {*} steps - Block value
+ * @returns {string[]} Array of validation errors
+ */
+function validateBlock(label, steps) {
+  return Array.isArray(steps) && steps.length > 0 ? [] : [`${label} must be a non-empty array of steps`];
+}
+
+/**
+ * Validate the target of a touch gesture: a selector/ref string, or an object
+ * with selector, ref, text or x/y (optional for swipe and pinch)
+ * @param {string} label - Step name used in error messages
+ * @param {*} params - Step params
+ * @param {boolean} [targetOptional=false] - Whether the gesture may omit a target
+ * @returns {string[]} Array of validation errors
+ */
+function validateTouchTarget(label, params, targetOptional = false) {
+  const errors = [];
+  if (typeof params === 'string') {
+    if (params.length === 0) {
+      errors.push(`${label} selector cannot be empty`);
+    }
+    return errors;
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push(`${label} requires a selector string or params object`);
+    return errors;
+  }
+  const hasCoordinates = typeof params.x === 'number' && typeof params.y === 'number';
+  const hasText = typeof params.text === 'string';
+  if (!targetOptional && !params.selector && !params.ref && !hasCoordinates && !hasText) {
+    errors.push(`${label} requires selector, ref, text, or x/y coordinates`);
+  }
+  if (hasText && params.text.length === 0) {
+    errors.push(`${label} text cannot be empty`);
+  }
+  if (hasCoordinates && (params.x < 0 || params.y < 0)) {
+    errors.push(`${label} coordinates must be non-negative`);
+  }
+  return errors;
+}
+
+/**
+ * Validate HTTP settings shared by the http step and newTab:
+ * headers {name: value|null}, credentials {username, password, origin?, proxy?}, userAgent
+ * @param {string} label - Step name used in error messages
+ * @param {Object} params - Step params
+ * @returns {string[]} Array of validation errors
+ */
+function validateHttpSettings(label, params) {
+  const errors = [];
+  const { headers, credentials, userAgent } = params;
+  if (headers !== undefined && headers !== null) {
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      errors.push(`${label} headers must be an object of header name → value`);
+    } else {
+      for (const [name, value] of Object.entries(headers)) {
+        if (value !== null && typeof value !== 'string' && typeof value !== 'number') {
+          errors.push(`${label} header "${name}" must be a string (or null to remove it)`);
+        }
+      }
+    }
+  }
+  if (credentials !== undefined && credentials !== null) {
+    if (typeof credentials !== 'object' || typeof credentials.username !== 'string' || typeof credentials.password !== 'string') {
+      errors.push(`${label} credentials require username and password strings`);
+    } else {
+      if (credentials.origin !== undefined && (typeof credentials.origin !== 'string' || !/^https?:\/\/[^/]+$/.test(credentials.origin))) {
+        errors.push(`${label} credentials origin must be an origin like "https://staging.example.com" (no path)`);
+      }
+      if (credentials.proxy !== undefined && typeof credentials.proxy !== 'boolean') {
+        errors.push(`${label} credentials proxy must be a boolean`);
+      }
+    }
+  }
+  if (userAgent !== undefined && userAgent !== null && typeof userAgent !== 'string') {
+    errors.push(`${label} userAgent must be a string (use emulate for client hints)`);
+  }
+  return errors;
+}
+
+function validatePositiveInteger(label, value) {
+  return value === undefined || (Number.isInteger(value) && value > 0) ? [] : [`${label} must be a positive integer`];
+}
+
+const REF_PATTERN = '^f(\\d+|\\[[^\\]]+\\])s\\d+e\\d+$';
+const ORIGIN_PATTERN = '^https?://[^/]+$';
+const NETWORK_PROFILES = ['offline', 'slow-3g', 'fast-3g', '4g'];
+const ROUTE_ERROR_REASONS = ['Failed', 'Aborted', 'TimedOut', 'AccessDenied', 'ConnectionClosed', 'ConnectionReset',
+  'ConnectionRefused', 'ConnectionAborted', 'ConnectionFailed', 'NameNotResolved', 'InternetDisconnected',
+  'AddressUnreachable', 'BlockedByClient', 'BlockedByResponse'];
+
+/*
+ * Schema fragments shared by several STEP_CONFIG entries. Schemas use the JSON
+ * Schema subset checked by ./step-schema.js; `#/$defs/steps` is a nested step array.
+ */
+const STEPS_SCHEMA = { $ref: '#/$defs/steps' };
+
+const WAIT_UNTIL_SCHEMA = {
+  enum: ['commit', 'domcontentloaded', 'load', 'networkidle'],
+  description: 'Page readiness to wait for'
+};
+
+const TARGET_PROPERTIES = {
+  selector: { type: 'string', description: 'CSS selector' },
+  ref: { type: 'string', description: 'Snapshot ref, e.g. "f0s1e4"' },
+  text: { type: 'string', minLength: 1, description: 'Visible text of the element' },
+  x: { type: 'number', minimum: 0 },
+  y: { type: 'number', minimum: 0 },
+  force: { type: 'boolean', description: 'Skip actionability checks' },
+  exact: { type: 'boolean', description: 'Match text exactly' },
+  tag: { type: 'string', description: 'Limit text matches to this tag' },
+  timeout: { type: 'number', minimum: 0 }
+};
+
+const POINT_SCHEMA = {
+  type: 'object',
+  properties: { x: { type: 'number' }, y: { type: 'number' } },
+  required: ['x', 'y']
+};
+
+const DRAG_POINT_SCHEMA = {
+  anyOf: [
+    { type: 'string', minLength: 1, description: 'CSS selector or ref' },
+    {
+      type: 'object',
+      properties: {
+        selector: { type: 'string' },
+        ref: { type: 'string' },
+        x: { type: 'number' },
+        y: { type: 'number' },
+        offsetX: { type: 'number' },
+        offsetY: { type: 'number' }
+      }
+    }
+  ]
+};
+
+const CONDITION_PROPERTIES = {
+  selector: { type: 'string', minLength: 1, description: 'Element exists' },
+  text: { type: 'string', minLength: 1, description: 'Page text contains' },
+  fn: { type: 'string', minLength: 1, description: 'Predicate function string' },
+  not: { type: 'boolean', description: 'Negate the condition' },
+  visible: { type: 'boolean', description: 'Require the selector to be visible' },
+  caseSensitive: { type: 'boolean' },
+  wait: { type: 'number', minimum: 0, description: 'Poll up to N ms for the condition to hold' }
+};
+
+const CONDITION_SCHEMA = { type: 'object', properties: CONDITION_PROPERTIES };
+
+const HTTP_SETTINGS_PROPERTIES = {
+  headers: {
+    type: ['object', 'null'],
+    additionalProperties: { type: ['string', 'number', 'null'] },
+    description: 'Extra request headers; a null value removes one, null removes all'
+  },
+  credentials: {
+    type: ['object', 'null'],
+    properties: {
+      username: { type: 'string' },
+      password: { type: 'string' },
+      origin: { type: 'string', pattern: ORIGIN_PATTERN, description: 'Only answer challenges from this origin' },
+      proxy: { type: 'boolean', description: 'Also answer proxy challenges' }
+    },
+    required: ['username', 'password']
+  },
+  userAgent: { type: ['string', 'null'] }
+};
+
+const NETWORK_FILTER_PROPERTIES = {
+  url: { type: 'string', description: 'Regex' },
+  method: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+  status: {
+    anyOf: [
+      { type: ['number', 'string'] },
+      { type: 'array', items: { type: ['number', 'string'] } }
+    ],
+    description: 'Code (404), class ("4xx"), or an array of them'
+  },
+  type: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], description: 'Resource type, e.g. "XHR"' },
+  failed: { type: 'boolean' }
+};
+
+const PERMISSION_NAMES_SCHEMA = {
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+  ],
+  description: 'Permission name(s), e.g. "notifications"'
+};
+
+const CLIPBOARD_CONTENT_SCHEMA = {
+  anyOf: [
+    { type: 'string', description: 'Text' },
+    {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        html: { type: 'string' },
+        image: { type: 'string', description: 'PNG file path' }
+      },
+      additionalProperties: { type: 'string', description: 'MIME type → content' },
+      minProperties: 1
+    }
+  ]
 };
 
 /**
  * Step configuration registry
- * Each step has: validate, isVisual, and hooks configuration
+ * Each step has: schema, isVisual, and hooks configuration, plus an optional validate.
+ * `schema` is the JSON Schema of the step value (shapes, enums, defaults) and decides
+ * which values are well-formed; hook properties are added from `hooks` by
+ * ./step-schema.js. `validate` enforces only the rules a schema can't express
+ * (mutually exclusive keys, cross-field checks) and gives step-specific messages;
+ * steps whose rules are all structural, like scroll, leave it out.
+ * Control-flow steps also list `blocks`: param keys holding nested step arrays.
+ * Custom steps added by registerStep also carry `execute`, their executor.
  */
 export const STEP_CONFIG = {
   [STEP_TYPES.GOTO]: {
+    schema: {
+      description: 'Navigate the tab to a URL',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'URL' },
+        {
+          type: 'object',
+          properties: {
+            url: { type: 'string', minLength: 1 },
+            waitUntil: WAIT_UNTIL_SCHEMA
+          },
+          required: ['url']
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -93,6 +379,13 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.RELOAD]: {
+    schema: {
+      description: 'Reload the page',
+      anyOf: [
+        { const: true },
+        { type: 'object', properties: { waitUntil: WAIT_UNTIL_SCHEMA } }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && (typeof params !== 'object' || params === null)) {
@@ -111,6 +404,25 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.WAIT]: {
+    schema: {
+      description: 'Wait for an element, text, or URL change',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'CSS selector' },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string' },
+            text: { type: 'string' },
+            textRegex: { type: 'string' },
+            urlContains: { type: 'string' },
+            hidden: { type: 'boolean', default: false, description: 'Wait for the element to disappear' },
+            minCount: { type: 'number', minimum: 0, default: 1 },
+            caseSensitive: { type: 'boolean', default: true },
+            timeout: { type: 'number', minimum: 0, default: 30000 }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'number') {
@@ -162,6 +474,7 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.SLEEP]: {
+    schema: { type: 'number', minimum: 0, maximum: 60000, description: 'Fixed delay in ms' },
     validate: (params) => {
       const errors = [];
       if (typeof params !== 'number') {
@@ -178,6 +491,27 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.CLICK]: {
+    schema: {
+      description: 'Click an element or coordinates',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'CSS selector or ref' },
+        {
+          type: 'object',
+          properties: {
+            ...TARGET_PROPERTIES,
+            selectors: {
+              type: 'array',
+              minItems: 1,
+              items: { anyOf: [{ type: 'string' }, { type: 'object' }] },
+              description: 'Fallback targets tried in order: selectors or {role, name}'
+            },
+            button: { enum: ['left', 'middle', 'right'], default: 'left' },
+            clickCount: { type: 'integer', minimum: 1, default: 1 },
+            timeout: { type: 'number', minimum: 0, default: 10000 }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -213,6 +547,28 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.FILL]: {
+    schema: {
+      description: 'Type into the focused element, one field, or several fields',
+      anyOf: [
+        { type: 'string', description: 'Text for the focused element' },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string' },
+            ref: { type: 'string' },
+            label: { type: 'string', description: 'Label text of the field' },
+            value: { description: 'Value to enter' },
+            fields: { type: 'object', description: 'Batch: selector, ref or label → value' },
+            clear: { type: 'boolean', default: true },
+            react: { type: 'boolean', description: 'Use the React-compatible value setter' },
+            force: { type: 'boolean' },
+            exact: { type: 'boolean' },
+            timeout: { type: 'number', minimum: 0 }
+          },
+          additionalProperties: { description: 'Batch: selector → value' }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -262,6 +618,7 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.PRESS]: {
+    schema: { type: 'string', minLength: 1, description: 'Key or chord, e.g. "Enter" or "Control+a"' },
     validate: (params) => {
       const errors = [];
       if (typeof params !== 'string' || params.length === 0) {
@@ -274,6 +631,35 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.QUERY]: {
+    schema: {
+      description: 'Query elements by CSS selector or ARIA role',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'CSS selector' },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string' },
+            role: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+            name: { type: 'string' },
+            nameExact: { type: 'boolean' },
+            nameRegex: { type: 'boolean' },
+            level: { type: 'number' },
+            limit: { type: 'number', minimum: 1, default: 10 },
+            output: {
+              anyOf: [
+                { enum: ['text', 'html', 'href', 'value', 'tag'] },
+                { type: 'array', items: { type: 'string' } },
+                { type: 'object', properties: { attribute: { type: 'string' } } }
+              ],
+              default: 'text'
+            },
+            count: { type: 'boolean', description: 'Return only the count' },
+            clean: { type: 'boolean', description: 'Trim whitespace from values' },
+            metadata: { type: 'boolean', description: 'Include tag, classes and selector path per result' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -305,6 +691,16 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.QUERY_ALL]: {
+    schema: {
+      type: 'object',
+      description: 'Batch queries: name → selector string or query object',
+      additionalProperties: { anyOf: [{ type: 'string' }, { type: 'object' }] },
+      properties: {
+        timeout: { type: 'number', minimum: 0 },
+        optional: { type: 'boolean' }
+      },
+      minProperties: 1
+    },
     validate: (params) => {
       const errors = [];
       if (!params || typeof params !== 'object') {
@@ -328,6 +724,19 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.INSPECT]: {
+    schema: {
+      description: 'Page overview with element counts',
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            selectors: { type: 'array', items: { type: 'string' }, description: 'Extra selectors to count' },
+            limit: { type: 'number', minimum: 0, description: 'Sample values per selector' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && params !== false && (typeof params !== 'object' || params === null)) {
@@ -340,25 +749,45 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.SCROLL]: {
-    validate: (params) => {
-      const errors = [];
-      if (typeof params === 'string') {
-        if (params.length === 0) {
-          errors.push('scroll requires a non-empty string');
+    schema: {
+      description: 'Scroll the page or scroll an element into view',
+      anyOf: [
+        { type: 'string', minLength: 1, description: '"top", "bottom", "up", "down", a CSS selector, or a ref' },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string' },
+            ref: { type: 'string' },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            deltaX: { type: 'number' },
+            deltaY: { type: 'number' }
+          }
         }
-        // Accepts direction ("top","bottom","up","down"), CSS selector, or ref string
-      } else if (params && typeof params === 'object') {
-        // selector, ref, x, y, deltaX, deltaY are all valid
-      } else {
-        errors.push('scroll requires a direction/selector string or params object');
-      }
-      return errors;
+      ]
     },
     isVisual: true,
     hooks: ['readyWhen', 'settledWhen', 'observe']
   },
 
   [STEP_TYPES.CONSOLE]: {
+    schema: {
+      description: 'Read captured console messages',
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            level: { type: 'string', description: '"error", "warning", "log", ...' },
+            type: { enum: ['console', 'exception'] },
+            since: { type: 'number' },
+            limit: { type: 'number', minimum: 1, default: 50 },
+            clear: { type: 'boolean' },
+            stackTrace: { type: 'boolean' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && params !== false && (typeof params !== 'object' || params === null)) {
@@ -371,6 +800,24 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.PDF]: {
+    schema: {
+      description: 'Save the page (or one element) as PDF',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'File path (relative paths go to the temp directory)' },
+        {
+          type: 'object',
+          properties: {
+            path: { type: 'string', minLength: 1 },
+            landscape: { type: 'boolean' },
+            printBackground: { type: 'boolean' },
+            scale: { type: 'number', exclusiveMinimum: 0 },
+            pageRanges: { type: 'string' },
+            selector: { type: 'string' }
+          },
+          required: ['path']
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -393,6 +840,31 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.SNAPSHOT]: {
+    schema: {
+      description: 'Accessibility snapshot of the page as YAML with refs',
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            detail: { enum: ['summary', 'interactive', 'full'], default: 'full' },
+            mode: { enum: ['ai', 'full'], default: 'ai' },
+            root: { type: 'string', description: 'CSS selector or "role=main"' },
+            maxDepth: { type: 'number', minimum: 0 },
+            maxElements: { type: 'number', minimum: 0 },
+            maxNameLength: { type: 'number', minimum: 0, default: 150 },
+            includeText: { type: 'boolean' },
+            includeFrames: { type: 'boolean' },
+            pierceShadow: { type: 'boolean' },
+            viewportOnly: { type: 'boolean' },
+            inlineLimit: { type: 'number', minimum: 0, default: 9000 },
+            preserveRefs: { type: 'boolean' },
+            since: { type: 'string', description: 'Snapshot id, e.g. "f0s1"' },
+            backend: { enum: ['dom', 'cdp'], default: 'dom' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && params !== false && (typeof params !== 'object' || params === null)) {
@@ -405,6 +877,17 @@ export const STEP_CONFIG = {
         if (params.detail && !['summary', 'interactive', 'full'].includes(params.detail)) {
           errors.push('snapshot detail must be "summary", "interactive", or "full"');
         }
+        if (params.backend && !['dom', 'cdp'].includes(params.backend)) {
+          errors.push('snapshot backend must be "dom" or "cdp"');
+        }
+        // Chrome's accessibility tree covers one frame and the whole document
+        if (params.backend === 'cdp') {
+          for (const option of ['viewportOnly', 'includeFrames']) {
+            if (params[option]) {
+              errors.push(`snapshot ${option} is not supported with backend "cdp"`);
+            }
+          }
+        }
         if (params.inlineLimit !== undefined && (typeof params.inlineLimit !== 'number' || params.inlineLimit < 0)) {
           errors.push('snapshot inlineLimit must be a non-negative number');
         }
@@ -416,6 +899,23 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.SNAPSHOT_SEARCH]: {
+    schema: {
+      type: 'object',
+      description: 'Search the snapshot by text, regex, or role',
+      properties: {
+        text: { type: 'string' },
+        pattern: { type: 'string', description: 'Regex' },
+        role: { type: 'string' },
+        exact: { type: 'boolean' },
+        limit: { type: 'number', minimum: 1, default: 10 },
+        context: { type: 'number', minimum: 0 },
+        near: {
+          type: 'object',
+          properties: { x: { type: 'number' }, y: { type: 'number' }, radius: { type: 'number', minimum: 0 } },
+          required: ['x', 'y']
+        }
+      }
+    },
     validate: (params) => {
       const errors = [];
       if (!params || typeof params !== 'object') {
@@ -450,6 +950,20 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.HOVER]: {
+    schema: {
+      description: 'Move the mouse over an element or coordinates',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'CSS selector or ref' },
+        {
+          type: 'object',
+          properties: {
+            ...TARGET_PROPERTIES,
+            duration: { type: 'number', minimum: 0, description: 'Hover time in ms' },
+            captureResult: { type: 'boolean', description: 'Report elements that became visible' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -477,7 +991,126 @@ export const STEP_CONFIG = {
     hooks: ['readyWhen', 'settledWhen', 'observe']
   },
 
+  [STEP_TYPES.TAP]: {
+    schema: {
+      description: 'Tap an element or coordinates',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'CSS selector or ref' },
+        { type: 'object', properties: TARGET_PROPERTIES }
+      ]
+    },
+    validate: (params) => validateTouchTarget('tap', params),
+    isVisual: true,
+    hooks: ['readyWhen', 'settledWhen', 'observe']
+  },
+
+  [STEP_TYPES.LONG_PRESS]: {
+    schema: {
+      description: 'Touch and hold an element or coordinates',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'CSS selector or ref' },
+        {
+          type: 'object',
+          properties: {
+            ...TARGET_PROPERTIES,
+            duration: { type: 'number', minimum: 0, default: 800 }
+          }
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = validateTouchTarget('longPress', params);
+      if (params && typeof params === 'object' && params.duration !== undefined &&
+          (typeof params.duration !== 'number' || params.duration < 0)) {
+        errors.push('longPress duration must be a non-negative number of milliseconds');
+      }
+      return errors;
+    },
+    isVisual: true,
+    hooks: ['readyWhen', 'settledWhen', 'observe']
+  },
+
+  [STEP_TYPES.SWIPE]: {
+    schema: {
+      type: 'object',
+      description: 'Swipe from the target (or viewport center) in a direction',
+      properties: {
+        ...TARGET_PROPERTIES,
+        direction: { enum: ['up', 'down', 'left', 'right'] },
+        distance: { type: 'number', exclusiveMinimum: 0, default: 300 },
+        duration: { type: 'number', exclusiveMinimum: 0, default: 300 }
+      },
+      required: ['direction']
+    },
+    validate: (params) => {
+      if (typeof params === 'string') {
+        return ['swipe requires a params object with direction'];
+      }
+      const errors = validateTouchTarget('swipe', params, true);
+      if (errors.length > 0) return errors;
+      if (!['up', 'down', 'left', 'right'].includes(params.direction)) {
+        errors.push('swipe direction must be "up", "down", "left", or "right"');
+      }
+      if (params.distance !== undefined && (typeof params.distance !== 'number' || params.distance <= 0)) {
+        errors.push('swipe distance must be a positive number');
+      }
+      if (params.duration !== undefined && (typeof params.duration !== 'number' || params.duration <= 0)) {
+        errors.push('swipe duration must be a positive number of milliseconds');
+      }
+      return errors;
+    },
+    isVisual: true,
+    hooks: ['readyWhen', 'settledWhen', 'observe']
+  },
+
+  [STEP_TYPES.PINCH]: {
+    schema: {
+      type: 'object',
+      description: 'Pinch around the target (or viewport center); scale < 1 zooms out, > 1 zooms in',
+      properties: {
+        ...TARGET_PROPERTIES,
+        scale: { type: 'number', exclusiveMinimum: 0 },
+        speed: { type: 'number', exclusiveMinimum: 0 }
+      },
+      required: ['scale']
+    },
+    validate: (params) => {
+      if (typeof params === 'string') {
+        return ['pinch requires a params object with scale'];
+      }
+      const errors = validateTouchTarget('pinch', params, true);
+      if (errors.length > 0) return errors;
+      if (typeof params.scale !== 'number' || !(params.scale > 0)) {
+        errors.push('pinch scale must be a positive number (< 1 zooms out, > 1 zooms in)');
+      }
+      if (params.speed !== undefined && (typeof params.speed !== 'number' || params.speed <= 0)) {
+        errors.push('pinch speed must be a positive number');
+      }
+      return errors;
+    },
+    isVisual: true,
+    hooks: ['readyWhen', 'settledWhen', 'observe']
+  },
+
   [STEP_TYPES.VIEWPORT]: {
+    schema: {
+      description: 'Set the viewport to a device preset or explicit size',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Device preset, e.g. "iphone-14"' },
+        {
+          type: 'object',
+          properties: {
+            width: { type: 'number', exclusiveMinimum: 0 },
+            height: { type: 'number', exclusiveMinimum: 0 },
+            mobile: { type: 'boolean' },
+            hasTouch: { type: 'boolean' },
+            isLandscape: { type: 'boolean' },
+            deviceScaleFactor: { type: 'number', exclusiveMinimum: 0 }
+          },
+          required: ['width', 'height']
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -501,6 +1134,19 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.COOKIES]: {
+    schema: {
+      type: 'object',
+      description: 'Get, set, delete, or clear cookies',
+      properties: {
+        get: { anyOf: [{ type: 'boolean' }, { type: 'array', items: { type: 'string' } }], description: 'true for the current page, or URLs' },
+        set: { type: 'array', items: { type: 'object' }, description: 'Cookies: {name, value, domain, path, expires, httpOnly, secure, sameSite}' },
+        delete: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], description: 'Cookie name(s)' },
+        clear: { anyOf: [{ type: 'boolean' }, { type: 'array', items: { type: 'string' } }], description: 'true, or URLs to clear' },
+        name: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], description: 'Filter get results by name' },
+        domain: { type: 'string' },
+        path: { type: 'string' }
+      }
+    },
     validate: (params) => {
       const errors = [];
       if (!params || typeof params !== 'object') {
@@ -517,6 +1163,13 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.BACK]: {
+    schema: {
+      description: 'Go back in history',
+      anyOf: [
+        { const: true },
+        { type: 'object', properties: { timeout: { type: 'number', minimum: 0 } } }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && (typeof params !== 'object' || params === null)) {
@@ -529,6 +1182,13 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.FORWARD]: {
+    schema: {
+      description: 'Go forward in history',
+      anyOf: [
+        { const: true },
+        { type: 'object', properties: { timeout: { type: 'number', minimum: 0 } } }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && (typeof params !== 'object' || params === null)) {
@@ -541,6 +1201,19 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.WAIT_FOR_NAVIGATION]: {
+    schema: {
+      description: 'Wait for an in-progress navigation',
+      anyOf: [
+        { const: true },
+        {
+          type: 'object',
+          properties: {
+            timeout: { type: 'number', minimum: 0 },
+            waitUntil: { ...WAIT_UNTIL_SCHEMA, default: 'load' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && (typeof params !== 'object' || params === null)) {
@@ -558,6 +1231,7 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.LIST_TABS]: {
+    schema: { const: true, description: 'List open tabs' },
     validate: (params) => {
       const errors = [];
       if (params !== true) {
@@ -570,6 +1244,7 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.CLOSE_TAB]: {
+    schema: { type: 'string', minLength: 1, description: 'Tab alias or targetId to close' },
     validate: (params) => {
       const errors = [];
       if (typeof params !== 'string' || params.length === 0) {
@@ -581,7 +1256,40 @@ export const STEP_CONFIG = {
     hooks: []
   },
 
+  [STEP_TYPES.CLOSE_CONTEXT]: {
+    schema: { type: 'string', minLength: 1, description: 'Name of the browser context to dispose (must be the only step)' },
+    validate: (params) => {
+      const errors = [];
+      if (typeof params !== 'string' || params.length === 0) {
+        errors.push('closeContext requires a non-empty context name');
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
   [STEP_TYPES.NEW_TAB]: {
+    schema: {
+      description: 'Open a new tab, launching Chrome if needed',
+      anyOf: [
+        { const: true },
+        { type: 'string', description: 'URL' },
+        {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            host: { type: 'string', default: 'localhost' },
+            port: { type: 'number', default: 9222 },
+            headless: { type: 'boolean' },
+            fakeMedia: { type: 'boolean', description: 'Synthetic camera/microphone when Chrome is launched' },
+            timeout: { type: 'number' },
+            context: { type: 'string', minLength: 1, description: 'Named isolated browser context' },
+            ...HTTP_SETTINGS_PROPERTIES
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && typeof params !== 'string' && (typeof params !== 'object' || params === null)) {
@@ -600,9 +1308,16 @@ export const STEP_CONFIG = {
         if (params.headless !== undefined && typeof params.headless !== 'boolean') {
           errors.push('newTab headless must be a boolean');
         }
+        if (params.fakeMedia !== undefined && typeof params.fakeMedia !== 'boolean') {
+          errors.push('newTab fakeMedia must be a boolean');
+        }
         if (params.timeout !== undefined && typeof params.timeout !== 'number') {
           errors.push('newTab timeout must be a number');
         }
+        if (params.context !== undefined && (typeof params.context !== 'string' || params.context.length === 0)) {
+          errors.push('newTab context must be a non-empty string');
+        }
+        errors.push(...validateHttpSettings('newTab', params));
       }
       return errors;
     },
@@ -611,6 +1326,21 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.SELECT_TEXT]: {
+    schema: {
+      description: 'Select text in an input or textarea',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'CSS selector' },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string', minLength: 1 },
+            start: { type: 'number' },
+            end: { type: 'number' }
+          },
+          required: ['selector']
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -639,6 +1369,18 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.SELECT_OPTION]: {
+    schema: {
+      type: 'object',
+      description: 'Choose options of a <select>',
+      properties: {
+        selector: { type: 'string', minLength: 1 },
+        value: { type: 'string' },
+        label: { type: 'string' },
+        index: { type: 'number', minimum: 0 },
+        values: { type: 'array', items: { type: 'string' }, description: 'Values for a multi-select' }
+      },
+      required: ['selector']
+    },
     validate: (params) => {
       const errors = [];
       if (!params || typeof params !== 'object') {
@@ -658,6 +1400,20 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.SUBMIT]: {
+    schema: {
+      description: 'Submit a form',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Form selector' },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string', minLength: 1 },
+            reportValidity: { type: 'boolean' }
+          },
+          required: ['selector']
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -680,6 +1436,25 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.ASSERT]: {
+    schema: {
+      type: 'object',
+      description: 'Assert URL conditions or text presence',
+      properties: {
+        url: {
+          type: 'object',
+          properties: {
+            contains: { type: 'string' },
+            equals: { type: 'string' },
+            startsWith: { type: 'string' },
+            endsWith: { type: 'string' },
+            matches: { type: 'string', description: 'Regex' }
+          }
+        },
+        text: { type: 'string' },
+        selector: { type: 'string', description: 'Limit the text search to this element' },
+        caseSensitive: { type: 'boolean' }
+      }
+    },
     validate: (params) => {
       const errors = [];
       if (!params || typeof params !== 'object') {
@@ -710,6 +1485,20 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.FRAME]: {
+    schema: {
+      description: 'Switch frame context',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Iframe selector, or "top"' },
+        { type: 'integer', minimum: 0, description: 'Frame index' },
+        {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            list: { type: 'boolean', description: 'Return the frame tree without switching' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -732,6 +1521,18 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.DRAG]: {
+    schema: {
+      type: 'object',
+      description: 'Drag from source to target',
+      properties: {
+        source: DRAG_POINT_SCHEMA,
+        target: DRAG_POINT_SCHEMA,
+        steps: { type: 'number', minimum: 1, default: 10 },
+        delay: { type: 'number', minimum: 0, default: 0 },
+        method: { enum: ['auto', 'mouse', 'html5'], default: 'auto' }
+      },
+      required: ['source', 'target']
+    },
     validate: (params) => {
       const errors = [];
       if (!params || typeof params !== 'object') {
@@ -754,6 +1555,20 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.GET]: {
+    schema: {
+      description: 'Extract text, HTML, values, box, or attributes',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'CSS selector or ref' },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string' },
+            ref: { type: 'string' },
+            mode: { enum: ['text', 'html', 'value', 'box', 'attributes'], default: 'text' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -777,6 +1592,20 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.GET_DOM]: {
+    schema: {
+      description: 'Raw HTML of the page or an element',
+      anyOf: [
+        { const: true },
+        { type: 'string', description: 'CSS selector' },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string' },
+            outer: { type: 'boolean' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (params !== true && typeof params !== 'string' && (typeof params !== 'object' || params === null)) {
@@ -792,6 +1621,20 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.GET_BOX]: {
+    schema: {
+      description: 'Bounding boxes of snapshot refs',
+      anyOf: [
+        { type: 'string', pattern: REF_PATTERN },
+        { type: 'array', minItems: 1, items: { type: 'string', pattern: REF_PATTERN } },
+        {
+          type: 'object',
+          properties: {
+            ref: { type: 'string' },
+            refs: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -826,6 +1669,22 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.ELEMENTS_AT]: {
+    schema: {
+      description: 'Elements at coordinates or within a radius',
+      anyOf: [
+        { type: 'array', minItems: 1, items: POINT_SCHEMA },
+        {
+          type: 'object',
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            radius: { type: 'number' },
+            limit: { type: 'number', minimum: 1 }
+          },
+          required: ['x', 'y']
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (Array.isArray(params)) {
@@ -861,6 +1720,21 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.PAGE_FUNCTION]: {
+    schema: {
+      description: 'Run JavaScript in the current frame',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Function or expression' },
+        {
+          type: 'object',
+          properties: {
+            fn: { type: 'string' },
+            expression: { type: 'string' },
+            refs: { type: 'boolean', description: 'Pass window.__ariaRefs as the first argument' },
+            timeout: { type: 'number', minimum: 0 }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -889,6 +1763,21 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.POLL]: {
+    schema: {
+      description: 'Poll a function until it returns truthy',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Function string' },
+        {
+          type: 'object',
+          properties: {
+            fn: { type: 'string', minLength: 1 },
+            interval: { type: 'number', minimum: 0, default: 100 },
+            timeout: { type: 'number', minimum: 0, default: 30000 }
+          },
+          required: ['fn']
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -915,6 +1804,15 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.WRITE_SITE_PROFILE]: {
+    schema: {
+      type: 'object',
+      description: 'Save a site profile (markdown) for a domain',
+      properties: {
+        domain: { type: 'string', minLength: 1 },
+        content: { type: 'string', minLength: 1 }
+      },
+      required: ['domain', 'content']
+    },
     validate: (params) => {
       const errors = [];
       if (!params || typeof params !== 'object') {
@@ -935,6 +1833,13 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.READ_SITE_PROFILE]: {
+    schema: {
+      description: 'Read the site profile of a domain',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Domain' },
+        { type: 'object', properties: { domain: { type: 'string', minLength: 1 } }, required: ['domain'] }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -954,7 +1859,138 @@ export const STEP_CONFIG = {
     hooks: []
   },
 
+  [STEP_TYPES.WRITE_RECIPE]: {
+    schema: {
+      type: 'object',
+      description: 'Save a reusable step sequence for a domain',
+      properties: {
+        domain: { type: 'string', minLength: 1 },
+        name: { type: 'string', pattern: '^[\\w.-]+$' },
+        steps: STEPS_SCHEMA,
+        params: {
+          anyOf: [
+            { type: 'array', items: { type: 'string' } },
+            {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: { default: {}, required: { type: 'boolean' }, description: { type: 'string' } }
+              }
+            }
+          ]
+        },
+        defaults: {
+          type: 'object',
+          properties: { readyWhen: { type: 'string' }, settledWhen: { type: 'string' } }
+        },
+        description: { type: 'string' }
+      },
+      required: ['domain', 'name', 'steps']
+    },
+    validate: (params) => {
+      const errors = [];
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('writeRecipe requires an object with domain, name, and steps');
+        return errors;
+      }
+      if (!params.domain || typeof params.domain !== 'string') {
+        errors.push('writeRecipe requires a non-empty domain string');
+      }
+      if (typeof params.name !== 'string' || !/^[\w.-]+$/.test(params.name)) {
+        errors.push('writeRecipe name may only contain letters, digits, "_", "-" and "."');
+      }
+      if (!Array.isArray(params.steps) || params.steps.length === 0) {
+        errors.push('writeRecipe requires a non-empty steps array');
+      }
+      if (params.params !== undefined) {
+        const isNameList = Array.isArray(params.params) && params.params.every(p => typeof p === 'string');
+        const isSpecMap = params.params && typeof params.params === 'object' && !Array.isArray(params.params) &&
+          Object.values(params.params).every(spec => spec && typeof spec === 'object' && !Array.isArray(spec));
+        if (!isNameList && !isSpecMap) {
+          errors.push('writeRecipe params must be an array of names or an object of {default, required, description} specs');
+        }
+      }
+      if (params.defaults !== undefined) {
+        if (!params.defaults || typeof params.defaults !== 'object' || Array.isArray(params.defaults)) {
+          errors.push('writeRecipe defaults must be an object with readyWhen and/or settledWhen');
+        } else {
+          for (const [key, value] of Object.entries(params.defaults)) {
+            if (key !== 'readyWhen' && key !== 'settledWhen') {
+              errors.push(`writeRecipe defaults only supports readyWhen and settledWhen (got ${key})`);
+            } else if (typeof value !== 'string') {
+              errors.push(`writeRecipe defaults.${key} must be a function string`);
+            }
+          }
+        }
+      }
+      if (params.description !== undefined && typeof params.description !== 'string') {
+        errors.push('writeRecipe description must be a string');
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
+  [STEP_TYPES.RUN_RECIPE]: {
+    schema: {
+      description: 'Run a saved recipe',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Recipe name' },
+        {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            domain: { type: 'string', minLength: 1, description: "Defaults to the current page's domain" },
+            params: { type: 'object' }
+          },
+          required: ['name']
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      if (typeof params === 'string') {
+        if (params.length === 0) {
+          errors.push('runRecipe requires a non-empty recipe name');
+        }
+        return errors;
+      }
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('runRecipe requires a recipe name or an object with name and params');
+        return errors;
+      }
+      if (!params.name || typeof params.name !== 'string') {
+        errors.push('runRecipe requires a non-empty name string');
+      }
+      if (params.domain !== undefined && (typeof params.domain !== 'string' || params.domain.length === 0)) {
+        errors.push('runRecipe domain must be a non-empty string');
+      }
+      if (params.params !== undefined && (!params.params || typeof params.params !== 'object' || Array.isArray(params.params))) {
+        errors.push('runRecipe params must be an object of parameter values');
+      }
+      return errors;
+    },
+    isVisual: true,
+    hooks: []
+  },
+
   [STEP_TYPES.SWITCH_TAB]: {
+    schema: {
+      description: 'Connect to an existing tab',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Tab alias or targetId' },
+        {
+          type: 'object',
+          properties: {
+            targetId: { type: 'string' },
+            url: { type: 'string', description: 'Regex matched against tab URLs' },
+            host: { type: 'string' },
+            port: { type: 'number' }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -987,6 +2023,7 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.GET_URL]: {
+    schema: { const: true, description: 'Current URL' },
     validate: (params) => {
       const errors = [];
       if (params !== true) {
@@ -999,6 +2036,7 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.GET_TITLE]: {
+    schema: { const: true, description: 'Current page title' },
     validate: (params) => {
       const errors = [];
       if (params !== true) {
@@ -1011,6 +2049,22 @@ export const STEP_CONFIG = {
   },
 
   [STEP_TYPES.UPLOAD]: {
+    schema: {
+      description: 'Set files on a file input',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'File path' },
+        { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        {
+          type: 'object',
+          properties: {
+            selector: { type: 'string' },
+            ref: { type: 'string' },
+            file: { type: 'string' },
+            files: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      ]
+    },
     validate: (params) => {
       const errors = [];
       if (typeof params === 'string') {
@@ -1050,9 +2104,1035 @@ export const STEP_CONFIG = {
     },
     isVisual: true,
     hooks: ['readyWhen', 'settledWhen', 'observe']
+  },
+
+  [STEP_TYPES.NETWORK]: {
+    schema: {
+      description: 'Capture and query network traffic',
+      anyOf: [
+        { enum: ['start', 'stop', 'clear', 'query', 'errors'] },
+        {
+          type: 'object',
+          properties: {
+            start: {
+              anyOf: [
+                { const: true },
+                { type: 'object', properties: { ignoreStatusCodes: { type: 'array', items: { type: 'number' } } } }
+              ]
+            },
+            stop: { const: true },
+            clear: { const: true },
+            errors: { const: true },
+            query: {
+              anyOf: [
+                { const: true },
+                { type: 'object', properties: { ...NETWORK_FILTER_PROPERTIES, limit: { type: 'number', minimum: 1 } } }
+              ]
+            },
+            har: {
+              anyOf: [
+                { const: true },
+                { type: 'string', minLength: 1, description: 'HAR file path' },
+                {
+                  type: 'object',
+                  properties: {
+                    path: { type: 'string' },
+                    content: { type: 'boolean', description: 'Embed document/XHR/fetch response bodies' },
+                    ...NETWORK_FILTER_PROPERTIES
+                  }
+                }
+              ]
+            }
+          }
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      const actions = ['start', 'stop', 'clear', 'query', 'errors', 'har'];
+      const validateFilter = (filter, prefix) => {
+        if (filter.url !== undefined && typeof filter.url !== 'string') {
+          errors.push(`${prefix} url must be a string (regex pattern)`);
+        }
+        if (filter.method !== undefined && typeof filter.method !== 'string' && !Array.isArray(filter.method)) {
+          errors.push(`${prefix} method must be a string or array of strings`);
+        }
+        if (filter.status !== undefined) {
+          const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+          if (!statuses.every(s => typeof s === 'number' || (typeof s === 'string' && /^([1-5]xx|\d{3})$/i.test(s)))) {
+            errors.push(`${prefix} status must be a code (404), class ("4xx"), or array of them`);
+          }
+        }
+        if (filter.type !== undefined && typeof filter.type !== 'string' && !Array.isArray(filter.type)) {
+          errors.push(`${prefix} type must be a string or array of strings`);
+        }
+        if (filter.failed !== undefined && typeof filter.failed !== 'boolean') {
+          errors.push(`${prefix} failed must be a boolean`);
+        }
+      };
+
+      if (typeof params === 'string') {
+        if (!actions.includes(params) || params === 'har') {
+          errors.push('network string must be one of: start, stop, clear, query, errors');
+        }
+      } else if (params && typeof params === 'object') {
+        const defined = actions.filter(key => params[key] !== undefined);
+        if (defined.length === 0) {
+          errors.push(`network requires one of: ${actions.join(', ')}`);
+        } else if (defined.length > 1) {
+          errors.push(`network accepts only one action per step (got ${defined.join(', ')})`);
+        } else if (params.query !== undefined && params.query !== true) {
+          if (typeof params.query !== 'object' || params.query === null) {
+            errors.push('network query must be true or a filter object');
+          } else {
+            validateFilter(params.query, 'network query');
+            if (params.query.limit !== undefined && (typeof params.query.limit !== 'number' || params.query.limit < 1)) {
+              errors.push('network query limit must be a positive number');
+            }
+          }
+        } else if (params.har !== undefined && params.har !== true) {
+          if (typeof params.har === 'string') {
+            if (params.har.length === 0) {
+              errors.push('network har path cannot be empty');
+            }
+          } else if (params.har && typeof params.har === 'object') {
+            if (params.har.path !== undefined && typeof params.har.path !== 'string') {
+              errors.push('network har path must be a string');
+            }
+            if (params.har.content !== undefined && typeof params.har.content !== 'boolean') {
+              errors.push('network har content must be a boolean');
+            }
+            validateFilter(params.har, 'network har');
+          } else {
+            errors.push('network har must be true, a file path, or an options object');
+          }
+        } else if (params.start !== undefined && params.start !== true) {
+          if (typeof params.start !== 'object' || params.start === null) {
+            errors.push('network start must be true or an options object');
+          } else if (params.start.ignoreStatusCodes !== undefined && !Array.isArray(params.start.ignoreStatusCodes)) {
+            errors.push('network start ignoreStatusCodes must be an array of numbers');
+          }
+        }
+      } else {
+        errors.push('network requires an action string or params object');
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
+  [STEP_TYPES.ROUTE]: {
+    schema: {
+      type: 'object',
+      description: 'Block, fulfill, or modify matching requests; list, remove, or clear rules',
+      properties: {
+        url: { type: 'string', minLength: 1, description: 'Glob' },
+        urlRegex: { type: 'string', minLength: 1 },
+        method: { type: 'string' },
+        resourceType: { type: 'string' },
+        block: { anyOf: [{ const: true }, { enum: ROUTE_ERROR_REASONS }] },
+        fulfill: {
+          type: 'object',
+          properties: {
+            status: { type: 'number', minimum: 100, maximum: 599, default: 200 },
+            headers: { type: 'object' },
+            body: { type: 'string' },
+            json: {},
+            file: { type: 'string', minLength: 1 },
+            contentType: { type: 'string' }
+          }
+        },
+        modify: {
+          type: 'object',
+          properties: {
+            headers: { type: 'object', description: 'null values remove a header' },
+            url: { type: 'string' },
+            method: { type: 'string' },
+            postData: { type: 'string' }
+          }
+        },
+        list: { const: true },
+        remove: {
+          anyOf: [
+            { type: 'string', minLength: 1 },
+            { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+          ],
+          description: 'Rule id or pattern'
+        },
+        clear: { const: true }
+      }
+    },
+    validate: (params) => {
+      const errors = [];
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('route requires an object with url/urlRegex and block, fulfill, or modify (or list/remove/clear)');
+        return errors;
+      }
+
+      const management = ['list', 'remove', 'clear'].filter(key => params[key] !== undefined);
+      if (management.length > 0) {
+        if (management.length > 1) {
+          errors.push(`route accepts only one of list, remove, clear (got ${management.join(', ')})`);
+        }
+        if (params.list !== undefined && params.list !== true) {
+          errors.push('route list must be true');
+        }
+        if (params.clear !== undefined && params.clear !== true) {
+          errors.push('route clear must be true');
+        }
+        if (params.remove !== undefined) {
+          const targets = Array.isArray(params.remove) ? params.remove : [params.remove];
+          if (targets.length === 0 || !targets.every(t => typeof t === 'string' && t.length > 0)) {
+            errors.push('route remove requires a rule id or pattern string (or array of them)');
+          }
+        }
+        return errors;
+      }
+
+      const hasUrl = params.url !== undefined;
+      const hasUrlRegex = params.urlRegex !== undefined;
+      if (!hasUrl && !hasUrlRegex) {
+        errors.push('route requires url (glob) or urlRegex');
+      } else if (hasUrl && hasUrlRegex) {
+        errors.push('route cannot have both url and urlRegex');
+      } else if (hasUrl && (typeof params.url !== 'string' || params.url.length === 0)) {
+        errors.push('route url must be a non-empty glob string');
+      } else if (hasUrlRegex) {
+        if (typeof params.urlRegex !== 'string' || params.urlRegex.length === 0) {
+          errors.push('route urlRegex must be a non-empty string');
+        } else {
+          try {
+            new RegExp(params.urlRegex);
+          } catch (e) {
+            errors.push(`route urlRegex is not a valid regex: ${e.message}`);
+          }
+        }
+      }
+      if (params.method !== undefined && typeof params.method !== 'string') {
+        errors.push('route method must be a string');
+      }
+      if (params.resourceType !== undefined && typeof params.resourceType !== 'string') {
+        errors.push('route resourceType must be a string');
+      }
+
+      const actions = ['block', 'fulfill', 'modify'].filter(key => params[key] !== undefined);
+      if (actions.length === 0) {
+        errors.push('route requires one of: block, fulfill, modify');
+      } else if (actions.length > 1) {
+        errors.push(`route accepts only one of block, fulfill, modify (got ${actions.join(', ')})`);
+      }
+
+      if (params.block !== undefined && params.block !== true && !ROUTE_ERROR_REASONS.includes(params.block)) {
+        errors.push(`route block must be true or one of: ${ROUTE_ERROR_REASONS.join(', ')}`);
+      }
+
+      if (params.fulfill !== undefined) {
+        const fulfill = params.fulfill;
+        if (!fulfill || typeof fulfill !== 'object') {
+          errors.push('route fulfill must be an object with status, headers, body/json/file');
+        } else {
+          const bodySources = ['body', 'json', 'file'].filter(key => fulfill[key] !== undefined);
+          if (bodySources.length > 1) {
+            errors.push(`route fulfill accepts only one of body, json, file (got ${bodySources.join(', ')})`);
+          }
+          if (fulfill.status !== undefined && (typeof fulfill.status !== 'number' || fulfill.status < 100 || fulfill.status > 599)) {
+            errors.push('route fulfill status must be a number between 100 and 599');
+          }
+          if (fulfill.body !== undefined && typeof fulfill.body !== 'string') {
+            errors.push('route fulfill body must be a string (use json for objects)');
+          }
+          if (fulfill.file !== undefined && (typeof fulfill.file !== 'string' || fulfill.file.length === 0)) {
+            errors.push('route fulfill file must be a non-empty path string');
+          }
+          if (fulfill.headers !== undefined && (typeof fulfill.headers !== 'object' || fulfill.headers === null)) {
+            errors.push('route fulfill headers must be an object');
+          }
+        }
+      }
+
+      if (params.modify !== undefined) {
+        const modify = params.modify;
+        if (!modify || typeof modify !== 'object') {
+          errors.push('route modify must be an object with headers, url, method, or postData');
+        } else {
+          if (modify.headers === undefined && modify.url === undefined && modify.method === undefined && modify.postData === undefined) {
+            errors.push('route modify requires headers, url, method, or postData');
+          }
+          if (modify.headers !== undefined && (typeof modify.headers !== 'object' || modify.headers === null)) {
+            errors.push('route modify headers must be an object (null values remove a header)');
+          }
+          if (modify.url !== undefined && typeof modify.url !== 'string') {
+            errors.push('route modify url must be a string');
+          }
+        }
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
+  [STEP_TYPES.DIALOG]: {
+    schema: {
+      description: 'Decide how JavaScript dialogs are answered',
+      anyOf: [
+        { enum: ['accept', 'dismiss', 'reset'] },
+        {
+          type: 'object',
+          properties: {
+            accept: { type: 'boolean' },
+            promptText: { type: 'string' },
+            count: { type: 'integer', minimum: 1, default: 1 },
+            policy: { enum: ['accept', 'dismiss', 'auto'] },
+            reset: { const: true }
+          }
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      if (typeof params === 'string') {
+        if (!['accept', 'dismiss', 'reset'].includes(params)) {
+          errors.push('dialog must be "accept", "dismiss", "reset", or an object');
+        }
+        return errors;
+      }
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('dialog requires "accept", "dismiss", "reset", {accept, promptText, count}, or {policy, promptText}');
+        return errors;
+      }
+
+      if (params.reset !== undefined) {
+        if (params.reset !== true) {
+          errors.push('dialog reset must be true');
+        }
+        if (Object.keys(params).length > 1) {
+          errors.push('dialog reset cannot be combined with other options');
+        }
+        return errors;
+      }
+
+      if (params.policy !== undefined) {
+        if (!['accept', 'dismiss', 'auto'].includes(params.policy)) {
+          errors.push('dialog policy must be "accept", "dismiss", or "auto"');
+        }
+        if (params.accept !== undefined || params.count !== undefined) {
+          errors.push('dialog policy cannot be combined with accept or count');
+        }
+      } else {
+        if (params.accept !== undefined && typeof params.accept !== 'boolean') {
+          errors.push('dialog accept must be a boolean');
+        }
+        if (params.accept === undefined && params.promptText === undefined) {
+          errors.push('dialog requires accept, promptText, policy, or reset');
+        }
+        if (params.count !== undefined && (!Number.isInteger(params.count) || params.count < 1)) {
+          errors.push('dialog count must be a positive integer');
+        }
+      }
+      if (params.promptText !== undefined && typeof params.promptText !== 'string') {
+        errors.push('dialog promptText must be a string');
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
+  [STEP_TYPES.EMULATE]: {
+    schema: {
+      description: 'Throttle network/CPU and override the browsing environment',
+      anyOf: [
+        { enum: [...NETWORK_PROFILES, 'reset'] },
+        {
+          type: 'object',
+          properties: {
+            network: {
+              anyOf: [
+                { enum: [...NETWORK_PROFILES, 'none'] },
+                {
+                  type: 'object',
+                  properties: {
+                    latency: { type: 'number', minimum: 0, description: 'ms' },
+                    download: { type: 'number', minimum: 0, description: 'kbit/s' },
+                    upload: { type: 'number', minimum: 0, description: 'kbit/s' },
+                    offline: { type: 'boolean' }
+                  },
+                  minProperties: 1
+                }
+              ]
+            },
+            cpu: { type: 'number', minimum: 1, description: 'Slowdown rate (1 = off)' },
+            geolocation: {
+              type: ['object', 'null'],
+              properties: {
+                latitude: { type: 'number', minimum: -90, maximum: 90 },
+                longitude: { type: 'number', minimum: -180, maximum: 180 },
+                accuracy: { type: 'number', minimum: 0 }
+              },
+              required: ['latitude', 'longitude']
+            },
+            timezone: { type: ['string', 'null'], minLength: 1, description: 'IANA ID, e.g. "Asia/Tokyo"' },
+            locale: { type: ['string', 'null'], minLength: 1, description: 'e.g. "de-DE"' },
+            colorScheme: { enum: ['light', 'dark', 'no-preference', null] },
+            reducedMotion: { enum: ['reduce', 'no-preference', null] },
+            userAgent: {
+              anyOf: [
+                { type: 'string', minLength: 1 },
+                { type: 'null' },
+                {
+                  type: 'object',
+                  properties: {
+                    userAgent: { type: 'string', minLength: 1 },
+                    platform: { type: 'string' },
+                    acceptLanguage: { type: 'string' },
+                    clientHints: {
+                      type: 'object',
+                      properties: {
+                        brands: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: { brand: { type: 'string' }, version: { type: 'string' } },
+                            required: ['brand', 'version']
+                          }
+                        },
+                        platform: { type: 'string' },
+                        platformVersion: { type: 'string' },
+                        mobile: { type: 'boolean' },
+                        model: { type: 'string' },
+                        architecture: { type: 'string' }
+                      }
+                    }
+                  },
+                  required: ['userAgent']
+                }
+              ]
+            },
+            reset: { const: true }
+          }
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      if (typeof params === 'string') {
+        if (params !== 'reset' && !NETWORK_PROFILES.includes(params)) {
+          errors.push(`emulate must be a network profile (${NETWORK_PROFILES.join(', ')}), "reset", or an object`);
+        }
+        return errors;
+      }
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('emulate requires a network profile, "reset", or an object of settings');
+        return errors;
+      }
+
+      if (params.reset !== undefined) {
+        if (params.reset !== true) {
+          errors.push('emulate reset must be true');
+        }
+        if (Object.keys(params).length > 1) {
+          errors.push('emulate reset cannot be combined with other options');
+        }
+        return errors;
+      }
+
+      const settings = ['network', 'cpu', 'geolocation', 'timezone', 'locale', 'colorScheme', 'reducedMotion', 'userAgent'];
+      if (!settings.some(key => params[key] !== undefined)) {
+        errors.push(`emulate requires one of: ${settings.join(', ')}, reset`);
+      }
+      if (params.network !== undefined) {
+        const network = params.network;
+        if (typeof network === 'string') {
+          if (network !== 'none' && !NETWORK_PROFILES.includes(network)) {
+            errors.push(`emulate network must be one of ${NETWORK_PROFILES.join(', ')}, "none", or {latency, download, upload}`);
+          }
+        } else if (!network || typeof network !== 'object' || Array.isArray(network)) {
+          errors.push('emulate network must be a profile name or {latency, download, upload}');
+        } else {
+          for (const key of ['latency', 'download', 'upload']) {
+            if (network[key] !== undefined && (typeof network[key] !== 'number' || network[key] < 0)) {
+              errors.push(`emulate network ${key} must be a non-negative number`);
+            }
+          }
+          if (network.offline !== undefined && typeof network.offline !== 'boolean') {
+            errors.push('emulate network offline must be a boolean');
+          }
+          if (network.latency === undefined && network.download === undefined && network.upload === undefined && network.offline === undefined) {
+            errors.push('emulate network requires latency, download, upload, or offline');
+          }
+        }
+      }
+      if (params.cpu !== undefined && (typeof params.cpu !== 'number' || params.cpu < 1)) {
+        errors.push('emulate cpu must be a slowdown rate >= 1 (1 = no throttling)');
+      }
+
+      // null clears a single override
+      const geo = params.geolocation;
+      if (geo !== undefined && geo !== null) {
+        if (typeof geo !== 'object' || Array.isArray(geo)) {
+          errors.push('emulate geolocation must be {latitude, longitude, accuracy?} or null');
+        } else {
+          if (typeof geo.latitude !== 'number' || geo.latitude < -90 || geo.latitude > 90) {
+            errors.push('emulate geolocation latitude must be a number between -90 and 90');
+          }
+          if (typeof geo.longitude !== 'number' || geo.longitude < -180 || geo.longitude > 180) {
+            errors.push('emulate geolocation longitude must be a number between -180 and 180');
+          }
+          if (geo.accuracy !== undefined && (typeof geo.accuracy !== 'number' || geo.accuracy < 0)) {
+            errors.push('emulate geolocation accuracy must be a non-negative number');
+          }
+        }
+      }
+      for (const key of ['timezone', 'locale']) {
+        if (params[key] !== undefined && params[key] !== null && (typeof params[key] !== 'string' || params[key].length === 0)) {
+          errors.push(`emulate ${key} must be a non-empty string or null`);
+        }
+      }
+      if (params.colorScheme !== undefined && params.colorScheme !== null &&
+          !['light', 'dark', 'no-preference'].includes(params.colorScheme)) {
+        errors.push('emulate colorScheme must be "light", "dark", "no-preference", or null');
+      }
+      if (params.reducedMotion !== undefined && params.reducedMotion !== null &&
+          !['reduce', 'no-preference'].includes(params.reducedMotion)) {
+        errors.push('emulate reducedMotion must be "reduce", "no-preference", or null');
+      }
+      const ua = params.userAgent;
+      if (ua !== undefined && ua !== null) {
+        if (typeof ua === 'string') {
+          if (ua.length === 0) {
+            errors.push('emulate userAgent must be a non-empty string');
+          }
+        } else if (typeof ua !== 'object' || Array.isArray(ua)) {
+          errors.push('emulate userAgent must be a string, {userAgent, platform?, acceptLanguage?, clientHints?}, or null');
+        } else {
+          if (typeof ua.userAgent !== 'string' || ua.userAgent.length === 0) {
+            errors.push('emulate userAgent.userAgent must be a non-empty string');
+          }
+          if (ua.clientHints !== undefined) {
+            if (!ua.clientHints || typeof ua.clientHints !== 'object' || Array.isArray(ua.clientHints)) {
+              errors.push('emulate userAgent.clientHints must be an object');
+            } else if (ua.clientHints.brands !== undefined &&
+                (!Array.isArray(ua.clientHints.brands) || !ua.clientHints.brands.every(b => b && typeof b.brand === 'string' && typeof b.version === 'string'))) {
+              errors.push('emulate userAgent.clientHints.brands must be an array of {brand, version} strings');
+            }
+          }
+        }
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
+  [STEP_TYPES.PERMISSIONS]: {
+    schema: {
+      description: 'Grant, deny, reset, or query browser permissions',
+      anyOf: [
+        { enum: ['query', 'reset'] },
+        {
+          type: 'object',
+          properties: {
+            grant: PERMISSION_NAMES_SCHEMA,
+            deny: PERMISSION_NAMES_SCHEMA,
+            reset: { anyOf: [{ const: true }, PERMISSION_NAMES_SCHEMA] },
+            query: { anyOf: [{ const: true }, PERMISSION_NAMES_SCHEMA] },
+            origin: { type: 'string', pattern: ORIGIN_PATTERN, description: "Defaults to the current page's origin" }
+          }
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      if (params === 'query' || params === 'reset') {
+        return errors;
+      }
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('permissions requires "query", "reset", or {grant|deny|reset|query, origin?}');
+        return errors;
+      }
+
+      const actions = ['grant', 'deny', 'reset', 'query'].filter(key => params[key] !== undefined);
+      if (actions.length === 0) {
+        errors.push('permissions requires one of: grant, deny, reset, query');
+      } else if (actions.length > 1) {
+        errors.push(`permissions accepts only one of grant, deny, reset, query (got ${actions.join(', ')})`);
+      }
+      for (const action of actions) {
+        const value = params[action];
+        const isNameList = (list) => list.length > 0 && list.every(name => typeof name === 'string' && name.length > 0);
+        if (action === 'reset' || action === 'query') {
+          if (value !== true && !(typeof value === 'string' && value.length > 0) && !(Array.isArray(value) && isNameList(value))) {
+            errors.push(`permissions ${action} must be true, a permission name, or an array of names`);
+          }
+        } else if (!(typeof value === 'string' && value.length > 0) && !(Array.isArray(value) && isNameList(value))) {
+          errors.push(`permissions ${action} requires a permission name or an array of names`);
+        }
+      }
+      if (params.origin !== undefined) {
+        if (typeof params.origin !== 'string' || !/^https?:\/\/[^/]+$/.test(params.origin)) {
+          errors.push('permissions origin must be an origin like "https://example.com" (no path)');
+        }
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
+  [STEP_TYPES.CLIPBOARD]: {
+    schema: {
+      description: 'Read, write, or paste clipboard content',
+      anyOf: [
+        { enum: ['read', 'paste'] },
+        {
+          type: 'object',
+          properties: {
+            read: { const: true },
+            write: CLIPBOARD_CONTENT_SCHEMA,
+            paste: { anyOf: [{ const: true }, CLIPBOARD_CONTENT_SCHEMA] },
+            ref: { type: 'string', minLength: 1, description: 'Paste target' },
+            selector: { type: 'string', minLength: 1, description: 'Paste target' }
+          }
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      if (params === 'read' || params === 'paste') {
+        return errors;
+      }
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('clipboard requires "read", "paste", or {read|write|paste}');
+        return errors;
+      }
+
+      const actions = ['read', 'write', 'paste'].filter(key => params[key] !== undefined);
+      if (actions.length !== 1) {
+        errors.push('clipboard requires exactly one of: read, write, paste');
+        return errors;
+      }
+
+      // Content is text, or {text?, html?, image?, "mime/type"?} with string values
+      const validateContent = (action, content) => {
+        if (typeof content === 'string') return;
+        if (!content || typeof content !== 'object' || Array.isArray(content) || Object.keys(content).length === 0) {
+          errors.push(`clipboard ${action} requires text or {text, html, image}`);
+          return;
+        }
+        for (const [key, value] of Object.entries(content)) {
+          if (!['text', 'html', 'image'].includes(key) && !key.includes('/')) {
+            errors.push(`clipboard ${action} key "${key}" must be text, html, image, or a MIME type`);
+          } else if (typeof value !== 'string') {
+            errors.push(`clipboard ${action} ${key} must be a string`);
+          }
+        }
+      };
+
+      if (params.write !== undefined) {
+        validateContent('write', params.write);
+      }
+      if (params.paste !== undefined && params.paste !== true) {
+        validateContent('paste', params.paste);
+      }
+      if (params.read !== undefined && params.read !== true) {
+        errors.push('clipboard read must be true');
+      }
+      for (const key of ['ref', 'selector']) {
+        if (params[key] === undefined) continue;
+        if (params.paste === undefined) {
+          errors.push(`clipboard ${key} only applies to paste`);
+        } else if (typeof params[key] !== 'string' || params[key].length === 0) {
+          errors.push(`clipboard ${key} must be a non-empty string`);
+        }
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+  [STEP_TYPES.DOWNLOADS]: {
+    schema: {
+      description: "List, wait for, or clear this tab's downloads",
+      anyOf: [
+        { const: true },
+        { enum: ['list', 'wait', 'clear'] },
+        {
+          type: 'object',
+          properties: {
+            wait: { type: 'boolean' },
+            match: { type: 'string', minLength: 1, description: 'Filename glob, e.g. "*.csv"' },
+            timeout: { type: 'number', exclusiveMinimum: 0, default: 30000 },
+            checksum: { anyOf: [{ const: true }, { enum: ['sha256', 'sha1', 'md5'] }] },
+            clear: { const: true }
+          }
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      if (params === true || ['list', 'wait', 'clear'].includes(params)) {
+        return errors;
+      }
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('downloads requires true, "list", "wait", "clear", or {wait?, match?, timeout?, checksum?, clear?}');
+        return errors;
+      }
+
+      if (params.clear !== undefined) {
+        if (params.clear !== true) {
+          errors.push('downloads clear must be true');
+        }
+        const others = ['wait', 'match', 'checksum'].filter(key => params[key] !== undefined);
+        if (others.length > 0) {
+          errors.push(`downloads clear cannot be combined with ${others.join(', ')}`);
+        }
+      }
+      if (params.wait !== undefined && typeof params.wait !== 'boolean') {
+        errors.push('downloads wait must be a boolean');
+      }
+      if (params.match !== undefined && (typeof params.match !== 'string' || params.match.length === 0)) {
+        errors.push('downloads match must be a filename glob like "*.csv"');
+      }
+      if (params.timeout !== undefined && (typeof params.timeout !== 'number' || params.timeout <= 0)) {
+        errors.push('downloads timeout must be a positive number');
+      }
+      if (params.checksum !== undefined && params.checksum !== true && !['sha256', 'sha1', 'md5'].includes(params.checksum)) {
+        errors.push('downloads checksum must be true, "sha256", "sha1", or "md5"');
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+  [STEP_TYPES.HTTP]: {
+    schema: {
+      description: 'Extra headers, HTTP credentials, and user agent for this tab',
+      anyOf: [
+        { const: 'reset' },
+        { type: 'object', properties: HTTP_SETTINGS_PROPERTIES }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      if (params === 'reset') {
+        return errors;
+      }
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('http requires "reset" or {headers?, credentials?, userAgent?}');
+        return errors;
+      }
+      const keys = ['headers', 'credentials', 'userAgent'].filter(key => params[key] !== undefined);
+      if (keys.length === 0) {
+        errors.push('http requires at least one of: headers, credentials, userAgent');
+      }
+      errors.push(...validateHttpSettings('http', params));
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+  [STEP_TYPES.STORAGE]: {
+    schema: {
+      type: 'object',
+      description: 'Read and write localStorage/sessionStorage; export or import auth state',
+      properties: {
+        get: { anyOf: [{ const: true }, { type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+        set: { type: 'object', description: 'key → value (null removes)' },
+        delete: { anyOf: [{ type: 'string' }, { type: 'array', minItems: 1, items: { type: 'string' } }] },
+        clear: { const: true },
+        export: { type: 'string', minLength: 1, description: 'File path' },
+        import: { type: 'string', minLength: 1, description: 'File path' },
+        type: { enum: ['local', 'session'], default: 'local' },
+        origin: { type: 'string', description: 'e.g. "https://example.com"' }
+      }
+    },
+    validate: (params) => {
+      const errors = [];
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('storage requires an object with get, set, delete, clear, export, or import');
+        return errors;
+      }
+
+      const actions = ['get', 'set', 'delete', 'clear', 'export', 'import'].filter(key => params[key] !== undefined);
+      if (actions.length === 0) {
+        errors.push('storage requires one of: get, set, delete, clear, export, import');
+      } else if (actions.length > 1) {
+        errors.push(`storage accepts only one of get, set, delete, clear, export, import (got ${actions.join(', ')})`);
+      }
+
+      if (params.get !== undefined && params.get !== true && typeof params.get !== 'string' && !Array.isArray(params.get)) {
+        errors.push('storage get must be true, a key, or an array of keys');
+      }
+      if (params.set !== undefined && (!params.set || typeof params.set !== 'object' || Array.isArray(params.set))) {
+        errors.push('storage set requires an object of key/value pairs (null removes a key)');
+      }
+      if (params.delete !== undefined) {
+        const names = Array.isArray(params.delete) ? params.delete : [params.delete];
+        if (names.length === 0 || !names.every(n => typeof n === 'string')) {
+          errors.push('storage delete requires a key or an array of keys');
+        }
+      }
+      if (params.clear !== undefined && params.clear !== true) {
+        errors.push('storage clear must be true');
+      }
+      for (const key of ['export', 'import']) {
+        if (params[key] !== undefined && (typeof params[key] !== 'string' || params[key].length === 0)) {
+          errors.push(`storage ${key} requires a file path`);
+        }
+      }
+
+      if (params.type !== undefined && params.type !== 'local' && params.type !== 'session') {
+        errors.push('storage type must be "local" or "session"');
+      }
+      if (params.origin !== undefined) {
+        try {
+          if (new URL(params.origin).origin !== params.origin) {
+            errors.push(`storage origin must be scheme://host[:port] without a path (e.g. "${new URL(params.origin).origin}")`);
+          }
+        } catch {
+          errors.push('storage origin must be a valid origin like "https://example.com"');
+        }
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
+  [STEP_TYPES.SCREENSHOT_COMPARE]: {
+    schema: {
+      description: 'Compare a screenshot with a stored baseline',
+      anyOf: [
+        { type: 'string', minLength: 1, description: 'Baseline name' },
+        {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            selector: { type: 'string', minLength: 1 },
+            ref: { type: 'string', minLength: 1 },
+            fullPage: { type: 'boolean' },
+            mask: {
+              type: 'array',
+              items: {
+                anyOf: [
+                  { type: 'string', minLength: 1 },
+                  {
+                    type: 'object',
+                    properties: { x: { type: 'number' }, y: { type: 'number' }, width: { type: 'number' }, height: { type: 'number' } },
+                    required: ['x', 'y', 'width', 'height']
+                  }
+                ]
+              }
+            },
+            threshold: { type: 'number', minimum: 0, maximum: 100, default: 0, description: 'Allowed mismatch percent' },
+            pixelThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.1 },
+            ignoreAntialiasing: { type: 'boolean', default: true },
+            update: { type: 'boolean' },
+            baselineDir: { type: 'string', minLength: 1 }
+          },
+          required: ['name']
+        }
+      ]
+    },
+    validate: (params) => {
+      const errors = [];
+      const namePattern = /^[\w.-]+(\/[\w.-]+)*$/;
+      const checkName = (name) => {
+        if (typeof name !== 'string' || name.length === 0) {
+          errors.push('screenshotCompare requires a baseline name');
+        } else if (!namePattern.test(name) || name.split('/').some(part => part === '..' || part === '.')) {
+          errors.push('screenshotCompare name may only contain letters, digits, "_", "-", "." and "/" separators');
+        }
+      };
+
+      if (typeof params === 'string') {
+        checkName(params);
+        return errors;
+      }
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push('screenshotCompare requires a baseline name or params object');
+        return errors;
+      }
+
+      checkName(params.name);
+      const targets = ['selector', 'ref', 'fullPage'].filter(key => params[key] !== undefined && params[key] !== false);
+      if (targets.length > 1) {
+        errors.push(`screenshotCompare accepts only one of selector, ref, fullPage (got ${targets.join(', ')})`);
+      }
+      for (const key of ['selector', 'ref', 'baselineDir']) {
+        if (params[key] !== undefined && (typeof params[key] !== 'string' || params[key].length === 0)) {
+          errors.push(`screenshotCompare ${key} must be a non-empty string`);
+        }
+      }
+      for (const key of ['fullPage', 'update', 'ignoreAntialiasing']) {
+        if (params[key] !== undefined && typeof params[key] !== 'boolean') {
+          errors.push(`screenshotCompare ${key} must be a boolean`);
+        }
+      }
+      if (params.threshold !== undefined && (typeof params.threshold !== 'number' || params.threshold < 0 || params.threshold > 100)) {
+        errors.push('screenshotCompare threshold must be a mismatch percent between 0 and 100');
+      }
+      if (params.pixelThreshold !== undefined && (typeof params.pixelThreshold !== 'number' || params.pixelThreshold < 0 || params.pixelThreshold > 1)) {
+        errors.push('screenshotCompare pixelThreshold must be a number between 0 and 1');
+      }
+      if (params.mask !== undefined) {
+        const isRect = (m) => m && typeof m === 'object' &&
+          ['x', 'y', 'width', 'height'].every(k => typeof m[k] === 'number');
+        if (!Array.isArray(params.mask) || !params.mask.every(m => (typeof m === 'string' && m.length > 0) || isRect(m))) {
+          errors.push('screenshotCompare mask must be an array of selectors, refs, or {x, y, width, height} rectangles');
+        }
+      }
+      return errors;
+    },
+    isVisual: false,
+    hooks: []
+  },
+
+  [STEP_TYPES.IF]: {
+    schema: {
+      type: 'object',
+      description: 'Run then or else depending on a condition',
+      properties: {
+        ...CONDITION_PROPERTIES,
+        then: STEPS_SCHEMA,
+        else: STEPS_SCHEMA
+      },
+      required: ['then']
+    },
+    validate: (params) => {
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        return ['if requires an object with a condition (selector, text, or fn) and then'];
+      }
+      const { then, else: otherwise, timeout, ...condition } = params;
+      const errors = [...validateCondition('if', condition), ...validateBlock('if then', then)];
+      if (otherwise !== undefined) {
+        errors.push(...validateBlock('if else', otherwise));
+      }
+      return errors;
+    },
+    isVisual: true,
+    hooks: [],
+    blocks: ['then', 'else']
+  },
+
+  [STEP_TYPES.REPEAT]: {
+    schema: {
+      type: 'object',
+      description: 'Run steps a number of times, or while/until a condition holds',
+      properties: {
+        steps: STEPS_SCHEMA,
+        times: { type: 'integer', minimum: 1 },
+        while: CONDITION_SCHEMA,
+        until: CONDITION_SCHEMA,
+        max: { type: 'integer', minimum: 1, default: 100 }
+      },
+      required: ['steps']
+    },
+    validate: (params) => {
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        return ['repeat requires an object with steps and times, while, or until'];
+      }
+      const errors = validateBlock('repeat steps', params.steps);
+      if (params.times === undefined && params.while === undefined && params.until === undefined) {
+        errors.push('repeat requires times, while, or until');
+      }
+      errors.push(...validatePositiveInteger('repeat times', params.times));
+      errors.push(...validatePositiveInteger('repeat max', params.max));
+      if (params.times !== undefined && params.max !== undefined) {
+        errors.push('repeat max only applies to while/until loops; use times alone');
+      }
+      if (params.while !== undefined) errors.push(...validateCondition('repeat while', params.while));
+      if (params.until !== undefined) errors.push(...validateCondition('repeat until', params.until));
+      return errors;
+    },
+    isVisual: true,
+    hooks: [],
+    blocks: ['steps']
+  },
+
+  [STEP_TYPES.FOR_EACH]: {
+    schema: {
+      type: 'object',
+      description: 'Run steps once per item, substituting {{item}} and {{index}}',
+      properties: {
+        items: { type: 'array' },
+        query: { type: 'string', minLength: 1, description: 'Selector; items are {selector, text}' },
+        steps: STEPS_SCHEMA,
+        as: { type: 'string', pattern: '^\\w+$', default: 'item' },
+        indexAs: { type: 'string', pattern: '^\\w+$', default: 'index' },
+        max: { type: 'integer', minimum: 1, default: 100 }
+      },
+      required: ['steps']
+    },
+    validate: (params) => {
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        return ['forEach requires an object with items or query, and steps'];
+      }
+      const errors = validateBlock('forEach steps', params.steps);
+      const sources = ['items', 'query'].filter(key => params[key] !== undefined);
+      if (sources.length !== 1) {
+        errors.push('forEach requires exactly one of items (array) or query (selector)');
+      }
+      if (params.items !== undefined && !Array.isArray(params.items)) {
+        errors.push('forEach items must be an array');
+      }
+      if (params.query !== undefined && (typeof params.query !== 'string' || params.query.length === 0)) {
+        errors.push('forEach query must be a non-empty selector string');
+      }
+      for (const key of ['as', 'indexAs']) {
+        if (params[key] !== undefined && (typeof params[key] !== 'string' || !/^\w+$/.test(params[key]))) {
+          errors.push(`forEach ${key} must be a name of letters, digits, or "_"`);
+        }
+      }
+      errors.push(...validatePositiveInteger('forEach max', params.max));
+      return errors;
+    },
+    isVisual: true,
+    hooks: [],
+    blocks: ['steps']
+  },
+
+  [STEP_TYPES.RETRY]: {
+    schema: {
+      type: 'object',
+      description: 'Re-run steps on failure with exponential backoff',
+      properties: {
+        steps: STEPS_SCHEMA,
+        attempts: { type: 'integer', minimum: 1, default: 3 },
+        delay: { type: 'number', minimum: 0, default: 500 },
+        maxDelay: { type: 'number', minimum: 0, default: 5000 }
+      },
+      required: ['steps']
+    },
+    validate: (params) => {
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        return ['retry requires an object with steps'];
+      }
+      const errors = validateBlock('retry steps', params.steps);
+      errors.push(...validatePositiveInteger('retry attempts', params.attempts));
+      for (const key of ['delay', 'maxDelay']) {
+        if (params[key] !== undefined && (typeof params[key] !== 'number' || params[key] < 0)) {
+          errors.push(`retry ${key} must be a non-negative number of milliseconds`);
+        }
+      }
+      return errors;
+    },
+    isVisual: true,
+    hooks: [],
+    blocks: ['steps']
   }
 };
 
+// Custom step types added with registerStep, in registration order
+const PLUGIN_STEP_TYPES = [];
+
+// Keys a custom step can't use: step modifiers and steps handled before the registry
+const RESERVED_STEP_NAMES = new Set(['optional', 'chromeStatus']);
+
+const HOOK_NAMES = ['readyWhen', 'settledWhen', 'observe'];
+
 /**
  * Get configuration for a specific step type
  * @param {string} stepType - Step type name
@@ -1067,7 +3147,7 @@ export function getStepConfig(stepType) {
  * @returns {string[]} Array of step type names
  */
 export function getAllStepTypes() {
-  return Object.values(STEP_TYPES);
+  return [...Object.values(STEP_TYPES), ...PLUGIN_STEP_TYPES];
 }
 
 /**
@@ -1075,7 +3155,7 @@ export function getAllStepTypes() {
  * @returns {string[]} Array of visual action names
  */
 export function getVisualActions() {
-  return Object.values(STEP_TYPES).filter(stepType => {
+  return getAllStepTypes().filter(stepType => {
     const config = STEP_CONFIG[stepType];
     return config && config.isVisual;
   });
@@ -1111,3 +3191,61 @@ export function validateHooks(params) {
   }
   return errors;
 }
+
+/**
+ * Register a custom step type
+ * The step then validates, dispatches and shows up in --schema, MCP tools and
+ * session methods like a built-in. `execute` receives the same deps object as
+ * built-in executors; its return value becomes the step's `output`.
+ * @param {string} name - Step name (camelCase, e.g. "ssoLogin")
+ * @param {Object} config - Step configuration
+ * @param {function(Object, *, Object): Promise<*>} config.execute - Executor: (deps, params, {runStep, tabAlias, timeout})
+ * @param {function(*): string[]} [config.validate] - Returns error messages for invalid params
+ * @param {Object} [config.schema] - JSON Schema of the step value
+ * @param {boolean} [config.isVisual=false] - Step changes what the page shows
+ * @param {string[]} [config.hooks=[]] - Supported hooks: readyWhen, settledWhen, observe
+ * @throws {Error} When the name is taken or the config is invalid
+ */
+export function registerStep(name, config) {
+  if (typeof name !== 'string' || !/^[a-z][a-zA-Z0-9]*$/.test(name)) {
+    throw new Error(`Invalid step name ${JSON.stringify(name)}: use a camelCase name like "ssoLogin"`);
+  }
+  if (STEP_CONFIG[name] || RESERVED_STEP_NAMES.has(name)) {
+    throw new Error(`Step "${name}" is already defined`);
+  }
+  if (!config || typeof config.execute !== 'function') {
+    throw new Error(`Step "${name}" needs an execute(deps, params, context) function`);
+  }
+  if (config.validate !== undefined && typeof config.validate !== 'function') {
+    throw new Error(`Step "${name}" validate must be a function`);
+  }
+  if (config.schema !== undefined && (typeof config.schema !== 'object' || config.schema === null)) {
+    throw new Error(`Step "${name}" schema must be a JSON Schema object`);
+  }
+  const hooks = config.hooks ?? [];
+  if (!Array.isArray(hooks) || hooks.some(hook => !HOOK_NAMES.includes(hook))) {
+    throw new Error(`Step "${name}" hooks must be a list of: ${HOOK_NAMES.join(', ')}`);
+  }
+
+  STEP_CONFIG[name] = {
+    schema: config.schema,
+    validate: config.validate || (() => []),
+    isVisual: config.isVisual === true,
+    hooks,
+    execute: config.execute
+  };
+  PLUGIN_STEP_TYPES.push(name);
+}
+
+/**
+ * Remove a custom step type added with registerStep
+ * @param {string} name - Step name
+ * @returns {boolean} True if the step was registered
+ */
+export function unregisterStep(name) {
+  const index = PLUGIN_STEP_TYPES.indexOf(name);
+  if (index === -1) return false;
+  PLUGIN_STEP_TYPES.splice(index, 1);
+  delete STEP_CONFIG[name];
+  return true;
+}
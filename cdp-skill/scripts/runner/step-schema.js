@@ -0,0 +1,238 @@
+/**
+ * Step Schema
+ * JSON Schema view of the step language, built from the `schema` entries in
+ * STEP_CONFIG, plus the checker validateStepInternal runs params through
+ *
+ * The checker understands the subset of JSON Schema the registry uses: type,
+ * enum, const, minLength, pattern, minimum, maximum, exclusiveMinimum, items,
+ * minItems, properties, required, minProperties, additionalProperties, anyOf and
+ * local $ref ("#/$defs/...").
+ *
+ * EXPORTS:
+ * - JSON_SCHEMA_DIALECT - $schema URI of the generated request schema
+ * - NESTED_STEP_DEFS - $defs that make a params schema self-contained
+ * - getStepSchema(stepType) → Object|null - Params schema with the step's hook properties
+ * - checkSchema(value, schema, label, defs?) → string[] - Validate a value against a schema
+ * - validateStepParams(stepType, params) → string[] - Validate step params against the registry schema
+ * - buildRequestSchema() → Object - JSON Schema for a whole request ({tab, timeout, steps})
+ *
+ * DEPENDENCIES:
+ * - ./step-registry.js: STEP_CONFIG, getAllStepTypes
+ */
+
+import { STEP_CONFIG, getAllStepTypes } from './step-registry.js';
+
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const HOOK_SCHEMAS = {
+  readyWhen: { type: 'string', description: 'Function string polled until truthy before the action' },
+  settledWhen: { type: 'string', description: 'Function string polled until truthy after the action' },
+  observe: { type: 'string', description: 'Function string run after the action; its result is returned as observation' }
+};
+
+/**
+ * Definitions for params schemas used on their own: nested step arrays are
+ * checked shallowly, since validateStepInternal recurses into them
+ */
+export const NESTED_STEP_DEFS = {
+  steps: { type: 'array', items: { type: 'object', description: 'A step, e.g. {"click": "#btn"}' } }
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function describeSchema(schema) {
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.enum) return `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+  if (schema.anyOf) return [...new Set(schema.anyOf.map(describeSchema))].join(' or ');
+  const types = [].concat(schema.type || []);
+  return types.length > 0 ? types.map(t => TYPE_NAMES[t]).join(' or ') : 'a valid value';
+}
+
+function resolveRef(schema, defs) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace('#/$defs/', '');
+  if (!defs[name]) {
+    throw new Error(`Unresolved schema reference ${schema.$ref}`);
+  }
+  return defs[name];
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema (registry subset)
+ * @param {string} label - Path used in error messages (e.g. "click" or "emulate.geolocation")
+ * @param {Object} [defs] - Definitions for $ref resolution
+ * @returns {string[]} Array of validation errors
+ */
+export function checkSchema(value, schema, label, defs = NESTED_STEP_DEFS) {
+  schema = resolveRef(schema, defs);
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(option => checkSchema(value, option, label, defs));
+    if (results.some(errors => errors.length === 0)) return [];
+    // Report the errors of the only alternative with a matching type (and, for
+    // objects, all of its required keys present), if there is one
+    let candidates = schema.anyOf
+      .map((option, i) => ({ option: resolveRef(option, defs), errors: results[i] }))
+      .filter(({ option }) => option.type !== undefined && [].concat(option.type).some(t => matchesType(value, t)));
+    if (candidates.length > 1 && typeOf(value) === 'object') {
+      candidates = candidates.filter(({ option }) => (option.required || []).every(key => value[key] !== undefined));
+    }
+    if (candidates.length === 1) return candidates[0].errors;
+    return [`${label} must be ${describeSchema(schema)}`];
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return [`${label} must be ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be ${describeSchema(schema)}`];
+  }
+  if (schema.type !== undefined && ![].concat(schema.type).some(t => matchesType(value, t))) {
+    return [`${label} must be ${describeSchema(schema)}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${label} cannot be empty` : `${label} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${label} must match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label} must be >= ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${label} must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label} must be <= ${schema.maximum}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...checkSchema(item, schema.items, `${label}[${i}]`, defs)));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${label} must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${label} requires ${key}`);
+    }
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      if (value[key] === undefined) continue;
+      if (properties[key]) {
+        errors.push(...checkSchema(value[key], properties[key], `${label}.${key}`, defs));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${label} does not accept ${key}`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...checkSchema(value[key], schema.additionalProperties, `${label}.${key}`, defs));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Add hook properties to every object form of a params schema
+ * @param {Object} schema - Params schema
+ * @param {string[]} hooks - Hook names the step supports
+ * @returns {Object} Schema with hook properties
+ */
+function withHooks(schema, hooks) {
+  if (schema.anyOf) {
+    return { ...schema, anyOf: schema.anyOf.map(option => withHooks(option, hooks)) };
+  }
+  if (![].concat(schema.type || []).includes('object')) return schema;
+  const properties = { ...schema.properties };
+  for (const hook of hooks) properties[hook] = HOOK_SCHEMAS[hook];
+  return { ...schema, properties };
+}
+
+/**
+ * Get the params schema of a step type, including its hook properties
+ * @param {string} stepType - Step type name
+ * @returns {Object|null} JSON Schema for the step value, or null for unknown steps
+ */
+export function getStepSchema(stepType) {
+  const config = STEP_CONFIG[stepType];
+  if (!config || !config.schema) return null;
+  return config.hooks && config.hooks.length > 0 ? withHooks(config.schema, config.hooks) : config.schema;
+}
+
+/**
+ * Validate step params against the registry schema
+ * @param {string} stepType - Step type name
+ * @param {*} params - Step value
+ * @returns {string[]} Array of validation errors
+ */
+export function validateStepParams(stepType, params) {
+  const schema = getStepSchema(stepType);
+  return schema ? checkSchema(params, schema, stepType) : [];
+}
+
+/**
+ * Build a JSON Schema for a whole request
+ * Each step is an object with exactly one step-type key (plus `optional`);
+ * control-flow blocks refer back to #/$defs/steps.
+ * @returns {Object} JSON Schema (draft 2020-12)
+ */
+export function buildRequestSchema() {
+  const stepSchemas = getAllStepTypes().filter(name => STEP_CONFIG[name]).map(name => ({
+    type: 'object',
+    title: name,
+    properties: {
+      [name]: getStepSchema(name) || {},
+      optional: { type: 'boolean', description: 'Report failure as skipped instead of an error' }
+    },
+    required: [name],
+    additionalProperties: false
+  }));
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    title: 'cdp-skill request',
+    type: 'object',
+    properties: {
+      tab: { type: 'string', description: 'Tab alias (e.g. "t1") or targetId; required after the initial newTab' },
+      timeout: { type: 'number', minimum: 0, default: 30000, description: 'Step timeout in ms' },
+      steps: { $ref: '#/$defs/steps' }
+    },
+    required: ['steps'],
+    $defs: {
+      steps: { type: 'array', minItems: 1, items: { $ref: '#/$defs/step' } },
+      step: { anyOf: stepSchemas }
+    }
+  };
+}
@@ -6,11 +6,19 @@
  * - validateSteps(steps) → {valid: boolean, errors: Array}
  * - validateStepInternal(step) → string[] - Internal per-step validation
  *
+ * Params are checked against the step's registry schema, which is the source of
+ * truth for their shape, and its optional `validate` function, which covers what
+ * the schema can't express. Every schema violation fails the step; when `validate`
+ * also reports errors, its step-specific messages are shown instead of the
+ * generic schema ones.
+ *
  * DEPENDENCIES:
  * - ./step-registry.js: getAllStepTypes, getStepConfig, validateHooks
+ * - ./step-schema.js: validateStepParams
  */
 
 import { getAllStepTypes, getStepConfig, validateHooks, stepSupportsHooks } from './step-registry.js';
+import { validateStepParams } from './step-schema.js';
 
 /**
  * Validate a single step definition
@@ -48,9 +56,21 @@ export function validateStepInternal(step) {
     return errors;
   }
 
-  // Run step-specific validation from registry
-  const stepErrors = stepConfig.validate(params);
-  errors.push(...stepErrors);
+  // Check params against the registry schema, then the step's own rules
+  const schemaErrors = validateStepParams(action, params);
+  const stepErrors = stepConfig.validate ? stepConfig.validate(params) : [];
+  errors.push(...(stepErrors.length > 0 ? stepErrors : schemaErrors));
+
+  // Validate nested blocks of control-flow steps (if.then, repeat.steps, ...)
+  for (const block of stepConfig.blocks || []) {
+    const nested = params?.[block];
+    if (!Array.isArray(nested)) continue;
+    nested.forEach((nestedStep, i) => {
+      for (const error of validateStepInternal(nestedStep)) {
+        errors.push(`${action}.${block}[${i}]: ${error}`);
+      }
+    });
+  }
 
   // Validate hooks on action steps (readyWhen, settledWhen, observe)
   if (stepSupportsHooks(action)) {
@@ -0,0 +1,1098 @@
+// Generated from scripts/runner/step-registry.js by `npm run build:types`. Do not edit.
+
+import type { SessionOptions, SessionBase, StepCallOptions, RequestResponse } from './types.js';
+
+export type { SessionOptions, SessionBase, StepCallOptions, RequestResponse } from './types.js';
+
+/** Value of each step type */
+export interface StepParams {
+  /** Navigate the tab to a URL */
+  goto: string | {
+    url: string;
+    /** Page readiness to wait for */
+    waitUntil?: "commit" | "domcontentloaded" | "load" | "networkidle";
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Reload the page */
+  reload: true | {
+    /** Page readiness to wait for */
+    waitUntil?: "commit" | "domcontentloaded" | "load" | "networkidle";
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Wait for an element, text, or URL change */
+  wait: string | {
+    selector?: string;
+    text?: string;
+    textRegex?: string;
+    urlContains?: string;
+    /** Wait for the element to disappear (default false) */
+    hidden?: boolean;
+    /** Default 1 */
+    minCount?: number;
+    /** Default true */
+    caseSensitive?: boolean;
+    /** Default 30000 */
+    timeout?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Fixed delay in ms */
+  sleep: number;
+  /** Click an element or coordinates */
+  click: string | {
+    /** CSS selector */
+    selector?: string;
+    /** Snapshot ref, e.g. "f0s1e4" */
+    ref?: string;
+    /** Visible text of the element */
+    text?: string;
+    x?: number;
+    y?: number;
+    /** Skip actionability checks */
+    force?: boolean;
+    /** Match text exactly */
+    exact?: boolean;
+    /** Limit text matches to this tag */
+    tag?: string;
+    /** Default 10000 */
+    timeout?: number;
+    /** Fallback targets tried in order: selectors or {role, name} */
+    selectors?: Array<string | Record<string, any>>;
+    /** Default "left" */
+    button?: "left" | "middle" | "right";
+    /** Default 1 */
+    clickCount?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Type into the focused element, one field, or several fields */
+  fill: string | {
+    selector?: string;
+    ref?: string;
+    /** Label text of the field */
+    label?: string;
+    /** Value to enter */
+    value?: any;
+    /** Batch: selector, ref or label → value */
+    fields?: Record<string, any>;
+    /** Default true */
+    clear?: boolean;
+    /** Use the React-compatible value setter */
+    react?: boolean;
+    force?: boolean;
+    exact?: boolean;
+    timeout?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+    [key: string]: any;
+  };
+  /** Key or chord, e.g. "Enter" or "Control+a" */
+  press: string;
+  /** Query elements by CSS selector or ARIA role */
+  query: string | {
+    selector?: string;
+    role?: string | Array<string>;
+    name?: string;
+    nameExact?: boolean;
+    nameRegex?: boolean;
+    level?: number;
+    /** Default 10 */
+    limit?: number;
+    /** Default "text" */
+    output?: "text" | "html" | "href" | "value" | "tag" | Array<string> | {
+      attribute?: string;
+    };
+    /** Return only the count */
+    count?: boolean;
+    /** Trim whitespace from values */
+    clean?: boolean;
+    /** Include tag, classes and selector path per result */
+    metadata?: boolean;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Batch queries: name → selector string or query object */
+  queryAll: {
+    timeout?: number;
+    optional?: boolean;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+    [key: string]: any;
+  };
+  /** Page overview with element counts */
+  inspect: boolean | {
+    /** Extra selectors to count */
+    selectors?: Array<string>;
+    /** Sample values per selector */
+    limit?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Scroll the page or scroll an element into view */
+  scroll: string | {
+    selector?: string;
+    ref?: string;
+    x?: number;
+    y?: number;
+    deltaX?: number;
+    deltaY?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Read captured console messages */
+  console: boolean | {
+    /** "error", "warning", "log", ... */
+    level?: string;
+    type?: "console" | "exception";
+    since?: number;
+    /** Default 50 */
+    limit?: number;
+    clear?: boolean;
+    stackTrace?: boolean;
+  };
+  /** Save the page (or one element) as PDF */
+  pdf: string | {
+    path: string;
+    landscape?: boolean;
+    printBackground?: boolean;
+    scale?: number;
+    pageRanges?: string;
+    selector?: string;
+  };
+  /** Accessibility snapshot of the page as YAML with refs */
+  snapshot: boolean | {
+    /** Default "full" */
+    detail?: "summary" | "interactive" | "full";
+    /** Default "ai" */
+    mode?: "ai" | "full";
+    /** CSS selector or "role=main" */
+    root?: string;
+    maxDepth?: number;
+    maxElements?: number;
+    /** Default 150 */
+    maxNameLength?: number;
+    includeText?: boolean;
+    includeFrames?: boolean;
+    pierceShadow?: boolean;
+    viewportOnly?: boolean;
+    /** Default 9000 */
+    inlineLimit?: number;
+    preserveRefs?: boolean;
+    /** Snapshot id, e.g. "f0s1" */
+    since?: string;
+    /** Default "dom" */
+    backend?: "dom" | "cdp";
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Search the snapshot by text, regex, or role */
+  snapshotSearch: {
+    text?: string;
+    /** Regex */
+    pattern?: string;
+    role?: string;
+    exact?: boolean;
+    /** Default 10 */
+    limit?: number;
+    context?: number;
+    near?: {
+      x: number;
+      y: number;
+      radius?: number;
+    };
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Move the mouse over an element or coordinates */
+  hover: string | {
+    /** CSS selector */
+    selector?: string;
+    /** Snapshot ref, e.g. "f0s1e4" */
+    ref?: string;
+    /** Visible text of the element */
+    text?: string;
+    x?: number;
+    y?: number;
+    /** Skip actionability checks */
+    force?: boolean;
+    /** Match text exactly */
+    exact?: boolean;
+    /** Limit text matches to this tag */
+    tag?: string;
+    timeout?: number;
+    /** Hover time in ms */
+    duration?: number;
+    /** Report elements that became visible */
+    captureResult?: boolean;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Tap an element or coordinates */
+  tap: string | {
+    /** CSS selector */
+    selector?: string;
+    /** Snapshot ref, e.g. "f0s1e4" */
+    ref?: string;
+    /** Visible text of the element */
+    text?: string;
+    x?: number;
+    y?: number;
+    /** Skip actionability checks */
+    force?: boolean;
+    /** Match text exactly */
+    exact?: boolean;
+    /** Limit text matches to this tag */
+    tag?: string;
+    timeout?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Touch and hold an element or coordinates */
+  longPress: string | {
+    /** CSS selector */
+    selector?: string;
+    /** Snapshot ref, e.g. "f0s1e4" */
+    ref?: string;
+    /** Visible text of the element */
+    text?: string;
+    x?: number;
+    y?: number;
+    /** Skip actionability checks */
+    force?: boolean;
+    /** Match text exactly */
+    exact?: boolean;
+    /** Limit text matches to this tag */
+    tag?: string;
+    timeout?: number;
+    /** Default 800 */
+    duration?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Swipe from the target (or viewport center) in a direction */
+  swipe: {
+    /** CSS selector */
+    selector?: string;
+    /** Snapshot ref, e.g. "f0s1e4" */
+    ref?: string;
+    /** Visible text of the element */
+    text?: string;
+    x?: number;
+    y?: number;
+    /** Skip actionability checks */
+    force?: boolean;
+    /** Match text exactly */
+    exact?: boolean;
+    /** Limit text matches to this tag */
+    tag?: string;
+    timeout?: number;
+    direction: "up" | "down" | "left" | "right";
+    /** Default 300 */
+    distance?: number;
+    /** Default 300 */
+    duration?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Pinch around the target (or viewport center); scale < 1 zooms out, > 1 zooms in */
+  pinch: {
+    /** CSS selector */
+    selector?: string;
+    /** Snapshot ref, e.g. "f0s1e4" */
+    ref?: string;
+    /** Visible text of the element */
+    text?: string;
+    x?: number;
+    y?: number;
+    /** Skip actionability checks */
+    force?: boolean;
+    /** Match text exactly */
+    exact?: boolean;
+    /** Limit text matches to this tag */
+    tag?: string;
+    timeout?: number;
+    scale: number;
+    speed?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Set the viewport to a device preset or explicit size */
+  viewport: string | {
+    width: number;
+    height: number;
+    mobile?: boolean;
+    hasTouch?: boolean;
+    isLandscape?: boolean;
+    deviceScaleFactor?: number;
+  };
+  /** Get, set, delete, or clear cookies */
+  cookies: {
+    /** true for the current page, or URLs */
+    get?: boolean | Array<string>;
+    /** Cookies: {name, value, domain, path, expires, httpOnly, secure, sameSite} */
+    set?: Array<Record<string, any>>;
+    /** Cookie name(s) */
+    delete?: string | Array<string>;
+    /** true, or URLs to clear */
+    clear?: boolean | Array<string>;
+    /** Filter get results by name */
+    name?: string | Array<string>;
+    domain?: string;
+    path?: string;
+  };
+  /** Go back in history */
+  back: true | {
+    timeout?: number;
+  };
+  /** Go forward in history */
+  forward: true | {
+    timeout?: number;
+  };
+  /** Wait for an in-progress navigation */
+  waitForNavigation: true | {
+    timeout?: number;
+    /** Page readiness to wait for (default "load") */
+    waitUntil?: "commit" | "domcontentloaded" | "load" | "networkidle";
+  };
+  /** List open tabs */
+  listTabs: true;
+  /** Tab alias or targetId to close */
+  closeTab: string;
+  /** Name of the browser context to dispose (must be the only step) */
+  closeContext: string;
+  /** Open a new tab, launching Chrome if needed */
+  newTab: true | string | {
+    url?: string;
+    /** Default "localhost" */
+    host?: string;
+    /** Default 9222 */
+    port?: number;
+    headless?: boolean;
+    /** Synthetic camera/microphone when Chrome is launched */
+    fakeMedia?: boolean;
+    timeout?: number;
+    /** Named isolated browser context */
+    context?: string;
+    /** Extra request headers; a null value removes one, null removes all */
+    headers?: Record<string, string | number | null> | null;
+    credentials?: {
+      username: string;
+      password: string;
+      /** Only answer challenges from this origin */
+      origin?: string;
+      /** Also answer proxy challenges */
+      proxy?: boolean;
+    } | null;
+    userAgent?: string | null;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Select text in an input or textarea */
+  selectText: string | {
+    selector: string;
+    start?: number;
+    end?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Choose options of a <select> */
+  selectOption: {
+    selector: string;
+    value?: string;
+    label?: string;
+    index?: number;
+    /** Values for a multi-select */
+    values?: Array<string>;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Submit a form */
+  submit: string | {
+    selector: string;
+    reportValidity?: boolean;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Assert URL conditions or text presence */
+  assert: {
+    url?: {
+      contains?: string;
+      equals?: string;
+      startsWith?: string;
+      endsWith?: string;
+      /** Regex */
+      matches?: string;
+    };
+    text?: string;
+    /** Limit the text search to this element */
+    selector?: string;
+    caseSensitive?: boolean;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Switch frame context */
+  frame: string | number | {
+    name?: string;
+    /** Return the frame tree without switching */
+    list?: boolean;
+  };
+  /** Drag from source to target */
+  drag: {
+    source: string | {
+      selector?: string;
+      ref?: string;
+      x?: number;
+      y?: number;
+      offsetX?: number;
+      offsetY?: number;
+    };
+    target: string | {
+      selector?: string;
+      ref?: string;
+      x?: number;
+      y?: number;
+      offsetX?: number;
+      offsetY?: number;
+    };
+    /** Default 10 */
+    steps?: number;
+    /** Default 0 */
+    delay?: number;
+    /** Default "auto" */
+    method?: "auto" | "mouse" | "html5";
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Extract text, HTML, values, box, or attributes */
+  get: string | {
+    selector?: string;
+    ref?: string;
+    /** Default "text" */
+    mode?: "text" | "html" | "value" | "box" | "attributes";
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Raw HTML of the page or an element */
+  getDom: true | string | {
+    selector?: string;
+    outer?: boolean;
+  };
+  /** Bounding boxes of snapshot refs */
+  getBox: string | Array<string> | {
+    ref?: string;
+    refs?: Array<string>;
+  };
+  /** Elements at coordinates or within a radius */
+  elementsAt: Array<{
+    x: number;
+    y: number;
+  }> | {
+    x: number;
+    y: number;
+    radius?: number;
+    limit?: number;
+  };
+  /** Run JavaScript in the current frame */
+  pageFunction: string | {
+    fn?: string;
+    expression?: string;
+    /** Pass window.__ariaRefs as the first argument */
+    refs?: boolean;
+    timeout?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Poll a function until it returns truthy */
+  poll: string | {
+    fn: string;
+    /** Default 100 */
+    interval?: number;
+    /** Default 30000 */
+    timeout?: number;
+  };
+  /** Save a site profile (markdown) for a domain */
+  writeSiteProfile: {
+    domain: string;
+    content: string;
+  };
+  /** Read the site profile of a domain */
+  readSiteProfile: string | {
+    domain: string;
+  };
+  /** Save a reusable step sequence for a domain */
+  writeRecipe: {
+    domain: string;
+    name: string;
+    steps: Step[];
+    params?: Array<string> | Record<string, {
+      default?: any;
+      required?: boolean;
+      description?: string;
+    }>;
+    defaults?: {
+      readyWhen?: string;
+      settledWhen?: string;
+    };
+    description?: string;
+  };
+  /** Run a saved recipe */
+  runRecipe: string | {
+    name: string;
+    /** Defaults to the current page's domain */
+    domain?: string;
+    params?: Record<string, any>;
+  };
+  /** Connect to an existing tab */
+  switchTab: string | {
+    targetId?: string;
+    /** Regex matched against tab URLs */
+    url?: string;
+    host?: string;
+    port?: number;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Current URL */
+  getUrl: true;
+  /** Current page title */
+  getTitle: true;
+  /** Set files on a file input */
+  upload: string | Array<string> | {
+    selector?: string;
+    ref?: string;
+    file?: string;
+    files?: Array<string>;
+    /** Function string polled until truthy before the action */
+    readyWhen?: string;
+    /** Function string polled until truthy after the action */
+    settledWhen?: string;
+    /** Function string run after the action; its result is returned as observation */
+    observe?: string;
+  };
+  /** Capture and query network traffic */
+  network: "start" | "stop" | "clear" | "query" | "errors" | {
+    start?: true | {
+      ignoreStatusCodes?: Array<number>;
+    };
+    stop?: true;
+    clear?: true;
+    errors?: true;
+    query?: true | {
+      /** Regex */
+      url?: string;
+      method?: string | Array<string>;
+      /** Code (404), class ("4xx"), or an array of them */
+      status?: number | string | Array<number | string>;
+      /** Resource type, e.g. "XHR" */
+      type?: string | Array<string>;
+      failed?: boolean;
+      limit?: number;
+    };
+    har?: true | string | {
+      path?: string;
+      /** Embed document/XHR/fetch response bodies */
+      content?: boolean;
+      /** Regex */
+      url?: string;
+      method?: string | Array<string>;
+      /** Code (404), class ("4xx"), or an array of them */
+      status?: number | string | Array<number | string>;
+      /** Resource type, e.g. "XHR" */
+      type?: string | Array<string>;
+      failed?: boolean;
+    };
+  };
+  /** Block, fulfill, or modify matching requests; list, remove, or clear rules */
+  route: {
+    /** Glob */
+    url?: string;
+    urlRegex?: string;
+    method?: string;
+    resourceType?: string;
+    block?: true | "Failed" | "Aborted" | "TimedOut" | "AccessDenied" | "ConnectionClosed" | "ConnectionReset" | "ConnectionRefused" | "ConnectionAborted" | "ConnectionFailed" | "NameNotResolved" | "InternetDisconnected" | "AddressUnreachable" | "BlockedByClient" | "BlockedByResponse";
+    fulfill?: {
+      /** Default 200 */
+      status?: number;
+      headers?: Record<string, any>;
+      body?: string;
+      json?: any;
+      file?: string;
+      contentType?: string;
+    };
+    modify?: {
+      /** null values remove a header */
+      headers?: Record<string, any>;
+      url?: string;
+      method?: string;
+      postData?: string;
+    };
+    list?: true;
+    /** Rule id or pattern */
+    remove?: string | Array<string>;
+    clear?: true;
+  };
+  /** Decide how JavaScript dialogs are answered */
+  dialog: "accept" | "dismiss" | "reset" | {
+    accept?: boolean;
+    promptText?: string;
+    /** Default 1 */
+    count?: number;
+    policy?: "accept" | "dismiss" | "auto";
+    reset?: true;
+  };
+  /** Throttle network/CPU and override the browsing environment */
+  emulate: "offline" | "slow-3g" | "fast-3g" | "4g" | "reset" | {
+    network?: "offline" | "slow-3g" | "fast-3g" | "4g" | "none" | {
+      /** ms */
+      latency?: number;
+      /** kbit/s */
+      download?: number;
+      /** kbit/s */
+      upload?: number;
+      offline?: boolean;
+    };
+    /** Slowdown rate (1 = off) */
+    cpu?: number;
+    geolocation?: {
+      latitude: number;
+      longitude: number;
+      accuracy?: number;
+    } | null;
+    /** IANA ID, e.g. "Asia/Tokyo" */
+    timezone?: string | null;
+    /** e.g. "de-DE" */
+    locale?: string | null;
+    colorScheme?: "light" | "dark" | "no-preference" | null;
+    reducedMotion?: "reduce" | "no-preference" | null;
+    userAgent?: string | null | {
+      userAgent: string;
+      platform?: string;
+      acceptLanguage?: string;
+      clientHints?: {
+        brands?: Array<{
+          brand: string;
+          version: string;
+        }>;
+        platform?: string;
+        platformVersion?: string;
+        mobile?: boolean;
+        model?: string;
+        architecture?: string;
+      };
+    };
+    reset?: true;
+  };
+  /** Grant, deny, reset, or query browser permissions */
+  permissions: "query" | "reset" | {
+    /** Permission name(s), e.g. "notifications" */
+    grant?: string | Array<string>;
+    /** Permission name(s), e.g. "notifications" */
+    deny?: string | Array<string>;
+    reset?: true | string | Array<string>;
+    query?: true | string | Array<string>;
+    /** Defaults to the current page's origin */
+    origin?: string;
+  };
+  /** Read, write, or paste clipboard content */
+  clipboard: "read" | "paste" | {
+    read?: true;
+    write?: string | {
+      text?: string;
+      html?: string;
+      /** PNG file path */
+      image?: string;
+      [key: string]: any;
+    };
+    paste?: true | string | {
+      text?: string;
+      html?: string;
+      /** PNG file path */
+      image?: string;
+      [key: string]: any;
+    };
+    /** Paste target */
+    ref?: string;
+    /** Paste target */
+    selector?: string;
+  };
+  /** List, wait for, or clear this tab's downloads */
+  downloads: true | "list" | "wait" | "clear" | {
+    wait?: boolean;
+    /** Filename glob, e.g. "*.csv" */
+    match?: string;
+    /** Default 30000 */
+    timeout?: number;
+    checksum?: true | "sha256" | "sha1" | "md5";
+    clear?: true;
+  };
+  /** Extra headers, HTTP credentials, and user agent for this tab */
+  http: "reset" | {
+    /** Extra request headers; a null value removes one, null removes all */
+    headers?: Record<string, string | number | null> | null;
+    credentials?: {
+      username: string;
+      password: string;
+      /** Only answer challenges from this origin */
+      origin?: string;
+      /** Also answer proxy challenges */
+      proxy?: boolean;
+    } | null;
+    userAgent?: string | null;
+  };
+  /** Read and write localStorage/sessionStorage; export or import auth state */
+  storage: {
+    get?: true | string | Array<string>;
+    /** key → value (null removes) */
+    set?: Record<string, any>;
+    delete?: string | Array<string>;
+    clear?: true;
+    /** File path */
+    export?: string;
+    /** File path */
+    import?: string;
+    /** Default "local" */
+    type?: "local" | "session";
+    /** e.g. "https://example.com" */
+    origin?: string;
+  };
+  /** Compare a screenshot with a stored baseline */
+  screenshotCompare: string | {
+    name: string;
+    selector?: string;
+    ref?: string;
+    fullPage?: boolean;
+    mask?: Array<string | {
+      x: number;
+      y: number;
+      width: number;
+      height: number;
+    }>;
+    /** Allowed mismatch percent (default 0) */
+    threshold?: number;
+    /** Default 0.1 */
+    pixelThreshold?: number;
+    /** Default true */
+    ignoreAntialiasing?: boolean;
+    update?: boolean;
+    baselineDir?: string;
+  };
+  /** Run then or else depending on a condition */
+  if: {
+    /** Element exists */
+    selector?: string;
+    /** Page text contains */
+    text?: string;
+    /** Predicate function string */
+    fn?: string;
+    /** Negate the condition */
+    not?: boolean;
+    /** Require the selector to be visible */
+    visible?: boolean;
+    caseSensitive?: boolean;
+    /** Poll up to N ms for the condition to hold */
+    wait?: number;
+    then: Step[];
+    else?: Step[];
+  };
+  /** Run steps a number of times, or while/until a condition holds */
+  repeat: {
+    steps: Step[];
+    times?: number;
+    while?: {
+      /** Element exists */
+      selector?: string;
+      /** Page text contains */
+      text?: string;
+      /** Predicate function string */
+      fn?: string;
+      /** Negate the condition */
+      not?: boolean;
+      /** Require the selector to be visible */
+      visible?: boolean;
+      caseSensitive?: boolean;
+      /** Poll up to N ms for the condition to hold */
+      wait?: number;
+    };
+    until?: {
+      /** Element exists */
+      selector?: string;
+      /** Page text contains */
+      text?: string;
+      /** Predicate function string */
+      fn?: string;
+      /** Negate the condition */
+      not?: boolean;
+      /** Require the selector to be visible */
+      visible?: boolean;
+      caseSensitive?: boolean;
+      /** Poll up to N ms for the condition to hold */
+      wait?: number;
+    };
+    /** Default 100 */
+    max?: number;
+  };
+  /** Run steps once per item, substituting {{item}} and {{index}} */
+  forEach: {
+    items?: any[];
+    /** Selector; items are {selector, text} */
+    query?: string;
+    steps: Step[];
+    /** Default "item" */
+    as?: string;
+    /** Default "index" */
+    indexAs?: string;
+    /** Default 100 */
+    max?: number;
+  };
+  /** Re-run steps on failure with exponential backoff */
+  retry: {
+    steps: Step[];
+    /** Default 3 */
+    attempts?: number;
+    /** Default 500 */
+    delay?: number;
+    /** Default 5000 */
+    maxDelay?: number;
+  };
+}
+
+/** One step of a request: a single step-type key, plus `optional` */
+export type Step = { [K in keyof StepParams]: { [P in K]: StepParams[K] } & { optional?: boolean } }[keyof StepParams];
+
+/** One method per step type; each runs that step in the session's tab */
+export interface StepMethods {
+  /** Navigate the tab to a URL */
+  goto(params: StepParams["goto"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Reload the page */
+  reload(params?: StepParams["reload"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Wait for an element, text, or URL change */
+  wait(params: StepParams["wait"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Fixed delay in ms */
+  sleep(params: StepParams["sleep"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Click an element or coordinates */
+  click(params: StepParams["click"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Type into the focused element, one field, or several fields */
+  fill(params: StepParams["fill"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Key or chord, e.g. "Enter" or "Control+a" */
+  press(params: StepParams["press"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Query elements by CSS selector or ARIA role */
+  query(params: StepParams["query"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Batch queries: name → selector string or query object */
+  queryAll(params: StepParams["queryAll"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Page overview with element counts */
+  inspect(params?: StepParams["inspect"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Scroll the page or scroll an element into view */
+  scroll(params: StepParams["scroll"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Read captured console messages */
+  console(params?: StepParams["console"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Save the page (or one element) as PDF */
+  pdf(params: StepParams["pdf"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Accessibility snapshot of the page as YAML with refs */
+  snapshot(params?: StepParams["snapshot"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Search the snapshot by text, regex, or role */
+  snapshotSearch(params: StepParams["snapshotSearch"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Move the mouse over an element or coordinates */
+  hover(params: StepParams["hover"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Tap an element or coordinates */
+  tap(params: StepParams["tap"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Touch and hold an element or coordinates */
+  longPress(params: StepParams["longPress"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Swipe from the target (or viewport center) in a direction */
+  swipe(params: StepParams["swipe"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Pinch around the target (or viewport center); scale < 1 zooms out, > 1 zooms in */
+  pinch(params: StepParams["pinch"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Set the viewport to a device preset or explicit size */
+  viewport(params: StepParams["viewport"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Get, set, delete, or clear cookies */
+  cookies(params: StepParams["cookies"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Go back in history */
+  back(params?: StepParams["back"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Go forward in history */
+  forward(params?: StepParams["forward"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Wait for an in-progress navigation */
+  waitForNavigation(params?: StepParams["waitForNavigation"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** List open tabs */
+  listTabs(params?: StepParams["listTabs"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Tab alias or targetId to close */
+  closeTab(params: StepParams["closeTab"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Name of the browser context to dispose (must be the only step) */
+  closeContext(params: StepParams["closeContext"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Open a new tab, launching Chrome if needed */
+  newTab(params?: StepParams["newTab"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Select text in an input or textarea */
+  selectText(params: StepParams["selectText"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Choose options of a <select> */
+  selectOption(params: StepParams["selectOption"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Submit a form */
+  submit(params: StepParams["submit"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Assert URL conditions or text presence */
+  assert(params: StepParams["assert"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Switch frame context */
+  frame(params: StepParams["frame"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Drag from source to target */
+  drag(params: StepParams["drag"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Extract text, HTML, values, box, or attributes */
+  get(params: StepParams["get"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Raw HTML of the page or an element */
+  getDom(params?: StepParams["getDom"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Bounding boxes of snapshot refs */
+  getBox(params: StepParams["getBox"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Elements at coordinates or within a radius */
+  elementsAt(params: StepParams["elementsAt"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Run JavaScript in the current frame */
+  pageFunction(params: StepParams["pageFunction"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Poll a function until it returns truthy */
+  poll(params: StepParams["poll"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Save a site profile (markdown) for a domain */
+  writeSiteProfile(params: StepParams["writeSiteProfile"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Read the site profile of a domain */
+  readSiteProfile(params: StepParams["readSiteProfile"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Save a reusable step sequence for a domain */
+  writeRecipe(params: StepParams["writeRecipe"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Run a saved recipe */
+  runRecipe(params: StepParams["runRecipe"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Connect to an existing tab */
+  switchTab(params: StepParams["switchTab"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Current URL */
+  getUrl(params?: StepParams["getUrl"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Current page title */
+  getTitle(params?: StepParams["getTitle"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Set files on a file input */
+  upload(params: StepParams["upload"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Capture and query network traffic */
+  network(params: StepParams["network"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Block, fulfill, or modify matching requests; list, remove, or clear rules */
+  route(params: StepParams["route"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Decide how JavaScript dialogs are answered */
+  dialog(params: StepParams["dialog"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Throttle network/CPU and override the browsing environment */
+  emulate(params: StepParams["emulate"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Grant, deny, reset, or query browser permissions */
+  permissions(params: StepParams["permissions"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Read, write, or paste clipboard content */
+  clipboard(params: StepParams["clipboard"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** List, wait for, or clear this tab's downloads */
+  downloads(params?: StepParams["downloads"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Extra headers, HTTP credentials, and user agent for this tab */
+  http(params: StepParams["http"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Read and write localStorage/sessionStorage; export or import auth state */
+  storage(params: StepParams["storage"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Compare a screenshot with a stored baseline */
+  screenshotCompare(params: StepParams["screenshotCompare"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Run then or else depending on a condition */
+  if(params: StepParams["if"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Run steps a number of times, or while/until a condition holds */
+  repeat(params: StepParams["repeat"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Run steps once per item, substituting {{item}} and {{index}} */
+  forEach(params: StepParams["forEach"], options?: StepCallOptions): Promise<RequestResponse>;
+  /** Re-run steps on failure with exponential backoff */
+  retry(params: StepParams["retry"], options?: StepCallOptions): Promise<RequestResponse>;
+}
+
+/** Session client: run(), close(), tab and one method per step type */
+export type Session = SessionBase & StepMethods;
+
+/** Open a new tab (or attach to options.tab) and return a session bound to it */
+export function createSession(options?: SessionOptions): Promise<Session>;
@@ -0,0 +1,172 @@
+/**
+ * Session API
+ * Programmatic Node client for cdp-skill: a session bound to one tab whose
+ * methods run steps through the same request pipeline as the CLI.
+ *
+ * Every call is a CLI request ({tab, timeout, steps}) run with runRequest on a
+ * kept-alive connection pool (like the daemon), so responses have exactly the
+ * CLI shape, and the tab registry, site profiles, frame context, routes and
+ * dialog handling behave as they do between CLI invocations. Calls are run one
+ * at a time in call order.
+ *
+ * Usage:
+ *   const s = await createSession({ url: 'https://example.com' });
+ *   await s.click({ ref: 'f0s1e4' });
+ *   const { viewportSnapshot } = await s.snapshot();
+ *   await s.close();
+ *
+ * PUBLIC EXPORTS:
+ * - createSession(options?) → Promise<Session> - Open or attach to a tab and return a step client
+ *
+ * DEPENDENCIES:
+ * - ./cli/request.js: createConnectionPool, errorResponse, ErrorType, parseInput, runRequest, TABLESS_STEPS
+ * - ./cli/tab-state.js: resolveTabEntry
+ * - ./runner/step-registry.js: getAllStepTypes
+ * - ./runner/step-plugins.js: findPluginFiles, loadPlugins
+ * - ./utils/errors.js: requestFailedError
+ *
+ * @module cdp-skill/session
+ */
+
+import { createConnectionPool, errorResponse, ErrorType, parseInput, runRequest, TABLESS_STEPS } from './cli/request.js';
+import { resolveTabEntry } from './cli/tab-state.js';
+import { getAllStepTypes } from './runner/step-registry.js';
+import { findPluginFiles, loadPlugins } from './runner/step-plugins.js';
+import { requestFailedError } from './utils/errors.js';
+
+/**
+ * Create a session: open a new tab (or attach to `options.tab`) and return a
+ * client with run(), close() and one method per step type, including custom
+ * steps from ~/.cdp-skill/plugins and `options.plugins`
+ *
+ * Step methods take the step value (default true) and {timeout, optional}:
+ * `s.fill({selector: '#q', value: 'cdp'})` runs `{"fill": {...}}` in the
+ * session's tab. They resolve with the response and, unless throwOnError is
+ * false, reject with a RequestFailedError (carrying `response`) when its status
+ * is "error". newTab and switchTab move the session to the tab they open;
+ * closeTab without a value closes the session's tab.
+ *
+ * @param {import('./types.js').SessionOptions} [options] - Session options
+ * @returns {Promise<import('./session.js').Session>} Session client
+ */
+export async function createSession(options = {}) {
+  await loadPlugins([...findPluginFiles(), ...(options.plugins || [])]);
+  const timeout = options.timeout ?? 30000;
+  const throwOnError = options.throwOnError !== false;
+  const pool = options.handleRequest ? null : createConnectionPool({ keepAlive: true });
+  const handleRequest = options.handleRequest || ((request) => runRequest(request, pool));
+  let currentTab = null;
+  let closed = false;
+  let queue = Promise.resolve();
+
+  function send(request) {
+    const run = queue.then(() => handleRequest(request));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Build a CLI request for the session's tab
+   * @returns {{request?: Object, response?: Object}} The request, or an error response when the steps do not parse
+   */
+  function toRequest(steps, stepTimeout) {
+    let request;
+    try {
+      // Round-trip through the CLI parser: same validation, and the pipeline may annotate its copy
+      request = parseInput(JSON.stringify({ steps }));
+    } catch (err) {
+      return { response: errorResponse(err.type || ErrorType.VALIDATION, err.message) };
+    }
+    const first = request.steps[0];
+    const selectsTab = first && typeof first === 'object' && Object.keys(first).some(key => TABLESS_STEPS.has(key));
+    if (currentTab && !selectsTab) {
+      request.tab = currentTab;
+    }
+    request.timeout = stepTimeout;
+    return { request };
+  }
+
+  function trackTab(response) {
+    if (response.tab) {
+      currentTab = response.tab;
+    }
+    const closedTabs = [].concat(response.closed || [], response.tabs || []);
+    if (closedTabs.includes(currentTab)) {
+      currentTab = null;
+    }
+  }
+
+  /**
+   * Run steps in the session's tab
+   * @param {Array<Object>|Object} steps - Step objects, e.g. [{click: '#go'}, {snapshot: true}]
+   * @param {import('./types.js').StepCallOptions} [runOptions] - Options
+   * @returns {Promise<import('./types.js').RequestResponse>} CLI response
+   */
+  async function run(steps, runOptions = {}) {
+    if (closed) {
+      throw new Error('Session is closed');
+    }
+    const { request, response: invalid } = toRequest(Array.isArray(steps) ? steps : [steps], runOptions.timeout ?? timeout);
+    const response = invalid || await send(request);
+    trackTab(response);
+    if (throwOnError && response.status !== 'ok') {
+      throw requestFailedError(response);
+    }
+    return response;
+  }
+
+  /**
+   * Stop the session and drop its connections; the tab stays open and registered
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    if (closed) return;
+    closed = true;
+    await queue;
+    if (pool) {
+      await pool.release({ force: true });
+    }
+  }
+
+  const session = {
+    get tab() { return currentTab; },
+    run,
+    close
+  };
+
+  for (const name of getAllStepTypes()) {
+    session[name] = (params = true, stepOptions = {}) => {
+      // closeTab without a value closes the session's tab
+      const value = name === 'closeTab' && params === true && currentTab ? currentTab : params;
+      const step = { [name]: value };
+      if (stepOptions.optional === true) step.optional = true;
+      return run([step], stepOptions);
+    };
+  }
+
+  let opening;
+  if (options.tab) {
+    // Registered aliases carry their own host/port; bare targetIds use the options
+    opening = resolveTabEntry(options.tab)
+      ? { switchTab: options.tab }
+      : { switchTab: { targetId: options.tab, host: options.host, port: options.port } };
+  } else {
+    const newTab = { url: options.url, host: options.host, port: options.port, headless: options.headless, context: options.context };
+    const given = Object.fromEntries(Object.entries(newTab).filter(([, value]) => value !== undefined));
+    opening = { newTab: Object.keys(given).length > 0 ? given : true };
+  }
+
+  try {
+    const { request, response: invalid } = toRequest([opening], timeout);
+    const response = invalid || await send(request);
+    trackTab(response);
+    if (response.status !== 'ok') {
+      throw requestFailedError(response);
+    }
+  } catch (err) {
+    await close();
+    throw err;
+  }
+
+  return session;
+}
@@ -3,7 +3,8 @@ import assert from 'node:assert';
 import {
   createQueryOutputProcessor,
   createRoleQueryExecutor,
-  createAriaSnapshot
+  createAriaSnapshot,
+  buildAxSnapshotTree
 } from '../aria.js';
 
 describe('ARIA Module', () => {
@@ -957,6 +958,151 @@ describe('ARIA Module', () => {
         assert.ok(mockSession.send.mock.calls.length > 0);
       });
     });
+
+    describe('accessibility-domain backend', () => {
+      const axNodes = [
+        { nodeId: '1', role: { value: 'RootWebArea' }, name: { value: 'Shop' }, childIds: ['2', '3'], backendDOMNodeId: 1 },
+        { nodeId: '2', parentId: '1', role: { value: 'navigation' }, name: { value: 'Primary' }, childIds: [], backendDOMNodeId: 2 },
+        { nodeId: '3', parentId: '1', role: { value: 'main' }, name: { value: '' }, childIds: ['4'], backendDOMNodeId: 3 },
+        { nodeId: '4', parentId: '3', role: { value: 'button' }, name: { value: 'Buy' }, childIds: [], backendDOMNodeId: 4 }
+      ];
+
+      function axSession(overrides = {}) {
+        return mock.fn(async (method, params) => {
+          if (overrides[method]) return overrides[method](params);
+          if (method === 'Runtime.evaluate') return { result: { objectId: 'doc' } };
+          if (method === 'Accessibility.getFullAXTree') return { nodes: axNodes };
+          if (method === 'DOM.resolveNode') return { object: { objectId: `node-${params.backendNodeId}` } };
+          if (method === 'Runtime.callFunctionOn') {
+            return { result: { value: { tree: params.arguments[0].value, yaml: '- button "Buy" [ref=f0s1e1]', refs: { f0s1e1: 'button' }, truncated: false, snapshotId: 'f0s1' } } };
+          }
+          return {};
+        });
+      }
+
+      it('should build the tree from Accessibility.getFullAXTree and register refs in the page', async () => {
+        mockSession.send = axSession();
+        const result = await snapshot.generate({ backend: 'cdp' });
+
+        const methods = mockSession.send.mock.calls.map(c => c.arguments[0]);
+        assert.ok(methods.includes('Accessibility.getFullAXTree'));
+        assert.ok(methods.includes('Runtime.releaseObjectGroup'));
+
+        const register = mockSession.send.mock.calls.find(c => c.arguments[0] === 'Runtime.callFunctionOn').arguments[1];
+        assert.strictEqual(register.objectId, 'doc');
+        assert.ok(register.functionDeclaration.includes('window.__ariaRefs'));
+        assert.doesNotThrow(() => new Function(`return ${register.functionDeclaration}`));
+        assert.deepStrictEqual(register.arguments.slice(2), [{ objectId: 'node-4' }]);
+        assert.ok(register.arguments[1].value.landmarkHeader.includes('navigation "Primary"'));
+
+        assert.strictEqual(result.snapshotId, 'f0s1');
+        assert.strictEqual(result.autoScoped, true);
+      });
+
+      it('should resolve a CSS root to its AX node', async () => {
+        mockSession.send = axSession({
+          'Runtime.callFunctionOn': (params) => params.arguments.length === 1
+            ? { result: { objectId: 'root' } }
+            : { result: { value: { tree: params.arguments[0].value, yaml: '', refs: {}, snapshotId: 'f0s1' } } },
+          'DOM.describeNode': () => ({ node: { backendNodeId: 2 } })
+        });
+        const result = await snapshot.generate({ backend: 'cdp', root: 'nav' });
+        assert.strictEqual(result.tree.role, 'navigation');
+      });
+
+      it('should report a missing CSS root', async () => {
+        mockSession.send = axSession({ 'Runtime.callFunctionOn': () => ({ result: { type: 'object', subtype: 'null' } }) });
+        const result = await snapshot.generate({ backend: 'cdp', root: '#missing' });
+        assert.ok(result.error.includes('Root element not found: #missing'));
+      });
+
+      it('should return unchanged when the page hash matches since', async () => {
+        mockSession.send = mock.fn(async () => ({ result: { value: 3 } }));
+        const result = await snapshot.generate({ backend: 'cdp', since: 'f0s3' });
+        assert.strictEqual(result.unchanged, true);
+        assert.strictEqual(result.snapshotId, 'f0s3');
+        assert.strictEqual(mockSession.send.mock.calls.length, 1);
+      });
+
+      it('should scope the AX tree to the current frame', async () => {
+        const frameSnapshot = createAriaSnapshot(mockSession, { getFrameContext: () => 7, getFrameId: () => 'FRAME-1' });
+        mockSession.send = axSession();
+        await frameSnapshot.generate({ backend: 'cdp' });
+
+        const calls = mockSession.send.mock.calls.map(c => c.arguments);
+        assert.deepStrictEqual(calls.find(([method]) => method === 'Accessibility.getFullAXTree')[1], { frameId: 'FRAME-1' });
+        assert.strictEqual(calls.find(([method]) => method === 'DOM.resolveNode')[1].executionContextId, 7);
+      });
+    });
+  });
+
+  // ============================================================================
+  // buildAxSnapshotTree Tests
+  // ============================================================================
+
+  describe('buildAxSnapshotTree', () => {
+    function ax(nodeId, role, name, childIds = [], extra = {}) {
+      return { nodeId, role: { value: role }, name: { value: name }, childIds, backendDOMNodeId: Number(nodeId) * 10, ...extra };
+    }
+
+    it('should flatten ignored, generic and internal nodes', () => {
+      const { tree } = buildAxSnapshotTree([
+        ax('1', 'RootWebArea', 'Page', ['2']),
+        ax('2', 'generic', '', ['3', '4']),
+        ax('3', 'heading', 'Title', [], { properties: [{ name: 'level', value: { type: 'integer', value: 2 } }] }),
+        ax('4', 'none', '', ['5'], { ignored: true }),
+        ax('5', 'image', 'Logo')
+      ]);
+      assert.deepStrictEqual(tree, {
+        role: 'generic',
+        name: '',
+        children: [{ role: 'heading', name: 'Title', level: 2, element: 0, interactable: true }, { role: 'img', name: 'Logo' }]
+      });
+    });
+
+    it('should map states and values and mark interactable elements', () => {
+      const { tree, elements } = buildAxSnapshotTree([
+        ax('1', 'form', 'Signup', ['2', '3']),
+        ax('2', 'checkbox', 'Terms', [], { properties: [{ name: 'checked', value: { type: 'tristate', value: 'mixed' } }, { name: 'required', value: { type: 'boolean', value: true } }] }),
+        ax('3', 'textbox', 'Email', [], { value: { type: 'string', value: 'a@b.c' }, properties: [{ name: 'invalid', value: { type: 'token', value: 'true' } }, { name: 'focusable', value: { type: 'boolean', value: true } }] })
+      ]);
+      assert.deepStrictEqual(tree.children, [
+        { role: 'checkbox', name: 'Terms', checked: 'mixed', required: true, element: 0, interactable: true },
+        { role: 'textbox', name: 'Email', invalid: true, value: 'a@b.c', element: 1, interactable: true }
+      ]);
+      assert.deepStrictEqual(elements, [20, 30]);
+    });
+
+    it('should keep static text only where the DOM backend would', () => {
+      const nodes = [
+        ax('1', 'main', '', ['2', '4']),
+        ax('2', 'alert', '', ['3']),
+        ax('3', 'StaticText', 'Saved', ['9']),
+        ax('9', 'InlineTextBox', 'Saved'),
+        ax('4', 'StaticText', 'Plain text')
+      ];
+      assert.deepStrictEqual(buildAxSnapshotTree(nodes).tree.children, [
+        { role: 'alert', name: '', children: [{ role: 'staticText', name: 'Saved' }] }
+      ]);
+      assert.strictEqual(buildAxSnapshotTree(nodes, { mode: 'full' }).tree.children[1].name, 'Plain text');
+    });
+
+    it('should honor maxElements and maxNameLength', () => {
+      const result = buildAxSnapshotTree([
+        ax('1', 'list', 'A very long list name', ['2', '3']),
+        ax('2', 'listitem', 'One'),
+        ax('3', 'listitem', 'Two')
+      ], { maxElements: 2, maxNameLength: 6 });
+      assert.strictEqual(result.tree.name, 'A very…');
+      assert.strictEqual(result.tree.children.length, 1);
+      assert.strictEqual(result.truncated, true);
+    });
+
+    it('should resolve role roots and report missing ones', () => {
+      const nodes = [ax('1', 'RootWebArea', '', ['2']), ax('2', 'navigation', 'Menu')];
+      assert.strictEqual(buildAxSnapshotTree(nodes, { rootRole: 'navigation' }).tree.name, 'Menu');
+      assert.ok(buildAxSnapshotTree(nodes, { rootRole: 'main' }).error.includes('Root element not found for role: main'));
+    });
   });
 
   // ============================================================================
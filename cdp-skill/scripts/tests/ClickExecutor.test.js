@@ -620,6 +620,93 @@ describe('ClickExecutor', () => {
       const result = await executor.execute({ ref: 'f0s1e1', force: true });
       assert.strictEqual(result.clicked, true);
     });
+
+    describe('refs in out-of-process iframes', () => {
+      function createFrameSession({ targetReceived = true, urls = ['https://pay.example/form'] } = {}) {
+        const frameUrls = [...urls];
+        return {
+          send: mock.fn(async (method, params) => {
+            const expression = params?.expression || '';
+            if (expression.includes('location.href')) {
+              return { result: { value: frameUrls.length > 1 ? frameUrls.shift() : frameUrls[0] } };
+            }
+            if (expression.includes('targetReceived')) return { result: { value: { targetReceived } } };
+            if (expression.includes('el.click()')) return { result: { value: { success: true } } };
+            if (expression.includes('MutationObserver')) return { result: { value: { type: 'contentChange', changeCount: 2 } } };
+            return { result: { value: true } };
+          })
+        };
+      }
+
+      function frameExpressions(frameSession) {
+        return frameSession.send.mock.calls.map(c => c.arguments[1].expression);
+      }
+
+      beforeEach(() => {
+        mockAriaSnapshot.getElementByRef = mock.fn(async () => ({
+          box: { x: 300, y: 400, width: 20, height: 10 },
+          isVisible: true
+        }));
+        mockSession.send = mock.fn(async () => ({ result: { value: 'https://example.com' } }));
+      });
+
+      it('should resolve refs in the frame session and click at page coordinates', async () => {
+        const frameSession = createFrameSession();
+        mockAriaSnapshot.getRefSession = mock.fn(async (ref) => ref === 'f2s1e1' ? frameSession : null);
+
+        const result = await executor.execute({ ref: 'f2s1e1' });
+
+        assert.strictEqual(result.clicked, true);
+        assert.strictEqual(result.method, 'cdp');
+        assert.strictEqual(result.targetReceived, true);
+        assert.strictEqual(result.navigated, false);
+        assert.deepStrictEqual(mockInputEmulator.click.mock.calls[0].arguments.slice(0, 2), [310, 405]);
+        assert.ok(frameExpressions(frameSession)[0].includes('scrollIntoView'));
+        // Only the URL checks go to the page session
+        assert.ok(mockSession.send.mock.calls.every(c => c.arguments[1].expression.includes('location.href')));
+      });
+
+      it('should fall back to a JS click in the frame unless nativeOnly is set', async () => {
+        const frameSession = createFrameSession({ targetReceived: false });
+        mockAriaSnapshot.getRefSession = mock.fn(async () => frameSession);
+
+        const fallback = await executor.execute({ ref: 'f2s1e1' });
+        assert.strictEqual(fallback.method, 'jsClick-auto');
+        assert.strictEqual(fallback.cdpAttempted, true);
+        assert.ok(frameExpressions(frameSession).some(e => e.includes('el.click()')));
+
+        const nativeSession = createFrameSession({ targetReceived: false });
+        mockAriaSnapshot.getRefSession = mock.fn(async () => nativeSession);
+        const native = await executor.execute({ ref: 'f2s1e1', nativeOnly: true });
+        assert.strictEqual(native.method, 'cdp');
+        assert.strictEqual(native.targetReceived, false);
+        assert.ok(!frameExpressions(nativeSession).some(e => e.includes('el.click()')));
+      });
+
+      it('should report navigation inside the frame', async () => {
+        const frameSession = createFrameSession({ urls: ['https://pay.example/form', 'https://pay.example/done'] });
+        mockAriaSnapshot.getRefSession = mock.fn(async () => frameSession);
+
+        const result = await executor.execute({ ref: 'f2s1e1' });
+
+        assert.strictEqual(result.navigated, true);
+        assert.strictEqual(result.frameUrl, 'https://pay.example/done');
+      });
+
+      it('should honor waitForNavigation and waitAfter in the frame', async () => {
+        // The frame URL only changes after the click has been verified
+        const frameSession = createFrameSession({ urls: ['https://pay.example/form', 'https://pay.example/form', 'https://pay.example/form', 'https://pay.example/done'] });
+        mockAriaSnapshot.getRefSession = mock.fn(async () => frameSession);
+
+        const result = await executor.execute({ ref: 'f2s1e1', waitForNavigation: true, navigationTimeout: 1, waitAfter: true });
+
+        assert.strictEqual(result.navigated, true);
+        assert.strictEqual(result.frameUrl, 'https://pay.example/done');
+        // waitAfter watches the frame's document, not the page's
+        assert.ok(frameExpressions(frameSession).some(e => e.includes('MutationObserver')));
+        assert.strictEqual(result.waitResult.changeCount, 2);
+      });
+    });
   });
 
   describe('navigation detection', () => {
@@ -0,0 +1,97 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createClipboardExecutor } from '../dom/clipboard-executor.js';
+
+describe('ClipboardExecutor', () => {
+  let mockSession;
+  let executor;
+  let pasteOutcome;
+  let evaluateResult;
+
+  function sentCalls(method) {
+    return mockSession.send.mock.calls.filter(c => c.arguments[0] === method);
+  }
+
+  beforeEach(() => {
+    pasteOutcome = { handled: false, editable: true, tag: 'textarea' };
+    evaluateResult = { result: { value: { 'text/plain': 'hello' } } };
+
+    mockSession = {
+      send: mock.fn(async (method, params) => {
+        if (method === 'Runtime.evaluate') {
+          if (params.expression.includes('document.activeElement')) return { result: { objectId: 'active-1' } };
+          if (params.expression.includes('found: true')) return { result: { value: { found: true } } };
+          if (params.expression.includes('document.querySelector')) return { result: { objectId: 'sel-1' } };
+          return evaluateResult;
+        }
+        if (method === 'Runtime.callFunctionOn') return { result: { value: pasteOutcome } };
+        return {};
+      })
+    };
+
+    executor = createClipboardExecutor(mockSession);
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should throw if session is not provided', () => {
+    assert.throws(() => createClipboardExecutor(null), { message: 'CDP session is required' });
+  });
+
+  it('should enable focus emulation before reading', async () => {
+    const data = await executor.read();
+
+    assert.deepStrictEqual(data, { 'text/plain': 'hello' });
+    const methods = mockSession.send.mock.calls.map(c => c.arguments[0]);
+    assert.deepStrictEqual(methods, ['Emulation.setFocusEmulationEnabled', 'Runtime.evaluate']);
+  });
+
+  it('should surface clipboard API errors', async () => {
+    evaluateResult = { exceptionDetails: { exception: { description: 'NotAllowedError: Read permission denied.' } } };
+    await assert.rejects(() => executor.read(), /Clipboard read failed: NotAllowedError/);
+  });
+
+  it('should reject types the async clipboard cannot write', async () => {
+    await assert.rejects(() => executor.write({ 'text/uri-list': 'https://a.test' }), /cannot hold text\/uri-list/);
+    assert.strictEqual(mockSession.send.mock.calls.length, 0);
+  });
+
+  it('should write supported types as a ClipboardItem', async () => {
+    const types = await executor.write({ 'text/plain': 'a', 'text/html': '<i>a</i>' });
+
+    assert.deepStrictEqual(types, ['text/plain', 'text/html']);
+    assert.ok(sentCalls('Runtime.evaluate')[0].arguments[1].expression.includes('new ClipboardItem'));
+  });
+
+  it('should evaluate in the active frame context', async () => {
+    executor = createClipboardExecutor(mockSession, { getFrameContext: () => 42 });
+    await executor.read();
+    assert.strictEqual(sentCalls('Runtime.evaluate')[0].arguments[1].contextId, 42);
+  });
+
+  it('should paste into the focused element and insert text the page ignored', async () => {
+    const result = await executor.paste({ 'text/plain': 'hello' });
+
+    assert.deepStrictEqual(result, { pasted: ['text/plain'], target: 'focused', handledByPage: false, inserted: true });
+    assert.strictEqual(sentCalls('Runtime.callFunctionOn')[0].arguments[1].objectId, 'active-1');
+    assert.deepStrictEqual(sentCalls('Input.insertText')[0].arguments[1], { text: 'hello' });
+    assert.strictEqual(sentCalls('Runtime.releaseObject')[0].arguments[1].objectId, 'active-1');
+  });
+
+  it('should leave handled pastes to the page', async () => {
+    pasteOutcome = { handled: true, editable: true, tag: 'div' };
+    const result = await executor.paste({ 'text/plain': 'x', 'image/png': 'iVBORw0KGgo=' }, { selector: '#editor' });
+
+    assert.strictEqual(result.target, '#editor');
+    assert.strictEqual(result.handledByPage, true);
+    assert.strictEqual(sentCalls('Input.insertText').length, 0);
+  });
+
+  it('should not insert into elements that are not editable', async () => {
+    pasteOutcome = { handled: false, editable: false, tag: 'body' };
+    const result = await executor.paste({ 'text/plain': 'x' });
+    assert.strictEqual(result.inserted, false);
+  });
+});
@@ -139,6 +139,20 @@ describe('ConsoleCapture', () => {
       assert.strictEqual(messages[0].type, 'exception');
       assert.strictEqual(messages[0].level, 'error');
     });
+
+    it('should notify onMessage listeners until they unsubscribe', async () => {
+      await consoleCapture.startCapture();
+      const seen = [];
+      const unsubscribe = consoleCapture.onMessage(message => seen.push(message.text));
+      consoleCapture.onMessage(() => { throw new Error('listener failure'); });
+
+      eventHandlers['Runtime.consoleAPICalled']({ type: 'log', args: [{ value: 'first' }], timestamp: 1 });
+      unsubscribe();
+      eventHandlers['Runtime.consoleAPICalled']({ type: 'log', args: [{ value: 'second' }], timestamp: 2 });
+
+      assert.deepStrictEqual(seen, ['first']);
+      assert.strictEqual(consoleCapture.getMessages().length, 2);
+    });
   });
 
   describe('getMessagesByLevel', () => {
@@ -298,5 +312,32 @@ describe('ConsoleCapture', () => {
       assert.strictEqual(messages[0].text, 'Message 2');
       assert.strictEqual(messages[2].text, 'Message 4');
     });
+
+    it('should keep counting messages dropped at the limit', async () => {
+      const limitedCapture = createConsoleCapture(mockCdp, { maxMessages: 3 });
+      await limitedCapture.startCapture();
+      const log = (text) => eventHandlers['Runtime.consoleAPICalled']({ type: 'log', args: [{ value: text }] });
+
+      for (let i = 0; i < 5; i++) log(`Message ${i}`);
+      const countBefore = limitedCapture.getTotalCount();
+      log('New 1');
+      log('New 2');
+
+      assert.strictEqual(countBefore, 5);
+      assert.deepStrictEqual(limitedCapture.getMessagesSinceCount(countBefore).map(m => m.text), ['New 1', 'New 2']);
+      assert.deepStrictEqual(limitedCapture.getMessagesSinceCount(limitedCapture.getTotalCount()), []);
+    });
+
+    it('should only return what is still stored after a clear', async () => {
+      await consoleCapture.startCapture();
+      const log = (text) => eventHandlers['Runtime.consoleAPICalled']({ type: 'log', args: [{ value: text }] });
+
+      const countBefore = consoleCapture.getTotalCount();
+      log('before clear');
+      consoleCapture.clear();
+      log('after clear');
+
+      assert.deepStrictEqual(consoleCapture.getMessagesSinceCount(countBefore).map(m => m.text), ['after clear']);
+    });
   });
 });
@@ -24,6 +24,19 @@ describe('CookieManager', () => {
       assert.ok(typeof manager.clearCookies === 'function');
       assert.ok(typeof manager.deleteCookies === 'function');
     });
+
+    it('should address the tab\'s browser context in Storage commands', async () => {
+      manager = createCookieManager(mockSession, { browserContextId: 'CTX1' });
+      await manager.getCookies();
+      await manager.setCookies([{ name: 'a', value: '1', url: 'https://example.com' }]);
+      await manager.clearCookies();
+
+      const calls = mockSession.send.mock.calls.filter(c => c.arguments[0].startsWith('Storage.'));
+      assert.strictEqual(calls.length, 4);
+      for (const call of calls) {
+        assert.strictEqual(call.arguments[1].browserContextId, 'CTX1');
+      }
+    });
   });
 
   describe('getCookies', () => {
@@ -0,0 +1,204 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDaemonServer, sendToDaemon, getDaemonSocketPath, createConnectionPool } from '../cli/index.js';
+
+describe('Daemon', () => {
+  let socketPath;
+  let server;
+
+  beforeEach(() => {
+    socketPath = path.join(os.tmpdir(), `cdp-skill-test-${process.pid}-${Date.now()}.sock`);
+    server = null;
+  });
+
+  afterEach(async () => {
+    if (server) await server.close();
+    fs.rmSync(socketPath, { force: true });
+  });
+
+  describe('getDaemonSocketPath', () => {
+    it('should honor CDP_SKILL_SOCKET', () => {
+      const previous = process.env.CDP_SKILL_SOCKET;
+      process.env.CDP_SKILL_SOCKET = '/tmp/custom.sock';
+      try {
+        assert.strictEqual(getDaemonSocketPath(), '/tmp/custom.sock');
+      } finally {
+        if (previous === undefined) delete process.env.CDP_SKILL_SOCKET;
+        else process.env.CDP_SKILL_SOCKET = previous;
+      }
+    });
+  });
+
+  describe('sendToDaemon', () => {
+    it('should resolve null when no daemon is listening', async () => {
+      const response = await sendToDaemon({ type: 'status' }, { socketPath });
+      assert.strictEqual(response, null);
+    });
+  });
+
+  describe('createDaemonServer', () => {
+    it('should forward requests and return the response', async () => {
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 0,
+        handleRequest: async (request) => ({ status: 'ok', echo: request.steps.length })
+      });
+      await server.listen();
+
+      const response = await sendToDaemon({ type: 'request', request: { steps: [{ wait: 1 }] } }, { socketPath });
+      assert.deepStrictEqual(response, { status: 'ok', echo: 1 });
+    });
+
+    it('should stream events before the response when asked', async () => {
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 0,
+        handleRequest: async (request, { onEvent } = {}) => {
+          onEvent?.({ event: 'stepStart', step: 0, action: 'wait' });
+          onEvent?.({ event: 'stepEnd', step: 0, result: { action: 'wait', status: 'ok' } });
+          return { status: 'ok' };
+        }
+      });
+      await server.listen();
+
+      const events = [];
+      const response = await sendToDaemon(
+        { type: 'request', request: { steps: [{ wait: 1 }] }, stream: true },
+        { socketPath, onEvent: event => events.push(event) }
+      );
+      assert.deepStrictEqual(response, { status: 'ok' });
+      assert.deepStrictEqual(events.map(e => e.event), ['stepStart', 'stepEnd']);
+
+      // Without stream: true the daemon sends only the response
+      events.length = 0;
+      await sendToDaemon({ type: 'request', request: {} }, { socketPath, onEvent: event => events.push(event) });
+      assert.deepStrictEqual(events, []);
+    });
+
+    it('should pass the client\'s plugin modules to the request handler', async () => {
+      let received;
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 0,
+        handleRequest: async (request, requestOptions) => {
+          received = requestOptions.plugins;
+          return { status: 'ok' };
+        }
+      });
+      await server.listen();
+
+      await sendToDaemon({ type: 'request', request: {}, plugins: ['/home/qa/.cdp-skill/plugins/sso.js'] }, { socketPath });
+      assert.deepStrictEqual(received, ['/home/qa/.cdp-skill/plugins/sso.js']);
+    });
+
+    it('should run requests one at a time', async () => {
+      const order = [];
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 0,
+        handleRequest: async (request) => {
+          order.push(`start ${request.id}`);
+          await new Promise(resolve => setTimeout(resolve, 20));
+          order.push(`end ${request.id}`);
+          return { status: 'ok' };
+        }
+      });
+      await server.listen();
+
+      await Promise.all([
+        sendToDaemon({ type: 'request', request: { id: 1 } }, { socketPath }),
+        sendToDaemon({ type: 'request', request: { id: 2 } }, { socketPath })
+      ]);
+      assert.deepStrictEqual(order, ['start 1', 'end 1', 'start 2', 'end 2']);
+    });
+
+    it('should report status with extra stats', async () => {
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 0,
+        handleRequest: async () => ({ status: 'ok' }),
+        getStats: () => ({ tabs: 3 })
+      });
+      await server.listen();
+      await sendToDaemon({ type: 'request', request: {} }, { socketPath });
+
+      const response = await sendToDaemon({ type: 'status' }, { socketPath });
+      assert.strictEqual(response.status, 'ok');
+      assert.strictEqual(response.daemon.pid, process.pid);
+      assert.strictEqual(response.daemon.requests, 1);
+      assert.strictEqual(response.daemon.tabs, 3);
+    });
+
+    it('should turn handler errors into error responses', async () => {
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 0,
+        handleRequest: async () => { throw new Error('boom'); }
+      });
+      await server.listen();
+
+      const response = await sendToDaemon({ type: 'request', request: {} }, { socketPath });
+      assert.strictEqual(response.status, 'error');
+      assert.strictEqual(response.error.message, 'boom');
+    });
+
+    it('should shut down and remove the socket on request', async () => {
+      let shutdown = false;
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 0,
+        handleRequest: async () => ({ status: 'ok' }),
+        onShutdown: () => { shutdown = true; }
+      });
+      await server.listen();
+
+      const response = await sendToDaemon({ type: 'shutdown' }, { socketPath });
+      assert.strictEqual(response.stopped, true);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual(shutdown, true);
+      assert.strictEqual(server.isClosed(), true);
+      assert.strictEqual(await sendToDaemon({ type: 'status' }, { socketPath }), null);
+    });
+
+    it('should shut down after the idle timeout', async () => {
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 30,
+        handleRequest: async () => ({ status: 'ok' })
+      });
+      await server.listen();
+
+      await new Promise(resolve => setTimeout(resolve, 80));
+      assert.strictEqual(server.isClosed(), true);
+    });
+
+    it('should replace a stale socket file', async () => {
+      fs.writeFileSync(socketPath, '');
+      server = createDaemonServer({
+        socketPath,
+        idleTimeout: 0,
+        handleRequest: async () => ({ status: 'ok' })
+      });
+      await server.listen();
+
+      const response = await sendToDaemon({ type: 'status' }, { socketPath });
+      assert.strictEqual(response.status, 'ok');
+    });
+  });
+
+  describe('createConnectionPool', () => {
+    it('should keep connections open only in keepAlive mode', async () => {
+      const oneShot = createConnectionPool();
+      const daemonPool = createConnectionPool({ keepAlive: true });
+
+      assert.strictEqual(oneShot.keepAlive, false);
+      assert.strictEqual(daemonPool.keepAlive, true);
+      assert.strictEqual(daemonPool.tabCount, 0);
+      await daemonPool.release();
+      await oneShot.release();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { jsdocTypeToTs, schemaToTs, generateTypeDeclarations, generateSessionDeclarations } from '../declarations.js';
+
+const SCRIPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+describe('Declarations', () => {
+  describe('jsdocTypeToTs', () => {
+    it('should convert JSDoc-only syntax', () => {
+      assert.strictEqual(jsdocTypeToTs('Object'), 'Record<string, any>');
+      assert.strictEqual(jsdocTypeToTs('*'), 'any');
+      assert.strictEqual(jsdocTypeToTs('Object|Array'), 'Record<string, any>|any[]');
+      assert.strictEqual(jsdocTypeToTs('function(string, Object=): Promise<Object>'),
+        '((arg0: string, arg1?: Record<string, any>) => Promise<Record<string, any>>)');
+      assert.strictEqual(jsdocTypeToTs('function(string, function): void'),
+        '((arg0: string, arg1: ((...args: any[]) => any)) => void)');
+    });
+
+    it('should leave TypeScript-compatible types alone', () => {
+      assert.strictEqual(jsdocTypeToTs("'ok'|'error'"), "'ok'|'error'");
+      assert.strictEqual(jsdocTypeToTs('Array<{x: number, y: number}>'), 'Array<{x: number, y: number}>');
+      assert.strictEqual(jsdocTypeToTs('Array<StepResult>'), 'Array<StepResult>');
+    });
+  });
+
+  describe('schemaToTs', () => {
+    it('should convert registry schemas', () => {
+      assert.strictEqual(schemaToTs({ anyOf: [{ type: 'string' }, { const: true }] }), 'string | true');
+      assert.strictEqual(schemaToTs({ type: 'string', enum: ['a', 'b'] }), '"a" | "b"');
+      assert.strictEqual(schemaToTs({ type: 'array', items: { type: 'integer' } }), 'Array<number>');
+      assert.strictEqual(schemaToTs({ $ref: '#/$defs/steps' }), 'Step[]');
+      assert.strictEqual(schemaToTs({
+        type: 'object',
+        properties: { url: { type: 'string' }, 'max-age': { type: 'number', default: 5 } },
+        required: ['url']
+      }), '{\n  url: string;\n  /** Default 5 */\n  "max-age"?: number;\n}');
+    });
+  });
+
+  describe('checked-in files', () => {
+    it('should match types.js (run npm run build:types)', () => {
+      const source = fs.readFileSync(path.join(SCRIPTS_DIR, 'types.js'), 'utf8');
+      assert.strictEqual(fs.readFileSync(path.join(SCRIPTS_DIR, 'types.d.ts'), 'utf8'), generateTypeDeclarations(source));
+    });
+
+    it('should match the step registry (run npm run build:types)', () => {
+      assert.strictEqual(fs.readFileSync(path.join(SCRIPTS_DIR, 'session.d.ts'), 'utf8'), generateSessionDeclarations());
+    });
+
+    it('should declare a typed method per step', () => {
+      const declarations = generateSessionDeclarations();
+      assert.match(declarations, /^ {2}goto\(params: StepParams\["goto"\], options\?: StepCallOptions\): Promise<RequestResponse>;$/m);
+      assert.match(declarations, /^ {2}snapshot\(params\?: StepParams\["snapshot"\]/m);
+      assert.match(declarations, /^export function createSession\(options\?: SessionOptions\): Promise<Session>;$/m);
+    });
+  });
+});
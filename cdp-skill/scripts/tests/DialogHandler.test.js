@@ -0,0 +1,139 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createDialogHandler } from '../page/dialog-handler.js';
+
+describe('DialogHandler', () => {
+  let handler;
+  let mockSession;
+  let eventHandlers;
+  let savedState;
+
+  function open(type, message, defaultPrompt) {
+    eventHandlers['Page.javascriptDialogOpening']({ type, message, defaultPrompt, url: 'https://example.com/' });
+  }
+
+  function lastAnswer() {
+    const calls = mockSession.send.mock.calls.filter(c => c.arguments[0] === 'Page.handleJavaScriptDialog');
+    return calls[calls.length - 1].arguments[1];
+  }
+
+  beforeEach(async () => {
+    eventHandlers = {};
+    savedState = null;
+    mockSession = {
+      send: mock.fn(() => Promise.resolve({})),
+      on: mock.fn((event, fn) => { eventHandlers[event] = fn; }),
+      off: mock.fn((event) => { delete eventHandlers[event]; })
+    };
+    handler = createDialogHandler(mockSession, {
+      onStateChanged: (state) => { savedState = state; },
+      getSavedState: () => savedState
+    });
+    await handler.enable();
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  describe('default behavior', () => {
+    it('should auto-accept and record the dialog', () => {
+      open('confirm', 'Are you sure?');
+
+      assert.deepStrictEqual(lastAnswer(), { accept: true, promptText: undefined });
+      assert.deepStrictEqual(handler.getHistory(), [
+        { type: 'confirm', message: 'Are you sure?', accepted: true, answeredBy: 'auto' }
+      ]);
+    });
+
+    it('should answer prompts with the default prompt text', () => {
+      open('prompt', 'Name?', 'Bob');
+
+      assert.strictEqual(lastAnswer().promptText, 'Bob');
+      assert.strictEqual(handler.getHistory()[0].defaultPrompt, 'Bob');
+    });
+  });
+
+  describe('queueResponse', () => {
+    it('should use queued answers in order, then fall back', () => {
+      handler.queueResponse(false, undefined, 2);
+      open('confirm', 'one');
+      open('confirm', 'two');
+      open('confirm', 'three');
+
+      const history = handler.getHistory();
+      assert.deepStrictEqual(history.map(d => d.accepted), [false, false, true]);
+      assert.deepStrictEqual(history.map(d => d.answeredBy), ['queue', 'queue', 'auto']);
+    });
+
+    it('should send queued prompt text and persist the remaining queue', () => {
+      handler.queueResponse(true, 'Alice', 2);
+      open('prompt', 'Name?', '');
+
+      assert.strictEqual(lastAnswer().promptText, 'Alice');
+      assert.strictEqual(handler.getHistory()[0].promptText, 'Alice');
+      assert.strictEqual(savedState.queue.length, 1);
+    });
+  });
+
+  describe('setPolicy', () => {
+    it('should apply the policy after the queue is empty', () => {
+      handler.setPolicy({ accept: false });
+      handler.queueResponse(true);
+      open('confirm', 'one');
+      open('confirm', 'two');
+      open('alert', 'three');
+
+      assert.deepStrictEqual(handler.getHistory().map(d => d.answeredBy), ['queue', 'policy', 'policy']);
+      assert.strictEqual(lastAnswer().accept, false);
+    });
+
+    it('should take precedence over a custom callback', () => {
+      handler.setHandler(() => ({ accept: true }));
+      handler.setPolicy({ accept: false });
+      open('confirm', 'sure?');
+
+      assert.strictEqual(handler.getHistory()[0].answeredBy, 'policy');
+    });
+  });
+
+  describe('history', () => {
+    it('should cap the history but keep counting dialogs', () => {
+      for (let i = 0; i < 105; i++) open('alert', `dialog ${i}`);
+
+      const history = handler.getHistory();
+      assert.strictEqual(history.length, 100);
+      assert.strictEqual(history[0].message, 'dialog 5');
+      assert.strictEqual(handler.getTotalCount(), 105);
+    });
+
+    it('should return dialogs seen after a given total count', () => {
+      for (let i = 0; i < 100; i++) open('alert', `dialog ${i}`);
+      const countBefore = handler.getTotalCount();
+      open('confirm', 'later one');
+      open('alert', 'later two');
+
+      assert.deepStrictEqual(handler.getHistorySince(countBefore).map(d => d.message), ['later one', 'later two']);
+      assert.deepStrictEqual(handler.getHistorySince(handler.getTotalCount()), []);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should restore queue and policy on enable', async () => {
+      savedState = { queue: [{ accept: false }], policy: { accept: true, promptText: 'x' } };
+      const restored = createDialogHandler(mockSession, { getSavedState: () => savedState });
+      await restored.enable();
+
+      assert.deepStrictEqual(restored.getQueue(), [{ accept: false }]);
+      assert.deepStrictEqual(restored.getPolicy(), { accept: true, promptText: 'x' });
+    });
+
+    it('should clear state on reset', () => {
+      handler.queueResponse(false);
+      handler.setPolicy({ accept: false });
+      handler.reset();
+
+      assert.deepStrictEqual(savedState, { queue: [], policy: null });
+    });
+  });
+});
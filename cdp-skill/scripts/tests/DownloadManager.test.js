@@ -0,0 +1,183 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDownloadManager } from '../page/index.js';
+
+describe('DownloadManager', () => {
+  let root;
+  let stagingPath;
+  let downloadPath;
+  let handlers;
+  let mockConnection;
+  let mockSession;
+  let savedDownloads;
+  let manager;
+
+  function emit(event, params) {
+    return handlers[event](params);
+  }
+
+  // Chrome writes the file under its guid, then reports completion
+  async function download(guid, filename, content, frameId = 'TARGET1') {
+    await emit('Browser.downloadWillBegin', { frameId, guid, url: `https://app.test/export/${filename}`, suggestedFilename: filename });
+    fs.writeFileSync(path.join(stagingPath, guid), content);
+    emit('Browser.downloadProgress', { guid, totalBytes: content.length, receivedBytes: content.length, state: 'completed' });
+  }
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-skill-downloads-test-'));
+    stagingPath = root;
+    downloadPath = path.join(root, 't1');
+    handlers = {};
+    savedDownloads = null;
+    mockConnection = {
+      send: mock.fn(async () => ({})),
+      on: mock.fn((event, handler) => { handlers[event] = handler; }),
+      off: mock.fn((event) => { delete handlers[event]; })
+    };
+    mockSession = {
+      targetId: 'TARGET1',
+      send: mock.fn(async () => ({ frameTree: { frame: { id: 'TARGET1' }, childFrames: [{ frame: { id: 'CHILD1' } }] } }))
+    };
+    manager = createDownloadManager(mockConnection, mockSession, {
+      stagingPath,
+      downloadPath,
+      onDownloadsChanged: (downloads) => { savedDownloads = downloads; },
+      getSavedDownloads: () => savedDownloads
+    });
+    await manager.initialize();
+  });
+
+  afterEach(() => {
+    manager.dispose();
+    fs.rmSync(root, { recursive: true, force: true });
+    mock.reset();
+  });
+
+  it('should require both directories', () => {
+    assert.throws(() => createDownloadManager(mockConnection, mockSession, { downloadPath }), /downloadPath and stagingPath are required/);
+  });
+
+  it('should route downloads to the staging directory with events enabled', () => {
+    assert.deepStrictEqual(mockConnection.send.mock.calls[0].arguments, ['Browser.setDownloadBehavior', {
+      behavior: 'allowAndName',
+      downloadPath: stagingPath,
+      eventsEnabled: true
+    }]);
+  });
+
+  it('should move completed downloads into the tab directory under their suggested name', async () => {
+    await download('guid-1', 'report.csv', 'a,b\n1,2\n');
+
+    const [entry] = manager.list();
+    assert.deepStrictEqual(entry, {
+      url: 'https://app.test/export/report.csv',
+      suggestedFilename: 'report.csv',
+      path: path.join(downloadPath, 'report.csv'),
+      state: 'completed',
+      bytes: 8
+    });
+    assert.strictEqual(fs.readFileSync(entry.path, 'utf8'), 'a,b\n1,2\n');
+    assert.strictEqual(fs.existsSync(path.join(stagingPath, 'guid-1')), false);
+    assert.strictEqual(savedDownloads[0].guid, 'guid-1');
+  });
+
+  it('should not overwrite an earlier download with the same name', async () => {
+    await download('guid-1', 'report.csv', 'first');
+    await download('guid-2', 'report.csv', 'second');
+
+    assert.deepStrictEqual(manager.list().map(d => path.basename(d.path)), ['report.csv', 'report (1).csv']);
+  });
+
+  it('should keep server-suggested names inside the download directory', async () => {
+    await download('guid-1', '../../etc/passwd', 'x');
+    assert.strictEqual(manager.list()[0].path, path.join(downloadPath, 'passwd'));
+  });
+
+  it('should claim downloads from child frames but not from other tabs', async () => {
+    await download('guid-1', 'child.pdf', 'pdf', 'CHILD1');
+    await emit('Browser.downloadWillBegin', { frameId: 'OTHER', guid: 'guid-2', url: 'https://x.test/a', suggestedFilename: 'a.txt' });
+
+    assert.deepStrictEqual(manager.list().map(d => d.suggestedFilename), ['child.pdf']);
+  });
+
+  it('should report downloads since a marker once they settle', async () => {
+    await download('guid-1', 'old.csv', 'old');
+    const marker = manager.mark();
+    await emit('Browser.downloadWillBegin', { frameId: 'TARGET1', guid: 'guid-2', url: 'https://app.test/big.zip', suggestedFilename: 'big.zip' });
+    emit('Browser.downloadProgress', { guid: 'guid-2', totalBytes: 100, receivedBytes: 40, state: 'inProgress' });
+
+    const pending = await manager.settle(marker, 150);
+    assert.deepStrictEqual(pending.map(d => [d.suggestedFilename, d.state, d.bytes]), [['big.zip', 'inProgress', 40]]);
+
+    emit('Browser.downloadProgress', { guid: 'guid-2', totalBytes: 100, receivedBytes: 100, state: 'canceled' });
+    const [done] = await manager.settle(marker, 150);
+    assert.strictEqual(done.state, 'canceled');
+    assert.strictEqual(done.path, null);
+  });
+
+  it('should wait for the newest matching download to finish', async () => {
+    await download('guid-1', 'old.csv', 'old');
+    await emit('Browser.downloadWillBegin', { frameId: 'TARGET1', guid: 'guid-2', url: 'https://app.test/new.csv', suggestedFilename: 'new.csv' });
+
+    const waiting = manager.waitFor({ match: '*.csv', timeout: 2000 });
+    setTimeout(() => {
+      fs.writeFileSync(path.join(stagingPath, 'guid-2'), 'new');
+      emit('Browser.downloadProgress', { guid: 'guid-2', totalBytes: 3, receivedBytes: 3, state: 'completed' });
+    }, 50);
+
+    const result = await waiting;
+    assert.strictEqual(result.suggestedFilename, 'new.csv');
+    assert.strictEqual(result.state, 'completed');
+  });
+
+  it('should skip downloads that finished before the command started', async () => {
+    await download('guid-1', 'old.csv', 'old');
+    const commandStartedAt = Date.now() + 1;
+
+    await assert.rejects(() => manager.waitFor({ match: '*.csv', finishedAfter: commandStartedAt, timeout: 150 }), /Timed out after 150ms/);
+
+    const waiting = manager.waitFor({ match: '*.csv', finishedAfter: commandStartedAt, timeout: 2000 });
+    setTimeout(() => download('guid-2', 'new.csv', 'new'), 50);
+    assert.strictEqual((await waiting).suggestedFilename, 'new.csv');
+  });
+
+  it('should time out when no matching download finishes', async () => {
+    await download('guid-1', 'report.pdf', 'pdf');
+    await assert.rejects(() => manager.waitFor({ match: '*.csv', timeout: 150 }), /Timed out after 150ms waiting for a download matching \*\.csv/);
+  });
+
+  it('should pick up downloads that finished after the previous invocation', async () => {
+    await emit('Browser.downloadWillBegin', { frameId: 'TARGET1', guid: 'guid-1', url: 'https://app.test/late.csv', suggestedFilename: 'late.csv' });
+    manager.dispose();
+    fs.writeFileSync(path.join(stagingPath, 'guid-1'), 'late');
+
+    const next = createDownloadManager(mockConnection, mockSession, {
+      stagingPath,
+      downloadPath,
+      getSavedDownloads: () => savedDownloads
+    });
+    await next.initialize();
+
+    const [entry] = next.list();
+    assert.strictEqual(entry.state, 'completed');
+    assert.strictEqual(fs.readFileSync(entry.path, 'utf8'), 'late');
+    next.dispose();
+  });
+
+  it('should clear records and delete downloaded files', async () => {
+    await download('guid-1', 'report.csv', 'x');
+    const filePath = manager.list()[0].path;
+
+    assert.strictEqual(manager.clear(), 1);
+    assert.strictEqual(fs.existsSync(filePath), false);
+    assert.deepStrictEqual(savedDownloads, []);
+  });
+
+  it('should stop listening on dispose', () => {
+    manager.dispose();
+    assert.deepStrictEqual(Object.keys(handlers), []);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createEmulationManager, NETWORK_PROFILES } from '../page/index.js';
+
+describe('EmulationManager', () => {
+  let manager;
+  let mockSession;
+  let savedState;
+
+  function sentCalls(method) {
+    return mockSession.send.mock.calls.filter(c => c.arguments[0] === method);
+  }
+
+  beforeEach(() => {
+    savedState = null;
+    mockSession = {
+      send: mock.fn(() => Promise.resolve({}))
+    };
+    manager = createEmulationManager(mockSession, {
+      onStateChanged: (state) => { savedState = state; },
+      getSavedState: () => savedState
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should apply a named profile in bytes per second', async () => {
+    const applied = await manager.setNetwork('slow-3g');
+
+    assert.deepStrictEqual(applied, { profile: 'slow-3g', ...NETWORK_PROFILES['slow-3g'] });
+    assert.deepStrictEqual(sentCalls('Network.emulateNetworkConditions')[0].arguments[1], {
+      offline: false,
+      latency: 2000,
+      downloadThroughput: 50000,
+      uploadThroughput: 50000
+    });
+    assert.strictEqual(savedState.network.profile, 'slow-3g');
+  });
+
+  it('should go offline', async () => {
+    await manager.setNetwork('offline');
+    const params = sentCalls('Network.emulateNetworkConditions')[0].arguments[1];
+
+    assert.strictEqual(params.offline, true);
+    assert.strictEqual(params.downloadThroughput, -1);
+  });
+
+  it('should apply custom conditions with unset throughput left unthrottled', async () => {
+    const applied = await manager.setNetwork({ latency: 250, download: 1000 });
+
+    assert.deepStrictEqual(applied, { profile: 'custom', offline: false, latency: 250, download: 1000, upload: 0 });
+    const params = sentCalls('Network.emulateNetworkConditions')[0].arguments[1];
+    assert.strictEqual(params.downloadThroughput, 125000);
+    assert.strictEqual(params.uploadThroughput, -1);
+  });
+
+  it('should reject unknown profiles', async () => {
+    await assert.rejects(() => manager.setNetwork('5g'), /Unknown network profile: 5g/);
+    assert.strictEqual(mockSession.send.mock.calls.length, 0);
+  });
+
+  it('should set and clear the CPU slowdown rate', async () => {
+    assert.strictEqual(await manager.setCpuRate(4), 4);
+    assert.strictEqual(savedState.cpu, 4);
+
+    assert.strictEqual(await manager.setCpuRate(1), null);
+    const rates = sentCalls('Emulation.setCPUThrottlingRate').map(c => c.arguments[1].rate);
+    assert.deepStrictEqual(rates, [4, 1]);
+    assert.strictEqual(manager.isActive(), false);
+  });
+
+  it('should re-apply saved state on initialize', async () => {
+    savedState = { network: { profile: '4g', ...NETWORK_PROFILES['4g'] }, cpu: 2 };
+    await manager.initialize();
+
+    assert.strictEqual(sentCalls('Network.emulateNetworkConditions')[0].arguments[1].latency, 165);
+    assert.strictEqual(sentCalls('Emulation.setCPUThrottlingRate')[0].arguments[1].rate, 2);
+    assert.deepStrictEqual(manager.getState().network, savedState.network);
+    assert.strictEqual(mockSession.send.mock.calls.length, 2);
+  });
+
+  it('should do nothing on initialize without saved state', async () => {
+    await manager.initialize();
+    assert.strictEqual(mockSession.send.mock.calls.length, 0);
+  });
+
+  it('should reset both network and CPU', async () => {
+    await manager.setNetwork('fast-3g');
+    await manager.setCpuRate(6);
+    await manager.reset();
+
+    assert.strictEqual(Object.values(savedState).every(value => value === null), true);
+    const lastNetwork = sentCalls('Network.emulateNetworkConditions').pop().arguments[1];
+    assert.deepStrictEqual(lastNetwork, { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+  });
+
+  describe('environment overrides', () => {
+    let pageController;
+
+    beforeEach(() => {
+      mockSession.send = mock.fn((method) => Promise.resolve(method === 'Browser.getVersion' ? { userAgent: 'Mozilla/5.0 HeadlessChrome/130' } : {}));
+      pageController = {
+        setGeolocation: mock.fn(async () => {}),
+        clearGeolocation: mock.fn(async () => {})
+      };
+      manager = createEmulationManager(mockSession, {
+        pageController,
+        onStateChanged: (state) => { savedState = state; },
+        getSavedState: () => savedState
+      });
+    });
+
+    it('should set geolocation through the page controller and grant the permission', async () => {
+      const applied = await manager.setGeolocation({ latitude: 48.85, longitude: 2.35 });
+
+      assert.deepStrictEqual(applied, { latitude: 48.85, longitude: 2.35, accuracy: 1 });
+      assert.deepStrictEqual(pageController.setGeolocation.mock.calls[0].arguments[0], applied);
+      assert.deepStrictEqual(sentCalls('Browser.setPermission')[0].arguments[1], { permission: { name: 'geolocation' }, setting: 'granted' });
+
+      await manager.setGeolocation(null);
+      assert.strictEqual(pageController.clearGeolocation.mock.calls.length, 1);
+    });
+
+    it('should keep the geolocation override when the permission grant fails', async () => {
+      mockSession.send = mock.fn((method) => method === 'Browser.setPermission' ? Promise.reject(new Error('not allowed')) : Promise.resolve({}));
+      await manager.setGeolocation({ latitude: 1, longitude: 2 });
+      assert.strictEqual(savedState.geolocation.latitude, 1);
+    });
+
+    it('should override and clear the timezone', async () => {
+      await manager.setTimezone('America/New_York');
+      await manager.setTimezone(null);
+
+      const ids = sentCalls('Emulation.setTimezoneOverride').map(c => c.arguments[1].timezoneId);
+      assert.deepStrictEqual(ids, ['America/New_York', '']);
+    });
+
+    it('should carry the locale into Accept-Language on the default user agent', async () => {
+      await manager.setLocale('de-DE');
+
+      assert.deepStrictEqual(sentCalls('Emulation.setLocaleOverride')[0].arguments[1], { locale: 'de-DE' });
+      assert.deepStrictEqual(sentCalls('Emulation.setUserAgentOverride')[0].arguments[1], {
+        userAgent: 'Mozilla/5.0 HeadlessChrome/130',
+        acceptLanguage: 'de-DE'
+      });
+    });
+
+    it('should emulate media features, keeping the other feature when one changes', async () => {
+      await manager.setMediaFeatures({ colorScheme: 'dark' });
+      await manager.setMediaFeatures({ reducedMotion: 'reduce' });
+
+      assert.deepStrictEqual(sentCalls('Emulation.setEmulatedMedia').pop().arguments[1], {
+        features: [
+          { name: 'prefers-color-scheme', value: 'dark' },
+          { name: 'prefers-reduced-motion', value: 'reduce' }
+        ]
+      });
+    });
+
+    it('should send client hints as user agent metadata', async () => {
+      await manager.setUserAgent({
+        userAgent: 'Mozilla/5.0 (Linux; Android 14) Mobile',
+        platform: 'Linux armv8l',
+        clientHints: { brands: [{ brand: 'Chromium', version: '130' }], platform: 'Android', mobile: true }
+      });
+
+      const params = sentCalls('Emulation.setUserAgentOverride')[0].arguments[1];
+      assert.strictEqual(params.platform, 'Linux armv8l');
+      assert.deepStrictEqual(params.userAgentMetadata, {
+        brands: [{ brand: 'Chromium', version: '130' }],
+        fullVersionList: undefined,
+        platform: 'Android',
+        platformVersion: '',
+        architecture: '',
+        model: '',
+        mobile: true
+      });
+      assert.strictEqual(sentCalls('Browser.getVersion').length, 0);
+    });
+
+    it('should re-apply saved environment on initialize', async () => {
+      savedState = { network: null, cpu: null, geolocation: { latitude: 1, longitude: 2, accuracy: 1 }, timezone: 'UTC', locale: null, colorScheme: 'dark', reducedMotion: null, userAgent: { userAgent: 'Bot/1' } };
+      await manager.initialize();
+
+      assert.strictEqual(pageController.setGeolocation.mock.calls.length, 1);
+      assert.strictEqual(sentCalls('Emulation.setTimezoneOverride')[0].arguments[1].timezoneId, 'UTC');
+      assert.strictEqual(sentCalls('Emulation.setEmulatedMedia').length, 1);
+      assert.strictEqual(sentCalls('Emulation.setUserAgentOverride')[0].arguments[1].userAgent, 'Bot/1');
+      assert.deepStrictEqual(manager.getState(), savedState);
+    });
+
+    it('should clear every override on reset', async () => {
+      await manager.setGeolocation({ latitude: 1, longitude: 2 });
+      await manager.setUserAgent('Bot/1');
+      await manager.reset();
+
+      assert.strictEqual(pageController.clearGeolocation.mock.calls.length, 1);
+      assert.deepStrictEqual(sentCalls('Emulation.setUserAgentOverride').pop().arguments[1], { userAgent: '' });
+      assert.strictEqual(manager.isActive(), false);
+    });
+  });
+});
@@ -1,17 +1,34 @@
 import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 import {
   executePdf,
+  executeScreenshotCompare,
   executeEval,
   executeCookies,
+  executeStorage,
   executeListTabs,
   executeCloseTab,
   executeConsole,
+  executeNetwork,
+  executeRoute,
+  executeDialog,
+  formatCommandDialogs,
+  executeEmulate,
+  formatEmulation,
+  executePermissions,
+  executeDownloads,
+  executeHttp,
   parseExpiration,
   formatStackTrace,
   formatCommandConsole
 } from '../runner/execute-browser.js';
+import { createDialogHandler } from '../page/dialog-handler.js';
+import { createEmulationManager } from '../page/emulation-manager.js';
+import { createHttpManager } from '../page/http-manager.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -154,6 +171,35 @@ describe('executePdf', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Tests: executeScreenshotCompare
+// ---------------------------------------------------------------------------
+
+describe('executeScreenshotCompare', () => {
+  it('should treat a string param as the baseline name', async () => {
+    const comparator = { compare: mock.fn(async () => ({ name: 'home', mismatchPercent: 0 })) };
+
+    const result = await executeScreenshotCompare(comparator, 'home');
+    assert.deepStrictEqual(comparator.compare.mock.calls[0].arguments[0], { name: 'home' });
+    assert.strictEqual(result.mismatchPercent, 0);
+  });
+
+  it('should pass object params through', async () => {
+    const comparator = { compare: mock.fn(async () => ({})) };
+    const params = { name: 'card', selector: '.card', threshold: 1 };
+
+    await executeScreenshotCompare(comparator, params);
+    assert.strictEqual(comparator.compare.mock.calls[0].arguments[0], params);
+  });
+
+  it('should throw when comparator is not available', async () => {
+    await assert.rejects(
+      executeScreenshotCompare(null, 'home'),
+      { message: 'Screenshot comparator not available' }
+    );
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Tests: executeEval
 // ---------------------------------------------------------------------------
@@ -570,3 +616,553 @@ describe('executeConsole', () => {
     assert.ok(capture.getMessages.mock.calls.length > 0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Tests: executeNetwork
+// ---------------------------------------------------------------------------
+
+function createMockNetworkCapture(opts = {}) {
+  let capturing = opts.capturing || false;
+  return {
+    startCapture: mock.fn(() => { capturing = true; return Promise.resolve(); }),
+    stopCapture: mock.fn(() => { capturing = false; return Promise.resolve(); }),
+    isCapturing: mock.fn(() => capturing),
+    clear: mock.fn(() => {}),
+    getRequests: mock.fn(() => opts.requests || []),
+    getAllErrors: mock.fn(() => opts.errors || []),
+    getNetworkFailures: mock.fn(() => (opts.errors || []).filter(e => e.type === 'network-failure')),
+    getHttpErrors: mock.fn(() => (opts.errors || []).filter(e => e.type === 'http-error')),
+    toHar: mock.fn(() => Promise.resolve({ log: { version: '1.2', entries: [{}, {}] } }))
+  };
+}
+
+describe('executeNetwork', () => {
+  afterEach(() => { mock.reset(); });
+
+  it('should throw if network capture is not available', async () => {
+    await assert.rejects(() => executeNetwork(null, null, 'start'), { message: 'Network capture not available' });
+  });
+
+  it('should start capture from string shorthand', async () => {
+    const capture = createMockNetworkCapture();
+    const result = await executeNetwork(capture, null, 'start');
+
+    assert.deepStrictEqual(result, { action: 'start', capturing: true });
+    assert.strictEqual(capture.startCapture.mock.calls.length, 1);
+  });
+
+  it('should pass start options through', async () => {
+    const capture = createMockNetworkCapture();
+    await executeNetwork(capture, null, { start: { ignoreStatusCodes: [404] } });
+
+    assert.deepStrictEqual(capture.startCapture.mock.calls[0].arguments[0], { ignoreStatusCodes: [404] });
+  });
+
+  it('should stop capture without disabling the Network domain', async () => {
+    const capture = createMockNetworkCapture({ capturing: true });
+    const result = await executeNetwork(capture, null, 'stop');
+
+    assert.strictEqual(result.capturing, false);
+    assert.deepStrictEqual(capture.stopCapture.mock.calls[0].arguments[0], { disableDomain: false });
+  });
+
+  it('should query requests with filter and limit', async () => {
+    const requests = Array.from({ length: 5 }, (_, i) => ({
+      method: 'GET', url: `https://example.com/api/${i}`, status: 200, resourceType: 'XHR', state: 'finished',
+      timestamp: 1, endTimestamp: 1.25, encodedDataLength: 100
+    }));
+    const capture = createMockNetworkCapture({ capturing: true, requests });
+    const result = await executeNetwork(capture, null, { query: { url: '/api/', status: '2xx', limit: 2 } });
+
+    assert.deepStrictEqual(capture.getRequests.mock.calls[0].arguments[0], { url: '/api/', status: '2xx' });
+    assert.strictEqual(result.total, 5);
+    assert.strictEqual(result.showing, 2);
+    assert.strictEqual(result.requests[1].url, 'https://example.com/api/4');
+    assert.strictEqual(result.requests[1].duration, 250);
+    assert.strictEqual(result.requests[1].size, 100);
+  });
+
+  it('should report errors combined with console counts', async () => {
+    const capture = createMockNetworkCapture({
+      errors: [{ type: 'http-error', method: 'POST', url: 'https://example.com/pay', status: 502, resourceType: 'Fetch' }]
+    });
+    const consoleCapture = {
+      getErrors: () => [{ level: 'error', text: 'boom' }],
+      getWarnings: () => []
+    };
+    const result = await executeNetwork(capture, consoleCapture, 'errors');
+
+    assert.strictEqual(result.network.length, 1);
+    assert.strictEqual(result.network[0].status, 502);
+    assert.strictEqual(result.counts.consoleErrors, 1);
+    assert.strictEqual(result.counts.httpServerErrors, 1);
+    assert.strictEqual(result.hasErrors, true);
+  });
+
+  it('should write a HAR file', async () => {
+    const capture = createMockNetworkCapture();
+    const harPath = path.join(os.tmpdir(), `cdp-skill-test-${Date.now()}.har`);
+    try {
+      const result = await executeNetwork(capture, null, { har: { path: harPath, content: true, type: 'XHR' } });
+
+      assert.strictEqual(result.path, harPath);
+      assert.strictEqual(result.entries, 2);
+      const options = capture.toHar.mock.calls[0].arguments[0];
+      assert.deepStrictEqual(options.filter, { type: 'XHR' });
+      assert.strictEqual(options.content, true);
+      const written = JSON.parse(await fs.readFile(harPath, 'utf8'));
+      assert.strictEqual(written.log.version, '1.2');
+    } finally {
+      await fs.rm(harPath, { force: true });
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests: executeRoute
+// ---------------------------------------------------------------------------
+
+function createMockRequestRouter(opts = {}) {
+  const rules = opts.rules || [];
+  return {
+    addRule: mock.fn((rule) => {
+      const stored = { id: `r${rules.length + 1}`, ...rule };
+      rules.push(stored);
+      return Promise.resolve(stored);
+    }),
+    removeRule: mock.fn((target) => Promise.resolve(target === 'r1' ? 1 : 0)),
+    clearRules: mock.fn(() => Promise.resolve(rules.length)),
+    listRules: mock.fn(() => rules.map(r => ({ ...r, hits: 0 })))
+  };
+}
+
+describe('executeRoute', () => {
+  afterEach(() => { mock.reset(); });
+
+  it('should throw if request router is not available', async () => {
+    await assert.rejects(() => executeRoute(null, { list: true }), { message: 'Request router not available' });
+  });
+
+  it('should add a fulfill rule', async () => {
+    const router = createMockRequestRouter();
+    const result = await executeRoute(router, { url: '**/api/pay', fulfill: { json: { ok: true } } });
+
+    assert.strictEqual(result.action, 'add');
+    assert.deepStrictEqual(result.rule, { id: 'r1', url: '**/api/pay', type: 'fulfill' });
+    assert.strictEqual(result.count, 1);
+  });
+
+  it('should list rules', async () => {
+    const router = createMockRequestRouter({ rules: [{ id: 'r1', url: '**/a', block: true }] });
+    const result = await executeRoute(router, { list: true });
+
+    assert.strictEqual(result.count, 1);
+    assert.strictEqual(result.rules[0].hits, 0);
+  });
+
+  it('should remove rules by id', async () => {
+    const router = createMockRequestRouter();
+    const result = await executeRoute(router, { remove: ['r1', 'r9'] });
+
+    assert.strictEqual(result.removed, 1);
+    assert.strictEqual(router.removeRule.mock.calls.length, 2);
+  });
+
+  it('should clear rules', async () => {
+    const router = createMockRequestRouter({ rules: [{ id: 'r1' }, { id: 'r2' }] });
+    const result = await executeRoute(router, { clear: true });
+
+    assert.deepStrictEqual(result, { action: 'clear', removed: 2 });
+  });
+});
+
+
+describe('executeDialog', () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = createDialogHandler({ send: async () => ({}), on: () => {}, off: () => {} });
+  });
+
+  it('should throw if dialog handler is not available', () => {
+    assert.throws(() => executeDialog(null, 'accept'), { message: 'Dialog handler not available' });
+  });
+
+  it('should queue a single answer from a string', () => {
+    const result = executeDialog(handler, 'dismiss');
+
+    assert.deepStrictEqual(result, { action: 'queue', queued: 1, policy: 'auto' });
+    assert.deepStrictEqual(handler.getQueue(), [{ accept: false }]);
+  });
+
+  it('should queue N answers with prompt text', () => {
+    const result = executeDialog(handler, { promptText: 'Alice', count: 2 });
+
+    assert.strictEqual(result.queued, 2);
+    assert.deepStrictEqual(handler.getQueue()[1], { accept: true, promptText: 'Alice' });
+  });
+
+  it('should set and clear a standing policy', () => {
+    const set = executeDialog(handler, { policy: 'dismiss' });
+    assert.deepStrictEqual(set.policy, { accept: false });
+
+    const cleared = executeDialog(handler, { policy: 'auto' });
+    assert.strictEqual(cleared.policy, 'auto');
+  });
+
+  it('should reset queue and policy', () => {
+    executeDialog(handler, 'accept');
+    executeDialog(handler, { policy: 'dismiss' });
+
+    assert.deepStrictEqual(executeDialog(handler, 'reset'), { action: 'reset', queued: 0, policy: 'auto' });
+    assert.strictEqual(handler.getPolicy(), null);
+  });
+});
+
+describe('formatCommandDialogs', () => {
+  let handler;
+  let openDialog;
+
+  beforeEach(async () => {
+    handler = createDialogHandler({
+      send: async () => ({}),
+      on: (event, fn) => { openDialog = fn; },
+      off: () => {}
+    });
+    await handler.enable();
+  });
+
+  it('should return null without a handler or new dialogs', () => {
+    openDialog({ type: 'alert', message: 'hi' });
+
+    assert.strictEqual(formatCommandDialogs(null, 0), null);
+    assert.strictEqual(formatCommandDialogs(handler, handler.getTotalCount()), null);
+  });
+
+  it('should return dialogs seen since the command started', () => {
+    openDialog({ type: 'alert', message: 'old' });
+    const countBefore = handler.getTotalCount();
+    handler.queueResponse(false);
+    openDialog({ type: 'confirm', message: 'sure?' });
+
+    assert.deepStrictEqual(formatCommandDialogs(handler, countBefore), [
+      { type: 'confirm', message: 'sure?', accepted: false, answeredBy: 'queue' }
+    ]);
+  });
+
+  it('should keep reporting new dialogs once the history is full', () => {
+    for (let i = 0; i < 150; i++) openDialog({ type: 'alert', message: `old ${i}` });
+    const countBefore = handler.getTotalCount();
+    openDialog({ type: 'alert', message: 'new' });
+
+    const dialogs = formatCommandDialogs(handler, countBefore);
+    assert.deepStrictEqual(dialogs.map(d => d.message), ['new']);
+  });
+});
+
+describe('executeEmulate', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = createEmulationManager({ send: async () => ({}) });
+  });
+
+  it('should throw if emulation manager is not available', async () => {
+    await assert.rejects(() => executeEmulate(null, 'slow-3g'), { message: 'Emulation manager not available' });
+  });
+
+  it('should apply a network profile from a string', async () => {
+    const result = await executeEmulate(manager, 'fast-3g');
+
+    assert.strictEqual(result.active, true);
+    assert.strictEqual(result.network.profile, 'fast-3g');
+    assert.strictEqual('cpu' in result, false);
+  });
+
+  it('should set network and cpu together, then reset', async () => {
+    const result = await executeEmulate(manager, { network: { latency: 300, download: 750, upload: 250 }, cpu: 4 });
+    assert.strictEqual(result.network.profile, 'custom');
+    assert.strictEqual(result.cpu, 4);
+
+    assert.deepStrictEqual(await executeEmulate(manager, { reset: true }), { action: 'reset', active: false });
+    assert.strictEqual(manager.isActive(), false);
+  });
+
+  it('should apply environment overrides and leave unset ones out', async () => {
+    const result = await executeEmulate(manager, { timezone: 'Asia/Tokyo', locale: 'ja-JP', colorScheme: 'dark' });
+
+    assert.deepStrictEqual(result, { action: 'set', active: true, timezone: 'Asia/Tokyo', locale: 'ja-JP', colorScheme: 'dark' });
+  });
+});
+
+describe('formatEmulation', () => {
+  it('should return null when nothing is emulated', () => {
+    assert.strictEqual(formatEmulation(null), null);
+    assert.strictEqual(formatEmulation(createEmulationManager({ send: async () => ({}) })), null);
+  });
+
+  it('should name profiles and spell out custom conditions', async () => {
+    const manager = createEmulationManager({ send: async () => ({}) });
+    await manager.setNetwork('slow-3g');
+    await manager.setCpuRate(6);
+    assert.deepStrictEqual(formatEmulation(manager), { network: 'slow-3g', cpu: 6 });
+
+    await manager.setNetwork({ latency: 100, download: 2000 });
+    assert.deepStrictEqual(formatEmulation(manager).network, { latency: 100, download: 2000, upload: 0 });
+  });
+
+  it('should report environment overrides compactly', async () => {
+    const pageController = { setGeolocation: async () => {}, clearGeolocation: async () => {} };
+    const manager = createEmulationManager({ send: async () => ({ userAgent: 'Default' }) }, { pageController });
+    await manager.setGeolocation({ latitude: 52.52, longitude: 13.4, accuracy: 10 });
+    await manager.setUserAgent({ userAgent: 'TestBot/1.0', platform: 'Linux' });
+    await manager.setMediaFeatures({ reducedMotion: 'reduce' });
+
+    assert.deepStrictEqual(formatEmulation(manager), {
+      geolocation: { latitude: 52.52, longitude: 13.4 },
+      reducedMotion: 'reduce',
+      userAgent: 'TestBot/1.0'
+    });
+  });
+});
+
+describe('executePermissions', () => {
+  let browser;
+  let pageController;
+  let pageUrl;
+
+  beforeEach(() => {
+    pageUrl = 'https://app.example.com/settings';
+    browser = {
+      setPermission: mock.fn(async () => {}),
+      resetPermissions: mock.fn(async () => {})
+    };
+    pageController = {
+      session: {
+        send: mock.fn(async (method, params) => {
+          if (params.expression === 'window.location.href') return { result: { value: pageUrl } };
+          return { result: { value: { notifications: 'granted', camera: 'granted' } } };
+        })
+      }
+    };
+  });
+
+  afterEach(() => { mock.reset(); });
+
+  it('should throw if browser is not available', async () => {
+    await assert.rejects(() => executePermissions(null, pageController, 'query'), { message: 'Browser not available' });
+  });
+
+  it('should grant for the current origin and report the resulting states', async () => {
+    const result = await executePermissions(browser, pageController, { grant: ['notifications', 'camera'] });
+
+    assert.deepStrictEqual(browser.setPermission.mock.calls.map(c => c.arguments), [
+      ['notifications', 'granted', { origin: 'https://app.example.com' }],
+      ['camera', 'granted', { origin: 'https://app.example.com' }]
+    ]);
+    assert.deepStrictEqual(result, {
+      action: 'grant',
+      origin: 'https://app.example.com',
+      permissions: { notifications: 'granted', camera: 'granted' }
+    });
+    const query = pageController.session.send.mock.calls[1].arguments[1].expression;
+    assert.ok(query.includes('["notifications","camera"]'));
+  });
+
+  it('should deny for another origin without reading states', async () => {
+    const result = await executePermissions(browser, pageController, { deny: 'geolocation', origin: 'https://other.test' });
+
+    assert.deepStrictEqual(browser.setPermission.mock.calls[0].arguments, ['geolocation', 'denied', { origin: 'https://other.test' }]);
+    assert.strictEqual(result.permissions, undefined);
+    assert.ok(result.note.includes('https://other.test'));
+  });
+
+  it('should reset one permission to prompt, or all of them', async () => {
+    await executePermissions(browser, pageController, { reset: 'camera' });
+    assert.deepStrictEqual(browser.setPermission.mock.calls[0].arguments.slice(0, 2), ['camera', 'prompt']);
+
+    assert.deepStrictEqual(await executePermissions(browser, pageController, 'reset'), { action: 'reset', origin: 'all' });
+    assert.strictEqual(browser.resetPermissions.mock.calls.length, 1);
+  });
+
+  it('should scope overrides to the tab\'s browser context', async () => {
+    await executePermissions(browser, pageController, { grant: 'notifications' }, 'CTX1');
+    assert.deepStrictEqual(browser.setPermission.mock.calls[0].arguments[2], { origin: 'https://app.example.com', browserContextId: 'CTX1' });
+
+    await executePermissions(browser, pageController, 'reset', 'CTX1');
+    assert.deepStrictEqual(browser.resetPermissions.mock.calls[0].arguments, [{ browserContextId: 'CTX1' }]);
+  });
+
+  it('should require an origin on pages without one', async () => {
+    pageUrl = 'about:blank';
+    await assert.rejects(() => executePermissions(browser, pageController, { grant: 'notifications' }), /needs an origin/);
+  });
+});
+
+describe('executeDownloads', () => {
+  let tmpDir;
+  let filePath;
+  let downloadManager;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cdp-skill-downloads-'));
+    filePath = path.join(tmpDir, 'report.csv');
+    await fs.writeFile(filePath, 'id,total\n1,42\n');
+    const completed = { url: 'https://app.test/report.csv', suggestedFilename: 'report.csv', path: filePath, state: 'completed', bytes: 14 };
+    downloadManager = {
+      list: mock.fn(() => [
+        { ...completed },
+        { url: 'https://app.test/photo.png', suggestedFilename: 'photo.png', path: path.join(tmpDir, 'photo.png'), state: 'inProgress', bytes: 10 }
+      ]),
+      waitFor: mock.fn(async () => ({ ...completed })),
+      clear: mock.fn(() => 2)
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should list downloads filtered by filename glob', async () => {
+    const result = await executeDownloads(downloadManager, { match: '*.csv' });
+    assert.strictEqual(result.action, 'list');
+    assert.deepStrictEqual(result.downloads.map(d => d.suggestedFilename), ['report.csv']);
+  });
+
+  it('should checksum completed files only', async () => {
+    const result = await executeDownloads(downloadManager, { checksum: true });
+    assert.strictEqual(result.downloads[0].sha256, '66bf7174b10ae8b376765837b3ce952da48ddb92cbb6241000a9967f90e27eb2');
+    assert.strictEqual(result.downloads[1].sha256, undefined);
+  });
+
+  it('should wait for a download and hash it with the requested algorithm', async () => {
+    const result = await executeDownloads(downloadManager, { wait: true, match: '*.csv', timeout: 5000, checksum: 'md5' }, 1000);
+
+    assert.deepStrictEqual(downloadManager.waitFor.mock.calls[0].arguments[0], { match: '*.csv', finishedAfter: 1000, timeout: 5000 });
+    assert.strictEqual(result.action, 'wait');
+    assert.strictEqual(result.download.md5, '53df501a4b4c1400e4d2256cf7b907f7');
+  });
+
+  it('should fail when the awaited download was canceled', async () => {
+    downloadManager.waitFor = mock.fn(async () => ({ url: 'https://app.test/x.zip', suggestedFilename: 'x.zip', path: null, state: 'canceled', bytes: 0 }));
+    await assert.rejects(() => executeDownloads(downloadManager, 'wait'), /Download canceled: x\.zip/);
+  });
+
+  it('should clear downloads', async () => {
+    assert.deepStrictEqual(await executeDownloads(downloadManager, 'clear'), { action: 'clear', cleared: 2 });
+  });
+});
+
+describe('executeHttp', () => {
+  let httpManager;
+  let requestRouter;
+  let session;
+
+  beforeEach(() => {
+    session = { send: mock.fn(async (method) => (method === 'Browser.getVersion' ? { userAgent: 'Mozilla/5.0 HeadlessChrome/130' } : {})) };
+    requestRouter = { setCredentials: mock.fn(async () => {}) };
+    httpManager = createHttpManager(session, {
+      requestRouter,
+      emulationManager: createEmulationManager(session)
+    });
+  });
+
+  it('should throw when http settings are not available', async () => {
+    await assert.rejects(() => executeHttp(null, { headers: {} }), /HTTP settings not available/);
+  });
+
+  it('should apply headers, credentials and user agent and report them with the password masked', async () => {
+    const result = await executeHttp(httpManager, {
+      headers: { 'X-Test-User': 'alice' },
+      credentials: { username: 'qa', password: 's3cret' },
+      userAgent: 'QA-Bot/1.0'
+    });
+
+    assert.deepStrictEqual(result, {
+      action: 'set',
+      headers: { 'X-Test-User': 'alice' },
+      credentials: { username: 'qa', password: '***' },
+      userAgent: 'QA-Bot/1.0'
+    });
+    const uaCall = session.send.mock.calls.find(c => c.arguments[0] === 'Emulation.setUserAgentOverride');
+    assert.strictEqual(uaCall.arguments[1].userAgent, 'QA-Bot/1.0');
+  });
+
+  it('should reset everything including the user agent', async () => {
+    await executeHttp(httpManager, { headers: { 'X-A': '1' }, userAgent: 'QA-Bot/1.0' });
+    const result = await executeHttp(httpManager, 'reset');
+
+    assert.deepStrictEqual(result, { action: 'reset' });
+    assert.deepStrictEqual(httpManager.describe(), { headers: null, credentials: null, userAgent: null });
+  });
+});
+
+describe('executeStorage', () => {
+  let storageManager;
+  let cookieManager;
+  let tmpFile;
+
+  beforeEach(() => {
+    tmpFile = path.join(os.tmpdir(), `cdp-skill-state-${Date.now()}.json`);
+    storageManager = {
+      getOrigin: mock.fn(async () => 'https://app.example.com'),
+      getStorage: mock.fn(async () => [{ name: 'token', value: 'abc' }, { name: 'theme', value: 'dark' }]),
+      setStorage: mock.fn(async () => {}),
+      clearStorage: mock.fn(async () => {}),
+      exportOrigins: mock.fn(async () => [{ origin: 'https://app.example.com', localStorage: [{ name: 'token', value: 'abc' }], sessionStorage: [] }]),
+      importOrigins: mock.fn(async (origins) => ({ applied: origins.map(o => o.origin), skipped: [] }))
+    };
+    cookieManager = {
+      getCookies: mock.fn(async () => [{ name: 'sid', value: '1', domain: 'app.example.com', path: '/', expires: -1 }]),
+      setCookies: mock.fn(async () => {})
+    };
+  });
+
+  afterEach(async () => {
+    mock.reset();
+    await fs.rm(tmpFile, { force: true });
+  });
+
+  it('should throw if web storage manager is not available', async () => {
+    await assert.rejects(() => executeStorage(null, cookieManager, { get: true }), { message: 'Web storage manager not available' });
+  });
+
+  it('should get filtered items from the current frame origin', async () => {
+    const result = await executeStorage(storageManager, cookieManager, { get: 'token' });
+
+    assert.deepStrictEqual(result, { action: 'get', type: 'local', origin: 'https://app.example.com', items: [{ name: 'token', value: 'abc' }] });
+  });
+
+  it('should delete keys in an explicit origin', async () => {
+    const result = await executeStorage(storageManager, cookieManager, { delete: ['a', 'b'], type: 'session', origin: 'https://x.example.com' });
+
+    assert.strictEqual(result.count, 2);
+    assert.strictEqual(storageManager.getOrigin.mock.calls.length, 0);
+    const args = storageManager.setStorage.mock.calls[0].arguments;
+    assert.deepStrictEqual(args, [{ a: null, b: null }, 'session', { origin: 'https://x.example.com' }]);
+  });
+
+  it('should round-trip a storage state file', async () => {
+    const exported = await executeStorage(storageManager, cookieManager, { export: tmpFile });
+    assert.deepStrictEqual(exported, { action: 'export', path: tmpFile, cookies: 1, origins: ['https://app.example.com'] });
+
+    const imported = await executeStorage(storageManager, cookieManager, { import: tmpFile });
+    assert.strictEqual(imported.cookies, 1);
+    assert.deepStrictEqual(imported.applied, ['https://app.example.com']);
+    assert.strictEqual(imported.hint, undefined);
+
+    // Session cookies lose their -1 expiry so CDP doesn't treat them as expired
+    const [cookie] = cookieManager.setCookies.mock.calls[0].arguments[0];
+    assert.strictEqual(cookie.expires, undefined);
+  });
+
+  it('should hint when origins are skipped on import', async () => {
+    await fs.writeFile(tmpFile, JSON.stringify({ cookies: [], origins: [{ origin: 'https://b.example.com' }] }));
+    storageManager.importOrigins = mock.fn(async () => ({ applied: [], skipped: ['https://b.example.com'] }));
+
+    const result = await executeStorage(storageManager, cookieManager, { import: tmpFile });
+
+    assert.deepStrictEqual(result.skipped, ['https://b.example.com']);
+    assert.ok(result.hint.includes('navigate there'));
+  });
+});
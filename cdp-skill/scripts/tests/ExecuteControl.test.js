@@ -0,0 +1,359 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import vm from 'vm';
+
+import {
+  buildConditionPredicate,
+  executeIf,
+  executeRepeat,
+  executeForEach,
+  executeRetry
+} from '../runner/execute-control.js';
+import { collectPlaceholders } from '../runner/execute-recipe.js';
+import { validateStepInternal, validateSteps } from '../runner/step-validator.js';
+import { executeStep } from '../runner/step-executors.js';
+
+/**
+ * Page controller whose condition checks return the queued booleans in order
+ */
+function createConditionPage(values) {
+  const queue = [...values];
+  return {
+    evaluateInFrame: mock.fn(async () => ({ result: { value: queue.shift() ?? false } }))
+  };
+}
+
+function createRunStep(failing = new Set()) {
+  const ran = [];
+  const runStep = mock.fn(async (step) => {
+    ran.push(step);
+    const action = Object.keys(step)[0];
+    if (failing.has(step[action])) return { action, status: 'error', error: `Element not found: ${step[action]}` };
+    return { action, status: 'ok' };
+  });
+  return { ran, runStep };
+}
+
+// ---------------------------------------------------------------------------
+// Tests: conditions
+// ---------------------------------------------------------------------------
+
+describe('buildConditionPredicate', () => {
+  function evaluate(condition, document) {
+    const fn = vm.runInNewContext(`(${buildConditionPredicate(condition)})`, {
+      document,
+      getComputedStyle: (el) => el.style
+    });
+    return fn();
+  }
+
+  const banner = {
+    getBoundingClientRect: () => ({ width: 100, height: 0 }),
+    style: { visibility: 'visible', display: 'block' }
+  };
+  const page = {
+    querySelector: (sel) => (sel === '#banner' ? banner : null),
+    body: { innerText: 'We use Cookies' }
+  };
+
+  it('should test selector existence, optionally requiring visibility', async () => {
+    assert.strictEqual(await evaluate({ selector: '#banner' }, page), true);
+    assert.strictEqual(await evaluate({ selector: '#banner', visible: true }, page), false);
+    assert.strictEqual(await evaluate({ selector: '#missing' }, page), false);
+  });
+
+  it('should match page text case-insensitively unless asked', async () => {
+    assert.strictEqual(await evaluate({ text: 'cookies' }, page), true);
+    assert.strictEqual(await evaluate({ text: 'cookies', caseSensitive: true }, page), false);
+  });
+
+  it('should await fn predicates and negate with not', async () => {
+    assert.strictEqual(await evaluate({ fn: 'async () => 0' }, page), false);
+    assert.strictEqual(await evaluate({ fn: '() => 0', not: true }, page), true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests: executors
+// ---------------------------------------------------------------------------
+
+describe('executeIf', () => {
+  afterEach(() => { mock.reset(); });
+
+  it('should run then when the condition holds', async () => {
+    const { ran, runStep } = createRunStep();
+    const deps = { pageController: createConditionPage([true]) };
+
+    const result = await executeIf(deps, { selector: '#banner', then: [{ click: '#accept' }], else: [{ click: '#other' }] }, { runStep });
+
+    assert.deepStrictEqual(result, { condition: true, branch: 'then', steps: [{ action: 'click', status: 'ok' }] });
+    assert.deepStrictEqual(ran, [{ click: '#accept' }]);
+  });
+
+  it('should skip silently without an else branch', async () => {
+    const { runStep } = createRunStep();
+    const deps = { pageController: createConditionPage([false]) };
+
+    const result = await executeIf(deps, { text: 'Accept cookies', then: [{ click: '#accept' }] }, { runStep });
+
+    assert.deepStrictEqual(result, { condition: false, branch: null, steps: [] });
+    assert.strictEqual(runStep.mock.calls.length, 0);
+  });
+
+  it('should fail with the failing branch step', async () => {
+    const { runStep } = createRunStep(new Set(['#gone']));
+    const deps = { pageController: createConditionPage([false]) };
+
+    await assert.rejects(
+      () => executeIf(deps, { fn: '() => false', then: [{ click: '#a' }], else: [{ click: '#gone' }] }, { runStep }),
+      (err) => {
+        assert.match(err.message, /if\.else step 1 \(click\) failed: Element not found: #gone/);
+        assert.deepStrictEqual(err.output, {
+          condition: false,
+          branch: 'else',
+          steps: [{ action: 'click', status: 'error', error: 'Element not found: #gone' }]
+        });
+        return true;
+      }
+    );
+  });
+});
+
+describe('executeRepeat', () => {
+  afterEach(() => { mock.reset(); });
+
+  it('should run a fixed number of times', async () => {
+    const { runStep } = createRunStep();
+    const result = await executeRepeat({}, { times: 3, steps: [{ scroll: 'bottom' }] }, { runStep });
+
+    assert.strictEqual(result.count, 3);
+    assert.strictEqual(result.stoppedBy, 'times');
+    assert.deepStrictEqual(result.iterations[2], { index: 2, steps: [{ action: 'scroll', status: 'ok' }] });
+  });
+
+  it('should stop when until holds after an iteration', async () => {
+    const { runStep } = createRunStep();
+    const deps = { pageController: createConditionPage([false, false, true]) };
+
+    const result = await executeRepeat(deps, { until: { selector: '.end' }, steps: [{ scroll: 'bottom' }] }, { runStep });
+
+    assert.strictEqual(result.count, 3);
+    assert.strictEqual(result.stoppedBy, 'until');
+  });
+
+  it('should check while before each iteration', async () => {
+    const { runStep } = createRunStep();
+    const deps = { pageController: createConditionPage([true, false]) };
+
+    const result = await executeRepeat(deps, { while: { selector: '.more' }, steps: [{ click: '.more' }] }, { runStep });
+
+    assert.strictEqual(result.count, 1);
+    assert.strictEqual(result.stoppedBy, 'while');
+  });
+
+  it('should warn when a condition loop reaches max', async () => {
+    const { runStep } = createRunStep();
+    const deps = { pageController: createConditionPage([]) };
+
+    const result = await executeRepeat(deps, { until: { text: 'End' }, max: 2, steps: [{ scroll: 'bottom' }] }, { runStep });
+
+    assert.strictEqual(result.count, 2);
+    assert.strictEqual(result.stoppedBy, 'max');
+    assert.match(result.warning, /max 2 iterations/);
+  });
+});
+
+describe('executeForEach', () => {
+  afterEach(() => { mock.reset(); });
+
+  it('should substitute literal items and the index', async () => {
+    const { ran, runStep } = createRunStep();
+
+    const result = await executeForEach({}, {
+      items: [{ name: 'Ada', email: 'ada@x.test' }, { name: 'Bob', email: 'bob@x.test' }],
+      as: 'user',
+      steps: [{ fill: { selector: '#email', value: '{{user.email}}' } }, { click: '#row-{{index}}' }]
+    }, { runStep });
+
+    assert.strictEqual(result.count, 2);
+    assert.deepStrictEqual(ran, [
+      { fill: { selector: '#email', value: 'ada@x.test' } },
+      { click: '#row-0' },
+      { fill: { selector: '#email', value: 'bob@x.test' } },
+      { click: '#row-1' }
+    ]);
+    assert.deepStrictEqual(result.iterations[1].item, { name: 'Bob', email: 'bob@x.test' });
+  });
+
+  it('should iterate elements matching a query', async () => {
+    const { ran, runStep } = createRunStep();
+    const pageController = {
+      evaluateInFrame: mock.fn(async () => ({
+        result: { value: [{ selector: 'ul > li:nth-of-type(1)', text: 'One' }, { selector: 'ul > li:nth-of-type(2)', text: 'Two' }] }
+      }))
+    };
+
+    const result = await executeForEach({ pageController }, { query: 'ul > li', max: 5, steps: [{ click: '{{item.selector}}' }] }, { runStep });
+
+    assert.strictEqual(result.count, 2);
+    assert.deepStrictEqual(ran, [{ click: 'ul > li:nth-of-type(1)' }, { click: 'ul > li:nth-of-type(2)' }]);
+    const expression = pageController.evaluateInFrame.mock.calls[0].arguments[0];
+    assert.ok(expression.includes('function generateSelectorForElement(el)'));
+    assert.ok(expression.includes('.slice(0, 5)'));
+  });
+
+  it('should stop at the first failing item', async () => {
+    const { runStep } = createRunStep(new Set(['#b']));
+
+    await assert.rejects(
+      () => executeForEach({}, { items: ['#a', '#b', '#c'], steps: [{ click: '{{item}}' }] }, { runStep }),
+      (err) => {
+        assert.match(err.message, /forEach item 2 step 1 \(click\) failed: Element not found: #b/);
+        assert.strictEqual(err.output.count, 2);
+        assert.deepStrictEqual(err.output.iterations.map(i => i.steps.map(s => s.status)), [['ok'], ['error']]);
+        return true;
+      }
+    );
+    assert.strictEqual(runStep.mock.calls.length, 2);
+  });
+});
+
+describe('executeRetry', () => {
+  afterEach(() => { mock.reset(); });
+
+  it('should re-run the block until it succeeds', async () => {
+    let calls = 0;
+    const runStep = mock.fn(async (step) => {
+      calls++;
+      return calls < 3
+        ? { action: 'click', status: 'error', error: 'not ready' }
+        : { action: Object.keys(step)[0], status: 'ok' };
+    });
+
+    const result = await executeRetry({}, { attempts: 3, delay: 1, steps: [{ click: '#save' }] }, { runStep });
+
+    assert.strictEqual(result.attempts, 3);
+    assert.strictEqual(result.errors.length, 2);
+    assert.match(result.errors[0], /retry attempt 1 step 1 \(click\) failed: not ready/);
+  });
+
+  it('should fail with the last error after all attempts', async () => {
+    const { runStep } = createRunStep(new Set(['#save']));
+
+    await assert.rejects(
+      () => executeRetry({}, { attempts: 2, delay: 1, steps: [{ click: '#save' }] }, { runStep }),
+      (err) => {
+        assert.match(err.message, /retry failed after 2 attempts: retry attempt 2 step 1/);
+        assert.strictEqual(err.output.attempts, 2);
+        assert.strictEqual(err.output.errors.length, 2);
+        assert.deepStrictEqual(err.output.attemptSteps, [
+          [{ action: 'click', status: 'error', error: 'Element not found: #save' }],
+          [{ action: 'click', status: 'error', error: 'Element not found: #save' }]
+        ]);
+        return true;
+      }
+    );
+    assert.strictEqual(runStep.mock.calls.length, 2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests: validation
+// ---------------------------------------------------------------------------
+
+describe('StepValidator - control flow', () => {
+  it('should accept valid control steps', () => {
+    const result = validateSteps([
+      { if: { selector: '#banner', visible: true, wait: 1000, then: [{ click: '#accept' }] } },
+      { repeat: { until: { fn: '() => done' }, max: 10, steps: [{ scroll: 'bottom' }] } },
+      { forEach: { items: ['a', 'b'], steps: [{ fill: { selector: '#q', value: '{{item}}' } }] } },
+      { retry: { attempts: 5, steps: [{ click: '#save' }] } }
+    ]);
+    assert.deepStrictEqual(result.errors, []);
+  });
+
+  it('should validate nested steps with their path', () => {
+    const errors = validateStepInternal({
+      retry: { steps: [{ repeat: { times: 2, steps: [{ click: '#a', fill: '#b' }] } }] }
+    });
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /^retry\.steps\[0\]: repeat\.steps\[0\]: ambiguous step/);
+  });
+
+  it('should require exactly one condition kind', () => {
+    assert.match(validateStepInternal({ if: { then: [{ click: '#a' }] } })[0], /exactly one of selector, text, fn/);
+    assert.match(validateStepInternal({ if: { selector: '#a', text: 'b', then: [{ click: '#a' }] } })[0], /got selector, text/);
+  });
+
+  it('should reject loops without a bound or items', () => {
+    assert.match(validateStepInternal({ repeat: { steps: [{ click: '#a' }] } })[0], /requires times, while, or until/);
+    assert.match(validateStepInternal({ forEach: { steps: [{ click: '#a' }] } })[0], /exactly one of items .* or query/);
+    assert.match(validateStepInternal({ retry: { steps: [] } })[0], /non-empty array/);
+  });
+});
+
+describe('collectPlaceholders with forEach', () => {
+  it('should not treat loop variables as recipe params', () => {
+    const names = collectPlaceholders([
+      { forEach: { items: '{{rows}}', as: 'row', steps: [{ fill: { selector: '{{row.selector}}', value: '{{prefix}}{{index}}' } }] } }
+    ]);
+    assert.deepStrictEqual(names, ['rows', 'prefix']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests: dispatch
+// ---------------------------------------------------------------------------
+
+describe('step-executors dispatch for control flow', () => {
+  let deps;
+
+  beforeEach(() => {
+    deps = {
+      pageController: {
+        evaluateInFrame: mock.fn(async () => ({ result: { value: true } })),
+        session: { send: mock.fn(async () => ({})) }
+      }
+    };
+  });
+
+  afterEach(() => { mock.reset(); });
+
+  it('should run nested steps and report them in the output', async () => {
+    const result = await executeStep(deps, {
+      if: { selector: 'body', then: [{ forEach: { items: [1, 2], steps: [{ sleep: '{{item}}' }] } }] }
+    });
+
+    assert.strictEqual(result.action, 'if');
+    assert.strictEqual(result.status, 'ok');
+    const loop = result.output.steps[0];
+    assert.strictEqual(loop.action, 'forEach');
+    assert.deepStrictEqual(loop.output.iterations.map(i => i.steps), [
+      [{ action: 'sleep', status: 'ok' }],
+      [{ action: 'sleep', status: 'ok' }]
+    ]);
+  });
+
+  it('should keep the nested results when a block fails', async () => {
+    const result = await executeStep(deps, {
+      repeat: { times: 3, steps: [{ sleep: 1 }, { if: { selector: 'body', then: [{ unknownStep: true }] } }] }
+    });
+
+    assert.strictEqual(result.status, 'error');
+    assert.match(result.error, /repeat iteration 1 step 2 \(if\) failed/);
+    assert.strictEqual(result.output.stoppedBy, 'error');
+    const [iteration] = result.output.iterations;
+    assert.deepStrictEqual(iteration.steps.map(s => `${s.action}:${s.status}`), ['sleep:ok', 'if:error']);
+    assert.strictEqual(iteration.steps[1].output.branch, 'then');
+    assert.strictEqual(iteration.steps[1].output.steps[0].status, 'error');
+  });
+
+  it('should surface the repeat max warning on the step', async () => {
+    deps.pageController.evaluateInFrame = mock.fn(async () => ({ result: { value: false } }));
+    const result = await executeStep(deps, { repeat: { until: { selector: '.end' }, max: 1, steps: [{ sleep: 1 }] } });
+
+    assert.strictEqual(result.status, 'ok');
+    assert.match(result.warning, /max 1 iterations/);
+    assert.strictEqual(result.output.warning, undefined);
+  });
+});
@@ -1,9 +1,13 @@
 import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 import {
   executeFillActive,
-  executeSelectOption
+  executeSelectOption,
+  executeClipboard
 } from '../runner/execute-input.js';
 
 // ---------------------------------------------------------------------------
@@ -408,3 +412,86 @@ describe('executeSelectOption', () => {
     assert.ok(selectCall.arguments[1].arguments);
   });
 });
+
+describe('executeClipboard', () => {
+  let clipboardExecutor;
+  let browser;
+  let pageController;
+
+  beforeEach(() => {
+    clipboardExecutor = {
+      read: mock.fn(async () => ({ 'text/plain': 'copied', 'text/html': '<b>copied</b>' })),
+      write: mock.fn(async (data) => Object.keys(data)),
+      paste: mock.fn(async (data, target) => ({ pasted: Object.keys(data), target: target.ref ? `ref:${target.ref}` : 'focused', handledByPage: true, inserted: false }))
+    };
+    browser = { setPermission: mock.fn(async () => {}) };
+    pageController = {
+      session: {
+        send: mock.fn(async () => ({ result: { value: 'https://app.example.com/editor' } }))
+      }
+    };
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should grant clipboard permissions for the page origin before reading', async () => {
+    const result = await executeClipboard(clipboardExecutor, browser, pageController, 'read');
+
+    assert.deepStrictEqual(result, { action: 'read', types: ['text/plain', 'text/html'], text: 'copied', html: '<b>copied</b>' });
+    assert.deepStrictEqual(browser.setPermission.mock.calls.map(c => c.arguments), [
+      ['clipboard-read', 'granted', { origin: 'https://app.example.com' }],
+      ['clipboard-write', 'granted', { origin: 'https://app.example.com' }]
+    ]);
+  });
+
+  it('should save a read image to a file', async () => {
+    clipboardExecutor.read = mock.fn(async () => ({ 'image/png': Buffer.from('png-bytes').toString('base64') }));
+    const result = await executeClipboard(clipboardExecutor, browser, pageController, { read: true });
+
+    assert.match(result.image, /clipboard-\d+\.png$/);
+    assert.strictEqual((await fs.readFile(result.image)).toString(), 'png-bytes');
+    await fs.rm(result.image, { force: true });
+  });
+
+  it('should write text and image files as clipboard MIME types', async () => {
+    const imagePath = path.join(os.tmpdir(), `clipboard-test-${Date.now()}.png`);
+    await fs.writeFile(imagePath, 'png-bytes');
+    try {
+      const result = await executeClipboard(clipboardExecutor, browser, pageController, { write: { text: 'hi', image: imagePath } });
+
+      assert.deepStrictEqual(result, { action: 'write', types: ['text/plain', 'image/png'] });
+      assert.deepStrictEqual(clipboardExecutor.write.mock.calls[0].arguments[0], {
+        'text/plain': 'hi',
+        'image/png': Buffer.from('png-bytes').toString('base64')
+      });
+    } finally {
+      await fs.rm(imagePath, { force: true });
+    }
+  });
+
+  it('should paste given content into a ref without touching the clipboard', async () => {
+    const result = await executeClipboard(clipboardExecutor, browser, pageController, { paste: { html: '<p>x</p>', 'text/uri-list': 'https://a.test' }, ref: 's1e4' });
+
+    assert.strictEqual(result.action, 'paste');
+    assert.strictEqual(result.target, 'ref:s1e4');
+    assert.deepStrictEqual(clipboardExecutor.paste.mock.calls[0].arguments[0], { 'text/html': '<p>x</p>', 'text/uri-list': 'https://a.test' });
+    assert.strictEqual(clipboardExecutor.read.mock.calls.length, 0);
+    assert.strictEqual(browser.setPermission.mock.calls.length, 0);
+  });
+
+  it('should paste the current clipboard and fail when it is empty', async () => {
+    await executeClipboard(clipboardExecutor, browser, pageController, 'paste');
+    assert.deepStrictEqual(clipboardExecutor.paste.mock.calls[0].arguments[0], { 'text/plain': 'copied', 'text/html': '<b>copied</b>' });
+
+    clipboardExecutor.read = mock.fn(async () => ({}));
+    await assert.rejects(() => executeClipboard(clipboardExecutor, browser, pageController, 'paste'), /clipboard is empty/);
+  });
+
+  it('should skip the grant on pages without an origin', async () => {
+    pageController.session.send = mock.fn(async () => ({ result: { value: 'about:blank' } }));
+    await executeClipboard(clipboardExecutor, browser, pageController, { write: 'x' });
+    assert.strictEqual(browser.setPermission.mock.calls.length, 0);
+  });
+});
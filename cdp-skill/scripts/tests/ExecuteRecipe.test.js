@@ -0,0 +1,333 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+import {
+  substituteParams,
+  collectPlaceholders,
+  applyRecipeDefaults,
+  loadRecipes,
+  summarizeRecipes,
+  executeWriteRecipe,
+  executeRunRecipe
+} from '../runner/execute-recipe.js';
+import { validateStepInternal } from '../runner/step-validator.js';
+import { executeStep } from '../runner/step-executors.js';
+
+const REAL_SITES_DIR = path.join(os.homedir(), '.cdp-skill', 'sites');
+
+function uniqueDomain(label) {
+  return `recipe-${label}-${Date.now()}-${Math.floor(Math.random() * 1e6)}.example.com`;
+}
+
+async function cleanupRecipes(domains) {
+  for (const domain of domains) {
+    try {
+      await fs.unlink(path.join(REAL_SITES_DIR, `${domain}.recipes.json`));
+    } catch { /* ignore */ }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Tests: parameters and defaults
+// ---------------------------------------------------------------------------
+
+describe('substituteParams', () => {
+  it('should interpolate placeholders inside strings', () => {
+    const result = substituteParams({ goto: 'https://x.test/{{ path }}?q={{q}}' }, { path: 'search', q: 'shoes' });
+    assert.deepStrictEqual(result, { goto: 'https://x.test/search?q=shoes' });
+  });
+
+  it('should keep the raw value for a single-placeholder string', () => {
+    const result = substituteParams([{ scroll: { y: '{{offset}}' } }, { fill: { value: '{{n}} items' } }], { offset: 400, n: 3 });
+    assert.deepStrictEqual(result, [{ scroll: { y: 400 } }, { fill: { value: '3 items' } }]);
+  });
+
+  it('should leave unknown placeholders untouched', () => {
+    assert.strictEqual(substituteParams('{{missing}}', {}), '{{missing}}');
+  });
+});
+
+describe('collectPlaceholders', () => {
+  it('should list distinct names in order of first use', () => {
+    const names = collectPlaceholders([
+      { fill: { selector: '#user', value: '{{user}}' } },
+      { fill: { selector: '#pass', value: '{{ password }}' } },
+      { click: { text: 'Hi {{user}}' } }
+    ]);
+    assert.deepStrictEqual(names, ['user', 'password']);
+  });
+});
+
+describe('applyRecipeDefaults', () => {
+  it('should add hooks to object params that support them', () => {
+    const steps = applyRecipeDefaults(
+      [{ click: { selector: '#go' } }, { click: '#plain' }, { sleep: 100 }],
+      { settledWhen: '() => !document.querySelector(".spinner")' }
+    );
+    assert.deepStrictEqual(steps, [
+      { click: { selector: '#go', settledWhen: '() => !document.querySelector(".spinner")' } },
+      { click: '#plain' },
+      { sleep: 100 }
+    ]);
+  });
+
+  it('should not override hooks set by the step', () => {
+    const steps = applyRecipeDefaults(
+      [{ click: { selector: '#go', readyWhen: '() => own' } }],
+      { readyWhen: '() => recipe' }
+    );
+    assert.strictEqual(steps[0].click.readyWhen, '() => own');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests: writeRecipe
+// ---------------------------------------------------------------------------
+
+describe('executeWriteRecipe', () => {
+  const domains = [];
+
+  afterEach(async () => {
+    await cleanupRecipes(domains.splice(0));
+  });
+
+  it('should save a recipe with inferred params', async () => {
+    const domain = uniqueDomain('write');
+    domains.push(domain);
+
+    const result = await executeWriteRecipe({
+      domain,
+      name: 'login',
+      description: 'Sign in',
+      steps: [{ fill: { selector: '#user', value: '{{user}}' } }, { click: '#submit' }]
+    });
+
+    assert.strictEqual(result.written, true);
+    assert.deepStrictEqual(result.params, ['user']);
+    assert.strictEqual(result.steps, 2);
+
+    const recipes = await loadRecipes(domain);
+    assert.deepStrictEqual(recipes.login.params, { user: { required: true } });
+    assert.deepStrictEqual(summarizeRecipes(recipes), { login: { params: ['user'], description: 'Sign in' } });
+  });
+
+  it('should keep other recipes for the domain', async () => {
+    const domain = uniqueDomain('keep');
+    domains.push(domain);
+
+    await executeWriteRecipe({ domain, name: 'a', steps: [{ click: '#a' }] });
+    await executeWriteRecipe({ domain, name: 'b', steps: [{ click: '#b' }] });
+
+    assert.deepStrictEqual(Object.keys(await loadRecipes(domain)), ['a', 'b']);
+  });
+
+  it('should reject invalid steps', async () => {
+    await assert.rejects(
+      () => executeWriteRecipe({ domain: uniqueDomain('invalid'), name: 'bad', steps: [{ click: '#a', fill: '#b' }] }),
+      /Recipe "bad" has invalid steps: step 1:/
+    );
+  });
+
+  it('should reject placeholders missing from declared params', async () => {
+    await assert.rejects(
+      () => executeWriteRecipe({
+        domain: uniqueDomain('undeclared'),
+        name: 'search',
+        params: ['query'],
+        steps: [{ fill: { selector: '#q', value: '{{query}}' } }, { click: '{{button}}' }]
+      }),
+      /undeclared param\(s\): button/
+    );
+  });
+
+  it('should validate numeric placeholders against their defaults', async () => {
+    const domain = uniqueDomain('numeric');
+    domains.push(domain);
+
+    const result = await executeWriteRecipe({ domain, name: 'pause', params: { ms: { default: 50 } }, steps: [{ sleep: '{{ms}}' }] });
+    assert.deepStrictEqual(result.params, ['ms']);
+  });
+
+  it('should return {} for a domain without recipes', async () => {
+    assert.deepStrictEqual(await loadRecipes(uniqueDomain('none')), {});
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests: runRecipe
+// ---------------------------------------------------------------------------
+
+describe('executeRunRecipe', () => {
+  const domains = [];
+  let domain;
+  let deps;
+  let ran;
+  let runStep;
+
+  beforeEach(async () => {
+    domain = uniqueDomain('run');
+    domains.push(domain);
+    ran = [];
+    deps = {
+      pageController: {
+        evaluateInFrame: mock.fn(async () => ({ result: { value: `https://www.${domain}/page` } }))
+      }
+    };
+    runStep = mock.fn(async (step, nested) => {
+      if (step.runRecipe !== undefined) {
+        const output = await executeRunRecipe(deps, step.runRecipe, { runStep, ...nested });
+        return { action: 'runRecipe', status: 'ok', output };
+      }
+      ran.push(step);
+      const action = Object.keys(step)[0];
+      if (step.click === '#broken') return { action, status: 'error', error: 'Element not found' };
+      return { action, status: 'ok' };
+    });
+
+    await executeWriteRecipe({
+      domain,
+      name: 'login',
+      params: { user: { required: true }, password: { default: 'secret' } },
+      defaults: { settledWhen: '() => document.body.dataset.ready' },
+      steps: [
+        { fill: { selector: '#user', value: '{{user}}' } },
+        { fill: { selector: '#pass', value: '{{password}}' } },
+        { click: { selector: '#submit' } }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    mock.reset();
+    await cleanupRecipes(domains.splice(0));
+  });
+
+  it('should run steps with params, defaults and the current page domain', async () => {
+    const result = await executeRunRecipe(deps, { name: 'login', params: { user: 'ada' } }, { runStep });
+
+    assert.strictEqual(result.recipe, 'login');
+    assert.strictEqual(result.domain, domain);
+    assert.strictEqual(result.steps, 3);
+    assert.deepStrictEqual(ran[0], {
+      fill: { selector: '#user', value: 'ada', settledWhen: '() => document.body.dataset.ready' }
+    });
+    assert.strictEqual(ran[1].fill.value, 'secret');
+  });
+
+  it('should fail on missing required params', async () => {
+    await assert.rejects(
+      () => executeRunRecipe(deps, 'login', { runStep }),
+      /Recipe "login" is missing required param\(s\): user/
+    );
+    assert.strictEqual(runStep.mock.calls.length, 0);
+  });
+
+  it('should list available recipes when the name is unknown', async () => {
+    await assert.rejects(
+      () => executeRunRecipe(deps, { name: 'logout', domain }, { runStep }),
+      /No recipe "logout" for .* \(available: login\)/
+    );
+  });
+
+  it('should run nested recipes from the same domain', async () => {
+    await executeWriteRecipe({
+      domain,
+      name: 'checkout',
+      steps: [{ runRecipe: { name: 'login', params: { user: '{{user}}' } } }, { click: '#pay' }]
+    });
+
+    const result = await executeRunRecipe(deps, { name: 'checkout', domain, params: { user: 'bob' } }, { runStep });
+
+    assert.strictEqual(result.steps, 2);
+    assert.strictEqual(result.results[0].output.recipe, 'login');
+    assert.deepStrictEqual(ran.map(s => Object.keys(s)[0]), ['fill', 'fill', 'click', 'click']);
+    assert.strictEqual(ran[0].fill.value, 'bob');
+  });
+
+  it('should detect recipe cycles', async () => {
+    await executeWriteRecipe({ domain, name: 'a', steps: [{ runRecipe: 'b' }] });
+    await executeWriteRecipe({ domain, name: 'b', steps: [{ runRecipe: 'a' }] });
+
+    const result = executeRunRecipe(deps, { name: 'a', domain }, { runStep });
+    await assert.rejects(result, /Recipe cycle: .*\/a -> .*\/b -> .*\/a/);
+  });
+
+  it('should stop at the first failing step', async () => {
+    await executeWriteRecipe({ domain, name: 'flaky', steps: [{ click: '#broken' }, { click: '#never' }] });
+
+    await assert.rejects(
+      () => executeRunRecipe(deps, { name: 'flaky', domain }, { runStep }),
+      /Recipe "flaky" step 1 \(click\) failed: Element not found/
+    );
+    assert.strictEqual(ran.length, 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests: validation and dispatch
+// ---------------------------------------------------------------------------
+
+describe('StepValidator - recipe validation', () => {
+  it('should accept a valid writeRecipe', () => {
+    const errors = validateStepInternal({
+      writeRecipe: {
+        domain: 'example.com',
+        name: 'login',
+        params: { user: { description: 'Username' } },
+        defaults: { readyWhen: '() => true' },
+        steps: [{ click: '#go' }]
+      }
+    });
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it('should reject writeRecipe without steps or with bad defaults', () => {
+    assert.ok(validateStepInternal({ writeRecipe: { domain: 'example.com', name: 'x', steps: [] } }).length > 0);
+    assert.ok(validateStepInternal({
+      writeRecipe: { domain: 'example.com', name: 'x', steps: [{ click: '#a' }], defaults: { observe: '() => 1' } }
+    }).length > 0);
+  });
+
+  it('should accept runRecipe as a name or an object', () => {
+    assert.deepStrictEqual(validateStepInternal({ runRecipe: 'login' }), []);
+    assert.deepStrictEqual(validateStepInternal({ runRecipe: { name: 'login', params: { user: 'a' } } }), []);
+  });
+
+  it('should reject runRecipe without a name', () => {
+    assert.ok(validateStepInternal({ runRecipe: { params: {} } }).length > 0);
+    assert.ok(validateStepInternal({ runRecipe: '' }).length > 0);
+  });
+});
+
+describe('step-executors dispatch for recipes', () => {
+  const domains = [];
+
+  afterEach(async () => {
+    mock.reset();
+    await cleanupRecipes(domains.splice(0));
+  });
+
+  it('should write and run a recipe through executeStep', async () => {
+    const domain = uniqueDomain('dispatch');
+    domains.push(domain);
+    const deps = {
+      pageController: {
+        evaluateInFrame: mock.fn(async () => ({ result: { value: null } })),
+        session: { send: mock.fn(async () => ({})) }
+      }
+    };
+
+    const written = await executeStep(deps, {
+      writeRecipe: { domain, name: 'pause', params: { ms: { default: 10 } }, steps: [{ sleep: '{{ms}}' }] }
+    });
+    assert.strictEqual(written.status, 'ok');
+
+    const result = await executeStep(deps, { runRecipe: { name: 'pause', domain, params: { ms: 1 } } });
+    assert.strictEqual(result.action, 'runRecipe');
+    assert.strictEqual(result.status, 'ok');
+    assert.deepStrictEqual(result.output.results, [{ action: 'sleep', status: 'ok' }]);
+  });
+});
@@ -0,0 +1,274 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createFrameSessionTracker, createPageSession } from '../cdp/index.js';
+import { createAriaSnapshot } from '../aria.js';
+
+/**
+ * Mock CDPConnection that attaches the configured iframe targets when a
+ * session enables auto-attach, like Chrome does for existing OOPIFs.
+ */
+function createMockConnection(children = {}) {
+  const eventListeners = new Map();
+
+  const connection = {
+    sentCommands: [],
+
+    on(event, callback) {
+      if (!eventListeners.has(event)) eventListeners.set(event, new Set());
+      eventListeners.get(event).add(callback);
+    },
+
+    off(event, callback) {
+      eventListeners.get(event)?.delete(callback);
+    },
+
+    emit(event, params) {
+      for (const callback of eventListeners.get(event) || []) callback(params);
+    },
+
+    listenerCount(event) {
+      return eventListeners.get(event)?.size || 0;
+    },
+
+    async sendToSession(sessionId, method, params = {}) {
+      connection.sentCommands.push({ sessionId, method, params });
+      if (method === 'Target.setAutoAttach' && params.autoAttach) {
+        for (const targetInfo of children[sessionId] || []) {
+          connection.emit(`${sessionId}:Target.attachedToTarget`, {
+            sessionId: `session-${targetInfo.targetId}`,
+            targetInfo,
+            waitingForDebugger: false
+          });
+        }
+      }
+      return {};
+    }
+  };
+  return connection;
+}
+
+describe('FrameSessionTracker', () => {
+  let connection;
+  let pageSession;
+  let tracker;
+
+  beforeEach(async () => {
+    connection = createMockConnection({
+      page: [
+        { targetId: 'FRAME-A', type: 'iframe', url: 'https://a.test/' },
+        { targetId: 'WORKER', type: 'worker', url: 'https://x.test/w.js' }
+      ],
+      'session-FRAME-A': [{ targetId: 'FRAME-B', type: 'iframe', url: 'https://b.test/' }]
+    });
+    pageSession = createPageSession(connection, 'page', 'PAGE');
+    tracker = createFrameSessionTracker(connection, pageSession);
+    await tracker.start();
+  });
+
+  afterEach(async () => {
+    await tracker.stop();
+  });
+
+  it('should enable flattened auto-attach on the page and on each frame', () => {
+    const autoAttach = connection.sentCommands.filter(c => c.method === 'Target.setAutoAttach');
+    assert.deepStrictEqual(autoAttach.map(c => c.sessionId), ['page', 'session-FRAME-A', 'session-FRAME-B']);
+    assert.strictEqual(autoAttach[0].params.flatten, true);
+    assert.strictEqual(autoAttach[0].params.waitForDebuggerOnStart, false);
+  });
+
+  it('should track iframe targets, including nested ones, and ignore others', () => {
+    const frames = tracker.getFrames();
+    assert.deepStrictEqual(frames.map(f => f.frameId), ['FRAME-A', 'FRAME-B']);
+    assert.strictEqual(frames[0].parentSession, pageSession);
+    assert.strictEqual(frames[1].parentSession, frames[0].session);
+    assert.strictEqual(tracker.getSession('FRAME-B').sessionId, 'session-FRAME-B');
+    assert.strictEqual(tracker.getSession('WORKER'), null);
+  });
+
+  it('should route commands through the child session', async () => {
+    await tracker.getSession('FRAME-A').send('Runtime.evaluate', { expression: '1' });
+    const last = connection.sentCommands[connection.sentCommands.length - 1];
+    assert.deepStrictEqual([last.sessionId, last.method], ['session-FRAME-A', 'Runtime.evaluate']);
+  });
+
+  it('should forget a detached frame and the frames nested in it', () => {
+    connection.emit('page:Target.detachedFromTarget', { sessionId: 'session-FRAME-A' });
+    assert.deepStrictEqual(tracker.getFrames(), []);
+  });
+
+  it('should remove its listeners on stop', async () => {
+    await tracker.stop();
+    assert.strictEqual(tracker.isStarted(), false);
+    assert.strictEqual(connection.listenerCount('page:Target.attachedToTarget'), 0);
+    assert.deepStrictEqual(tracker.getFrames(), []);
+  });
+});
+
+describe('AriaSnapshot - out-of-process iframes', () => {
+  let pageSession;
+  let frameA;
+  let frameB;
+  let frameSessions;
+  let marks;
+  let inProcessFrames;
+
+  function childSession(label, handlers) {
+    return { label, send: mock.fn(async (method, params) => handlers(method, params)) };
+  }
+
+  // Owner <iframe> elements: position in the parent document and content-box offset
+  function ownerHandlers(owners, evaluate) {
+    return (method, params) => {
+      if (method === 'DOM.getFrameOwner') return { backendNodeId: params.frameId };
+      if (method === 'DOM.resolveNode') return { object: { objectId: `owner-${params.backendNodeId}` } };
+      if (method === 'Runtime.releaseObject') return {};
+      if (method === 'Runtime.callFunctionOn') {
+        const owner = owners[params.objectId.replace('owner-', '')];
+        if (params.functionDeclaration.includes('indexOf(this)')) return { result: { value: owner.position } };
+        if (params.functionDeclaration.includes('getBoundingClientRect')) return { result: { value: { ...owner.offset } } };
+        if (params.functionDeclaration.includes('return this.__ariaFrameId')) return { result: { value: owner.mark || null } };
+        owner.mark = params.arguments[0].value;
+        marks.push([params.objectId, owner.mark]);
+        return { result: {} };
+      }
+      return evaluate(method, params);
+    };
+  }
+
+  beforeEach(() => {
+    marks = [];
+    inProcessFrames = [{ frame: { id: 'SAME', parentId: 'MAIN' } }];
+    frameB = childSession('B', (method, params) => {
+      if (params.expression.includes('const refsMap')) {
+        return { result: { value: { box: { x: 5, y: 5, width: 20, height: 10 }, isConnected: true, isVisible: true } } };
+      }
+      return { result: { value: {
+        tree: { role: 'generic', children: [{ role: 'button', name: 'Pay', ref: 'f3s1e1' }] },
+        yaml: '- button "Pay" [ref=f3s1e1]',
+        refs: { f3s1e1: {} },
+        snapshotId: 'f3s1'
+      } } };
+    });
+    frameA = childSession('A', ownerHandlers({ 'FRAME-B': { position: 0, offset: { x: 10, y: 20 } } }, (method, params) => {
+      if (params.expression.includes('const refsMap')) {
+        return { result: { value: { box: { x: 1, y: 2, width: 30, height: 10 }, isConnected: true, isVisible: true } } };
+      }
+      return { result: { value: {
+        tree: { role: 'generic', children: [{ role: 'textbox', name: 'Card', ref: 'f2s1e1' }, { role: 'document', name: 'pay', isFrame: true, frameRef: 'f3' }] },
+        yaml: '- textbox "Card" [ref=f2s1e1]\n- document "pay" [frame=f3]',
+        refs: { f2s1e1: {} },
+        snapshotId: 'f2s1'
+      } } };
+    }));
+    pageSession = childSession('page', ownerHandlers({ 'FRAME-A': { position: 1, offset: { x: 100, y: 200 } } }, (method, params) => {
+      if (method === 'Page.getFrameTree') {
+        return { frameTree: { frame: { id: 'MAIN' }, childFrames: inProcessFrames } };
+      }
+      return { result: { value: {
+        tree: { role: 'main', children: [{ role: 'heading', name: 'Checkout', ref: 'f0s1e1' }, { role: 'document', name: 'checkout', isFrame: true, frameRef: 'f2' }] },
+        yaml: '- main:\n  - heading "Checkout" [ref=f0s1e1]\n  - document "checkout" [frame=f2]',
+        refs: { f0s1e1: {} },
+        snapshotId: 'f0s1'
+      } } };
+    }));
+
+    frameSessions = {
+      getFrames: () => [
+        { frameId: 'FRAME-A', session: frameA, parentSession: pageSession },
+        { frameId: 'FRAME-B', session: frameB, parentSession: frameA }
+      ]
+    };
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should number OOPIFs after in-process frames, nested ones last', async () => {
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    const frames = await aria.listRemoteFrames();
+    assert.deepStrictEqual(frames.map(f => [f.identifier, f.frameId]), [['f2', 'FRAME-A'], ['f3', 'FRAME-B']]);
+    assert.strictEqual(frames[1].parent, frames[0]);
+  });
+
+  it('should stitch OOPIF snapshots under their placeholders', async () => {
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    const result = await aria.generate({ includeFrames: true });
+
+    assert.deepStrictEqual(marks, [['owner-FRAME-A', 'f2'], ['owner-FRAME-B', 'f3']]);
+    assert.strictEqual(result.yaml, [
+      '- main:',
+      '  - heading "Checkout" [ref=f0s1e1]',
+      '  - document "checkout" [frame=f2]:',
+      '    - textbox "Card" [ref=f2s1e1]',
+      '    - document "pay" [frame=f3]:',
+      '      - button "Pay" [ref=f3s1e1]'
+    ].join('\n'));
+    assert.deepStrictEqual(Object.keys(result.refs), ['f0s1e1', 'f2s1e1', 'f3s1e1']);
+    assert.strictEqual(result.tree.children[1].children[1].children[0].ref, 'f3s1e1');
+
+    const childExpression = frameA.send.mock.calls.find(c => c.arguments[0] === 'Runtime.evaluate').arguments[1].expression;
+    assert.ok(childExpression.includes('"frameIdentifier":"f2"'));
+  });
+
+  it('should leave OOPIFs out without includeFrames', async () => {
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    await aria.generate();
+    assert.deepStrictEqual(marks, []);
+    assert.strictEqual(frameA.send.mock.calls.length, 0);
+  });
+
+  it('should resolve OOPIF refs in their session with page coordinates', async () => {
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    await aria.generate({ includeFrames: true });
+
+    const info = await aria.getElementByRef('f3s1e1');
+    assert.deepStrictEqual(info.box, { x: 115, y: 225, width: 20, height: 10 });
+    assert.strictEqual(await aria.getRefSession('f3s1e1'), frameB);
+    assert.strictEqual(await aria.getRefSession('f1s1e1'), null);
+  });
+
+  it('should keep resolving OOPIF refs after in-process iframes change', async () => {
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    await aria.generate({ includeFrames: true });
+    inProcessFrames.push({ frame: { id: 'ADDED', parentId: 'MAIN' } });
+
+    assert.deepStrictEqual((await aria.listRemoteFrames()).map(f => f.identifier), ['f3', 'f4']);
+    assert.strictEqual(await aria.getRefSession('f2s1e1'), frameA);
+    assert.strictEqual(await aria.getRefSession('f3s1e1'), frameB);
+    assert.strictEqual(await aria.getRefSession('f4s1e1'), null);
+  });
+
+  it('should look up OOPIF refs from the snapshot without querying the frames again', async () => {
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    await aria.generate({ includeFrames: true });
+    const callsAfterSnapshot = pageSession.send.mock.calls.length;
+
+    assert.strictEqual(await aria.getRefSession('f2s1e1'), frameA);
+    assert.strictEqual(await aria.getRefSession('f3s1e1'), frameB);
+    assert.strictEqual(await aria.getRefSession('f1s1e1'), null);
+    assert.strictEqual(pageSession.send.mock.calls.length, callsAfterSnapshot);
+  });
+
+  it('should read the prefixes back from the owner marks in a new process', async () => {
+    await createAriaSnapshot(pageSession, { frameSessions }).generate({ includeFrames: true });
+    inProcessFrames.push({ frame: { id: 'ADDED', parentId: 'MAIN' } });
+
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    assert.strictEqual(await aria.getRefSession('f3s1e1'), frameB);
+    const callsAfterFirstLookup = pageSession.send.mock.calls.length;
+    assert.strictEqual(await aria.getRefSession('f2s1e1'), frameA);
+    assert.strictEqual(pageSession.send.mock.calls.length, callsAfterFirstLookup);
+  });
+
+  it('should not resolve OOPIF refs before a snapshot marked the frames', async () => {
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    assert.strictEqual(await aria.getRefSession('f3s1e1'), null);
+  });
+
+  it('should not look up frames for main-frame refs', async () => {
+    const aria = createAriaSnapshot(pageSession, { frameSessions });
+    assert.strictEqual(await aria.getRefSession('f0s1e1'), null);
+    assert.strictEqual(pageSession.send.mock.calls.length, 0);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createHttpManager } from '../page/index.js';
+
+describe('HttpManager', () => {
+  let manager;
+  let mockSession;
+  let requestRouter;
+  let emulationManager;
+  let savedState;
+
+  function sentHeaders() {
+    return mockSession.send.mock.calls
+      .filter(c => c.arguments[0] === 'Network.setExtraHTTPHeaders')
+      .map(c => c.arguments[1].headers);
+  }
+
+  beforeEach(() => {
+    savedState = null;
+    mockSession = { send: mock.fn(async () => ({})) };
+    requestRouter = { setCredentials: mock.fn(async () => {}) };
+    let userAgent = null;
+    emulationManager = {
+      setUserAgent: mock.fn(async (value) => { userAgent = value ? { userAgent: value } : null; return userAgent; }),
+      getState: () => ({ userAgent })
+    };
+    manager = createHttpManager(mockSession, {
+      requestRouter,
+      emulationManager,
+      onStateChanged: (state) => { savedState = state; },
+      getSavedState: () => savedState
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should require a request router', () => {
+    assert.throws(() => createHttpManager(mockSession, {}), { message: 'Request router is required' });
+  });
+
+  it('should merge headers case-insensitively and remove null ones', async () => {
+    await manager.setHeaders({ 'X-Test-User': 'alice', 'X-Flags': 'beta' });
+    const result = await manager.setHeaders({ 'x-test-user': 'bob', 'X-Flags': null });
+
+    assert.deepStrictEqual(result, { 'x-test-user': 'bob' });
+    assert.deepStrictEqual(sentHeaders(), [{ 'X-Test-User': 'alice', 'X-Flags': 'beta' }, { 'x-test-user': 'bob' }]);
+    assert.deepStrictEqual(savedState, { headers: { 'x-test-user': 'bob' }, credentials: null });
+  });
+
+  it('should clear all headers with null', async () => {
+    await manager.setHeaders({ 'X-A': '1' });
+    assert.strictEqual(await manager.setHeaders(null), null);
+    assert.deepStrictEqual(sentHeaders().pop(), {});
+  });
+
+  it('should hand credentials to the request router and mask the password in describe', async () => {
+    await manager.setCredentials({ username: 'qa', password: 's3cret', origin: 'https://staging.example.com' });
+
+    assert.deepStrictEqual(requestRouter.setCredentials.mock.calls[0].arguments[0], { username: 'qa', password: 's3cret', origin: 'https://staging.example.com' });
+    assert.strictEqual(savedState.credentials.password, 's3cret');
+    assert.strictEqual(manager.describe().credentials.password, '***');
+  });
+
+  it('should delegate the user agent to the emulation manager', async () => {
+    await manager.setUserAgent('QA-Bot/1.0');
+    assert.deepStrictEqual(emulationManager.setUserAgent.mock.calls[0].arguments, ['QA-Bot/1.0']);
+    assert.strictEqual(manager.describe().userAgent, 'QA-Bot/1.0');
+  });
+
+  it('should re-apply saved headers and credentials on initialize', async () => {
+    savedState = { headers: { 'X-Test-User': 'alice' }, credentials: { username: 'qa', password: 'pw' } };
+    await manager.initialize();
+
+    assert.deepStrictEqual(sentHeaders(), [{ 'X-Test-User': 'alice' }]);
+    assert.strictEqual(requestRouter.setCredentials.mock.calls.length, 1);
+    assert.deepStrictEqual(manager.getState(), savedState);
+  });
+
+  it('should do nothing on initialize without saved state', async () => {
+    await manager.initialize();
+    assert.strictEqual(mockSession.send.mock.calls.length, 0);
+    assert.strictEqual(requestRouter.setCredentials.mock.calls.length, 0);
+  });
+
+  it('should clear headers and credentials on reset', async () => {
+    await manager.setHeaders({ 'X-A': '1' });
+    await manager.setCredentials({ username: 'qa', password: 'pw' });
+    await manager.reset();
+
+    assert.deepStrictEqual(savedState, { headers: null, credentials: null });
+    assert.strictEqual(requestRouter.setCredentials.mock.calls.pop().arguments[0], null);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import zlib from 'zlib';
+import { compareImages, decodePng, encodePng } from '../capture/index.js';
+
+function solid(width, height, [r, g, b, a = 255]) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([r, g, b, a], i * 4);
+  }
+  return { width, height, data };
+}
+
+function setPixel(image, x, y, rgba) {
+  image.data.set(rgba, (y * image.width + x) * 4);
+}
+
+describe('PNG codec', () => {
+  it('should round-trip RGBA pixels', () => {
+    const image = solid(3, 2, [10, 20, 30, 255]);
+    setPixel(image, 2, 1, [200, 100, 50, 128]);
+
+    const decoded = decodePng(encodePng(image));
+    assert.strictEqual(decoded.width, 3);
+    assert.strictEqual(decoded.height, 2);
+    assert.deepStrictEqual(Array.from(decoded.data), Array.from(image.data));
+  });
+
+  it('should decode filtered RGB scanlines', () => {
+    // 2x2 RGB image: row 0 uses Sub, row 1 uses Up
+    const raw = Buffer.from([
+      1, 10, 20, 30, 5, 5, 5,
+      2, 1, 1, 1, 1, 1, 1
+    ]);
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(2, 0);
+    ihdr.writeUInt32BE(2, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 2;
+    const chunk = (type, data) => {
+      const len = Buffer.alloc(4);
+      len.writeUInt32BE(data.length);
+      return Buffer.concat([len, Buffer.from(type), data, Buffer.alloc(4)]);
+    };
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', ihdr),
+      chunk('IDAT', zlib.deflateSync(raw)),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+
+    const { data } = decodePng(png);
+    assert.deepStrictEqual(Array.from(data), [
+      10, 20, 30, 255, 15, 25, 35, 255,
+      11, 21, 31, 255, 16, 26, 36, 255
+    ]);
+  });
+
+  it('should reject non-PNG data', () => {
+    assert.throws(() => decodePng(Buffer.from('not a png')), /Not a PNG/);
+  });
+});
+
+describe('compareImages', () => {
+  it('should report no difference for identical images', () => {
+    const result = compareImages(solid(4, 4, [255, 255, 255]), solid(4, 4, [255, 255, 255]));
+
+    assert.strictEqual(result.diffPixels, 0);
+    assert.strictEqual(result.mismatchPercent, 0);
+    assert.strictEqual(result.sizeMismatch, false);
+  });
+
+  it('should count changed pixels and paint them red in the diff', () => {
+    const expected = solid(10, 10, [255, 255, 255]);
+    const actual = solid(10, 10, [255, 255, 255]);
+    for (let x = 2; x < 7; x++) setPixel(actual, x, 5, [0, 0, 0, 255]);
+
+    const result = compareImages(expected, actual, { antialiasing: false });
+    assert.strictEqual(result.diffPixels, 5);
+    assert.strictEqual(result.mismatchPercent, 5);
+    assert.deepStrictEqual(Array.from(result.diff.data.slice((5 * 10 + 2) * 4, (5 * 10 + 2) * 4 + 4)), [255, 0, 0, 255]);
+  });
+
+  it('should tolerate small color changes below the pixel threshold', () => {
+    const result = compareImages(solid(4, 4, [100, 100, 100]), solid(4, 4, [102, 100, 100]));
+    assert.strictEqual(result.diffPixels, 0);
+
+    const strict = compareImages(solid(4, 4, [100, 100, 100]), solid(4, 4, [102, 100, 100]), { threshold: 0 });
+    assert.strictEqual(strict.diffPixels, 16);
+  });
+
+  it('should skip masked regions', () => {
+    const expected = solid(10, 10, [255, 255, 255]);
+    const actual = solid(10, 10, [255, 255, 255]);
+    setPixel(actual, 1, 1, [0, 0, 0, 255]);
+    setPixel(actual, 8, 8, [0, 0, 0, 255]);
+
+    const result = compareImages(expected, actual, { antialiasing: false, masks: [{ x: 0, y: 0, width: 3, height: 3 }] });
+    assert.strictEqual(result.diffPixels, 1);
+    assert.strictEqual(result.maskedPixels, 9);
+    assert.strictEqual(result.comparedPixels, 91);
+  });
+
+  it('should classify anti-aliased edge pixels separately', () => {
+    // Vertical black/white edge; the actual image adds a gray transition column
+    const expected = solid(8, 8, [255, 255, 255]);
+    const actual = solid(8, 8, [255, 255, 255]);
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 4; x++) {
+        setPixel(expected, x, y, [0, 0, 0, 255]);
+        setPixel(actual, x, y, [0, 0, 0, 255]);
+      }
+      setPixel(actual, 4, y, [128, 128, 128, 255]);
+    }
+
+    const tolerant = compareImages(expected, actual);
+    const strict = compareImages(expected, actual, { antialiasing: false });
+    assert.strictEqual(tolerant.diffPixels, 0);
+    assert.strictEqual(tolerant.antialiasedPixels, 8);
+    assert.strictEqual(strict.diffPixels, 8);
+  });
+
+  it('should count pixels outside the overlap when sizes differ', () => {
+    const result = compareImages(solid(4, 4, [0, 0, 0]), solid(4, 5, [0, 0, 0]));
+
+    assert.strictEqual(result.sizeMismatch, true);
+    assert.strictEqual(result.height, 5);
+    assert.strictEqual(result.diffPixels, 4);
+  });
+});
@@ -567,6 +567,55 @@ describe('InputEmulator', () => {
     });
   });
 
+  describe('touch gestures', () => {
+    it('should tap with touchStart and touchEnd', async () => {
+      await input.tap(100, 200);
+
+      const calls = mockCdp.send.mock.calls.map(c => c.arguments);
+      assert.deepStrictEqual(calls.map(([method, params]) => [method, params.type]), [
+        ['Input.dispatchTouchEvent', 'touchStart'],
+        ['Input.dispatchTouchEvent', 'touchEnd']
+      ]);
+      assert.deepStrictEqual(calls[0][1].touchPoints, [{ x: 100, y: 200 }]);
+      assert.deepStrictEqual(calls[1][1].touchPoints, []);
+    });
+
+    it('should hold the touch for a long press', async () => {
+      const start = Date.now();
+      await input.longPress(10, 20, { duration: 50 });
+      assert.ok(Date.now() - start >= 45);
+      assert.strictEqual(mockCdp.send.mock.calls[1].arguments[1].type, 'touchEnd');
+    });
+
+    it('should swipe along the finger direction at a speed matching the duration', async () => {
+      await input.swipe(200, 400, { direction: 'up', distance: 300, duration: 500 });
+
+      const [method, params] = mockCdp.send.mock.calls[0].arguments;
+      assert.strictEqual(method, 'Input.synthesizeScrollGesture');
+      assert.strictEqual(params.xDistance, 0);
+      assert.strictEqual(params.yDistance, -300);
+      assert.strictEqual(params.speed, 600);
+      assert.strictEqual(params.gestureSourceType, 'touch');
+    });
+
+    it('should reject unknown swipe directions', async () => {
+      await assert.rejects(() => input.swipe(0, 0, { direction: 'sideways' }), /Invalid swipe direction/);
+    });
+
+    it('should pinch with the scale factor', async () => {
+      await input.pinch(300, 300, { scale: 0.5 });
+
+      const [method, params] = mockCdp.send.mock.calls[0].arguments;
+      assert.strictEqual(method, 'Input.synthesizePinchGesture');
+      assert.strictEqual(params.scaleFactor, 0.5);
+      assert.strictEqual(params.gestureSourceType, 'touch');
+    });
+
+    it('should reject non-positive pinch scales', async () => {
+      await assert.rejects(() => input.pinch(0, 0, { scale: 0 }), /positive number/);
+    });
+  });
+
   describe('pressCombo', () => {
     it('should parse and press Control+a', async () => {
       await input.pressCombo('Control+a');
@@ -0,0 +1,198 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { buildToolDefinitions, createMcpServer, runMcpStdio, MCP_PROTOCOL_VERSIONS } from '../cli/index.js';
+import { getAllStepTypes } from '../runner/step-registry.js';
+import { getStepSchema } from '../runner/step-schema.js';
+
+describe('MCP server', () => {
+  let tmpDir;
+  let requests;
+  let server;
+  let session;
+
+  function call(name, args = {}, id = 1) {
+    return server.handleMessage({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } }, session);
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-skill-mcp-'));
+    requests = [];
+    server = createMcpServer({
+      handleRequest: async (request) => {
+        requests.push(request);
+        const step = Object.keys(request.steps[0]).find(key => key !== 'optional');
+        if (step === 'newTab') return { status: 'ok', tab: 't1', steps: [{ action: 'newTab', status: 'ok' }] };
+        if (step === 'closeTab') return { status: 'ok', closed: request.steps[0].closeTab };
+        if (step === 'snapshot') {
+          const snapshot = path.join(tmpDir, 't1.snapshot.yaml');
+          fs.writeFileSync(snapshot, '- heading "Hello"');
+          return { status: 'ok', tab: request.tab, steps: [{ action: 'snapshot', status: 'ok', output: { artifacts: { snapshot } } }] };
+        }
+        if (step === 'click') {
+          const screenshot = path.join(tmpDir, 't1.after.png');
+          fs.writeFileSync(screenshot, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+          return { status: 'ok', tab: request.tab, screenshot, steps: [{ action: 'click', status: 'ok' }] };
+        }
+        return { status: 'error', tab: request.tab, steps: [{ action: step, status: 'error', error: 'boom' }] };
+      }
+    });
+    session = server.createSession();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('buildToolDefinitions', () => {
+    it('should define one tool per registered step', () => {
+      const tools = buildToolDefinitions();
+      assert.deepStrictEqual(tools.map(tool => tool.name).sort(), getAllStepTypes().sort());
+      for (const tool of tools) {
+        assert.strictEqual(tool.inputSchema.type, 'object');
+        assert.ok(tool.inputSchema.properties.params);
+      }
+    });
+
+    it('should omit the tab argument for steps that choose their own tab', () => {
+      const tools = Object.fromEntries(buildToolDefinitions().map(tool => [tool.name, tool]));
+      assert.strictEqual(tools.newTab.inputSchema.properties.tab, undefined);
+      assert.ok(tools.click.inputSchema.properties.tab);
+    });
+
+    it('should describe params with the registry schema', () => {
+      const tools = Object.fromEntries(buildToolDefinitions().map(tool => [tool.name, tool]));
+      const { description, ...params } = tools.scroll.inputSchema.properties.params;
+      const { description: schemaDescription, ...schema } = getStepSchema('scroll');
+      assert.deepStrictEqual(params, schema);
+      assert.ok(description.startsWith('The scroll step value'));
+      assert.ok(tools.if.inputSchema.$defs.steps);
+    });
+  });
+
+  describe('handleMessage', () => {
+    it('should negotiate the protocol version on initialize', async () => {
+      const reply = await server.handleMessage({
+        jsonrpc: '2.0', id: 1, method: 'initialize',
+        params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1' } }
+      }, session);
+      assert.strictEqual(reply.result.protocolVersion, '2024-11-05');
+      assert.strictEqual(reply.result.serverInfo.name, 'cdp-skill');
+      assert.ok(reply.result.capabilities.tools);
+
+      const unknown = await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } }, session);
+      assert.strictEqual(unknown.result.protocolVersion, MCP_PROTOCOL_VERSIONS[0]);
+    });
+
+    it('should not answer notifications', async () => {
+      const reply = await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, session);
+      assert.strictEqual(reply, null);
+    });
+
+    it('should report unknown methods and tools', async () => {
+      const method = await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'nope' }, session);
+      assert.strictEqual(method.error.code, -32601);
+
+      const tool = await call('nope');
+      assert.strictEqual(tool.error.code, -32602);
+    });
+
+    it('should report parse errors', async () => {
+      const reply = await server.handleText('{not json', session);
+      assert.strictEqual(reply.id, null);
+      assert.strictEqual(reply.error.code, -32700);
+    });
+
+    it('should answer batches', async () => {
+      const replies = await server.handleMessage([
+        { jsonrpc: '2.0', id: 1, method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' }
+      ], session);
+      assert.deepStrictEqual(replies, [{ jsonrpc: '2.0', id: 1, result: {} }]);
+    });
+  });
+
+  describe('tools/call', () => {
+    it('should keep using the last tab until it is closed', async () => {
+      await call('newTab', { params: 'https://example.com' });
+      assert.strictEqual(requests[0].tab, undefined);
+
+      await call('click', { params: '#go' });
+      assert.strictEqual(requests[1].tab, 't1');
+
+      await call('closeTab');
+      assert.deepStrictEqual(requests[2].steps, [{ closeTab: 't1' }]);
+
+      await call('click', { params: '#go' });
+      assert.strictEqual(requests[3].tab, undefined);
+    });
+
+    it('should pass timeout and optional through', async () => {
+      await call('click', { params: '#go', tab: 't2', timeout: 500, optional: true });
+      assert.deepStrictEqual(requests[0], { steps: [{ click: '#go', optional: true }], tab: 't2', timeout: 500 });
+    });
+
+    it('should embed screenshots and replace paths with resource URIs', async () => {
+      const reply = await call('click', { params: '#go', tab: 't1' });
+      const [text, image] = reply.result.content;
+      const response = JSON.parse(text.text);
+
+      assert.strictEqual(response.screenshot, 'cdp-skill://files/t1.after.png');
+      assert.strictEqual(image.type, 'resource');
+      assert.strictEqual(image.resource.mimeType, 'image/png');
+      assert.strictEqual(image.resource.blob, Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64'));
+      assert.strictEqual(reply.result.isError, false);
+    });
+
+    it('should link snapshot files and serve them from resources/read', async () => {
+      const reply = await call('snapshot', { tab: 't1' });
+      const link = reply.result.content[1];
+      assert.deepStrictEqual(link, { type: 'resource_link', uri: 'cdp-skill://files/t1.snapshot.yaml', name: 't1.snapshot.yaml', mimeType: 'text/yaml' });
+
+      const read = await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'resources/read', params: { uri: link.uri } }, session);
+      assert.strictEqual(read.result.contents[0].text, '- heading "Hello"');
+
+      const list = await server.handleMessage({ jsonrpc: '2.0', id: 3, method: 'resources/list' }, session);
+      assert.deepStrictEqual(list.result.resources.map(r => r.uri), [link.uri]);
+    });
+
+    it('should embed snapshot text for clients older than resource links', async () => {
+      session.protocolVersion = '2024-11-05';
+      const reply = await call('snapshot', { tab: 't1' });
+      assert.strictEqual(reply.result.content[1].type, 'resource');
+      assert.strictEqual(reply.result.content[1].resource.text, '- heading "Hello"');
+    });
+
+    it('should flag failed steps as tool errors', async () => {
+      const reply = await call('hover', { params: '#missing', tab: 't1' });
+      assert.strictEqual(reply.result.isError, true);
+    });
+
+    it('should refuse to read files it did not return', async () => {
+      const reply = await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri: 'cdp-skill://files/passwd' } }, session);
+      assert.strictEqual(reply.error.code, -32002);
+    });
+  });
+
+  describe('runMcpStdio', () => {
+    it('should answer one line per request and stop when input ends', async () => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      let written = '';
+      output.on('data', chunk => { written += chunk; });
+
+      const done = runMcpStdio({ input, output, server });
+      input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+      input.end('{"jsonrpc":"2.0","id":2,"method":"tools/list"}');
+      await done;
+
+      const lines = written.trim().split('\n').map(line => JSON.parse(line));
+      assert.deepStrictEqual(lines.map(line => line.id), [1, 2]);
+      assert.ok(lines[1].result.tools.length > 0);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import vm from 'node:vm';
+import { createMilestoneVerifier } from '../runner/milestone-verifier.js';
+
+describe('MilestoneVerifier', () => {
+  let verifier;
+  let mockSession;
+  let pageState;
+
+  beforeEach(() => {
+    pageState = {
+      href: 'https://shop.example.com/checkout-step-two',
+      selectors: ['#content'],
+      values: {}
+    };
+    mockSession = {
+      send: mock.fn(async (method, params) => {
+        const expr = params.expression;
+        if (expr === 'location.href') {
+          return { result: { value: pageState.href } };
+        }
+        const selectorMatch = expr.match(/^document\.querySelector\((.*)\) !== null$/);
+        if (selectorMatch) {
+          return { result: { value: pageState.selectors.includes(JSON.parse(selectorMatch[1])) } };
+        }
+        if (expr.includes('throwsHere')) {
+          return { exceptionDetails: { text: 'Uncaught', exception: { description: 'ReferenceError: throwsHere is not defined\n    at <anonymous>:1:1' } } };
+        }
+        const key = Object.keys(pageState.values).find(k => expr.includes(k));
+        return { result: { value: key ? pageState.values[key] : undefined } };
+      })
+    };
+    verifier = createMilestoneVerifier(mockSession);
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  describe('check', () => {
+    it('should pass eval_truthy for truthy values and await promises', async () => {
+      pageState.values.isDone = true;
+      const result = await verifier.check({ eval_truthy: 'window.isDone' });
+
+      assert.strictEqual(result.passed, true);
+      const params = mockSession.send.mock.calls[0].arguments[1];
+      assert.strictEqual(params.awaitPromise, true);
+      assert.strictEqual(params.returnByValue, true);
+    });
+
+    it('should use the last value of a statement-form eval_truthy', async () => {
+      // Evaluate for real, as a script, to check the source stays valid JavaScript
+      const page = { document: { getElementById: () => ({ value: 'December 25, 2025 10:00 AM' }) } };
+      mockSession.send = mock.fn(async (method, params) => ({ result: { value: vm.runInNewContext(params.expression, page) } }));
+      const source = "const v = document.getElementById('dateAndTimePickerInput')?.value || ''; v.includes('December') && v.includes('25') && v.includes('2025')";
+
+      assert.deepStrictEqual(await verifier.check({ eval_truthy: source }), { passed: true, detail: 'eval_truthy' });
+      assert.strictEqual(mockSession.send.mock.calls[0].arguments[1].replMode, true);
+
+      page.document.getElementById = () => ({ value: 'November 1, 2025' });
+      assert.strictEqual((await verifier.check({ eval_truthy: source })).passed, false);
+    });
+
+    it('should fail eval_truthy with the returned value', async () => {
+      pageState.values.count = 0;
+      const result = await verifier.check({ eval_truthy: 'window.count' });
+
+      assert.strictEqual(result.passed, false);
+      assert.strictEqual(result.detail, 'eval_truthy returned 0');
+    });
+
+    it('should report evaluation errors as failures', async () => {
+      const result = await verifier.check({ eval_truthy: 'throwsHere()' });
+
+      assert.strictEqual(result.passed, false);
+      assert.strictEqual(result.detail, 'error: ReferenceError: throwsHere is not defined');
+    });
+
+    it('should check dom_exists and url_contains', async () => {
+      assert.strictEqual((await verifier.check({ dom_exists: '#content' })).passed, true);
+      assert.strictEqual((await verifier.check({ dom_exists: '#missing' })).passed, false);
+      assert.strictEqual((await verifier.check({ url_contains: '/checkout-step-two' })).passed, true);
+      assert.match((await verifier.check({ url_contains: '/cart' })).detail, /does not contain \/cart/);
+    });
+
+    it('should require every check in all and one check in any', async () => {
+      const all = await verifier.check({ all: [{ url_contains: 'shop' }, { dom_exists: '#missing' }] });
+      const any = await verifier.check({ any: [{ dom_exists: '#missing' }, { url_contains: 'shop' }] });
+
+      assert.strictEqual(all.passed, false);
+      assert.strictEqual(all.detail, 'no element matches #missing');
+      assert.strictEqual(any.passed, true);
+    });
+
+    it('should fail unsupported verify blocks', async () => {
+      const result = await verifier.check({ screenshot_matches: 'x.png' });
+      assert.strictEqual(result.passed, false);
+      assert.match(result.detail, /unsupported verify keys: screenshot_matches/);
+    });
+  });
+
+  describe('verifyMilestones', () => {
+    it('should sum the weights of passed milestones', async () => {
+      const result = await verifier.verifyMilestones([
+        { id: 'has_content', weight: 0.1, verify: { dom_exists: '#content' } },
+        { id: 'on_step_two', weight: 0.3, verify: { url_contains: 'step-two' } },
+        { id: 'ordered', weight: 0.6, verify: { dom_exists: '.complete-header' } }
+      ]);
+
+      assert.strictEqual(result.completion, 0.4);
+      assert.deepStrictEqual(result.milestones.map(m => m.passed), [true, true, false]);
+      assert.strictEqual(result.milestones[2].id, 'ordered');
+    });
+
+    it('should return zero completion for no milestones', async () => {
+      const result = await verifier.verifyMilestones([]);
+      assert.deepStrictEqual(result, { completion: 0, milestones: [] });
+    });
+  });
+});
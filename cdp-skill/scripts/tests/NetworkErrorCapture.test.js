@@ -1,6 +1,6 @@
 import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { createNetworkCapture } from '../capture/index.js';
+import { createNetworkCapture, matchesRequestFilter } from '../capture/index.js';
 
 describe('NetworkErrorCapture', () => {
   let networkCapture;
@@ -455,4 +455,221 @@ describe('NetworkErrorCapture', () => {
       assert.strictEqual(failures[0].url, 'unknown');
     });
   });
+
+  describe('request log', () => {
+    function sendRequest(id, url, method = 'GET', type = 'XHR') {
+      eventHandlers['Network.requestWillBeSent']({
+        requestId: id,
+        request: { url, method, headers: { Accept: '*/*' } },
+        timestamp: 1000,
+        wallTime: 1700000000,
+        type
+      });
+    }
+
+    function respond(id, status, extra = {}) {
+      eventHandlers['Network.responseReceived']({
+        requestId: id,
+        response: { url: 'x', status, statusText: 'S', mimeType: 'application/json', headers: {}, ...extra },
+        type: 'XHR',
+        timestamp: 1000.05
+      });
+      eventHandlers['Network.loadingFinished']({ requestId: id, timestamp: 1000.1, encodedDataLength: 256 });
+    }
+
+    it('should record completed requests', async () => {
+      await networkCapture.startCapture();
+      sendRequest('req-1', 'http://test.com/api/cart', 'POST');
+      respond('req-1', 200);
+
+      const requests = networkCapture.getRequests();
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].method, 'POST');
+      assert.strictEqual(requests[0].status, 200);
+      assert.strictEqual(requests[0].state, 'finished');
+      assert.strictEqual(requests[0].encodedDataLength, 256);
+    });
+
+    it('should mark failed requests', async () => {
+      await networkCapture.startCapture();
+      sendRequest('req-1', 'http://test.com/api');
+      eventHandlers['Network.loadingFailed']({
+        requestId: 'req-1',
+        type: 'XHR',
+        errorText: 'net::ERR_FAILED',
+        timestamp: 1001
+      });
+
+      const [entry] = networkCapture.getRequests();
+      assert.strictEqual(entry.state, 'failed');
+      assert.strictEqual(entry.errorText, 'net::ERR_FAILED');
+    });
+
+    it('should log each redirect hop separately', async () => {
+      await networkCapture.startCapture();
+      sendRequest('req-1', 'http://test.com/old', 'GET', 'Document');
+      eventHandlers['Network.requestWillBeSent']({
+        requestId: 'req-1',
+        request: { url: 'http://test.com/new', method: 'GET' },
+        redirectResponse: { status: 301, statusText: 'Moved', headers: { Location: '/new' } },
+        timestamp: 1000.02,
+        type: 'Document'
+      });
+      respond('req-1', 200);
+
+      const requests = networkCapture.getRequests();
+      assert.strictEqual(requests.length, 2);
+      assert.strictEqual(requests[0].status, 301);
+      assert.strictEqual(requests[0].state, 'redirected');
+      assert.strictEqual(requests[1].url, 'http://test.com/new');
+      assert.strictEqual(requests[1].status, 200);
+    });
+
+    it('should filter requests', async () => {
+      await networkCapture.startCapture();
+      sendRequest('req-1', 'http://test.com/api/cart', 'POST');
+      respond('req-1', 500);
+      sendRequest('req-2', 'http://test.com/app.js', 'GET', 'Script');
+      respond('req-2', 200);
+
+      assert.strictEqual(networkCapture.getRequests({ status: '5xx' }).length, 1);
+      assert.strictEqual(networkCapture.getRequests({ type: 'script' }).length, 1);
+      assert.strictEqual(networkCapture.getRequests({ url: '/api/' }).length, 1);
+      assert.strictEqual(networkCapture.getRequests({ method: 'post' }).length, 1);
+    });
+
+    it('should keep the log after stopping', async () => {
+      await networkCapture.startCapture();
+      sendRequest('req-1', 'http://test.com/api');
+      respond('req-1', 200);
+      await networkCapture.stopCapture({ disableDomain: false });
+
+      assert.strictEqual(networkCapture.getRequests().length, 1);
+      assert.strictEqual(networkCapture.isCapturing(), false);
+      assert.ok(!mockCdp.send.mock.calls.some(c => c.arguments[0] === 'Network.disable'));
+    });
+
+    it('should drop the oldest entries beyond maxEntries', async () => {
+      networkCapture = createNetworkCapture(mockCdp, { maxEntries: 2 });
+      await networkCapture.startCapture();
+      sendRequest('req-1', 'http://test.com/1');
+      sendRequest('req-2', 'http://test.com/2');
+      sendRequest('req-3', 'http://test.com/3');
+
+      const urls = networkCapture.getRequests().map(r => r.url);
+      assert.deepStrictEqual(urls, ['http://test.com/2', 'http://test.com/3']);
+    });
+
+    it('should clear the log', async () => {
+      await networkCapture.startCapture();
+      sendRequest('req-1', 'http://test.com/api');
+      networkCapture.clear();
+
+      assert.strictEqual(networkCapture.getRequests().length, 0);
+    });
+  });
+
+  describe('toHar', () => {
+    it('should build a HAR 1.2 log from completed requests', async () => {
+      await networkCapture.startCapture();
+      eventHandlers['Network.requestWillBeSent']({
+        requestId: 'req-1',
+        request: {
+          url: 'http://test.com/api?q=1',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          postData: '{"a":1}'
+        },
+        timestamp: 1000,
+        wallTime: 1700000000,
+        type: 'XHR'
+      });
+      eventHandlers['Network.responseReceived']({
+        requestId: 'req-1',
+        response: {
+          url: 'http://test.com/api?q=1',
+          status: 201,
+          statusText: 'Created',
+          mimeType: 'application/json',
+          headers: { 'Content-Length': '12' },
+          protocol: 'h2',
+          timing: { requestTime: 1000, dnsStart: -1, dnsEnd: -1, connectStart: -1, connectEnd: -1, sslStart: -1, sslEnd: -1, sendStart: 1, sendEnd: 2, receiveHeadersEnd: 40 }
+        },
+        type: 'XHR',
+        timestamp: 1000.04
+      });
+      eventHandlers['Network.loadingFinished']({ requestId: 'req-1', timestamp: 1000.05, encodedDataLength: 12 });
+
+      const har = await networkCapture.toHar();
+      assert.strictEqual(har.log.version, '1.2');
+      assert.strictEqual(har.log.entries.length, 1);
+
+      const entry = har.log.entries[0];
+      assert.strictEqual(entry.startedDateTime, new Date(1700000000 * 1000).toISOString());
+      assert.strictEqual(entry.request.httpVersion, 'HTTP/2');
+      assert.deepStrictEqual(entry.request.queryString, [{ name: 'q', value: '1' }]);
+      assert.strictEqual(entry.request.postData.mimeType, 'application/json');
+      assert.strictEqual(entry.response.status, 201);
+      assert.strictEqual(entry.response.content.mimeType, 'application/json');
+      assert.strictEqual(entry.timings.dns, -1);
+      assert.strictEqual(entry.timings.send, 1);
+      assert.strictEqual(entry.timings.wait, 38);
+    });
+
+    it('should skip pending requests and annotate failures', async () => {
+      await networkCapture.startCapture();
+      eventHandlers['Network.requestWillBeSent']({
+        requestId: 'req-1', request: { url: 'http://test.com/pending', method: 'GET' }, timestamp: 1000, type: 'XHR'
+      });
+      eventHandlers['Network.requestWillBeSent']({
+        requestId: 'req-2', request: { url: 'http://test.com/down', method: 'GET' }, timestamp: 1000, type: 'XHR'
+      });
+      eventHandlers['Network.loadingFailed']({
+        requestId: 'req-2', type: 'XHR', errorText: 'net::ERR_CONNECTION_REFUSED', timestamp: 1001
+      });
+
+      const har = await networkCapture.toHar();
+      assert.strictEqual(har.log.entries.length, 1);
+      assert.strictEqual(har.log.entries[0].response.status, 0);
+      assert.strictEqual(har.log.entries[0].response._error, 'net::ERR_CONNECTION_REFUSED');
+    });
+
+    it('should embed response bodies when content is requested', async () => {
+      mockCdp.send = mock.fn((method) => {
+        if (method === 'Network.getResponseBody') {
+          return Promise.resolve({ body: '{"ok":true}', base64Encoded: false });
+        }
+        return Promise.resolve();
+      });
+      networkCapture = createNetworkCapture(mockCdp);
+      await networkCapture.startCapture();
+      eventHandlers['Network.requestWillBeSent']({
+        requestId: 'req-1', request: { url: 'http://test.com/api', method: 'GET' }, timestamp: 1000, type: 'Fetch'
+      });
+      eventHandlers['Network.loadingFinished']({ requestId: 'req-1', timestamp: 1000.1, encodedDataLength: 11 });
+
+      const har = await networkCapture.toHar({ content: true });
+      assert.strictEqual(har.log.entries[0].response.content.text, '{"ok":true}');
+    });
+  });
+
+  describe('matchesRequestFilter', () => {
+    const entry = { url: 'http://test.com/api?id=1', method: 'GET', status: 404, resourceType: 'Fetch', state: 'finished' };
+
+    it('should fall back to substring match for invalid regex', () => {
+      assert.strictEqual(matchesRequestFilter(entry, { url: 'api?id=(' }), false);
+      assert.strictEqual(matchesRequestFilter(entry, { url: '/api?' }), true);
+    });
+
+    it('should match status classes and arrays', () => {
+      assert.strictEqual(matchesRequestFilter(entry, { status: '4xx' }), true);
+      assert.strictEqual(matchesRequestFilter(entry, { status: [200, 404] }), true);
+      assert.strictEqual(matchesRequestFilter(entry, { status: 200 }), false);
+    });
+
+    it('should treat 4xx/5xx responses as failed', () => {
+      assert.strictEqual(matchesRequestFilter(entry, { failed: true }), true);
+      assert.strictEqual(matchesRequestFilter({ ...entry, status: 200 }, { failed: true }), false);
+    });
+  });
 });
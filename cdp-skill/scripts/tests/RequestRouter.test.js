@@ -0,0 +1,276 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequestRouter, globToRegex } from '../page/index.js';
+
+describe('RequestRouter', () => {
+  let router;
+  let mockSession;
+  let eventHandlers;
+  let savedRules;
+
+  function pause(url, extra = {}) {
+    return eventHandlers['Fetch.requestPaused']({
+      requestId: 'interception-1',
+      request: { url, method: 'GET', headers: { Accept: '*/*', 'X-Remove': '1' } },
+      resourceType: 'XHR',
+      ...extra
+    });
+  }
+
+  function sentCalls(method) {
+    return mockSession.send.mock.calls.filter(c => c.arguments[0] === method);
+  }
+
+  beforeEach(() => {
+    eventHandlers = {};
+    savedRules = null;
+    mockSession = {
+      send: mock.fn(() => Promise.resolve({})),
+      on: mock.fn((event, handler) => { eventHandlers[event] = handler; }),
+      off: mock.fn((event) => { delete eventHandlers[event]; })
+    };
+    router = createRequestRouter(mockSession, {
+      onRulesChanged: (rules) => { savedRules = rules; },
+      getSavedRules: () => savedRules
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  describe('globToRegex', () => {
+    it('should match ** across path segments', () => {
+      assert.ok(globToRegex('**/api/pay*').test('https://shop.example.com/v1/api/payment'));
+    });
+
+    it('should not match / with a single *', () => {
+      assert.ok(!globToRegex('https://example.com/*').test('https://example.com/a/b'));
+      assert.ok(globToRegex('https://example.com/*').test('https://example.com/a'));
+    });
+
+    it('should treat ? and . literally', () => {
+      assert.ok(globToRegex('**/search?q=*').test('https://example.com/search?q=shoes'));
+      assert.ok(!globToRegex('**/a.js').test('https://example.com/abjs'));
+    });
+
+    it('should support {a,b} alternatives', () => {
+      const regex = globToRegex('**/*.{png,jpg}');
+      assert.ok(regex.test('https://cdn.example.com/logo.png'));
+      assert.ok(regex.test('https://cdn.example.com/hero.jpg'));
+      assert.ok(!regex.test('https://cdn.example.com/app.js'));
+    });
+  });
+
+  describe('addRule', () => {
+    it('should enable Fetch interception on first rule', async () => {
+      await router.addRule({ url: '**/analytics/**', block: true });
+
+      assert.strictEqual(sentCalls('Fetch.enable').length, 1);
+      assert.ok(eventHandlers['Fetch.requestPaused']);
+      assert.strictEqual(router.isEnabled(), true);
+    });
+
+    it('should assign ids and persist rules', async () => {
+      const first = await router.addRule({ url: '**/a', block: true });
+      const second = await router.addRule({ urlRegex: 'b$', block: true });
+
+      assert.strictEqual(first.id, 'r1');
+      assert.strictEqual(second.id, 'r2');
+      assert.strictEqual(savedRules.length, 2);
+      assert.strictEqual(sentCalls('Fetch.enable').length, 1);
+    });
+
+    it('should reject a missing fulfill file', async () => {
+      await assert.rejects(
+        () => router.addRule({ url: '**', fulfill: { file: '/nonexistent/stub.json' } }),
+        /fulfill file not found/
+      );
+    });
+  });
+
+  describe('requestPaused handling', () => {
+    it('should continue requests that match no rule', async () => {
+      await router.addRule({ url: '**/pay', block: true });
+      await pause('https://example.com/home');
+
+      assert.strictEqual(sentCalls('Fetch.continueRequest').length, 1);
+      assert.strictEqual(sentCalls('Fetch.failRequest').length, 0);
+    });
+
+    it('should block matching requests', async () => {
+      await router.addRule({ url: '**/collect*', block: 'AccessDenied' });
+      await pause('https://analytics.example.com/collect?v=1');
+
+      const [call] = sentCalls('Fetch.failRequest');
+      assert.strictEqual(call.arguments[1].errorReason, 'AccessDenied');
+    });
+
+    it('should fulfill with a JSON body', async () => {
+      await router.addRule({ url: '**/api/pay', fulfill: { status: 201, json: { ok: true } } });
+      await pause('https://shop.example.com/api/pay');
+
+      const [call] = sentCalls('Fetch.fulfillRequest');
+      const params = call.arguments[1];
+      assert.strictEqual(params.responseCode, 201);
+      assert.strictEqual(Buffer.from(params.body, 'base64').toString(), '{"ok":true}');
+      assert.ok(params.responseHeaders.some(h => h.name === 'Content-Type' && h.value === 'application/json'));
+    });
+
+    it('should fulfill from a local file with inferred content type', async () => {
+      const file = path.join(os.tmpdir(), `cdp-skill-route-${Date.now()}.html`);
+      fs.writeFileSync(file, '<h1>stub</h1>');
+      try {
+        await router.addRule({ url: '**/checkout', fulfill: { file } });
+        await pause('https://shop.example.com/checkout');
+
+        const params = sentCalls('Fetch.fulfillRequest')[0].arguments[1];
+        assert.strictEqual(Buffer.from(params.body, 'base64').toString(), '<h1>stub</h1>');
+        assert.ok(params.responseHeaders.some(h => h.value.startsWith('text/html')));
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    });
+
+    it('should modify headers, removing null values', async () => {
+      await router.addRule({ url: '**', modify: { headers: { 'X-Test-User': 'alice', 'X-Remove': null } } });
+      await pause('https://example.com/api');
+
+      const headers = sentCalls('Fetch.continueRequest')[0].arguments[1].headers;
+      assert.ok(headers.some(h => h.name === 'X-Test-User' && h.value === 'alice'));
+      assert.ok(!headers.some(h => h.name === 'X-Remove'));
+      assert.ok(headers.some(h => h.name === 'Accept'));
+    });
+
+    it('should let the most recently added rule win', async () => {
+      await router.addRule({ url: '**/api/**', block: true });
+      await router.addRule({ url: '**/api/pay', fulfill: { body: 'ok' } });
+      await pause('https://example.com/api/pay');
+
+      assert.strictEqual(sentCalls('Fetch.fulfillRequest').length, 1);
+      assert.strictEqual(sentCalls('Fetch.failRequest').length, 0);
+    });
+
+    it('should respect method and resourceType filters', async () => {
+      await router.addRule({ url: '**', method: 'POST', block: true });
+      await pause('https://example.com/api');
+
+      assert.strictEqual(sentCalls('Fetch.failRequest').length, 0);
+      assert.strictEqual(sentCalls('Fetch.continueRequest').length, 1);
+    });
+
+    it('should count hits per rule', async () => {
+      await router.addRule({ url: '**/a', block: true });
+      await pause('https://example.com/a');
+      await pause('https://example.com/a');
+
+      assert.strictEqual(router.listRules()[0].hits, 2);
+    });
+  });
+
+  describe('removeRule / clearRules', () => {
+    it('should remove by id or pattern and disable when empty', async () => {
+      await router.addRule({ url: '**/a', block: true });
+      await router.addRule({ url: '**/b', block: true });
+
+      assert.strictEqual(await router.removeRule('r1'), 1);
+      assert.strictEqual(await router.removeRule('**/b'), 1);
+      assert.strictEqual(router.isEnabled(), false);
+      assert.strictEqual(sentCalls('Fetch.disable').length, 1);
+      assert.deepStrictEqual(savedRules, []);
+    });
+
+    it('should clear all rules', async () => {
+      await router.addRule({ url: '**/a', block: true });
+      const removed = await router.clearRules();
+
+      assert.strictEqual(removed, 1);
+      assert.strictEqual(router.listRules().length, 0);
+    });
+  });
+
+  describe('initialize', () => {
+    it('should restore saved rules and resume interception', async () => {
+      savedRules = [{ id: 'r4', url: '**/pay', block: true }];
+      await router.initialize();
+
+      assert.strictEqual(router.isEnabled(), true);
+      assert.strictEqual(router.listRules().length, 1);
+      const next = await router.addRule({ url: '**/other', block: true });
+      assert.strictEqual(next.id, 'r5');
+    });
+
+    it('should not enable Fetch when nothing is saved', async () => {
+      await router.initialize();
+
+      assert.strictEqual(router.isEnabled(), false);
+      assert.strictEqual(sentCalls('Fetch.enable').length, 0);
+    });
+  });
+
+  describe('setCredentials', () => {
+    function challenge(requestId, origin, source = 'Server') {
+      return eventHandlers['Fetch.authRequired']({
+        requestId,
+        request: { url: `${origin}/`, method: 'GET', headers: {} },
+        authChallenge: { source, origin, scheme: 'basic', realm: 'staging' }
+      });
+    }
+
+    function authResponses() {
+      return sentCalls('Fetch.continueWithAuth').map(c => c.arguments[1].authChallengeResponse);
+    }
+
+    it('should enable auth handling and answer challenges for the configured origin', async () => {
+      await router.setCredentials({ username: 'qa', password: 's3cret', origin: 'https://staging.example.com' });
+
+      assert.deepStrictEqual(sentCalls('Fetch.enable')[0].arguments[1], {
+        patterns: [{ urlPattern: '*', requestStage: 'Request' }],
+        handleAuthRequests: true
+      });
+      await challenge('req-1', 'https://staging.example.com');
+      await challenge('req-2', 'https://tracker.example.net');
+
+      assert.deepStrictEqual(authResponses(), [
+        { response: 'ProvideCredentials', username: 'qa', password: 's3cret' },
+        { response: 'CancelAuth' }
+      ]);
+    });
+
+    it('should cancel when the same request is challenged again', async () => {
+      await router.setCredentials({ username: 'qa', password: 'wrong' });
+      await challenge('req-1', 'https://staging.example.com');
+      await challenge('req-1', 'https://staging.example.com');
+
+      assert.deepStrictEqual(authResponses().map(r => r.response), ['ProvideCredentials', 'CancelAuth']);
+    });
+
+    it('should only answer proxy challenges when asked to', async () => {
+      await router.setCredentials({ username: 'qa', password: 'pw' });
+      await challenge('req-1', 'http://proxy:3128', 'Proxy');
+
+      assert.deepStrictEqual(authResponses(), [{ response: 'CancelAuth' }]);
+    });
+
+    it('should re-enable Fetch when credentials are added to existing rules, and keep rules when cleared', async () => {
+      await router.addRule({ url: '**/a', block: true });
+      await router.setCredentials({ username: 'qa', password: 'pw' });
+      await router.setCredentials(null);
+
+      assert.strictEqual(sentCalls('Fetch.enable').length, 3);
+      assert.strictEqual(sentCalls('Fetch.enable')[2].arguments[1].handleAuthRequests, undefined);
+      assert.strictEqual(router.isEnabled(), true);
+    });
+
+    it('should stop intercepting once neither rules nor credentials remain', async () => {
+      await router.setCredentials({ username: 'qa', password: 'pw' });
+      await router.setCredentials(null);
+
+      assert.strictEqual(sentCalls('Fetch.disable').length, 1);
+      assert.strictEqual(eventHandlers['Fetch.authRequired'], undefined);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createScreenshotComparator, resolveBaselineDir, encodePng, decodePng } from '../capture/index.js';
+
+function solid(width, height, [r, g, b]) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([r, g, b, 255], i * 4);
+  }
+  return { width, height, data };
+}
+
+function blackenFirstRow(image) {
+  for (let x = 0; x < image.width; x++) {
+    image.data.set([0, 0, 0, 255], x * 4);
+  }
+}
+
+describe('ScreenshotComparator', () => {
+  let baselineDir;
+  let comparator;
+  let mockSession;
+  let mockCapture;
+  let nextImage;
+  let layout;
+
+  beforeEach(() => {
+    baselineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-skill-baselines-'));
+    nextImage = solid(20, 10, [255, 255, 255]);
+    layout = { scrollX: 0, scrollY: 100, width: 20, height: 10, target: null, masks: [] };
+    mockSession = {
+      send: mock.fn(async (method) => {
+        if (method === 'Runtime.evaluate') return { result: { value: layout } };
+        if (method === 'Page.getLayoutMetrics') return { cssContentSize: { width: 20, height: 10 } };
+        return {};
+      })
+    };
+    mockCapture = {
+      captureViewport: mock.fn(async () => encodePng(nextImage)),
+      captureFullPage: mock.fn(async () => encodePng(nextImage)),
+      captureRegion: mock.fn(async () => encodePng(nextImage)),
+      saveToFile: mock.fn(async (buffer, filePath) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, buffer);
+        return filePath;
+      })
+    };
+    comparator = createScreenshotComparator(mockSession, { screenshotCapture: mockCapture });
+  });
+
+  afterEach(() => {
+    fs.rmSync(baselineDir, { recursive: true, force: true });
+    mock.reset();
+  });
+
+  it('should create the baseline on first run', async () => {
+    const result = await comparator.compare({ name: 'home', baselineDir });
+
+    assert.strictEqual(result.created, true);
+    assert.strictEqual(result.baseline, path.join(baselineDir, 'home.png'));
+    assert.deepStrictEqual([result.width, result.height], [20, 10]);
+    assert.ok(fs.existsSync(result.baseline));
+  });
+
+  it('should pass when the capture matches the baseline', async () => {
+    await comparator.compare({ name: 'home', baselineDir });
+    const result = await comparator.compare({ name: 'home', baselineDir });
+
+    assert.strictEqual(result.mismatchPercent, 0);
+    assert.strictEqual(result.diffPixels, 0);
+    assert.strictEqual(result.diff, undefined);
+  });
+
+  it('should fail with diff and actual paths when over the threshold', async () => {
+    await comparator.compare({ name: 'home', baselineDir });
+    blackenFirstRow(nextImage);
+
+    await assert.rejects(
+      () => comparator.compare({ name: 'home', baselineDir }),
+      /differs from baseline by 10% \(20 pixels, threshold 0%\).*Diff: .*home\.diff\.png/
+    );
+    const diffPath = path.join(os.tmpdir(), 'cdp-skill', 'compare', 'home.diff.png');
+    const diff = decodePng(fs.readFileSync(diffPath));
+    assert.deepStrictEqual(Array.from(diff.data.slice(0, 4)), [255, 0, 0, 255]);
+  });
+
+  it('should pass within the threshold and report the mismatch', async () => {
+    await comparator.compare({ name: 'home', baselineDir });
+    blackenFirstRow(nextImage);
+
+    const result = await comparator.compare({ name: 'home', baselineDir, threshold: 15 });
+    assert.strictEqual(result.mismatchPercent, 10);
+    assert.strictEqual(result.threshold, 15);
+    assert.ok(result.diff.endsWith('home.diff.png'));
+  });
+
+  it('should ignore masked selectors, converting document to image coordinates', async () => {
+    await comparator.compare({ name: 'home', baselineDir });
+    blackenFirstRow(nextImage);
+    // Banner at the top of the viewport (document y = scrollY)
+    layout.masks = [[{ x: 0, y: 100, width: 20, height: 1 }]];
+
+    const result = await comparator.compare({ name: 'home', baselineDir, mask: ['.banner'] });
+    assert.strictEqual(result.diffPixels, 0);
+    assert.strictEqual(result.maskedPixels, 20);
+  });
+
+  it('should capture an element by selector with a document-space clip', async () => {
+    layout.target = { x: 5.5, y: 120, width: 10, height: 4 };
+    await comparator.compare({ name: 'card', selector: '.card', baselineDir });
+
+    const [clip, options] = mockCapture.captureRegion.mock.calls[0].arguments;
+    assert.deepStrictEqual(clip, { x: 5, y: 120, width: 11, height: 4 });
+    assert.strictEqual(options.captureBeyondViewport, true);
+  });
+
+  it('should throw when the target element is missing', async () => {
+    layout.target = 'missing';
+    await assert.rejects(
+      () => comparator.compare({ name: 'card', selector: '.card', baselineDir }),
+      /Element not found: \.card/
+    );
+  });
+
+  it('should overwrite the baseline with update', async () => {
+    await comparator.compare({ name: 'home', baselineDir });
+    nextImage = solid(20, 10, [0, 0, 0]);
+
+    const result = await comparator.compare({ name: 'home', baselineDir, update: true });
+    assert.strictEqual(result.updated, true);
+    const stored = decodePng(fs.readFileSync(result.baseline));
+    assert.strictEqual(stored.data[0], 0);
+  });
+
+  it('should resolve the baseline directory from CDP_BASELINE_DIR', () => {
+    const previous = process.env.CDP_BASELINE_DIR;
+    process.env.CDP_BASELINE_DIR = '/tmp/visual';
+    try {
+      assert.strictEqual(resolveBaselineDir(), '/tmp/visual');
+      assert.strictEqual(resolveBaselineDir('/srv/b'), '/srv/b');
+    } finally {
+      if (previous === undefined) delete process.env.CDP_BASELINE_DIR;
+      else process.env.CDP_BASELINE_DIR = previous;
+    }
+  });
+});
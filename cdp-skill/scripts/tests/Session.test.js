@@ -0,0 +1,135 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSession } from '../session.js';
+import { getAllStepTypes, unregisterStep } from '../runner/step-registry.js';
+import { ErrorTypes } from '../utils.js';
+
+describe('createSession', () => {
+  let requests;
+  let handleRequest;
+
+  beforeEach(() => {
+    requests = [];
+    handleRequest = async (request) => {
+      requests.push(request);
+      const step = Object.keys(request.steps[0]).find(key => key !== 'optional');
+      if (step === 'newTab') return { status: 'ok', tab: 't1', steps: [{ action: 'newTab', status: 'ok' }] };
+      if (step === 'switchTab') return { status: 'ok', tab: 't7', steps: [{ action: 'switchTab', status: 'ok' }] };
+      if (step === 'closeTab') return { status: 'ok', closed: request.steps[0].closeTab, steps: [{ action: 'closeTab', status: 'ok' }] };
+      if (step === 'hover') {
+        return {
+          status: 'error',
+          tab: request.tab,
+          steps: [{ action: 'hover', status: 'error', error: 'Element not found' }],
+          errors: [{ step: 1, action: 'hover', error: 'Element not found' }]
+        };
+      }
+      return { status: 'ok', tab: request.tab, steps: [{ action: step, status: 'ok' }] };
+    };
+  });
+
+  it('should open a new tab with the connection options', async () => {
+    const session = await createSession({ url: 'https://example.com', port: 9333, handleRequest });
+    assert.deepStrictEqual(requests[0], { steps: [{ newTab: { url: 'https://example.com', port: 9333 } }], timeout: 30000 });
+    assert.strictEqual(session.tab, 't1');
+  });
+
+  it('should attach to an unregistered targetId with switchTab', async () => {
+    const session = await createSession({ tab: 'NOT-A-REGISTERED-TARGET', port: 9333, handleRequest });
+    assert.deepStrictEqual(requests[0].steps, [{ switchTab: { targetId: 'NOT-A-REGISTERED-TARGET', port: 9333 } }]);
+    assert.strictEqual(session.tab, 't7');
+  });
+
+  it('should have one method per step type', async () => {
+    const session = await createSession({ handleRequest });
+    for (const name of getAllStepTypes()) {
+      assert.strictEqual(typeof session[name], 'function', `missing ${name}`);
+    }
+  });
+
+  it('should add methods for steps from plugin modules', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-skill-session-'));
+    const file = path.join(dir, 'flags.mjs');
+    fs.writeFileSync(file, 'export const steps = { sessionFlag: { execute: async () => ({}) } };\n');
+    try {
+      const session = await createSession({ plugins: [file], handleRequest });
+      await session.sessionFlag({ name: 'beta' });
+      assert.deepStrictEqual(requests[1].steps, [{ sessionFlag: { name: 'beta' } }]);
+    } finally {
+      unregisterStep('sessionFlag');
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should run step methods in the session tab and return the CLI response', async () => {
+    const session = await createSession({ timeout: 5000, handleRequest });
+    const response = await session.click({ ref: 'f0s1e4' });
+    assert.deepStrictEqual(requests[1], { steps: [{ click: { ref: 'f0s1e4' } }], tab: 't1', timeout: 5000 });
+    assert.deepStrictEqual(response, { status: 'ok', tab: 't1', steps: [{ action: 'click', status: 'ok' }] });
+
+    await session.snapshot(undefined, { timeout: 100, optional: true });
+    assert.deepStrictEqual(requests[2], { steps: [{ snapshot: true, optional: true }], tab: 't1', timeout: 100 });
+  });
+
+  it('should run several steps with run()', async () => {
+    const session = await createSession({ handleRequest });
+    await session.run([{ goto: 'https://example.com' }, { snapshot: true }]);
+    assert.deepStrictEqual(requests[1].steps, [{ goto: 'https://example.com' }, { snapshot: true }]);
+    assert.strictEqual(requests[1].tab, 't1');
+  });
+
+  it('should reject failed requests with a RequestFailedError', async () => {
+    const session = await createSession({ handleRequest });
+    await assert.rejects(session.hover('#missing'), (err) => {
+      assert.strictEqual(err.name, ErrorTypes.REQUEST_FAILED);
+      assert.strictEqual(err.message, 'Step 1 (hover) failed: Element not found');
+      assert.strictEqual(err.response.status, 'error');
+      return true;
+    });
+  });
+
+  it('should resolve with error responses when throwOnError is false', async () => {
+    const session = await createSession({ throwOnError: false, handleRequest });
+    const response = await session.hover('#missing');
+    assert.strictEqual(response.status, 'error');
+
+    const invalid = await session.run([]);
+    assert.deepStrictEqual(invalid, { status: 'error', error: { type: 'VALIDATION', message: '"steps" array cannot be empty' } });
+    assert.strictEqual(requests.length, 2);
+  });
+
+  it('should close the session tab when closeTab has no value', async () => {
+    const session = await createSession({ handleRequest });
+    await session.closeTab();
+    assert.deepStrictEqual(requests[1], { steps: [{ closeTab: 't1' }], timeout: 30000 });
+    assert.strictEqual(session.tab, null);
+  });
+
+  it('should reject when the tab cannot be opened', async () => {
+    const failing = async () => ({ status: 'error', error: { type: 'CONNECTION', message: 'Chrome not running' } });
+    await assert.rejects(createSession({ handleRequest: failing }), /CONNECTION: Chrome not running/);
+  });
+
+  it('should run calls one at a time and refuse calls after close', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const session = await createSession({
+      handleRequest: async (request) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return handleRequest(request);
+      }
+    });
+    await Promise.all([session.click('#a'), session.click('#b'), session.getUrl()]);
+    assert.strictEqual(maxActive, 1);
+    assert.deepStrictEqual(requests.slice(1).map(r => r.steps[0]), [{ click: '#a' }, { click: '#b' }, { getUrl: true }]);
+
+    await session.close();
+    await assert.rejects(session.click('#a'), /Session is closed/);
+  });
+});
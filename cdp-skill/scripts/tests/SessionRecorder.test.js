@@ -0,0 +1,284 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import vm from 'vm';
+import { createSessionRecorder, recordedEventToStep, appendRecordedStep } from '../capture/session-recorder.js';
+import { toRecordedRequest } from '../cli/record.js';
+
+describe('recordedEventToStep', () => {
+  it('should click stable selectors directly', () => {
+    const step = recordedEventToStep({ type: 'click', selector: '#save', role: 'button', name: 'Save' });
+    assert.deepStrictEqual(step, { click: '#save' });
+  });
+
+  it('should add a role+name fallback to positional selectors', () => {
+    const step = recordedEventToStep({ type: 'click', selector: 'main > div:nth-of-type(2) > button', role: 'button', name: 'Save' });
+    assert.deepStrictEqual(step, {
+      click: { selectors: ['main > div:nth-of-type(2) > button', { role: 'button', name: 'Save' }] }
+    });
+  });
+
+  it('should treat id-anchored paths as positional', () => {
+    const step = recordedEventToStep({ type: 'click', selector: '#list > li:nth-of-type(3)', role: null, name: 'Item' });
+    assert.deepStrictEqual(step, { click: '#list > li:nth-of-type(3)' });
+  });
+
+  it('should fill by selector, or by label when the selector is positional', () => {
+    assert.deepStrictEqual(
+      recordedEventToStep({ type: 'fill', selector: '[name="email"]', role: 'textbox', name: 'Email', value: 'a@b.c' }),
+      { fill: { selector: '[name="email"]', value: 'a@b.c' } }
+    );
+    assert.deepStrictEqual(
+      recordedEventToStep({ type: 'fill', selector: 'form > input:nth-of-type(2)', role: 'textbox', name: 'Email', value: 'a@b.c' }),
+      { fill: { label: 'Email', value: 'a@b.c' } }
+    );
+  });
+
+  it('should convert select changes to selectOption', () => {
+    assert.deepStrictEqual(
+      recordedEventToStep({ type: 'select', selector: '#size', multiple: false, values: ['m'] }),
+      { selectOption: { selector: '#size', value: 'm' } }
+    );
+    assert.deepStrictEqual(
+      recordedEventToStep({ type: 'select', selector: '#tags', multiple: true, values: ['a', 'b'] }),
+      { selectOption: { selector: '#tags', values: ['a', 'b'] } }
+    );
+  });
+
+  it('should convert key presses and ignore unknown events', () => {
+    assert.deepStrictEqual(recordedEventToStep({ type: 'press', key: 'Control+Enter' }), { press: 'Control+Enter' });
+    assert.strictEqual(recordedEventToStep({ type: 'scroll' }), null);
+  });
+});
+
+describe('appendRecordedStep', () => {
+  it('should keep only the final value of consecutive fills on one field', () => {
+    const steps = [];
+    appendRecordedStep(steps, { fill: { selector: '#q', value: 'h' } });
+    appendRecordedStep(steps, { fill: { selector: '#q', value: 'hi' } });
+    appendRecordedStep(steps, { press: 'Enter' });
+    appendRecordedStep(steps, { fill: { selector: '#q', value: 'x' } });
+
+    assert.deepStrictEqual(steps, [
+      { fill: { selector: '#q', value: 'hi' } },
+      { press: 'Enter' },
+      { fill: { selector: '#q', value: 'x' } }
+    ]);
+  });
+
+  it('should not merge fills of different fields', () => {
+    const steps = [];
+    appendRecordedStep(steps, { fill: { label: 'First', value: 'a' } });
+    appendRecordedStep(steps, { fill: { label: 'Last', value: 'b' } });
+    assert.strictEqual(steps.length, 2);
+  });
+});
+
+describe('SessionRecorder', () => {
+  let recorder;
+  let mockSession;
+  let eventHandlers;
+  let history;
+  let changes;
+
+  function pageEvent(event) {
+    eventHandlers['Runtime.bindingCalled']({ name: '__cdpSkillRecord', payload: JSON.stringify(event) });
+  }
+
+  async function navigate(entries, currentIndex) {
+    history = { currentIndex, entries };
+    await eventHandlers['Page.frameNavigated']({ frame: { id: 'main', url: entries[currentIndex].url } });
+    // Let the async history lookup finish
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  beforeEach(async () => {
+    eventHandlers = {};
+    changes = 0;
+    history = { currentIndex: 0, entries: [{ id: 1, url: 'https://shop.test/', transitionType: 'typed' }] };
+    mockSession = {
+      send: mock.fn(async (method) => {
+        if (method === 'Page.getNavigationHistory') return history;
+        if (method === 'Page.addScriptToEvaluateOnNewDocument') return { identifier: 'script-1' };
+        return {};
+      }),
+      on: mock.fn((event, fn) => { eventHandlers[event] = fn; }),
+      off: mock.fn((event) => { delete eventHandlers[event]; })
+    };
+    recorder = createSessionRecorder(mockSession, { onStep: () => { changes++; } });
+    await recorder.start();
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should install the binding and listener script', () => {
+    const methods = mockSession.send.mock.calls.map(c => c.arguments[0]);
+    assert.ok(methods.includes('Runtime.addBinding'));
+    assert.ok(methods.includes('Page.addScriptToEvaluateOnNewDocument'));
+    assert.ok(methods.includes('Runtime.evaluate'));
+
+    const script = mockSession.send.mock.calls.find(c => c.arguments[0] === 'Runtime.evaluate').arguments[1].expression;
+    assert.doesNotThrow(() => new vm.Script(script));
+    assert.ok(script.includes('function generateSelectorForElement(el)'));
+  });
+
+  it('should record page events as steps', () => {
+    pageEvent({ type: 'fill', selector: '#q', role: 'textbox', name: 'Search', value: 's' });
+    pageEvent({ type: 'fill', selector: '#q', role: 'textbox', name: 'Search', value: 'shoes' });
+    pageEvent({ type: 'press', key: 'Enter' });
+
+    assert.deepStrictEqual(recorder.getSteps(), [
+      { fill: { selector: '#q', value: 'shoes' } },
+      { press: 'Enter' }
+    ]);
+    assert.strictEqual(changes, 3);
+  });
+
+  it('should ignore other bindings and malformed payloads', () => {
+    eventHandlers['Runtime.bindingCalled']({ name: 'somethingElse', payload: '{}' });
+    eventHandlers['Runtime.bindingCalled']({ name: '__cdpSkillRecord', payload: 'not json' });
+    assert.deepStrictEqual(recorder.getSteps(), []);
+  });
+
+  it('should record typed navigations as goto', async () => {
+    await navigate([
+      { id: 1, url: 'https://shop.test/', transitionType: 'typed' },
+      { id: 2, url: 'https://shop.test/cart', transitionType: 'typed' }
+    ], 1);
+    assert.deepStrictEqual(recorder.getSteps(), [{ goto: 'https://shop.test/cart' }]);
+  });
+
+  it('should skip link navigations caused by a recorded click', async () => {
+    pageEvent({ type: 'click', selector: '#cart', role: 'link', name: 'Cart' });
+    await navigate([
+      { id: 1, url: 'https://shop.test/', transitionType: 'typed' },
+      { id: 2, url: 'https://shop.test/cart', transitionType: 'link' }
+    ], 1);
+    assert.deepStrictEqual(recorder.getSteps(), [{ click: '#cart' }]);
+  });
+
+  it('should record back, forward and reload', async () => {
+    const entries = [
+      { id: 1, url: 'https://shop.test/', transitionType: 'typed' },
+      { id: 2, url: 'https://shop.test/cart', transitionType: 'typed' }
+    ];
+    await navigate(entries, 1);
+    await navigate(entries, 0);
+    await navigate(entries, 1);
+    await navigate([entries[0], { ...entries[1], transitionType: 'reload' }], 1);
+
+    assert.deepStrictEqual(recorder.getSteps(), [
+      { goto: 'https://shop.test/cart' },
+      { back: true },
+      { forward: true },
+      { reload: true }
+    ]);
+  });
+
+  it('should ignore child frame navigations', async () => {
+    await eventHandlers['Page.frameNavigated']({ frame: { id: 'child', parentId: 'main', url: 'https://ads.test/' } });
+    assert.deepStrictEqual(recorder.getSteps(), []);
+  });
+
+  it('should remove the script and listeners on stop', async () => {
+    pageEvent({ type: 'press', key: 'Escape' });
+    const steps = await recorder.stop();
+
+    assert.deepStrictEqual(steps, [{ press: 'Escape' }]);
+    assert.strictEqual(recorder.isRecording(), false);
+    assert.strictEqual(eventHandlers['Runtime.bindingCalled'], undefined);
+    const removed = mockSession.send.mock.calls.find(c => c.arguments[0] === 'Page.removeScriptToEvaluateOnNewDocument');
+    assert.deepStrictEqual(removed.arguments[1], { identifier: 'script-1' });
+  });
+
+  it('should record a start URL as the first step', async () => {
+    await recorder.stop();
+    await recorder.start({ url: 'https://shop.test/' });
+    assert.deepStrictEqual(recorder.getSteps(), [{ goto: 'https://shop.test/' }]);
+  });
+});
+
+describe('recorder page script', () => {
+  let listeners;
+  let emitted;
+
+  function runScript() {
+    let script;
+    const session = {
+      send: async (method, params) => {
+        if (method === 'Runtime.evaluate') script = params.expression;
+        if (method === 'Page.addScriptToEvaluateOnNewDocument') return { identifier: 's' };
+        if (method === 'Page.getNavigationHistory') return { currentIndex: 0, entries: [] };
+        return {};
+      },
+      on: () => {},
+      off: () => {}
+    };
+    return createSessionRecorder(session).start().then(() => {
+      listeners = {};
+      emitted = [];
+      const window = {
+        __cdpSkillRecord: (payload) => emitted.push(JSON.parse(payload))
+      };
+      window.top = window;
+      const document = {
+        addEventListener: (type, fn) => { listeners[type] = fn; }
+      };
+      vm.runInNewContext(script, { window, document, setTimeout });
+    });
+  }
+
+  function element(tagName, props = {}) {
+    return { nodeType: 1, tagName, type: props.type, isContentEditable: false, ...props };
+  }
+
+  beforeEach(runScript);
+
+  it('should record named keys and shortcuts outside text fields', () => {
+    const body = element('BODY');
+    listeners.keydown({ isTrusted: true, key: 'Escape', target: body });
+    listeners.keydown({ isTrusted: true, key: 'k', ctrlKey: true, target: body });
+    listeners.keydown({ isTrusted: true, key: 'Tab', shiftKey: true, target: body });
+
+    assert.deepStrictEqual(emitted, [
+      { type: 'press', key: 'Escape' },
+      { type: 'press', key: 'Control+k' },
+      { type: 'press', key: 'Shift+Tab' }
+    ]);
+  });
+
+  it('should leave typing inside text fields to fill', () => {
+    const input = element('INPUT', { type: 'text' });
+    listeners.keydown({ isTrusted: true, key: 'a', target: input });
+    listeners.keydown({ isTrusted: true, key: 'Backspace', target: input });
+    listeners.keydown({ isTrusted: true, key: 'a', ctrlKey: true, target: input });
+    listeners.keydown({ isTrusted: true, key: 'Enter', target: input });
+
+    assert.deepStrictEqual(emitted, [{ type: 'press', key: 'Enter' }]);
+  });
+
+  it('should skip Enter on buttons (the click is recorded) and untrusted events', () => {
+    listeners.keydown({ isTrusted: true, key: 'Enter', target: element('BUTTON') });
+    listeners.keydown({ isTrusted: false, key: 'Escape', target: element('BODY') });
+    listeners.keydown({ isTrusted: true, key: 'Shift', shiftKey: true, target: element('BODY') });
+
+    assert.deepStrictEqual(emitted, []);
+  });
+});
+
+describe('toRecordedRequest', () => {
+  it('should turn a leading goto into newTab', () => {
+    const request = toRecordedRequest([{ goto: 'https://shop.test/' }, { click: '#buy' }], 'about:blank');
+    assert.deepStrictEqual(request, { steps: [{ newTab: 'https://shop.test/' }, { click: '#buy' }] });
+  });
+
+  it('should open the start URL when recording an existing tab', () => {
+    const request = toRecordedRequest([{ click: '#buy' }], 'https://shop.test/item');
+    assert.deepStrictEqual(request, { steps: [{ newTab: 'https://shop.test/item' }, { click: '#buy' }] });
+  });
+
+  it('should open a blank tab when there is no start URL', () => {
+    assert.deepStrictEqual(toRecordedRequest([], 'about:blank'), { steps: [{ newTab: true }] });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { registerStep, unregisterStep, getAllStepTypes, getVisualActions, stepSupportsHooks } from '../runner/step-registry.js';
+import { findPluginFiles, loadPlugins } from '../runner/step-plugins.js';
+import { validateSteps } from '../runner/step-validator.js';
+import { buildRequestSchema } from '../runner/step-schema.js';
+import { executeStep, runSteps } from '../runner/step-executors.js';
+import { buildToolDefinitions } from '../cli/index.js';
+
+describe('StepPlugins', () => {
+  let registered;
+
+  function register(name, config) {
+    registerStep(name, config);
+    registered.push(name);
+  }
+
+  beforeEach(() => {
+    registered = [];
+  });
+
+  afterEach(() => {
+    registered.forEach(unregisterStep);
+  });
+
+  describe('registerStep', () => {
+    it('should reject invalid names and configs', () => {
+      const execute = async () => {};
+      assert.throws(() => registerStep('SSO-login', { execute }), /Invalid step name/);
+      assert.throws(() => registerStep('click', { execute }), /"click" is already defined/);
+      assert.throws(() => registerStep('optional', { execute }), /already defined/);
+      assert.throws(() => registerStep('ssoLogin', {}), /needs an execute/);
+      assert.throws(() => registerStep('ssoLogin', { execute, hooks: ['beforeClick'] }), /hooks must be a list of/);
+      assert.ok(!getAllStepTypes().includes('ssoLogin'));
+    });
+
+    it('should add the step to the registry lists', () => {
+      register('ssoLogin', { execute: async () => {}, isVisual: true, hooks: ['settledWhen'] });
+      assert.ok(getAllStepTypes().includes('ssoLogin'));
+      assert.ok(getVisualActions().includes('ssoLogin'));
+      assert.strictEqual(stepSupportsHooks('ssoLogin'), true);
+
+      assert.strictEqual(unregisterStep('ssoLogin'), true);
+      assert.strictEqual(unregisterStep('click'), false);
+      assert.ok(!getAllStepTypes().includes('ssoLogin'));
+    });
+
+    it('should validate with the step schema, validator and hooks', () => {
+      register('toggleFlag', {
+        schema: { type: 'object', properties: { name: { type: 'string' }, on: { type: 'boolean' } } },
+        validate: (params) => params?.name ? [] : ['toggleFlag requires a name'],
+        execute: async () => {}
+      });
+
+      assert.strictEqual(validateSteps([{ toggleFlag: { name: 'beta' } }]).valid, true);
+      assert.deepStrictEqual(validateSteps([{ toggleFlag: {} }]).errors[0].errors, ['toggleFlag requires a name']);
+      assert.deepStrictEqual(validateSteps([{ toggleFlag: { name: 'beta', on: 'yes' } }]).errors[0].errors, ['toggleFlag.on must be a boolean']);
+      assert.deepStrictEqual(validateSteps([{ toggleFlag: { name: 'beta', observe: '() => 1' } }]).errors[0].errors,
+        ["toggleFlag does not support the 'observe' hook"]);
+    });
+
+    it('should appear in the request schema and MCP tools', () => {
+      register('toggleFlag', { schema: { description: 'Toggle a feature flag', type: 'object' }, execute: async () => {} });
+      const titles = buildRequestSchema().$defs.step.anyOf.map(option => option.title);
+      assert.ok(titles.includes('toggleFlag'));
+      const tool = buildToolDefinitions().find(t => t.name === 'toggleFlag');
+      assert.strictEqual(tool.description, 'Run the cdp-skill "toggleFlag" step: Toggle a feature flag.');
+    });
+  });
+
+  describe('executeStep', () => {
+    it('should call the executor with deps, params and context', async () => {
+      const deps = { marker: 'deps' };
+      let call;
+      register('toggleFlag', {
+        execute: async (...args) => {
+          call = args;
+          const nested = await args[2].runStep({ sleep: 1 });
+          return { flag: args[1].name, nested: nested.status };
+        }
+      });
+
+      const result = await executeStep(deps, { toggleFlag: { name: 'beta' } }, { tabAlias: 't3', stepTimeout: 5000 });
+      assert.deepStrictEqual(result, { action: 'toggleFlag', status: 'ok', output: { flag: 'beta', nested: 'ok' } });
+      assert.strictEqual(call[0], deps);
+      assert.strictEqual(call[2].tabAlias, 't3');
+      assert.strictEqual(call[2].timeout, 5000);
+    });
+
+    it('should report executor errors like built-in steps', async () => {
+      register('ssoLogin', { execute: async () => { throw new Error('SSO rejected the credentials'); } });
+
+      const result = await runSteps({}, [{ ssoLogin: { user: 'qa' } }, { sleep: 1 }]);
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.steps.length, 1);
+      assert.strictEqual(result.steps[0].error, 'SSO rejected the credentials');
+      assert.deepStrictEqual(result.steps[0].params, { user: 'qa' });
+      assert.deepStrictEqual(result.errors, [{ step: 1, action: 'ssoLogin', error: 'SSO rejected the credentials' }]);
+
+      const optional = await executeStep({}, { ssoLogin: true, optional: true });
+      assert.strictEqual(optional.status, 'skipped');
+    });
+  });
+
+  describe('loadPlugins', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-skill-plugins-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should find .js and .mjs modules in name order', () => {
+      fs.writeFileSync(path.join(dir, 'b.mjs'), '');
+      fs.writeFileSync(path.join(dir, 'a.js'), '');
+      fs.writeFileSync(path.join(dir, 'notes.md'), '');
+      fs.mkdirSync(path.join(dir, 'lib.js'));
+      assert.deepStrictEqual(findPluginFiles(dir), [path.join(dir, 'a.js'), path.join(dir, 'b.mjs')]);
+      assert.deepStrictEqual(findPluginFiles(path.join(dir, 'missing')), []);
+    });
+
+    it('should register exported steps once per file', async () => {
+      const file = path.join(dir, 'flags.mjs');
+      fs.writeFileSync(file, 'export const steps = { pluginFlagOn: { execute: async (deps, params) => ({ on: params }) } };\n');
+
+      assert.deepStrictEqual(await loadPlugins([file]), ['pluginFlagOn']);
+      registered.push('pluginFlagOn');
+      assert.deepStrictEqual(await loadPlugins([file]), []);
+
+      const result = await executeStep({}, { pluginFlagOn: 'beta' });
+      assert.deepStrictEqual(result.output, { on: 'beta' });
+    });
+
+    it('should register nothing from a file with an invalid step', async () => {
+      const file = path.join(dir, 'broken.mjs');
+      fs.writeFileSync(file, 'export const steps = { pluginFirst: { execute: async () => {} }, click: { execute: async () => {} } };\n');
+
+      await assert.rejects(loadPlugins([file]), /broken\.mjs: Step "click" is already defined/);
+      assert.ok(!getAllStepTypes().includes('pluginFirst'));
+    });
+
+    it('should reject modules without a steps export', async () => {
+      const file = path.join(dir, 'empty.mjs');
+      fs.writeFileSync(file, 'export const other = 1;\n');
+      await assert.rejects(loadPlugins([file]), /must export "steps"/);
+      await assert.rejects(loadPlugins([path.join(dir, 'missing.mjs')]), /Failed to load plugin/);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { STEP_CONFIG, getAllStepTypes } from '../runner/step-registry.js';
+import { getStepSchema, checkSchema, validateStepParams, buildRequestSchema } from '../runner/step-schema.js';
+import { validateStepInternal } from '../runner/step-validator.js';
+
+describe('StepSchema', () => {
+  describe('registry', () => {
+    it('should define a schema for every step type', () => {
+      for (const stepType of getAllStepTypes()) {
+        assert.ok(STEP_CONFIG[stepType].schema, `${stepType} has no schema`);
+      }
+    });
+
+    it('should add hook properties only to steps that support hooks', () => {
+      const click = getStepSchema('click');
+      const object = click.anyOf.find(option => option.type === 'object');
+      assert.deepStrictEqual(Object.keys(object.properties).filter(k => k.endsWith('When') || k === 'observe'),
+        ['readyWhen', 'settledWhen', 'observe']);
+
+      const cookies = getStepSchema('cookies');
+      assert.strictEqual(cookies.properties.readyWhen, undefined);
+    });
+
+    it('should mention every step type in SKILL.md', () => {
+      const skillPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'SKILL.md');
+      const skill = fs.readFileSync(skillPath, 'utf8');
+      for (const stepType of getAllStepTypes()) {
+        assert.ok(skill.includes(`#### ${stepType}`) || skill.includes(`\`${stepType}\``), `${stepType} is not documented`);
+      }
+    });
+  });
+
+  describe('checkSchema', () => {
+    it('should check types, enums and ranges', () => {
+      assert.deepStrictEqual(checkSchema('x', { type: 'number' }, 'v'), ['v must be a number']);
+      assert.deepStrictEqual(checkSchema('b', { enum: ['a'] }, 'v'), ['v must be one of "a"']);
+      assert.deepStrictEqual(checkSchema(5, { type: 'number', maximum: 3 }, 'v'), ['v must be <= 3']);
+      assert.deepStrictEqual(checkSchema('', { type: 'string', minLength: 1 }, 'v'), ['v cannot be empty']);
+      assert.deepStrictEqual(checkSchema(1.5, { type: 'integer' }, 'v'), ['v must be an integer']);
+    });
+
+    it('should check required, nested and additional properties', () => {
+      const schema = {
+        type: 'object',
+        properties: { a: { type: 'object', properties: { b: { type: 'boolean' } } } },
+        required: ['c'],
+        additionalProperties: false
+      };
+      assert.deepStrictEqual(checkSchema({ a: { b: 1 }, d: 1 }, schema, 'v'), [
+        'v requires c',
+        'v.a.b must be a boolean',
+        'v does not accept d'
+      ]);
+    });
+
+    it('should report the errors of the matching anyOf alternative', () => {
+      const schema = {
+        anyOf: [
+          { type: 'string' },
+          { type: 'object', properties: { n: { type: 'number' } } }
+        ]
+      };
+      assert.deepStrictEqual(checkSchema({ n: 'x' }, schema, 'v'), ['v.n must be a number']);
+      assert.deepStrictEqual(checkSchema(true, schema, 'v'), ['v must be a string or an object']);
+    });
+  });
+
+  describe('validateStepParams', () => {
+    it('should accept documented shapes', () => {
+      assert.deepStrictEqual(validateStepParams('goto', { url: 'https://example.com', waitUntil: 'load' }), []);
+      assert.deepStrictEqual(validateStepParams('emulate', { geolocation: null, colorScheme: 'dark' }), []);
+      assert.deepStrictEqual(validateStepParams('query', { role: ['button', 'link'], output: ['text', 'href'] }), []);
+    });
+
+    it('should reject option types the step validator does not check', () => {
+      const errors = validateStepInternal({ snapshot: { maxDepth: 'deep' } });
+      assert.deepStrictEqual(errors, ['snapshot.maxDepth must be a number']);
+    });
+
+    it('should prefer step-specific messages when both disagree with the params', () => {
+      const errors = validateStepInternal({ goto: '' });
+      assert.deepStrictEqual(errors, ['goto requires a non-empty URL string']);
+    });
+  });
+
+  describe('documented examples', () => {
+    const scriptsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+    const docs = ['../SKILL.md', '../EXAMPLES.md', '../README.md', '../../SPEC.md', '../../README.md']
+      .map(doc => path.join(scriptsDir, doc))
+      .filter(doc => fs.existsSync(doc));
+    const stepTypes = new Set(getAllStepTypes());
+
+    // Steps are objects keyed only by step types; responses and other JSON are skipped
+    function collectSteps(value, found) {
+      if (Array.isArray(value)) {
+        value.forEach(item => collectSteps(item, found));
+      } else if (value && typeof value === 'object') {
+        if (Array.isArray(value.steps)) {
+          collectSteps(value.steps, found);
+          return;
+        }
+        const keys = Object.keys(value);
+        if (keys.length !== 1 || !stepTypes.has(keys[0])) return;
+        found.push(value);
+        for (const block of STEP_CONFIG[keys[0]].blocks || []) {
+          collectSteps(value[keys[0]]?.[block], found);
+        }
+      }
+    }
+
+    const examples = [];
+    for (const doc of docs) {
+      const text = fs.readFileSync(doc, 'utf8');
+      const snippets = [];
+      for (const [, block] of text.matchAll(/```json\n([\s\S]*?)```/g)) {
+        snippets.push(block, ...block.split('\n'));
+      }
+      for (const [, inline] of text.matchAll(/`(\{[^`]*\})`/g)) snippets.push(inline);
+      for (const snippet of snippets) {
+        let json;
+        try { json = JSON.parse(snippet); } catch { continue; }
+        collectSteps(json, examples);
+      }
+    }
+
+    it('should find the step examples in the docs', () => {
+      assert.ok(examples.length > 200, `only ${examples.length} examples found`);
+      assert.ok(examples.some(step => step.scroll?.deltaY === 'down'));
+    });
+
+    it('should get the same verdict from the schema and the step validator', () => {
+      const disagreements = [];
+      for (const step of examples) {
+        const [action] = Object.keys(step);
+        // Steps without a validate function are checked by the schema alone
+        if (!STEP_CONFIG[action].validate) continue;
+        const schemaErrors = validateStepParams(action, step[action]);
+        const stepErrors = STEP_CONFIG[action].validate(step[action]);
+        if ((schemaErrors.length === 0) !== (stepErrors.length === 0)) {
+          disagreements.push({ step, schemaErrors, stepErrors });
+        }
+      }
+      assert.deepStrictEqual(disagreements, []);
+    });
+
+    it('should reject a non-numeric scroll delta as the docs show', () => {
+      assert.deepStrictEqual(validateStepInternal({ scroll: { deltaY: 'down' } }), ['scroll.deltaY must be a number']);
+    });
+  });
+
+  describe('buildRequestSchema', () => {
+    it('should describe a request with one alternative per step type', () => {
+      const schema = buildRequestSchema();
+      assert.deepStrictEqual(schema.required, ['steps']);
+      assert.deepStrictEqual(schema.$defs.step.anyOf.map(option => option.title).sort(), getAllStepTypes().sort());
+    });
+
+    it('should validate nested control-flow steps through $defs', () => {
+      const schema = buildRequestSchema();
+      const request = { steps: [{ if: { selector: '#x', then: [{ click: 5 }] } }] };
+      assert.deepStrictEqual(checkSchema(request, schema, 'request', schema.$defs), [
+        'request.steps[0].if.then[0].click must be a string or an object'
+      ]);
+      assert.deepStrictEqual(checkSchema({ tab: 't1', steps: [{ click: '#a', optional: true }] }, schema, 'request', schema.$defs), []);
+    });
+  });
+});
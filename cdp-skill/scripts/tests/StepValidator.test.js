@@ -357,12 +357,50 @@ describe('StepValidator', () => {
         assert.ok(errors.some(e => e.includes('mode must be "ai" or "full"')));
       });
 
+      it('should accept the cdp backend and reject unknown ones', () => {
+        assert.strictEqual(validateStepInternal({ snapshot: { backend: 'cdp' } }).length, 0);
+        const errors = validateStepInternal({ snapshot: { backend: 'axe' } });
+        assert.ok(errors.some(e => e.includes('backend must be "dom" or "cdp"')));
+      });
+
+      it('should reject options the cdp backend does not apply', () => {
+        assert.deepStrictEqual(validateStepInternal({ snapshot: { backend: 'cdp', viewportOnly: true, includeFrames: true } }), [
+          'snapshot viewportOnly is not supported with backend "cdp"',
+          'snapshot includeFrames is not supported with backend "cdp"'
+        ]);
+        assert.deepStrictEqual(validateStepInternal({ snapshot: { backend: 'cdp', includeFrames: false } }), []);
+      });
+
       it('should reject string', () => {
         const errors = validateStepInternal({ snapshot: 'yes' });
         assert.ok(errors.some(e => e.includes('requires true or params object')));
       });
     });
 
+    describe('touch gesture validation', () => {
+      it('should accept tap and longPress targets like click', () => {
+        assert.strictEqual(validateStepInternal({ tap: '#menu' }).length, 0);
+        assert.strictEqual(validateStepInternal({ tap: { ref: 'f0s1e2' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ longPress: { text: 'Photo', duration: 1000 } }).length, 0);
+      });
+
+      it('should reject tap without a target', () => {
+        const errors = validateStepInternal({ tap: {} });
+        assert.ok(errors.some(e => e.includes('tap requires selector, ref, text, or x/y coordinates')));
+      });
+
+      it('should accept swipe and pinch without a target', () => {
+        assert.strictEqual(validateStepInternal({ swipe: { direction: 'left', distance: 200 } }).length, 0);
+        assert.strictEqual(validateStepInternal({ pinch: { scale: 0.5 } }).length, 0);
+      });
+
+      it('should reject invalid swipe direction and pinch scale', () => {
+        assert.ok(validateStepInternal({ swipe: { direction: 'north' } }).some(e => e.includes('swipe direction must be')));
+        assert.ok(validateStepInternal({ pinch: { selector: '#map' } }).some(e => e.includes('pinch scale must be a positive number')));
+        assert.ok(validateStepInternal({ longPress: { x: 1, y: 1, duration: -5 } }).some(e => e.includes('longPress duration')));
+      });
+    });
+
     describe('viewport validation', () => {
       it('should accept device preset string', () => {
         const errors = validateStepInternal({ viewport: 'iPhone 12' });
@@ -601,6 +639,279 @@ describe('StepValidator', () => {
       });
     });
 
+    describe('network validation', () => {
+      it('should accept action strings', () => {
+        for (const action of ['start', 'stop', 'clear', 'query', 'errors']) {
+          assert.strictEqual(validateStepInternal({ network: action }).length, 0);
+        }
+      });
+
+      it('should accept query filters and har export', () => {
+        assert.strictEqual(validateStepInternal({ network: { query: { url: 'api', status: ['4xx', 500], type: 'XHR' } } }).length, 0);
+        assert.strictEqual(validateStepInternal({ network: { har: 'out.har' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ network: { har: { path: 'out.har', content: true } } }).length, 0);
+      });
+
+      it('should reject unknown actions', () => {
+        const errors = validateStepInternal({ network: 'record' });
+        assert.ok(errors.some(e => e.includes('network string must be one of')));
+      });
+
+      it('should reject multiple actions', () => {
+        const errors = validateStepInternal({ network: { start: true, query: true } });
+        assert.ok(errors.some(e => e.includes('only one action')));
+      });
+
+      it('should reject invalid status filter', () => {
+        const errors = validateStepInternal({ network: { query: { status: 'bad' } } });
+        assert.ok(errors.some(e => e.includes('status must be')));
+      });
+    });
+
+    describe('route validation', () => {
+      it('should accept block, fulfill, and modify rules', () => {
+        assert.strictEqual(validateStepInternal({ route: { url: '**/collect*', block: true } }).length, 0);
+        assert.strictEqual(validateStepInternal({ route: { urlRegex: 'api/pay$', fulfill: { status: 200, json: { ok: true } } } }).length, 0);
+        assert.strictEqual(validateStepInternal({ route: { url: '**', modify: { headers: { 'X-Test': '1' } } } }).length, 0);
+      });
+
+      it('should accept management actions', () => {
+        assert.strictEqual(validateStepInternal({ route: { list: true } }).length, 0);
+        assert.strictEqual(validateStepInternal({ route: { remove: 'r1' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ route: { clear: true } }).length, 0);
+      });
+
+      it('should require a url pattern', () => {
+        const errors = validateStepInternal({ route: { block: true } });
+        assert.ok(errors.some(e => e.includes('requires url')));
+      });
+
+      it('should require exactly one action', () => {
+        assert.ok(validateStepInternal({ route: { url: '**' } }).some(e => e.includes('requires one of')));
+        assert.ok(validateStepInternal({ route: { url: '**', block: true, fulfill: {} } }).some(e => e.includes('only one of')));
+      });
+
+      it('should reject invalid urlRegex and error reasons', () => {
+        assert.ok(validateStepInternal({ route: { urlRegex: '(', block: true } }).some(e => e.includes('not a valid regex')));
+        assert.ok(validateStepInternal({ route: { url: '**', block: 'Nope' } }).some(e => e.includes('block must be')));
+      });
+
+      it('should reject multiple fulfill body sources', () => {
+        const errors = validateStepInternal({ route: { url: '**', fulfill: { body: 'a', json: {} } } });
+        assert.ok(errors.some(e => e.includes('only one of body, json, file')));
+      });
+    });
+
+    describe('dialog validation', () => {
+      it('should accept shorthand strings', () => {
+        assert.strictEqual(validateStepInternal({ dialog: 'accept' }).length, 0);
+        assert.strictEqual(validateStepInternal({ dialog: 'dismiss' }).length, 0);
+        assert.strictEqual(validateStepInternal({ dialog: 'reset' }).length, 0);
+      });
+
+      it('should accept queued answers and policies', () => {
+        assert.strictEqual(validateStepInternal({ dialog: { accept: false, count: 2 } }).length, 0);
+        assert.strictEqual(validateStepInternal({ dialog: { promptText: 'Alice' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ dialog: { policy: 'dismiss' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ dialog: { policy: 'accept', promptText: 'ok' } }).length, 0);
+      });
+
+      it('should reject unknown strings and policies', () => {
+        assert.ok(validateStepInternal({ dialog: 'ignore' }).length > 0);
+        assert.ok(validateStepInternal({ dialog: { policy: 'ignore' } }).some(e => e.includes('policy must be')));
+      });
+
+      it('should reject invalid count and empty objects', () => {
+        assert.ok(validateStepInternal({ dialog: { accept: true, count: 0 } }).some(e => e.includes('positive integer')));
+        assert.ok(validateStepInternal({ dialog: {} }).some(e => e.includes('requires accept')));
+      });
+
+      it('should reject policy combined with count', () => {
+        const errors = validateStepInternal({ dialog: { policy: 'accept', count: 2 } });
+        assert.ok(errors.some(e => e.includes('cannot be combined')));
+      });
+    });
+
+    describe('emulate validation', () => {
+      it('should accept profiles, reset, and network/cpu objects', () => {
+        assert.strictEqual(validateStepInternal({ emulate: 'slow-3g' }).length, 0);
+        assert.strictEqual(validateStepInternal({ emulate: 'reset' }).length, 0);
+        assert.strictEqual(validateStepInternal({ emulate: { network: { latency: 300, download: 750 }, cpu: 4 } }).length, 0);
+        assert.strictEqual(validateStepInternal({ emulate: { network: 'none' } }).length, 0);
+      });
+
+      it('should reject unknown profiles and empty objects', () => {
+        assert.ok(validateStepInternal({ emulate: '5g' }).some(e => e.includes('network profile')));
+        assert.ok(validateStepInternal({ emulate: { network: '2g' } }).some(e => e.includes('must be one of')));
+        assert.ok(validateStepInternal({ emulate: {} }).some(e => e.includes('emulate requires one of')));
+      });
+
+      it('should reject invalid numbers', () => {
+        assert.ok(validateStepInternal({ emulate: { cpu: 0.5 } }).some(e => e.includes('cpu must be')));
+        assert.ok(validateStepInternal({ emulate: { network: { latency: -1 } } }).some(e => e.includes('latency must be')));
+        assert.ok(validateStepInternal({ emulate: { reset: true, cpu: 2 } }).some(e => e.includes('cannot be combined')));
+      });
+
+      it('should accept environment overrides and null to clear them', () => {
+        assert.strictEqual(validateStepInternal({ emulate: {
+          geolocation: { latitude: 35.68, longitude: 139.69 },
+          timezone: 'Asia/Tokyo',
+          locale: 'ja-JP',
+          colorScheme: 'dark',
+          reducedMotion: 'reduce',
+          userAgent: { userAgent: 'Bot/1', clientHints: { brands: [{ brand: 'Bot', version: '1' }] } }
+        } }).length, 0);
+        assert.strictEqual(validateStepInternal({ emulate: { geolocation: null, userAgent: null, timezone: null } }).length, 0);
+      });
+
+      it('should reject invalid environment overrides', () => {
+        assert.ok(validateStepInternal({ emulate: { geolocation: { latitude: 91, longitude: 0 } } }).some(e => e.includes('latitude must be')));
+        assert.ok(validateStepInternal({ emulate: { colorScheme: 'sepia' } }).some(e => e.includes('colorScheme must be')));
+        assert.ok(validateStepInternal({ emulate: { userAgent: { platform: 'Linux' } } }).some(e => e.includes('userAgent.userAgent')));
+        assert.ok(validateStepInternal({ emulate: { userAgent: { userAgent: 'x', clientHints: { brands: ['Chrome'] } } } }).some(e => e.includes('brands must be')));
+      });
+    });
+
+    describe('permissions validation', () => {
+      it('should accept shorthands and single actions', () => {
+        assert.strictEqual(validateStepInternal({ permissions: 'query' }).length, 0);
+        assert.strictEqual(validateStepInternal({ permissions: { grant: ['notifications', 'camera'], origin: 'http://localhost:3000' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ permissions: { deny: 'geolocation' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ permissions: { reset: true } }).length, 0);
+      });
+
+      it('should require exactly one action with permission names', () => {
+        assert.ok(validateStepInternal({ permissions: {} }).some(e => e.includes('requires one of')));
+        assert.ok(validateStepInternal({ permissions: { grant: 'camera', deny: 'microphone' } }).some(e => e.includes('only one of')));
+        assert.ok(validateStepInternal({ permissions: { grant: true } }).some(e => e.includes('grant requires a permission name')));
+      });
+
+      it('should reject origins with a path', () => {
+        const errors = validateStepInternal({ permissions: { grant: 'camera', origin: 'https://example.com/app' } });
+        assert.ok(errors.some(e => e.includes('origin must be')));
+      });
+    });
+
+    describe('clipboard validation', () => {
+      it('should accept read, write and paste', () => {
+        assert.strictEqual(validateStepInternal({ clipboard: 'read' }).length, 0);
+        assert.strictEqual(validateStepInternal({ clipboard: { write: 'hello' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ clipboard: { write: { text: 'hi', html: '<b>hi</b>', image: 'logo.png' } } }).length, 0);
+        assert.strictEqual(validateStepInternal({ clipboard: { paste: { 'text/uri-list': 'https://example.com' }, ref: 's1e4' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ clipboard: 'paste' }).length, 0);
+      });
+
+      it('should require exactly one action with string content', () => {
+        assert.ok(validateStepInternal({ clipboard: { read: true, paste: true } }).some(e => e.includes('exactly one of')));
+        assert.ok(validateStepInternal({ clipboard: { write: {} } }).some(e => e.includes('write requires text')));
+        assert.ok(validateStepInternal({ clipboard: { paste: { foo: 'x' } } }).some(e => e.includes('must be text, html, image, or a MIME type')));
+        assert.ok(validateStepInternal({ clipboard: { write: { text: 5 } } }).some(e => e.includes('text must be a string')));
+      });
+
+      it('should only accept a target for paste', () => {
+        const errors = validateStepInternal({ clipboard: { read: true, selector: '#editor' } });
+        assert.ok(errors.some(e => e.includes('selector only applies to paste')));
+      });
+    });
+
+    describe('downloads validation', () => {
+      it('should accept shorthands and options', () => {
+        assert.strictEqual(validateStepInternal({ downloads: true }).length, 0);
+        assert.strictEqual(validateStepInternal({ downloads: 'wait' }).length, 0);
+        assert.strictEqual(validateStepInternal({ downloads: { wait: true, match: '*.csv', timeout: 60000, checksum: 'sha256' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ downloads: { clear: true } }).length, 0);
+      });
+
+      it('should reject invalid options', () => {
+        assert.ok(validateStepInternal({ downloads: { wait: 5000 } }).some(e => e.includes('wait must be a boolean')));
+        assert.ok(validateStepInternal({ downloads: { checksum: 'crc32' } }).some(e => e.includes('checksum must be')));
+        assert.ok(validateStepInternal({ downloads: { clear: true, match: '*.pdf' } }).some(e => e.includes('cannot be combined with match')));
+      });
+    });
+
+    describe('http validation', () => {
+      it('should accept headers, credentials and user agent', () => {
+        assert.strictEqual(validateStepInternal({ http: 'reset' }).length, 0);
+        assert.strictEqual(validateStepInternal({ http: { headers: { 'X-Test-User': 'alice', 'X-Old': null } } }).length, 0);
+        assert.strictEqual(validateStepInternal({ http: { credentials: { username: 'qa', password: 'pw', origin: 'https://staging.example.com' } } }).length, 0);
+        assert.strictEqual(validateStepInternal({ http: { userAgent: null, credentials: null } }).length, 0);
+      });
+
+      it('should reject incomplete or malformed settings', () => {
+        assert.ok(validateStepInternal({ http: {} }).some(e => e.includes('at least one of')));
+        assert.ok(validateStepInternal({ http: { credentials: { username: 'qa' } } }).some(e => e.includes('username and password')));
+        assert.ok(validateStepInternal({ http: { credentials: { username: 'qa', password: 'pw', origin: 'https://a.com/login' } } }).some(e => e.includes('origin must be')));
+        assert.ok(validateStepInternal({ http: { headers: { 'X-A': true } } }).some(e => e.includes('header "X-A"')));
+      });
+
+      it('should validate http settings on newTab', () => {
+        assert.strictEqual(validateStepInternal({ newTab: { url: 'https://staging.example.com', credentials: { username: 'qa', password: 'pw' } } }).length, 0);
+        assert.ok(validateStepInternal({ newTab: { url: 'https://x.com', userAgent: 5 } }).some(e => e.includes('newTab userAgent')));
+      });
+    });
+
+    describe('browser context validation', () => {
+      it('should accept a named context on newTab', () => {
+        assert.strictEqual(validateStepInternal({ newTab: { url: 'https://app.example.com', context: 'userA' } }).length, 0);
+        assert.ok(validateStepInternal({ newTab: { context: '' } }).some(e => e.includes('newTab context')));
+      });
+
+      it('should require a context name for closeContext', () => {
+        assert.strictEqual(validateStepInternal({ closeContext: 'userA' }).length, 0);
+        assert.ok(validateStepInternal({ closeContext: true }).some(e => e.includes('closeContext requires')));
+      });
+    });
+
+    describe('storage validation', () => {
+      it('should accept storage operations', () => {
+        assert.strictEqual(validateStepInternal({ storage: { get: true } }).length, 0);
+        assert.strictEqual(validateStepInternal({ storage: { get: 'token', type: 'session' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ storage: { set: { theme: 'dark' }, origin: 'https://example.com' } }).length, 0);
+        assert.strictEqual(validateStepInternal({ storage: { delete: ['a', 'b'] } }).length, 0);
+        assert.strictEqual(validateStepInternal({ storage: { export: 'auth.json' } }).length, 0);
+      });
+
+      it('should require exactly one operation', () => {
+        assert.ok(validateStepInternal({ storage: {} }).some(e => e.includes('requires one of')));
+        assert.ok(validateStepInternal({ storage: { get: true, clear: true } }).some(e => e.includes('only one of')));
+      });
+
+      it('should reject invalid type and origin', () => {
+        assert.ok(validateStepInternal({ storage: { get: true, type: 'cookie' } }).some(e => e.includes('type must be')));
+        assert.ok(validateStepInternal({ storage: { get: true, origin: 'https://example.com/app' } }).some(e => e.includes('without a path')));
+        assert.ok(validateStepInternal({ storage: { get: true, origin: 'example' } }).some(e => e.includes('valid origin')));
+      });
+
+      it('should reject non-object set', () => {
+        assert.ok(validateStepInternal({ storage: { set: ['a'] } }).some(e => e.includes('object of key/value')));
+      });
+    });
+
+    describe('screenshotCompare validation', () => {
+      it('should accept a name or params object', () => {
+        assert.strictEqual(validateStepInternal({ screenshotCompare: 'home' }).length, 0);
+        assert.strictEqual(validateStepInternal({ screenshotCompare: { name: 'header/logo', selector: '#logo', threshold: 0.5 } }).length, 0);
+        assert.strictEqual(validateStepInternal({ screenshotCompare: { name: 'page', fullPage: true, mask: ['.clock', 'f0s1e4', { x: 0, y: 0, width: 10, height: 10 }] } }).length, 0);
+      });
+
+      it('should reject unsafe or missing names', () => {
+        assert.ok(validateStepInternal({ screenshotCompare: { selector: '#a' } }).some(e => e.includes('requires a baseline name')));
+        assert.ok(validateStepInternal({ screenshotCompare: '../outside' }).some(e => e.includes('may only contain')));
+        assert.ok(validateStepInternal({ screenshotCompare: 'a b' }).some(e => e.includes('may only contain')));
+      });
+
+      it('should reject conflicting targets and bad thresholds', () => {
+        assert.ok(validateStepInternal({ screenshotCompare: { name: 'x', selector: '#a', fullPage: true } }).some(e => e.includes('only one of')));
+        assert.ok(validateStepInternal({ screenshotCompare: { name: 'x', threshold: 150 } }).some(e => e.includes('threshold must be')));
+        assert.ok(validateStepInternal({ screenshotCompare: { name: 'x', pixelThreshold: 2 } }).some(e => e.includes('pixelThreshold')));
+      });
+
+      it('should reject malformed masks', () => {
+        assert.ok(validateStepInternal({ screenshotCompare: { name: 'x', mask: '.clock' } }).some(e => e.includes('mask must be')));
+        assert.ok(validateStepInternal({ screenshotCompare: { name: 'x', mask: [{ x: 1 }] } }).some(e => e.includes('mask must be')));
+      });
+    });
+
   describe('validateSteps', () => {
     it('should return valid for empty array', () => {
       const result = validateSteps([]);
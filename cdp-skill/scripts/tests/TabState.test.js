@@ -0,0 +1,64 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The state files live in the OS temp directory, which is read when the module loads
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-skill-tab-state-'));
+process.env.TMPDIR = tmpDir;
+const tabState = await import('../cli/tab-state.js');
+
+describe('TabState', () => {
+  const targetId = 'A'.repeat(32);
+
+  before(() => {
+    tabState.registerTab(targetId);
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should keep each registry in its own file', () => {
+    tabState.saveRouteRules(targetId, [{ url: '*.png', action: 'block' }]);
+    tabState.saveDialogState(targetId, { queue: [{ accept: false }], policy: null });
+
+    assert.deepStrictEqual(tabState.loadRouteRules(targetId), [{ url: '*.png', action: 'block' }]);
+    assert.deepStrictEqual(tabState.loadDialogState(targetId), { queue: [{ accept: false }], policy: null });
+    assert.ok(fs.existsSync(path.join(tmpDir, 'cdp-skill-routes.json')));
+    assert.ok(fs.existsSync(path.join(tmpDir, 'cdp-skill-dialogs.json')));
+  });
+
+  it('should drop a tab entry when an empty state is saved', () => {
+    tabState.saveDownloadState(targetId, [{ guid: 'g1', state: 'completed' }]);
+    tabState.saveDownloadState(targetId, []);
+    tabState.saveEmulationState(targetId, { network: null, cpu: null });
+
+    assert.strictEqual(tabState.loadDownloadState(targetId), null);
+    assert.strictEqual(tabState.loadEmulationState(targetId), null);
+  });
+
+  it('should expire frame state after an hour', () => {
+    tabState.saveFrameState(targetId, { frameId: 'F1' });
+    assert.strictEqual(tabState.loadFrameState(targetId).frameId, 'F1');
+
+    const file = path.join(tmpDir, 'cdp-skill-frames.json');
+    const states = JSON.parse(fs.readFileSync(file, 'utf8'));
+    states[targetId].timestamp -= 3600001;
+    fs.writeFileSync(file, JSON.stringify(states));
+
+    assert.strictEqual(tabState.loadFrameState(targetId), null);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {});
+  });
+
+  it('should clear every per-tab state when the tab is unregistered', () => {
+    tabState.saveFrameState(targetId, { frameId: 'F1' });
+    tabState.saveRouteRules(targetId, [{ url: '*', action: 'block' }]);
+
+    assert.strictEqual(tabState.unregisterTab(targetId), 't1');
+    assert.strictEqual(tabState.loadFrameState(targetId), null);
+    assert.strictEqual(tabState.loadRouteRules(targetId), null);
+    assert.strictEqual(tabState.loadDialogState(targetId), null);
+  });
+});
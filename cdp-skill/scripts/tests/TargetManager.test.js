@@ -186,6 +186,13 @@ describe('TargetManager', () => {
       assert.strictEqual(cmd.params.background, true);
       assert.strictEqual(cmd.params.newWindow, true);
     });
+
+    it('should create target in a browser context', async () => {
+      await targetManager.createTarget('about:blank', { browserContextId: 'CTX1' });
+
+      const cmd = mockConnection.sentCommands.find(c => c.method === 'Target.createTarget');
+      assert.strictEqual(cmd.params.browserContextId, 'CTX1');
+    });
   });
 
   describe('closeTarget', () => {
@@ -0,0 +1,133 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { collectTestFiles, loadTestFile, loadStepsFile, runTestFile } from '../cli/index.js';
+import { formatJUnitXml, escapeXml } from '../runner/index.js';
+
+describe('TestFile', () => {
+  let dir;
+
+  function writeJson(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  }
+
+  const testDef = {
+    id: '900-fixture',
+    url: 'http://localhost:8080/form.html',
+    category: 'create',
+    milestones: [{ id: 'done', weight: 1, verify: { dom_exists: '#done' } }]
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-skill-testfile-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.reset();
+  });
+
+  describe('collectTestFiles', () => {
+    it('should expand directories to sorted .test.json files', () => {
+      writeJson('b.test.json', testDef);
+      writeJson('a.test.json', testDef);
+      writeJson('notes.json', {});
+
+      const files = collectTestFiles([dir]);
+      assert.deepStrictEqual(files.map(f => path.basename(f)), ['a.test.json', 'b.test.json']);
+    });
+  });
+
+  describe('loadTestFile', () => {
+    it('should default the id to the file name', () => {
+      const { id, ...withoutId } = testDef;
+      const file = writeJson('login.test.json', withoutId);
+      assert.strictEqual(loadTestFile(file).id, 'login');
+    });
+
+    it('should reject files without url or milestones', () => {
+      const noUrl = writeJson('a.test.json', { milestones: [] });
+      const noMilestones = writeJson('b.test.json', { url: 'http://x' });
+
+      assert.throws(() => loadTestFile(noUrl), /missing "url"/);
+      assert.throws(() => loadTestFile(noMilestones), /missing a "milestones" array/);
+      assert.throws(() => loadTestFile(path.join(dir, 'none.test.json')), /not found/);
+    });
+  });
+
+  describe('loadStepsFile', () => {
+    it('should accept an array or an object with steps', () => {
+      const steps = [{ click: '#submit' }];
+      assert.deepStrictEqual(loadStepsFile(writeJson('a.json', steps)), steps);
+      assert.deepStrictEqual(loadStepsFile(writeJson('b.json', { steps })), steps);
+      assert.throws(() => loadStepsFile(writeJson('c.json', { click: '#x' })), /array of steps/);
+    });
+
+    it('should drop the leading newTab of a recorded request', () => {
+      const recorded = { steps: [{ newTab: 'http://localhost:8080/form.html' }, { click: '#submit' }] };
+      assert.deepStrictEqual(loadStepsFile(writeJson('rec.json', recorded)), [{ click: '#submit' }]);
+    });
+  });
+
+  describe('runTestFile', () => {
+    it('should report an error when there are no scripted steps', async () => {
+      const pool = { getBrowser: mock.fn() };
+      const result = await runTestFile(testDef, pool);
+
+      assert.strictEqual(result.status, 'error');
+      assert.match(result.error, /No scripted steps/);
+      assert.strictEqual(pool.getBrowser.mock.calls.length, 0);
+    });
+
+    it('should report connection failures without opening a tab', async () => {
+      const pool = {
+        getBrowser: mock.fn(async () => { throw { type: 'CONNECTION', message: 'Chrome not running' }; }),
+        forgetTab: mock.fn()
+      };
+      const result = await runTestFile(testDef, pool, { steps: [{ click: '#go' }], port: 9333 });
+
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error, 'Chrome not running');
+      assert.strictEqual(pool.getBrowser.mock.calls[0].arguments[1], 9333);
+      assert.strictEqual(pool.forgetTab.mock.calls.length, 0);
+    });
+  });
+
+  describe('formatJUnitXml', () => {
+    it('should emit a testsuite per test and a testcase per milestone', () => {
+      const xml = formatJUnitXml([{
+        testId: '900-fixture',
+        status: 'fail',
+        completion: 0.4,
+        durationMs: 1500,
+        stepsMs: 1200,
+        milestones: [
+          { id: 'loaded', weight: 0.4, passed: true, detail: 'dom_exists #app' },
+          { id: 'saved', weight: 0.6, passed: false, detail: 'no element matches #saved' }
+        ],
+        errors: [{ step: 3, action: 'click', error: 'Element not found: #save' }]
+      }]);
+
+      assert.match(xml, /<testsuites name="cdp-skill" tests="3" failures="2" errors="0" time="1.500">/);
+      assert.match(xml, /<property name="completion" value="0.4"\/>/);
+      assert.match(xml, /<testcase classname="900-fixture" name="steps" time="1.200">\s*<failure message="step 3 \(click\): Element not found: #save" type="StepFailure"\/>/);
+      assert.match(xml, /name="loaded \(weight 0.4\)" time="0.000"\/>/);
+      assert.match(xml, /<failure message="no element matches #saved" type="MilestoneFailure"\/>/);
+    });
+
+    it('should report tests that could not run as errors', () => {
+      const xml = formatJUnitXml([{ testId: 'broken', status: 'error', completion: 0, error: 'Test file not found', durationMs: 0 }]);
+
+      assert.match(xml, /tests="1" failures="0" errors="1"/);
+      assert.match(xml, /<error message="Test file not found"\/>/);
+    });
+
+    it('should escape XML special and control characters', () => {
+      assert.strictEqual(escapeXml('a < b & "c" \u0007'), 'a &lt; b &amp; &quot;c&quot; ');
+    });
+  });
+});
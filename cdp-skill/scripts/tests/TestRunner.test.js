@@ -154,7 +154,9 @@ describe('TestRunner', () => {
     };
 
     const mockConsoleCapture = {
-      getMessages: () => []
+      getMessages: () => [],
+      getTotalCount: () => 0,
+      getMessagesSinceCount: () => []
     };
 
     testRunner = createTestRunner({
@@ -0,0 +1,122 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createTouchExecutor } from '../dom/touch-executor.js';
+
+describe('TouchExecutor', () => {
+  let mockSession;
+  let mockElementLocator;
+  let mockInputEmulator;
+  let mockAriaSnapshot;
+  let executor;
+  let touchPoint;
+
+  beforeEach(() => {
+    touchPoint = { isVisible: true, x: 120, y: 340 };
+
+    mockSession = {
+      send: mock.fn(async (method, params) => {
+        if (method === 'Runtime.evaluate') {
+          if (params.expression.includes('innerWidth')) return { result: { value: { x: 640, y: 360 } } };
+          if (params.expression.includes('document.querySelector')) return { result: { objectId: 'obj-1' } };
+        }
+        if (method === 'Runtime.callFunctionOn') {
+          if (params.functionDeclaration.includes('isConnected')) return { result: { value: { matches: true, received: 'attached' } } };
+          if (params.functionDeclaration.includes('scrollIntoView')) return { result: { value: touchPoint } };
+        }
+        return {};
+      })
+    };
+
+    mockElementLocator = {
+      findElementByText: mock.fn(async () => ({
+        objectId: 'obj-text',
+        isActionable: mock.fn(async () => ({ actionable: true })),
+        dispose: mock.fn(async () => {})
+      }))
+    };
+
+    mockInputEmulator = {
+      tap: mock.fn(async () => {}),
+      longPress: mock.fn(async () => {}),
+      swipe: mock.fn(async () => {}),
+      pinch: mock.fn(async () => {})
+    };
+
+    mockAriaSnapshot = {
+      getRefSession: mock.fn(async () => null),
+      getElementByRef: mock.fn(async () => ({ box: { x: 10, y: 20, width: 100, height: 40 }, isVisible: true }))
+    };
+
+    executor = createTouchExecutor(mockSession, mockElementLocator, mockInputEmulator, mockAriaSnapshot);
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should throw if inputEmulator is not provided', () => {
+    assert.throws(() => createTouchExecutor(mockSession, mockElementLocator, null), {
+      message: 'Input emulator is required'
+    });
+  });
+
+  it('should tap a selector at its center after the actionability check', async () => {
+    const result = await executor.execute('tap', '#menu');
+
+    assert.deepStrictEqual(result, { tapped: true, at: { x: 120, y: 340 } });
+    assert.deepStrictEqual(mockInputEmulator.tap.mock.calls[0].arguments, [120, 340]);
+    const methods = mockSession.send.mock.calls.map(c => c.arguments[0]);
+    assert.ok(methods.includes('Runtime.releaseObject'));
+  });
+
+  it('should tap coordinates directly', async () => {
+    await executor.execute('tap', { x: 5, y: 6 });
+    assert.deepStrictEqual(mockInputEmulator.tap.mock.calls[0].arguments, [5, 6]);
+    assert.strictEqual(mockSession.send.mock.calls.length, 0);
+  });
+
+  it('should reject hidden elements unless forced', async () => {
+    touchPoint = { isVisible: false, x: 0, y: 0 };
+    await assert.rejects(() => executor.execute('tap', '#hidden'), /not visible/);
+
+    await executor.execute('tap', { selector: '#hidden', force: true });
+    assert.strictEqual(mockInputEmulator.tap.mock.calls.length, 1);
+  });
+
+  it('should fail on text that is not actionable', async () => {
+    mockElementLocator.findElementByText = mock.fn(async () => ({
+      objectId: 'obj-text',
+      isActionable: mock.fn(async () => ({ actionable: false, reason: 'disabled' })),
+      dispose: mock.fn(async () => {})
+    }));
+    await assert.rejects(() => executor.execute('longPress', { text: 'Delete' }), /not actionable: disabled/);
+    assert.strictEqual(mockInputEmulator.longPress.mock.calls.length, 0);
+  });
+
+  it('should long-press text targets for the given duration', async () => {
+    const result = await executor.execute('longPress', { text: 'Photo', duration: 1200 });
+    assert.strictEqual(result.duration, 1200);
+    assert.deepStrictEqual(mockInputEmulator.longPress.mock.calls[0].arguments, [120, 340, { duration: 1200 }]);
+  });
+
+  it('should use page coordinates for refs in out-of-process frames', async () => {
+    mockAriaSnapshot.getRefSession = mock.fn(async () => ({ send: async () => ({}) }));
+    await executor.execute('tap', 'f2s1e3');
+    assert.deepStrictEqual(mockInputEmulator.tap.mock.calls[0].arguments, [60, 40]);
+  });
+
+  it('should swipe from the viewport center without a target', async () => {
+    const result = await executor.execute('swipe', { direction: 'left', distance: 200 });
+    assert.deepStrictEqual(result, { swiped: true, at: { x: 640, y: 360 }, direction: 'left', distance: 200 });
+    assert.deepStrictEqual(mockInputEmulator.swipe.mock.calls[0].arguments, [640, 360, { direction: 'left', distance: 200, duration: 300 }]);
+  });
+
+  it('should pinch around a target element', async () => {
+    await executor.execute('pinch', { selector: '#map', scale: 2 });
+    assert.deepStrictEqual(mockInputEmulator.pinch.mock.calls[0].arguments, [120, 340, { scale: 2, speed: undefined }]);
+  });
+
+  it('should require a target for tap', async () => {
+    await assert.rejects(() => executor.execute('tap', {}), /requires selector, ref, text, or x\/y/);
+  });
+});
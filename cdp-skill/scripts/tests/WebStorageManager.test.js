@@ -330,4 +330,71 @@ describe('WebStorageManager', () => {
       assert.strictEqual(sessionItems.length, 0);
     });
   });
+
+  describe('scoping', () => {
+    it('should evaluate in the current frame context', async () => {
+      const framed = createWebStorageManager(mockSession, { getFrameContext: () => 42 });
+      mockSession.send = mock.fn(async () => ({ result: { value: [] } }));
+
+      await framed.getStorage();
+
+      assert.strictEqual(mockSession.send.mock.calls[0].arguments[1].contextId, 42);
+    });
+
+    it('should read an origin through DOMStorage', async () => {
+      mockSession.send = mock.fn(async () => ({ entries: [['token', 'abc']] }));
+
+      const items = await manager.getStorage('session', { origin: 'https://app.example.com' });
+
+      const [method, params] = mockSession.send.mock.calls[0].arguments;
+      assert.strictEqual(method, 'DOMStorage.getDOMStorageItems');
+      assert.deepStrictEqual(params.storageId, { securityOrigin: 'https://app.example.com', isLocalStorage: false });
+      assert.deepStrictEqual(items, [{ name: 'token', value: 'abc' }]);
+    });
+
+    it('should set and remove origin items through DOMStorage', async () => {
+      await manager.setStorage({ a: '1', b: null }, 'local', { origin: 'https://app.example.com' });
+
+      const methods = mockSession.send.mock.calls.map(c => c.arguments[0]);
+      assert.deepStrictEqual(methods, ['DOMStorage.setDOMStorageItem', 'DOMStorage.removeDOMStorageItem']);
+    });
+  });
+
+  describe('exportOrigins / importOrigins', () => {
+    const frameTree = {
+      frame: { id: 'main', securityOrigin: 'https://app.example.com' },
+      childFrames: [
+        { frame: { id: 'ad', securityOrigin: 'https://ads.example.net' } },
+        { frame: { id: 'blank', securityOrigin: '://' } }
+      ]
+    };
+
+    it('should export non-empty storage for each loaded origin', async () => {
+      mockSession.send = mock.fn(async (method, params) => {
+        if (method === 'Page.getFrameTree') return { frameTree };
+        const isApp = params.storageId.securityOrigin === 'https://app.example.com';
+        return { entries: isApp && params.storageId.isLocalStorage ? [['user', 'alice']] : [] };
+      });
+
+      const origins = await manager.exportOrigins();
+
+      assert.deepStrictEqual(origins, [
+        { origin: 'https://app.example.com', localStorage: [{ name: 'user', value: 'alice' }], sessionStorage: [] }
+      ]);
+    });
+
+    it('should apply loaded origins and skip the rest', async () => {
+      mockSession.send = mock.fn(async (method) => (method === 'Page.getFrameTree' ? { frameTree } : {}));
+
+      const result = await manager.importOrigins([
+        { origin: 'https://app.example.com', localStorage: [{ name: 'user', value: 'alice' }], sessionStorage: [] },
+        { origin: 'https://other.example.org', localStorage: [{ name: 'x', value: '1' }] }
+      ]);
+
+      assert.deepStrictEqual(result, { applied: ['https://app.example.com'], skipped: ['https://other.example.org'] });
+      const sets = mockSession.send.mock.calls.filter(c => c.arguments[0] === 'DOMStorage.setDOMStorageItem');
+      assert.strictEqual(sets.length, 1);
+      assert.strictEqual(sets[0].arguments[1].key, 'user');
+    });
+  });
 });
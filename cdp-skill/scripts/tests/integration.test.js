@@ -69,6 +69,7 @@ import {
   isContextDestroyed,
   isStaleElementError
 } from '../index.js';
+import { createDialogHandler } from '../page/dialog-handler.js';
 
 describe('Integration: Index Exports', () => {
   describe('Core connection and browser management', () => {
@@ -387,7 +388,9 @@ describe('Integration: TestRunner with Mocks', () => {
     };
 
     const mockConsoleCapture = {
-      getMessages: () => []
+      getMessages: () => [],
+      getTotalCount: () => 0,
+      getMessagesSinceCount: () => []
     };
 
     const runner = createTestRunner({
@@ -438,3 +441,65 @@ describe('Integration: Error Aggregator with Mocks', () => {
     assert.strictEqual(summary.counts.httpServerErrors, 1);
   });
 });
+
+describe('Integration: runSteps events', () => {
+  it('should emit step and console events in order', async () => {
+    let listener = null;
+    const consoleCapture = {
+      getTotalCount: () => 0,
+      getMessagesSinceCount: () => [],
+      onMessage: (fn) => { listener = fn; return () => { listener = null; }; }
+    };
+    const events = [];
+    const onEvent = (event) => {
+      events.push(event);
+      if (event.event === 'stepStart') listener?.({ type: 'console', level: 'log', text: `during ${event.step}` });
+    };
+
+    const result = await runSteps({ consoleCapture }, [{ sleep: 1 }, { sleep: 1 }], { onEvent });
+
+    assert.strictEqual(result.status, 'ok');
+    assert.deepStrictEqual(events.map(e => `${e.event}:${e.step ?? e.text}`), [
+      'stepStart:1', 'console:during 1', 'stepEnd:1',
+      'stepStart:2', 'console:during 2', 'stepEnd:2'
+    ]);
+    assert.deepStrictEqual(events[2].result, { action: 'sleep', status: 'ok' });
+    assert.strictEqual(listener, null, 'console listener should be removed after the run');
+  });
+});
+
+describe('Integration: runSteps on a kept-alive tab', () => {
+  it('should report new console messages and dialogs after the buffers are full', async () => {
+    // The daemon pool reuses one tab context, so the same capture and handler
+    // see every request; fill both past their caps before the requests run
+    const handlers = {};
+    const session = {
+      send: async () => ({}),
+      on: (event, fn) => { handlers[event] = fn; },
+      off: () => {}
+    };
+    const consoleCapture = createConsoleCapture(session);
+    await consoleCapture.startCapture();
+    const dialogHandler = createDialogHandler(session);
+    await dialogHandler.enable();
+
+    const logError = (text) => handlers['Runtime.consoleAPICalled']({ type: 'error', args: [{ value: text }] });
+    const openDialog = (message) => handlers['Page.javascriptDialogOpening']({ type: 'alert', message });
+    for (let i = 0; i < 10005; i++) logError(`old ${i}`);
+    for (let i = 0; i < 105; i++) openDialog(`old ${i}`);
+
+    const deps = { consoleCapture, pageController: { session, dialogHandler } };
+    for (const request of ['first', 'second']) {
+      const onEvent = (event) => {
+        if (event.event !== 'stepStart') return;
+        logError(`${request} request`);
+        openDialog(`${request} request`);
+      };
+
+      const result = await runSteps(deps, [{ sleep: 1 }], { onEvent });
+
+      assert.deepStrictEqual(result.console.messages.map(m => m.text), [`${request} request`]);
+      assert.deepStrictEqual(result.dialogs.map(d => d.message), [`${request} request`]);
+    }
+  });
+});
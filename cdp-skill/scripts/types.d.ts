@@ -0,0 +1,526 @@
+// Generated from scripts/types.js by `npm run build:types`. Do not edit.
+
+/** CDP session interface for communicating with browser targets */
+export interface CDPSession {
+  /** Send CDP command */
+  send: ((arg0: string, arg1?: Record<string, any>) => Promise<Record<string, any>>);
+  /** Subscribe to CDP event */
+  on: ((arg0: string, arg1: ((...args: any[]) => any)) => void);
+  /** Unsubscribe from CDP event */
+  off: ((arg0: string, arg1: ((...args: any[]) => any)) => void);
+  /** Clean up session resources */
+  dispose: (() => void);
+  /** Check if session is still valid */
+  isValid: (() => boolean);
+  /** CDP session ID */
+  sessionId: string;
+  /** Target ID this session is attached to */
+  targetId: string;
+}
+
+/** CDP connection interface for WebSocket communication */
+export interface CDPConnection {
+  /** Establish WebSocket connection */
+  connect: (() => Promise<void>);
+  /** Send CDP command */
+  send: ((arg0: string, arg1?: Record<string, any>, arg2?: number) => Promise<Record<string, any>>);
+  /** Send command to session */
+  sendToSession: ((arg0: string, arg1: string, arg2?: Record<string, any>, arg3?: number) => Promise<Record<string, any>>);
+  /** Subscribe to event */
+  on: ((arg0: string, arg1: ((...args: any[]) => any)) => void);
+  /** Unsubscribe from event */
+  off: ((arg0: string, arg1: ((...args: any[]) => any)) => void);
+  /** Wait for specific event */
+  waitForEvent: ((arg0: string, arg1?: ((...args: any[]) => any), arg2?: number) => Promise<Record<string, any>>);
+  /** Close connection */
+  close: (() => Promise<void>);
+  /** Remove event listeners */
+  removeAllListeners: ((arg0?: string) => void);
+  /** Set close callback */
+  onClose: ((arg0: ((...args: any[]) => any)) => void);
+  /** Check connection status */
+  isConnected: (() => boolean);
+  /** Get WebSocket URL */
+  getWsUrl: (() => string);
+}
+
+/** Element handle for interacting with DOM elements */
+export interface ElementHandle {
+  /** Get element dimensions */
+  getBoundingBox: (() => Promise<BoundingBox|null>);
+  /** Click the element */
+  click: ((arg0?: Record<string, any>) => Promise<void>);
+  /** Type text into element */
+  type: ((arg0: string) => Promise<void>);
+  /** Fill element with value */
+  fill: ((arg0: string, arg1?: Record<string, any>) => Promise<void>);
+  /** Scroll element into view */
+  scrollIntoView: ((arg0?: Record<string, any>) => Promise<void>);
+  /** Check visibility */
+  isVisible: (() => Promise<boolean>);
+  /** Check if enabled */
+  isEnabled: (() => Promise<boolean>);
+  /** Get attribute value */
+  getAttribute: ((arg0: string) => Promise<string|null>);
+  /** Get inner text */
+  getInnerText: (() => Promise<string>);
+  /** Run JS on element */
+  evaluate: ((arg0: string) => Promise<any>);
+  /** Release element reference */
+  dispose: (() => Promise<void>);
+  /** CDP object ID */
+  objectId: string;
+}
+
+/** Bounding box dimensions for an element */
+export interface BoundingBox {
+  /** X coordinate (left edge) */
+  x: number;
+  /** Y coordinate (top edge) */
+  y: number;
+  /** Element width */
+  width: number;
+  /** Element height */
+  height: number;
+}
+
+/** Quad coordinates (4 points defining element shape) */
+export type Quad = Array<{x: number, y: number}>;
+
+/** Viewport configuration */
+export interface ViewportConfig {
+  /** Viewport width in pixels */
+  width: number;
+  /** Viewport height in pixels */
+  height: number;
+  /** Device pixel ratio */
+  deviceScaleFactor?: number;
+  /** Emulate mobile device */
+  mobile?: boolean;
+  /** Enable touch events */
+  hasTouch?: boolean;
+  /** Landscape orientation */
+  isLandscape?: boolean;
+}
+
+/** Navigation options */
+export interface NavigationOptions {
+  /** Wait condition: 'load', 'domcontentloaded', 'networkidle', 'commit' */
+  waitUntil?: string;
+  /** Navigation timeout in ms */
+  timeout?: number;
+  /** Referrer URL */
+  referrer?: string;
+}
+
+/** Navigation result */
+export interface NavigationResult {
+  /** Frame ID that navigated */
+  frameId: string;
+  /** Loader ID for this navigation */
+  loaderId: string;
+  /** Final URL after navigation */
+  url: string;
+}
+
+/** Wait condition options */
+export interface WaitOptions {
+  /** Maximum wait time in ms */
+  timeout?: number;
+  /** Polling interval in ms */
+  pollInterval?: number;
+  /** Custom timeout message */
+  message?: string;
+}
+
+/** Screenshot options */
+export interface ScreenshotOptions {
+  /** Image format */
+  format?: 'png'|'jpeg'|'webp';
+  /** JPEG/WebP quality (0-100) */
+  quality?: number;
+  /** Capture full scrollable page */
+  fullPage?: boolean;
+  /** Transparent background */
+  omitBackground?: boolean;
+  /** Capture specific region */
+  clip?: ClipRegion;
+  /** Capture specific element */
+  selector?: string;
+  /** Allow clip regions outside the viewport (region capture) */
+  captureBeyondViewport?: boolean;
+}
+
+/** Clip region for screenshots */
+export interface ClipRegion {
+  /** X coordinate */
+  x: number;
+  /** Y coordinate */
+  y: number;
+  /** Width */
+  width: number;
+  /** Height */
+  height: number;
+  /** Scale factor */
+  scale?: number;
+}
+
+/** PDF generation options */
+export interface PdfOptions {
+  /** Landscape orientation */
+  landscape?: boolean;
+  /** Show header/footer */
+  displayHeaderFooter?: boolean;
+  /** Header HTML template */
+  headerTemplate?: string;
+  /** Footer HTML template */
+  footerTemplate?: string;
+  /** Print background graphics */
+  printBackground?: boolean;
+  /** Page scale (0.1 to 2) */
+  scale?: number;
+  /** Paper width in inches */
+  paperWidth?: number;
+  /** Paper height in inches */
+  paperHeight?: number;
+  /** Top margin in inches */
+  marginTop?: number;
+  /** Bottom margin in inches */
+  marginBottom?: number;
+  /** Left margin in inches */
+  marginLeft?: number;
+  /** Right margin in inches */
+  marginRight?: number;
+  /** Page ranges (e.g., '1-5, 8') */
+  pageRanges?: string;
+  /** Use CSS page size */
+  preferCSSPageSize?: boolean;
+}
+
+/** Cookie object */
+export interface CookieObject {
+  /** Cookie name */
+  name: string;
+  /** Cookie value */
+  value: string;
+  /** Cookie domain */
+  domain?: string;
+  /** Cookie path */
+  path?: string;
+  /** Expiration timestamp */
+  expires?: number;
+  /** HTTP only flag */
+  httpOnly?: boolean;
+  /** Secure flag */
+  secure?: boolean;
+  /** SameSite attribute */
+  sameSite?: 'Strict'|'Lax'|'None';
+  /** URL to derive domain/path from */
+  url?: string;
+}
+
+/** Storage item */
+export interface StorageItem {
+  /** Item key */
+  name: string;
+  /** Item value */
+  value: string;
+}
+
+/** Step execution result */
+export interface StepResult {
+  /** Action that was executed */
+  action: string;
+  /** Execution status */
+  status: 'ok'|'error'|'skipped';
+  /** Action-specific result data */
+  result?: any;
+  /** Error message if failed */
+  error?: string;
+  /** Execution time in ms */
+  duration?: number;
+}
+
+/** Run result from test execution */
+export interface RunResult {
+  /** Overall run status */
+  status: 'ok'|'error';
+  /** Tab alias (e.g., 't1') */
+  tab?: string;
+  /** Whether navigation occurred */
+  navigated?: boolean;
+  /** Full ARIA snapshot */
+  fullSnapshot?: string;
+  /** Page context (URL, scroll, activeElement) */
+  context?: Record<string, any>;
+  /** DOM changes detected */
+  changes?: Record<string, any>;
+  /** Viewport-only ARIA snapshot */
+  viewportSnapshot?: string;
+  /** Whether snapshot was truncated */
+  truncated?: boolean;
+  /** Screenshot file path */
+  screenshot?: string;
+  /** Console errors/warnings */
+  console?: Array<Record<string, any>>;
+  /** Individual step results */
+  steps: Array<StepResult>;
+  /** Error details for failed steps */
+  errors: Array<Record<string, any>>;
+}
+
+/** Step configuration */
+export interface StepConfig {
+  /** Navigate to URL */
+  goto?: string;
+  /** Click element (selector, ref, text, or x/y) */
+  click?: string;
+  /** Fill input: string (focused), {selector,value} (single), {fields} or mapping (batch) */
+  fill?: string|Record<string, any>;
+  /** Type into element */
+  type?: string;
+  /** Press key(s) */
+  press?: string;
+  /** Scroll configuration */
+  scroll?: Record<string, any>;
+  /** Take ARIA snapshot */
+  snapshot?: boolean|Record<string, any>;
+  /** Query elements */
+  query?: string|Record<string, any>;
+  /** Hover over element (selector, ref, text, or x/y) */
+  hover?: string|Record<string, any>;
+  /** Touch tap on element (selector, ref, text, or x/y) */
+  tap?: string|Record<string, any>;
+  /** Touch and hold on element, {duration} in ms */
+  longPress?: string|Record<string, any>;
+  /** Touch swipe {direction, distance?, duration?} from a target or the viewport center */
+  swipe?: Record<string, any>;
+  /** Touch pinch {scale, speed?} around a target or the viewport center */
+  pinch?: Record<string, any>;
+  /** Wait for selector/text/urlContains (no time delay — use sleep) */
+  wait?: string|Record<string, any>;
+  /** Time delay in ms (0–60000) */
+  sleep?: number;
+  /** Execute JS: function expression or bare expression */
+  pageFunction?: string|Record<string, any>;
+  /** Open new tab */
+  openTab?: true|string|{url?: string, host?: string, port?: number, headless?: boolean, fakeMedia?: boolean, context?: string, headers?: Record<string, any>, credentials?: Record<string, any>, userAgent?: string};
+  /** Close tab by ID */
+  closeTab?: string;
+  /** Dispose a named browser context and all its tabs */
+  closeContext?: string;
+  /** Select dropdown option */
+  selectOption?: string|Record<string, any>;
+  /** Set viewport */
+  viewport?: string|Record<string, any>;
+  /** Throttling and environment: profile name, "reset", or {network, cpu, geolocation, timezone, locale, colorScheme, reducedMotion, userAgent} */
+  emulate?: string|Record<string, any>;
+  /** Grant, deny, reset, or query permissions: {grant|deny|reset|query, origin?} */
+  permissions?: string|Record<string, any>;
+  /** Read, write, or paste clipboard content: "read" | "paste" | {read} | {write} | {paste, ref?, selector?} */
+  clipboard?: string|Record<string, any>;
+  /** List, wait for, checksum, or clear downloads: true | "wait" | {wait?, match?, timeout?, checksum?, clear?} */
+  downloads?: boolean|string|Record<string, any>;
+  /** Extra headers, HTTP credentials and user agent for the tab: "reset" | {headers?, credentials?, userAgent?} */
+  http?: string|Record<string, any>;
+  /** Cookie operations */
+  cookies?: Record<string, any>;
+  /** Navigate back */
+  back?: boolean;
+  /** Navigate forward */
+  forward?: boolean;
+  /** Drag and drop */
+  drag?: Record<string, any>;
+  /** Frame ops: "selector", index, "top", {name}, {list:true} */
+  frame?: string|number|Record<string, any>;
+  /** Coordinate lookup: {x,y} (point), [{x,y},...] (batch), {x,y,radius} (near) */
+  elementsAt?: Record<string, any>|any[];
+  /** Extract data from page */
+  extract?: Record<string, any>;
+  /** Get form state */
+  formState?: Record<string, any>;
+  /** Assert condition */
+  assert?: Record<string, any>;
+  /** Validate page state */
+  validate?: Record<string, any>;
+  /** Submit form */
+  submit?: string;
+}
+
+/** Runner dependencies */
+export interface RunnerDependencies {
+  /** Browser client instance */
+  browser: Record<string, any>;
+  /** Named browser context the tab belongs to (null for the default context) */
+  browserContextId?: string|null;
+  /** Page controller instance */
+  pageController: Record<string, any>;
+  /** Element locator instance */
+  elementLocator: Record<string, any>;
+  /** Input emulator instance */
+  inputEmulator: Record<string, any>;
+  /** Screenshot capture instance */
+  screenshotCapture: Record<string, any>;
+  /** Screenshot comparator instance (screenshotCompare step) */
+  screenshotComparator?: Record<string, any>;
+  /** Console capture instance */
+  consoleCapture: Record<string, any>;
+  /** Network capture instance */
+  networkCapture: Record<string, any>;
+  /** PDF capture instance */
+  pdfCapture: Record<string, any>;
+  /** ARIA snapshot instance */
+  ariaSnapshot: Record<string, any>;
+  /** Cookie manager instance */
+  cookieManager: Record<string, any>;
+  /** Web storage manager instance */
+  webStorageManager: Record<string, any>;
+  /** Request router instance */
+  requestRouter: Record<string, any>;
+  /** Throttling/environment emulation manager instance */
+  emulationManager?: Record<string, any>;
+  /** Download capture manager instance */
+  downloadManager?: Record<string, any>;
+  /** Extra headers / HTTP credentials manager instance */
+  httpManager?: Record<string, any>;
+}
+
+/** Options for createSession() */
+export interface SessionOptions {
+  /** Attach to this tab alias or targetId instead of opening a new tab */
+  tab?: string;
+  /** URL to open in the new tab */
+  url?: string;
+  /** Chrome debugging host (default "localhost") */
+  host?: string;
+  /** Chrome debugging port (default 9222) */
+  port?: number;
+  /** Launch Chrome headless if it has to be started */
+  headless?: boolean;
+  /** Named browser context for the new tab */
+  context?: string;
+  /** Default step timeout in ms (default 30000) */
+  timeout?: number;
+  /** Reject failed requests with a RequestFailedError (default true); false resolves with the error response */
+  throwOnError?: boolean;
+  /** Plugin modules with custom steps, loaded after those in ~/.cdp-skill/plugins */
+  plugins?: string[];
+  /** Executes a CLI request (default: runRequest on a kept-alive pool) */
+  handleRequest?: ((arg0: Record<string, any>) => Promise<RequestResponse>);
+}
+
+/** Per-call options for session step methods and run() */
+export interface StepCallOptions {
+  /** Step timeout in ms (default: the session timeout) */
+  timeout?: number;
+  /** Report failure as skipped instead of an error (step methods only) */
+  optional?: boolean;
+}
+
+/** Response of one request, as printed by the CLI */
+export interface RequestResponse {
+  /** Overall status */
+  status: 'ok'|'error';
+  /** Tab alias (e.g., 't1') */
+  tab?: string;
+  /** Site profile path after goto/newTab to a known site */
+  siteProfile?: string;
+  /** Action to take before continuing */
+  actionRequired?: {action: string, domain: string, message: string};
+  /** Whether the URL pathname changed */
+  navigated?: boolean;
+  /** Full-page ARIA snapshot file path */
+  fullSnapshot?: string;
+  /** Viewport ARIA snapshot */
+  viewportSnapshot?: string;
+  /** Whether the viewport snapshot was truncated */
+  truncated?: boolean;
+  /** After-screenshot file path */
+  screenshot?: string;
+  /** Page context (url, title, scroll, viewport, activeElement, modal) */
+  context?: Record<string, any>;
+  /** Viewport diff {summary, added, removed, changed} */
+  changes?: Record<string, any>;
+  /** Console errors and warnings {errors, warnings, messages} */
+  console?: Record<string, any>;
+  /** JavaScript dialogs opened during the request */
+  dialogs?: Array<Record<string, any>>;
+  /** Individual step results */
+  steps?: Array<StepResult>;
+  /** Failed steps */
+  errors?: Array<{step: number, action: string, error: string}>;
+  /** Request-level failure (PARSE, VALIDATION, CONNECTION, EXECUTION) */
+  error?: {type: string, message: string};
+  /** Closed tab alias (closeTab) or context name (closeContext) */
+  closed?: string;
+  /** Tabs closed with their browser context (closeContext) */
+  tabs?: Array<string>;
+}
+
+/** Session client returned by createSession(), besides one method per step type */
+export interface SessionBase {
+  /** Alias of the session's tab (null after it is closed) */
+  tab: string|null;
+  /** Run steps in the session's tab */
+  run: ((arg0: (Array<Record<string, any>>|Record<string, any>), arg1?: StepCallOptions) => Promise<RequestResponse>);
+  /** Drop the session's connections; the tab stays open */
+  close: (() => Promise<void>);
+}
+
+/** CDP Skill error */
+export interface CDPError {
+  /** Error type (CONNECTION, NAVIGATION, TIMEOUT, etc.) */
+  type: string;
+  /** Error message */
+  message: string;
+  /** Error code */
+  code?: string;
+  /** Additional error details */
+  details?: Record<string, any>;
+}
+
+/** Console message */
+export interface ConsoleMessage {
+  /** Message type */
+  type: 'console'|'exception';
+  /** Log level */
+  level: 'log'|'debug'|'info'|'warning'|'error';
+  /** Message text */
+  text: string;
+  /** Original arguments */
+  args?: Array<Record<string, any>>;
+  /** Stack trace if available */
+  stackTrace?: Record<string, any>;
+  /** CDP timestamp */
+  timestamp?: number;
+  /** Source URL for exceptions */
+  url?: string;
+  /** Line number for exceptions */
+  line?: number;
+  /** Column number for exceptions */
+  column?: number;
+}
+
+/** Network error */
+export interface NetworkError {
+  /** Error type */
+  type: 'network-failure'|'http-error';
+  /** Request ID */
+  requestId: string;
+  /** Request URL */
+  url: string;
+  /** HTTP method */
+  method: string;
+  /** Resource type (Document, Script, etc.) */
+  resourceType?: string;
+  /** Error description */
+  errorText?: string;
+  /** Whether request was canceled */
+  canceled?: boolean;
+  /** HTTP status code (for http-error) */
+  status?: number;
+  /** HTTP status text */
+  statusText?: string;
+  /** CDP timestamp */
+  timestamp: number;
+}
@@ -126,6 +126,7 @@
  * @property {boolean} [omitBackground=false] - Transparent background
  * @property {ClipRegion} [clip] - Capture specific region
  * @property {string} [selector] - Capture specific element
+ * @property {boolean} [captureBeyondViewport=false] - Allow clip regions outside the viewport (region capture)
  */
 
 /**
@@ -225,13 +226,23 @@
  * @property {boolean|Object} [snapshot] - Take ARIA snapshot
  * @property {string|Object} [query] - Query elements
  * @property {string|Object} [hover] - Hover over element (selector, ref, text, or x/y)
+ * @property {string|Object} [tap] - Touch tap on element (selector, ref, text, or x/y)
+ * @property {string|Object} [longPress] - Touch and hold on element, {duration} in ms
+ * @property {Object} [swipe] - Touch swipe {direction, distance?, duration?} from a target or the viewport center
+ * @property {Object} [pinch] - Touch pinch {scale, speed?} around a target or the viewport center
  * @property {string|Object} [wait] - Wait for selector/text/urlContains (no time delay — use sleep)
  * @property {number} [sleep] - Time delay in ms (0–60000)
  * @property {string|Object} [pageFunction] - Execute JS: function expression or bare expression
- * @property {true|string|{url?: string, host?: string, port?: number, headless?: boolean}} [openTab] - Open new tab
+ * @property {true|string|{url?: string, host?: string, port?: number, headless?: boolean, fakeMedia?: boolean, context?: string, headers?: Object, credentials?: Object, userAgent?: string}} [openTab] - Open new tab
  * @property {string} [closeTab] - Close tab by ID
+ * @property {string} [closeContext] - Dispose a named browser context and all its tabs
  * @property {string|Object} [selectOption] - Select dropdown option
  * @property {string|Object} [viewport] - Set viewport
+ * @property {string|Object} [emulate] - Throttling and environment: profile name, "reset", or {network, cpu, geolocation, timezone, locale, colorScheme, reducedMotion, userAgent}
+ * @property {string|Object} [permissions] - Grant, deny, reset, or query permissions: {grant|deny|reset|query, origin?}
+ * @property {string|Object} [clipboard] - Read, write, or paste clipboard content: "read" | "paste" | {read} | {write} | {paste, ref?, selector?}
+ * @property {boolean|string|Object} [downloads] - List, wait for, checksum, or clear downloads: true | "wait" | {wait?, match?, timeout?, checksum?, clear?}
+ * @property {string|Object} [http] - Extra headers, HTTP credentials and user agent for the tab: "reset" | {headers?, credentials?, userAgent?}
  * @property {Object} [cookies] - Cookie operations
  * @property {boolean} [back] - Navigate back
  * @property {boolean} [forward] - Navigate forward
@@ -249,14 +260,79 @@
  * Runner dependencies
  * @typedef {Object} RunnerDependencies
  * @property {Object} browser - Browser client instance
+ * @property {string|null} [browserContextId] - Named browser context the tab belongs to (null for the default context)
  * @property {Object} pageController - Page controller instance
  * @property {Object} elementLocator - Element locator instance
  * @property {Object} inputEmulator - Input emulator instance
  * @property {Object} screenshotCapture - Screenshot capture instance
+ * @property {Object} [screenshotComparator] - Screenshot comparator instance (screenshotCompare step)
  * @property {Object} consoleCapture - Console capture instance
+ * @property {Object} networkCapture - Network capture instance
  * @property {Object} pdfCapture - PDF capture instance
  * @property {Object} ariaSnapshot - ARIA snapshot instance
  * @property {Object} cookieManager - Cookie manager instance
+ * @property {Object} webStorageManager - Web storage manager instance
+ * @property {Object} requestRouter - Request router instance
+ * @property {Object} [emulationManager] - Throttling/environment emulation manager instance
+ * @property {Object} [downloadManager] - Download capture manager instance
+ * @property {Object} [httpManager] - Extra headers / HTTP credentials manager instance
+ */
+
+// ============================================================================
+// Session API Types
+// ============================================================================
+
+/**
+ * Options for createSession()
+ * @typedef {Object} SessionOptions
+ * @property {string} [tab] - Attach to this tab alias or targetId instead of opening a new tab
+ * @property {string} [url] - URL to open in the new tab
+ * @property {string} [host] - Chrome debugging host (default "localhost")
+ * @property {number} [port] - Chrome debugging port (default 9222)
+ * @property {boolean} [headless] - Launch Chrome headless if it has to be started
+ * @property {string} [context] - Named browser context for the new tab
+ * @property {number} [timeout] - Default step timeout in ms (default 30000)
+ * @property {boolean} [throwOnError] - Reject failed requests with a RequestFailedError (default true); false resolves with the error response
+ * @property {string[]} [plugins] - Plugin modules with custom steps, loaded after those in ~/.cdp-skill/plugins
+ * @property {function(Object): Promise<RequestResponse>} [handleRequest] - Executes a CLI request (default: runRequest on a kept-alive pool)
+ */
+
+/**
+ * Per-call options for session step methods and run()
+ * @typedef {Object} StepCallOptions
+ * @property {number} [timeout] - Step timeout in ms (default: the session timeout)
+ * @property {boolean} [optional] - Report failure as skipped instead of an error (step methods only)
+ */
+
+/**
+ * Response of one request, as printed by the CLI
+ * @typedef {Object} RequestResponse
+ * @property {'ok'|'error'} status - Overall status
+ * @property {string} [tab] - Tab alias (e.g., 't1')
+ * @property {string} [siteProfile] - Site profile path after goto/newTab to a known site
+ * @property {{action: string, domain: string, message: string}} [actionRequired] - Action to take before continuing
+ * @property {boolean} [navigated] - Whether the URL pathname changed
+ * @property {string} [fullSnapshot] - Full-page ARIA snapshot file path
+ * @property {string} [viewportSnapshot] - Viewport ARIA snapshot
+ * @property {boolean} [truncated] - Whether the viewport snapshot was truncated
+ * @property {string} [screenshot] - After-screenshot file path
+ * @property {Object} [context] - Page context (url, title, scroll, viewport, activeElement, modal)
+ * @property {Object} [changes] - Viewport diff {summary, added, removed, changed}
+ * @property {Object} [console] - Console errors and warnings {errors, warnings, messages}
+ * @property {Array<Object>} [dialogs] - JavaScript dialogs opened during the request
+ * @property {Array<StepResult>} [steps] - Individual step results
+ * @property {Array<{step: number, action: string, error: string}>} [errors] - Failed steps
+ * @property {{type: string, message: string}} [error] - Request-level failure (PARSE, VALIDATION, CONNECTION, EXECUTION)
+ * @property {string} [closed] - Closed tab alias (closeTab) or context name (closeContext)
+ * @property {Array<string>} [tabs] - Tabs closed with their browser context (closeContext)
+ */
+
+/**
+ * Session client returned by createSession(), besides one method per step type
+ * @typedef {Object} SessionBase
+ * @property {string|null} tab - Alias of the session's tab (null after it is closed)
+ * @property {function((Array<Object>|Object), StepCallOptions=): Promise<RequestResponse>} run - Run steps in the session's tab
+ * @property {function(): Promise<void>} close - Drop the session's connections; the tab stays open
  */
 
 // ============================================================================
@@ -71,6 +71,21 @@ export async function getCurrentUrl(session) {
   }
 }
 
+/**
+ * Get the current page's origin
+ * @param {Object} session - CDP session
+ * @returns {Promise<string|null>} e.g. "https://example.com", or null for about:blank, data: URLs and the like
+ */
+export async function getCurrentOrigin(session) {
+  const url = await getCurrentUrl(session);
+  try {
+    const origin = url ? new URL(url).origin : null;
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get element info at a specific point (for debug mode)
  * @param {Object} session - CDP session
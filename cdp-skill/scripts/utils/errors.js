@@ -16,7 +16,8 @@ export const ErrorTypes = Object.freeze({
   STALE_ELEMENT: 'StaleElementError',
   PAGE_CRASHED: 'PageCrashedError',
   CONTEXT_DESTROYED: 'ContextDestroyedError',
-  STEP_VALIDATION: 'StepValidationError'
+  STEP_VALIDATION: 'StepValidationError',
+  REQUEST_FAILED: 'RequestFailedError'
 });
 
 /**
@@ -185,6 +186,24 @@ export function stepValidationError(invalidSteps) {
   );
 }
 
+/**
+ * Create a RequestFailedError from an error response
+ * @param {Object} response - Response with status "error"
+ * @returns {Error}
+ */
+export function requestFailedError(response) {
+  let message;
+  if (response.error) {
+    message = `${response.error.type}: ${response.error.message}`;
+  } else if (response.errors && response.errors.length > 0) {
+    const { step, action, error } = response.errors[0];
+    message = `Step ${step} (${action}) failed: ${error}`;
+  } else {
+    message = 'Request failed';
+  }
+  return createError(ErrorTypes.REQUEST_FAILED, message, { response });
+}
+
 /**
  * Check if an error is of a specific type
  * @param {Error} error - The error to check
@@ -25,6 +25,7 @@ export {
   SCROLL_STRATEGIES,
   ActionTypes,
   getCurrentUrl,
+  getCurrentOrigin,
   getElementAtPoint,
   detectNavigation
 } from './cdp-helpers.js';
@@ -43,6 +44,7 @@ export {
   pageCrashedError,
   contextDestroyedError,
   stepValidationError,
+  requestFailedError,
   isErrorType,
   isContextDestroyed,
   isStaleElementError